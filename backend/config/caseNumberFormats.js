@@ -0,0 +1,68 @@
+/**
+ * Case Number Formats
+ *
+ * Templates for the numbers given to new cases. The first format whose
+ * match fits the case is used, so the catch-all default goes last.
+ *
+ * Template tokens:
+ *   {YEAR}   - year the case is opened
+ *   {FIRM}   - the firm's code (CASE_NUMBER_FIRM_CODE)
+ *   {COURT}  - code for the court level (COURT_CODES)
+ *   {TYPE}   - code for the case type (TYPE_CODES)
+ *   {SEQ:n}  - running number, zero-padded to n digits (required, once)
+ *
+ * Each distinct prefix counts separately: 'CASE/{YEAR}/{SEQ:4}' restarts
+ * every year, '{COURT}/{TYPE}/{YEAR}/{SEQ:5}' numbers each court level
+ * and case type on its own. For example, to number criminal matters in
+ * their own series:
+ *
+ *   {
+ *     id: 'criminal',
+ *     template: '{FIRM}/CR/{YEAR}/{SEQ:4}',
+ *     match: { caseTypes: ['Criminal'] }
+ *   }
+ *
+ * Format fields:
+ *   id        - stable key, shown when previewing numbers
+ *   template  - see tokens above; may only produce A-Z, 0-9, '-' and '/'
+ *   match     - caseTypes, courtLevels (arrays); an omitted key matches everything
+ */
+
+const TYPE_CODES = {
+  Criminal: 'CRI',
+  Civil: 'CIV',
+  Corporate: 'CORP',
+  Family: 'FAM',
+  Property: 'PROP',
+  Labor: 'LAB',
+  Tax: 'TAX',
+  Constitutional: 'CONST',
+  Environmental: 'ENV',
+  'Intellectual Property': 'IP',
+  Immigration: 'IMM',
+  Banking: 'BANK',
+  Insurance: 'INS',
+  'Consumer Protection': 'CONS',
+  Other: 'GEN'
+};
+
+const COURT_CODES = {
+  District: 'DC',
+  'High Court': 'HC',
+  'Supreme Court': 'SC',
+  Tribunal: 'TRB',
+  Other: 'OTH'
+};
+
+const CASE_NUMBER_FORMATS = [
+  {
+    id: 'default',
+    template: process.env.CASE_NUMBER_FORMAT || 'CASE/{YEAR}/{SEQ:4}'
+  }
+];
+
+module.exports = {
+  TYPE_CODES,
+  COURT_CODES,
+  CASE_NUMBER_FORMATS
+};
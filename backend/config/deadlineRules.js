@@ -0,0 +1,256 @@
+/**
+ * Statutory Deadline Rules
+ *
+ * Limitation periods and procedural time limits used by the deadline
+ * calculator. Each rule starts a clock from a trigger event recorded on
+ * the case (judgment, service of summons...) and applies to cases
+ * matching its caseTypes / courtLevels / subCategory.
+ *
+ * Rule fields:
+ *   id             - stable key; computed deadlines are tracked by it
+ *   title          - what has to be done by the due date
+ *   trigger        - key of TRIGGER_EVENTS that starts the clock
+ *   period         - { days | months | years }, or a list of such steps
+ *                    applied in order (each may carry a label)
+ *   authority      - statute / rule the period comes from
+ *   match          - caseTypes, courtLevels (arrays) and subCategory (RegExp);
+ *                    an omitted key matches everything
+ *   milestone      - optional milestone title kept in sync with the deadline
+ *   notes          - caveats shown with the explanation
+ *
+ * These are the common defaults only. Special statutes and condonation
+ * of delay are not modelled; always check the governing law.
+ */
+
+// Events a lawyer can record on a case to start a statutory clock
+const TRIGGER_EVENTS = {
+  filing_date: 'Case filed',
+  cause_of_action: 'Cause of action arose',
+  summons_served: 'Summons / notice of complaint served',
+  judgment_date: 'Judgment or decree pronounced',
+  order_date: 'Order passed',
+  award_received: 'Arbitral award received',
+  dishonour_memo: 'Cheque return memo received',
+  notice_served: 'Statutory demand notice served',
+  demand_notice_served: 'Tax demand notice served'
+};
+
+const CIVIL_TYPES = ['Civil', 'Property', 'Corporate', 'Banking', 'Insurance', 'Intellectual Property'];
+
+const DEADLINE_RULES = [
+  // --- Pleadings ---
+  {
+    id: 'cpc-written-statement',
+    title: 'File written statement',
+    trigger: 'summons_served',
+    period: { days: 30 },
+    authority: 'Code of Civil Procedure, 1908 - Order VIII Rule 1',
+    match: { caseTypes: ['Civil', 'Property', 'Banking', 'Insurance'] },
+    milestone: 'File written statement',
+    notes: 'The court may allow up to 90 days for reasons recorded in writing.'
+  },
+  {
+    id: 'cpc-written-statement-outer-limit',
+    title: 'Outer limit for written statement',
+    trigger: 'summons_served',
+    period: { days: 90 },
+    authority: 'Code of Civil Procedure, 1908 - Order VIII Rule 1 (proviso)',
+    match: { caseTypes: ['Civil', 'Property', 'Banking', 'Insurance'] }
+  },
+  {
+    id: 'commercial-written-statement',
+    title: 'File written statement (commercial suit)',
+    trigger: 'summons_served',
+    period: { days: 120 },
+    authority: 'CPC Order VIII Rule 1 as amended by the Commercial Courts Act, 2015',
+    match: { caseTypes: ['Corporate', 'Intellectual Property'] },
+    milestone: 'File written statement',
+    notes: 'Filing is due in 30 days; after 120 days the right to file is forfeited.'
+  },
+  {
+    id: 'consumer-written-version',
+    title: 'File written version to consumer complaint',
+    trigger: 'summons_served',
+    period: [
+      { days: 30, label: 'Response period' },
+      { days: 15, label: 'Extension the Commission may grant' }
+    ],
+    authority: 'Consumer Protection Act, 2019 - Section 38(2)(a)',
+    match: { caseTypes: ['Consumer Protection'] },
+    milestone: 'File written version',
+    notes: 'The extra 15 days is discretionary; aim to file within 30 days.'
+  },
+
+  // --- Institution of proceedings ---
+  {
+    id: 'limitation-suit-general',
+    title: 'Limitation for filing suit',
+    trigger: 'cause_of_action',
+    period: { years: 3 },
+    authority: 'Limitation Act, 1963 - Schedule, Article 113 (residuary)',
+    match: { caseTypes: ['Civil', 'Corporate', 'Banking', 'Insurance'] },
+    notes: 'Specific articles (e.g. Art. 19 money lent, Art. 55 breach of contract) also give 3 years but may run from a different date.'
+  },
+  {
+    id: 'limitation-suit-possession',
+    title: 'Limitation for suit for possession based on title',
+    trigger: 'cause_of_action',
+    period: { years: 12 },
+    authority: 'Limitation Act, 1963 - Schedule, Article 65',
+    match: { caseTypes: ['Property'] },
+    notes: 'Time runs from when the defendant\'s possession becomes adverse to the plaintiff.'
+  },
+  {
+    id: 'consumer-complaint',
+    title: 'File consumer complaint',
+    trigger: 'cause_of_action',
+    period: { years: 2 },
+    authority: 'Consumer Protection Act, 2019 - Section 69(1)',
+    match: { caseTypes: ['Consumer Protection'] }
+  },
+  {
+    id: 'industrial-dispute-2a',
+    title: 'Apply to Labour Court against discharge or termination',
+    trigger: 'cause_of_action',
+    period: { years: 3 },
+    authority: 'Industrial Disputes Act, 1947 - Section 2A(3)',
+    match: { caseTypes: ['Labor'] }
+  },
+  {
+    id: 'ni-act-demand-notice',
+    title: 'Send demand notice to drawer of dishonoured cheque',
+    trigger: 'dishonour_memo',
+    period: { days: 30 },
+    authority: 'Negotiable Instruments Act, 1881 - Section 138(b)',
+    match: { caseTypes: ['Criminal', 'Banking'], subCategory: /cheque|138|negotiable/i },
+    milestone: 'Send demand notice'
+  },
+  {
+    id: 'ni-act-complaint',
+    title: 'File cheque dishonour complaint',
+    trigger: 'notice_served',
+    period: [
+      { days: 15, label: 'Drawer\'s payment window under Section 138(c)' },
+      { months: 1, label: 'Complaint period under Section 142(1)(b)' }
+    ],
+    authority: 'Negotiable Instruments Act, 1881 - Sections 138(c) and 142(1)(b)',
+    match: { caseTypes: ['Criminal', 'Banking'], subCategory: /cheque|138|negotiable/i },
+    milestone: 'File complaint before Magistrate'
+  },
+
+  // --- Appeals, revisions and reviews ---
+  {
+    id: 'civil-first-appeal',
+    title: 'File first appeal against decree',
+    trigger: 'judgment_date',
+    period: { days: 30 },
+    authority: 'Limitation Act, 1963 - Schedule, Article 116(b)',
+    match: { caseTypes: CIVIL_TYPES, courtLevels: ['District'] },
+    milestone: 'File appeal',
+    notes: 'If the appeal lies to the High Court the period is 90 days (Art. 116(a)). Time spent obtaining a certified copy is excluded (Section 12(2)).'
+  },
+  {
+    id: 'special-leave-petition',
+    title: 'File special leave petition in the Supreme Court',
+    trigger: 'judgment_date',
+    period: { days: 90 },
+    authority: 'Supreme Court Rules, 2013 - Order XXII Rule 2(1)',
+    match: { courtLevels: ['High Court'] },
+    milestone: 'File SLP',
+    notes: 'Runs 60 days from refusal if a certificate of fitness was sought first.'
+  },
+  {
+    id: 'criminal-appeal-high-court',
+    title: 'File criminal appeal against conviction',
+    trigger: 'judgment_date',
+    period: { days: 60 },
+    authority: 'Limitation Act, 1963 - Schedule, Article 115(b)(i)',
+    match: { caseTypes: ['Criminal'], courtLevels: ['District'] },
+    milestone: 'File appeal',
+    notes: 'Appeals from a Magistrate to the Sessions Court must be filed within 30 days (Art. 115(b)(ii)); 30 days for a death sentence (Art. 115(a)).'
+  },
+  {
+    id: 'criminal-revision',
+    title: 'File criminal revision',
+    trigger: 'order_date',
+    period: { days: 90 },
+    authority: 'Limitation Act, 1963 - Schedule, Article 131',
+    match: { caseTypes: ['Criminal'] }
+  },
+  {
+    id: 'family-court-appeal',
+    title: 'File appeal against Family Court judgment',
+    trigger: 'judgment_date',
+    period: { days: 30 },
+    authority: 'Family Courts Act, 1984 - Section 19(3)',
+    match: { caseTypes: ['Family'] },
+    milestone: 'File appeal'
+  },
+  {
+    id: 'consumer-appeal',
+    title: 'File appeal against Consumer Commission order',
+    trigger: 'order_date',
+    period: { days: 45 },
+    authority: 'Consumer Protection Act, 2019 - Section 41',
+    match: { caseTypes: ['Consumer Protection'] },
+    milestone: 'File appeal'
+  },
+  {
+    id: 'income-tax-appeal-cita',
+    title: 'File appeal before CIT(Appeals)',
+    trigger: 'demand_notice_served',
+    period: { days: 30 },
+    authority: 'Income-tax Act, 1961 - Section 249(2)',
+    match: { caseTypes: ['Tax'] },
+    milestone: 'File appeal'
+  },
+  {
+    id: 'income-tax-appeal-itat',
+    title: 'File appeal before the Income Tax Appellate Tribunal',
+    trigger: 'order_date',
+    period: { days: 60 },
+    authority: 'Income-tax Act, 1961 - Section 253(3)',
+    match: { caseTypes: ['Tax'] }
+  },
+  {
+    id: 'arbitral-award-challenge',
+    title: 'Apply to set aside arbitral award',
+    trigger: 'award_received',
+    period: { months: 3 },
+    authority: 'Arbitration and Conciliation Act, 1996 - Section 34(3)',
+    match: { subCategory: /arbitra/i },
+    milestone: 'File Section 34 application',
+    notes: 'The court may condone a further 30 days, but not beyond.'
+  },
+  {
+    id: 'review-petition',
+    title: 'File review petition',
+    trigger: 'judgment_date',
+    period: { days: 30 },
+    authority: 'Limitation Act, 1963 - Schedule, Article 124',
+    match: { courtLevels: ['District', 'High Court', 'Tribunal', 'Other'] }
+  },
+  {
+    id: 'review-petition-supreme-court',
+    title: 'File review petition',
+    trigger: 'judgment_date',
+    period: { days: 30 },
+    authority: 'Supreme Court Rules, 2013 - Order XLVII Rule 2',
+    match: { courtLevels: ['Supreme Court'] }
+  },
+
+  // --- Execution ---
+  {
+    id: 'execution-of-decree',
+    title: 'Execute decree',
+    trigger: 'judgment_date',
+    period: { years: 12 },
+    authority: 'Limitation Act, 1963 - Schedule, Article 136',
+    match: { caseTypes: CIVIL_TYPES }
+  }
+];
+
+module.exports = {
+  TRIGGER_EVENTS,
+  DEADLINE_RULES
+};
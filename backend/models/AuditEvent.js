@@ -0,0 +1,119 @@
+/**
+ * AuditEvent Model
+ *
+ * Append-only log of changes to cases: who did what, to which fields,
+ * from what to what, and when. Events are written by auditService and
+ * can never be updated or deleted through the model.
+ */
+
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = [
+  'created',
+  'updated',
+  'deleted',
+  'assigned',
+  'reassigned',
+  'team_member_added',
+  'team_member_updated',
+  'team_member_removed',
+  'link_added',
+  'link_removed',
+  'appeal_filed',
+  'status_changed',
+  'document_uploaded',
+  'document_restored',
+  'document_ocr_completed',
+  'document_access_changed',
+  'note_added',
+  'hearing_recorded',
+  'hearing_allocated',
+  'milestone_added',
+  'milestone_updated',
+  'milestone_removed',
+  'milestones_overdue',
+  'trigger_event_added',
+  'trigger_event_removed',
+  'deadline_resolved',
+  'deadlines_recomputed',
+  'priority_override_set',
+  'priority_override_cleared',
+  'priority_override_expired',
+  'ai_rescored'
+];
+
+const changeSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+
+  // Plain fields: old and new values
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed,
+
+  // Lists (documents, hearings...): labels of the entries that changed
+  added: [String],
+  removed: [String],
+  updated: [String]
+}, { _id: false });
+
+const auditEventSchema = new mongoose.Schema({
+  case: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Case',
+    required: true
+  },
+
+  // Kept so the log still reads after the case is deleted
+  caseNumber: String,
+
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+
+  // null for the scheduler and other background work
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorName: String,
+  actorRole: String,
+  ip: String,
+
+  changes: [changeSchema],
+
+  // Action details, e.g. uploaded file names or the AI provider
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditEventSchema.index({ case: 1, createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ 'changes.field': 1 });
+auditEventSchema.index({ createdAt: -1 });
+
+// Append-only: an event can be inserted once and never changed
+const rejectChange = function(next) {
+  next(new Error('Audit events are append-only'));
+};
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'].forEach(operation => {
+  auditEventSchema.pre(operation, { document: true, query: true }, rejectChange);
+});
+
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+AuditEvent.AUDIT_ACTIONS = AUDIT_ACTIONS;
+
+module.exports = AuditEvent;
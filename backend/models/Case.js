@@ -7,6 +7,158 @@
  */
 
 const mongoose = require('mongoose');
+const { STORAGE_DRIVERS } = require('../services/storage');
+const { TRIGGER_EVENTS } = require('../config/deadlineRules');
+const courtCalendarService = require('../services/courtCalendarService');
+const caseStatusService = require('../services/caseStatusService');
+const auditService = require('../services/auditService');
+const caseNumberService = require('../services/caseNumberService');
+
+// Changes to any of these mean the current AI analysis is out of date
+const ANALYSIS_TRIGGER_FIELDS = [
+  'title',
+  'description',
+  'caseType',
+  'subCategory',
+  'status',
+  'assignedLawyer',
+  'opposingParty',
+  'hearingDate',
+  'hearings',
+  'deadlineDate',
+  'court',
+  'estimatedValue',
+  'documents',
+  'milestones',
+  'links',
+  'delayInfo.isDelayed'
+];
+
+// Result of a conflict-of-interest check (see conflictOfInterestService)
+const conflictCheckSchema = new mongoose.Schema({
+  checkedAt: Date,
+  // Lawyer checked along with the parties, if any
+  lawyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  conflicts: [{
+    _id: false,
+    type: { type: String },
+    severity: { type: String, enum: ['error', 'warning'] },
+    message: String,
+    partyName: String,
+    matchedName: String,
+    score: Number,
+    caseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Case' },
+    caseNumber: String
+  }],
+  // Recorded by an administrator to assign a lawyer despite a conflict
+  waivers: [{
+    lawyer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    reason: { type: String, required: true, trim: true },
+    conflicts: [String],
+    waivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    waivedAt: { type: Date, default: Date.now }
+  }]
+}, { _id: false });
+
+// Roles on a case team. The assigned lawyer is always the lead; associates
+// and paralegals are lawyer accounts, co-clients are client accounts.
+const TEAM_ROLES = ['lead', 'associate', 'paralegal', 'co_client'];
+const LAWYER_TEAM_ROLES = ['lead', 'associate', 'paralegal'];
+
+// What each member may do ('client' is the primary client); admins may do everything
+const TEAM_PERMISSIONS = {
+  // Read the case, its hearings, milestones and analysis
+  view: ['client', 'co_client', 'lead', 'associate', 'paralegal'],
+  // Edit details, upload documents, add notes
+  contribute: ['client', 'co_client', 'lead', 'associate', 'paralegal'],
+  // Hearings, milestones, analysis, conflict checks, audit trail
+  work: ['lead', 'associate', 'paralegal'],
+  // Status, priority overrides, assignment, the team itself
+  manage: ['lead', 'associate']
+};
+
+const PARTY_SIDES = ['petitioner', 'respondent', 'intervenor', 'other'];
+
+// Who may see a case document besides admins (see canSeeDocument):
+// client - everyone on the case; team - the lawyer team only;
+// restricted - the lead, whoever first uploaded it and allowedUsers
+const DOCUMENT_VISIBILITY = ['client', 'team', 'restricted'];
+
+// Privilege claimed over a document; privileged documents are withheld from exports
+const PRIVILEGE_LABELS = ['none', 'confidential', 'attorney_client', 'work_product'];
+
+// How this case relates to a linked case (see caseLinkService)
+const LINK_TYPES = ['appeal_of', 'connected', 'transferred_from', 'consolidated_into'];
+
+const teamMemberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Team member is required']
+  },
+  role: {
+    type: String,
+    enum: TEAM_ROLES,
+    required: [true, 'Team role is required']
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  addedAt: { type: Date, default: Date.now }
+});
+
+const partySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Party name is required'],
+    trim: true
+  },
+  side: {
+    type: String,
+    enum: PARTY_SIDES,
+    required: [true, 'Party side is required']
+  },
+  // Whether the firm acts for this party
+  isClient: { type: Boolean, default: false },
+  // Platform account, for parties who are clients
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  counsel: { type: String, trim: true },
+  contact: { type: String, trim: true }
+});
+
+// One uploaded revision of a case document
+const documentVersionSchema = new mongoose.Schema({
+  version: { type: Number, required: true, min: 1 },
+  filename: { type: String, required: true },
+  originalName: { type: String, required: true },
+  mimeType: String,
+  size: Number,
+  storageKey: String,
+  storageProvider: { type: String, enum: STORAGE_DRIVERS },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  uploadDate: { type: Date, default: Date.now },
+  changeNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Change note cannot exceed 500 characters']
+  },
+  // Set when this version re-instates an earlier one (same stored file)
+  restoredFrom: { type: Number, default: null }
+});
 
 const caseSchema = new mongoose.Schema({
   // Case identification
@@ -72,6 +224,47 @@ const caseSchema = new mongoose.Schema({
     default: null
   },
   
+  // Latest conflict-of-interest check and any waivers. Not selected by
+  // default: it names other clients' cases, so clients never see it.
+  conflictCheck: {
+    type: conflictCheckSchema,
+    default: () => ({}),
+    select: false
+  },
+  
+  // Everyone working on the case besides the primary client (see TEAM_ROLES)
+  team: [teamMemberSchema],
+  
+  // All petitioners, respondents and other parties. client and opposingParty
+  // remain the principal parties on each side.
+  parties: [partySchema],
+  
+  // Typed links to other cases. Each link is stored on one case only; the
+  // other case finds it through 'links.case'.
+  links: [{
+    case: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Case',
+      required: true
+    },
+    type: {
+      type: String,
+      enum: LINK_TYPES,
+      required: true
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Link note cannot exceed 500 characters']
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  
   opposingParty: {
     name: { type: String, required: true },
     lawyer: String,
@@ -102,7 +295,7 @@ const caseSchema = new mongoose.Schema({
     default: 'medium'
   },
   
-  // AI-generated priority score (0-100)
+  // Effective priority score (0-100): the AI score, or the manual override while one is active
   priorityScore: {
     type: Number,
     min: 0,
@@ -110,6 +303,42 @@ const caseSchema = new mongoose.Schema({
     default: 50
   },
   
+  // Manual priority pinned by a lawyer/admin; the scheduler leaves it alone until it expires
+  priorityOverride: {
+    isActive: { type: Boolean, default: false },
+    priorityScore: { type: Number, min: 0, max: 100 },
+    priority: {
+      type: String,
+      enum: ['low', 'medium', 'high', 'urgent', 'critical']
+    },
+    reason: { type: String, maxlength: [500, 'Override reason cannot exceed 500 characters'] },
+    setBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    setAt: Date,
+    expiresAt: Date
+  },
+  
+  // Every set/clear/expiry of the override
+  priorityOverrideLog: [{
+    action: {
+      type: String,
+      enum: ['set', 'cleared', 'expired'],
+      required: true
+    },
+    priorityScore: Number,
+    priority: String,
+    reason: String,
+    expiresAt: Date,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    at: { type: Date, default: Date.now }
+  }],
+  
   // Important dates
   filingDate: {
     type: Date,
@@ -126,6 +355,53 @@ const caseSchema = new mongoose.Schema({
     default: null
   },
   
+  // 'computed' lets the deadline calculator keep deadlineDate up to date
+  deadlineSource: {
+    type: String,
+    enum: ['manual', 'computed'],
+    default: 'manual'
+  },
+  
+  // Events that start statutory clocks (see config/deadlineRules.js)
+  triggerEvents: [{
+    event: {
+      type: String,
+      enum: Object.keys(TRIGGER_EVENTS),
+      required: true
+    },
+    date: { type: Date, required: true },
+    note: String,
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    recordedAt: { type: Date, default: Date.now }
+  }],
+  
+  // Deadlines derived from triggerEvents by the deadline calculator
+  computedDeadlines: [{
+    ruleId: { type: String, required: true },
+    title: String,
+    dueDate: Date,
+    triggerEvent: String,
+    triggerDate: Date,
+    authority: String,
+    // Step-by-step working, so the date can be checked by hand
+    explanation: [String],
+    status: {
+      type: String,
+      enum: ['pending', 'met', 'waived'],
+      default: 'pending'
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date,
+    computedAt: { type: Date, default: Date.now }
+  }],
+  
   expectedCompletionDate: {
     type: Date,
     default: null
@@ -156,7 +432,9 @@ const caseSchema = new mongoose.Schema({
     pending: { type: Number, default: 0 }
   },
   
-  // Case documents
+  // Case documents. The top-level fields describe the current version;
+  // every upload, including the first, is kept in versions (documents
+  // uploaded before versioning have none and count as version 1)
   documents: [{
     filename: { type: String, required: true },
     originalName: { type: String, required: true },
@@ -168,7 +446,10 @@ const caseSchema = new mongoose.Schema({
       ref: 'User',
       required: true
     },
-    cloudinaryUrl: String,
+    // Where the file is kept (see services/storage); older documents
+    // have neither and were stored on Cloudinary under filename
+    storageKey: String,
+    storageProvider: { type: String, enum: STORAGE_DRIVERS },
     documentType: {
       type: String,
       enum: [
@@ -182,25 +463,122 @@ const caseSchema = new mongoose.Schema({
         'other'
       ],
       default: 'other'
-    }
+    },
+    // Content analysis of the current version (see fileService.analyzeDocumentContent)
+    metadata: {
+      wordCount: Number,
+      estimatedReadTime: Number,
+      keywords: [String],
+      language: String,
+      hasSignature: Boolean,
+      hasDate: Boolean,
+      pageCount: Number
+    },
+    // Where the current version's text comes from; its pages are in DocumentText
+    textStatus: {
+      type: String,
+      enum: ['none', 'extracted', 'ocr_pending', 'ocr_completed', 'ocr_failed'],
+      default: 'none'
+    },
+    visibility: {
+      type: String,
+      enum: DOCUMENT_VISIBILITY,
+      default: 'client'
+    },
+    allowedUsers: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    privilege: {
+      type: String,
+      enum: PRIVILEGE_LABELS,
+      default: 'none'
+    },
+    currentVersion: { type: Number, default: 1 },
+    versions: [documentVersionSchema]
   }],
   
   // AI Analysis Results
   aiAnalysis: {
+    // Score the AI gave, kept even while a manual override is in effect
+    priorityScore: { type: Number, min: 0, max: 100 },
     complexityScore: { type: Number, min: 0, max: 100, default: 50 },
     urgencyFactors: [String],
     delayRiskFactors: [String],
     estimatedDuration: Number, // in days
     similarCasesCount: { type: Number, default: 0 },
     successProbability: { type: Number, min: 0, max: 100, default: 50 },
+    reasoning: String,
+    // Latest CaseAnalysis version and where it came from
+    version: { type: Number, default: 0 },
+    provider: String,
+    model: String,
+    promptVersion: String,
     lastAnalyzed: { type: Date, default: Date.now }
   },
   
+  // Every listing of the case, oldest first. hearingDate mirrors the
+  // upcoming 'scheduled' entry.
+  hearings: [{
+    date: { type: Date, required: true },
+    court: {
+      name: String,
+      courtroom: String
+    },
+    judge: String,
+    purpose: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Hearing purpose cannot exceed 200 characters']
+    },
+    outcome: {
+      type: String,
+      enum: ['scheduled', 'heard', 'part_heard', 'adjourned', 'not_reached', 'reserved', 'disposed', 'cancelled'],
+      default: 'scheduled'
+    },
+    adjournmentReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Adjournment reason cannot exceed 500 characters']
+    },
+    adjournmentSoughtBy: {
+      type: String,
+      enum: ['client', 'opposing_party', 'court', 'both', 'other']
+    },
+    nextDate: Date,
+    notes: String,
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    recordedAt: { type: Date, default: Date.now }
+  }],
+  
+  // Dirty tracking for the AI scheduler
+  analysisState: {
+    needsAnalysis: { type: Boolean, default: true },
+    // Trigger fields changed since the last analysis
+    dirtyFields: [String],
+    // When the case first became dirty; the sweep works oldest first
+    dirtiedAt: { type: Date, default: Date.now },
+    // Latest change to a trigger field, even while already dirty; an
+    // analysis that started before it does not clear the flag
+    lastChangedAt: Date
+  },
+  
   // Delay tracking
   delayInfo: {
     isDelayed: { type: Boolean, default: false },
-    delayDays: { type: Number, default: 0 },
+    delayDays: { type: Number, default: 0 }, // court working days
     delayReasons: [String],
+    // Derived from hearings
+    adjournmentCount: { type: Number, default: 0 },
+    adjournmentDelayDays: { type: Number, default: 0 }, // working days lost to adjournments
+    avgHearingGapDays: { type: Number, default: null },
+    longestHearingGapDays: { type: Number, default: null },
+    // Milestones past their due date and not completed
+    overdueMilestones: { type: Number, default: 0 },
     delayImpact: {
       type: String,
       enum: ['low', 'medium', 'high', 'critical'],
@@ -222,18 +600,28 @@ const caseSchema = new mongoose.Schema({
     assignedTo: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
-    }
+    },
+    // Set when the milestone is maintained by a statutory deadline rule
+    deadlineRule: String,
+    // Set when the milestone came from a template
+    template: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MilestoneTemplate'
+    },
+    overdueSince: Date
   }],
   
   // Case notes and updates
   notes: [{
     content: { type: String, required: true },
+    // null for system-generated notes (AI analysis, scheduler)
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-      required: true
+      default: null
     },
     createdAt: { type: Date, default: Date.now },
+    // Private notes are seen only by their author, the lawyer team and admins
     isPrivate: { type: Boolean, default: false },
     category: {
       type: String,
@@ -266,19 +654,25 @@ const caseSchema = new mongoose.Schema({
 caseSchema.index({ caseNumber: 1 });
 caseSchema.index({ client: 1 });
 caseSchema.index({ assignedLawyer: 1 });
+caseSchema.index({ 'team.user': 1 });
+caseSchema.index({ 'links.case': 1 });
 caseSchema.index({ status: 1 });
 caseSchema.index({ priority: 1 });
 caseSchema.index({ priorityScore: -1 });
 caseSchema.index({ caseType: 1 });
 caseSchema.index({ filingDate: -1 });
 caseSchema.index({ hearingDate: 1 });
+caseSchema.index({ 'hearings.outcome': 1 });
 caseSchema.index({ deadlineDate: 1 });
+caseSchema.index({ 'computedDeadlines.status': 1, 'computedDeadlines.dueDate': 1 });
 caseSchema.index({ createdAt: -1 });
 
 // Compound indexes for complex queries
 caseSchema.index({ status: 1, priorityScore: -1 });
 caseSchema.index({ assignedLawyer: 1, status: 1 });
 caseSchema.index({ caseType: 1, status: 1 });
+caseSchema.index({ 'analysisState.needsAnalysis': 1, 'analysisState.dirtiedAt': 1, _id: 1 });
+caseSchema.index({ 'aiAnalysis.lastAnalyzed': 1, _id: 1 });
 
 // Virtual for case age in days
 caseSchema.virtual('caseAge').get(function() {
@@ -293,62 +687,396 @@ caseSchema.virtual('daysUntilHearing').get(function() {
 
 // Virtual for case urgency level
 caseSchema.virtual('urgencyLevel').get(function() {
-  if (this.priorityScore >= 90) return 'critical';
-  if (this.priorityScore >= 75) return 'urgent';
-  if (this.priorityScore >= 60) return 'high';
-  if (this.priorityScore >= 40) return 'medium';
-  return 'low';
+  return this.constructor.getPriorityLevel(this.priorityScore);
+});
+
+// Whether the current priority comes from a person or from the AI
+caseSchema.virtual('prioritySource').get(function() {
+  return this.hasActiveOverride() ? 'manual' : 'ai';
+});
+
+// The assigned lawyer leads the team; a lead who is no longer assigned leaves it
+caseSchema.pre('validate', function(next) {
+  this.syncTeamLead();
+  next();
+});
+
+// Number new cases before validation, which requires caseNumber
+caseSchema.pre('validate', async function() {
+  if (this.isNew) {
+    await caseNumberService.assign(this);
+  }
 });
 
-// Pre-save middleware to generate case number if not provided
 caseSchema.pre('save', async function(next) {
-  if (!this.caseNumber) {
-    const year = new Date().getFullYear();
-    const count = await this.constructor.countDocuments({
-      createdAt: {
-        $gte: new Date(year, 0, 1),
-        $lt: new Date(year + 1, 0, 1)
-      }
-    });
-    
-    this.caseNumber = `CASE/${year}/${String(count + 1).padStart(4, '0')}`;
+  // Keep the hearing history in step with hearingDate
+  if (this.isModified('hearingDate')) {
+    this.syncScheduledHearing();
   }
   
-  // Update delay information
+  // Update milestone and delay information
+  this.refreshMilestoneStatuses();
   this.updateDelayInfo();
   
+  // Flag the case for re-analysis when something the AI looks at changed
+  if (this.isNew) {
+    this.analysisState.dirtyFields = ['created'];
+    this.analysisState.lastChangedAt = new Date();
+  } else {
+    const changed = ANALYSIS_TRIGGER_FIELDS.filter(field => this.isModified(field));
+    
+    if (changed.length > 0) {
+      if (!this.analysisState.needsAnalysis) {
+        this.analysisState.needsAnalysis = true;
+        this.analysisState.dirtiedAt = new Date();
+        this.analysisState.dirtyFields = [];
+      }
+      
+      changed.forEach(field => {
+        if (!this.analysisState.dirtyFields.includes(field)) {
+          this.analysisState.dirtyFields.push(field);
+        }
+      });
+      this.analysisState.lastChangedAt = new Date();
+    }
+  }
+  
+  next();
+});
+
+// Audit trail: remember audited values as loaded...
+caseSchema.post('init', function() {
+  this.$locals.auditSnapshot = auditService.snapshot(this);
+});
+
+// ...work out what changed once the other hooks have run...
+caseSchema.pre('save', function(next) {
+  this.$locals.auditWasNew = this.isNew;
+  this.$locals.auditChanges = this.isNew ? [] : auditService.diff(this.$locals.auditSnapshot || {}, this);
   next();
 });
 
+// ...and log it once saved (see caseDoc.auditAs for who and why)
+caseSchema.post('save', async function() {
+  const { context, action, metadata } = this.$locals.audit || {};
+  const changes = this.$locals.auditChanges || [];
+  const wasNew = this.$locals.auditWasNew;
+
+  this.$locals.audit = null;
+  this.$locals.auditSnapshot = auditService.snapshot(this);
+
+  if (!wasNew && !action && changes.length === 0) return;
+
+  await auditService.record({
+    caseId: this._id,
+    caseNumber: this.caseNumber,
+    action: action || (wasNew ? 'created' : 'updated'),
+    context,
+    changes,
+    metadata: wasNew ? { title: this.title, ...metadata } : metadata
+  });
+});
+
+// Deletions are logged with the case's last state
+caseSchema.post('findOneAndDelete', async function(doc) {
+  if (!doc) return;
+  await auditService.record({
+    caseId: doc._id,
+    caseNumber: doc.caseNumber,
+    action: 'deleted',
+    context: this.getOptions().auditContext,
+    metadata: { title: doc.title, status: doc.status }
+  });
+});
+
+caseSchema.post('deleteOne', { document: true, query: false }, async function() {
+  await auditService.record({
+    caseId: this._id,
+    caseNumber: this.caseNumber,
+    action: 'deleted',
+    context: this.$locals.audit?.context,
+    metadata: { title: this.title, status: this.status }
+  });
+});
+
+// Method to say who is making the next save and why, for the audit trail
+caseSchema.methods.auditAs = function(context, action, metadata = {}) {
+  this.$locals.audit = { context, action, metadata };
+  return this;
+};
+
+// Outcomes that mean the hearing did not move the case forward
+const ADJOURNED_OUTCOMES = ['adjourned', 'not_reached'];
+
+// More adjournments than this is treated as a delay (CPC Order XVII Rule 1)
+const ADJOURNMENT_LIMIT = parseInt(process.env.ADJOURNMENT_LIMIT) || 3;
+
+// Method to keep the upcoming 'scheduled' hearing entry on hearingDate
+caseSchema.methods.syncScheduledHearing = function() {
+  const scheduled = this.hearings.filter(h => h.outcome === 'scheduled');
+  const current = scheduled[scheduled.length - 1];
+  
+  if (!this.hearingDate) {
+    // Hearing taken off the board
+    if (current && current.date > new Date()) current.outcome = 'cancelled';
+    return;
+  }
+  
+  if (current) {
+    current.date = this.hearingDate;
+    current.court = { name: this.court?.name, courtroom: this.court?.courtroom };
+    current.judge = this.court?.judge;
+  } else {
+    this.hearings.push({
+      date: this.hearingDate,
+      court: { name: this.court?.name, courtroom: this.court?.courtroom },
+      judge: this.court?.judge,
+      outcome: 'scheduled'
+    });
+  }
+};
+
+// Method to record what happened at a hearing. A nextDate lists the case
+// again and becomes the new hearingDate.
+caseSchema.methods.recordHearingOutcome = function(hearingId, details, recordedBy) {
+  const hearing = this.hearings.id(hearingId);
+  if (!hearing) return null;
+  
+  ['outcome', 'purpose', 'judge', 'adjournmentReason', 'adjournmentSoughtBy', 'notes'].forEach(field => {
+    if (details[field] !== undefined) hearing[field] = details[field];
+  });
+  
+  hearing.recordedBy = recordedBy;
+  hearing.recordedAt = new Date();
+  
+  if (details.nextDate) {
+    hearing.nextDate = new Date(details.nextDate);
+    this.hearings.push({
+      date: hearing.nextDate,
+      court: hearing.court,
+      judge: hearing.judge,
+      purpose: details.nextPurpose,
+      outcome: 'scheduled'
+    });
+    this.hearingDate = hearing.nextDate;
+  } else if (['disposed', 'reserved'].includes(hearing.outcome) &&
+    this.hearingDate && this.hearingDate.getTime() === hearing.date.getTime()) {
+    this.hearingDate = null;
+  }
+  
+  return hearing;
+};
+
+// Method to summarise adjournments and the gaps between hearings
+caseSchema.methods.getHearingStats = function() {
+  const courtName = this.court?.name;
+  const now = new Date();
+  
+  // Listings that have taken place, oldest first
+  const past = this.hearings
+    .filter(h => h.date <= now && h.outcome !== 'cancelled')
+    .sort((a, b) => a.date - b.date);
+  
+  const adjourned = past.filter(h => ADJOURNED_OUTCOMES.includes(h.outcome));
+  
+  const gaps = [];
+  for (let i = 1; i < past.length; i++) {
+    gaps.push(courtCalendarService.countWorkingDays(past[i - 1].date, past[i].date, courtName));
+  }
+  
+  // Time lost: from each adjourned listing to the next date it was given
+  const adjournmentDelayDays = adjourned.reduce((total, h) => {
+    return total + courtCalendarService.countWorkingDays(h.date, h.nextDate || now, courtName);
+  }, 0);
+  
+  const reasons = adjourned
+    .map(h => h.adjournmentReason)
+    .filter(Boolean);
+  
+  return {
+    hearingsHeld: past.filter(h => h.outcome !== 'scheduled').length,
+    adjournmentCount: adjourned.length,
+    adjournmentDelayDays,
+    avgHearingGapDays: gaps.length > 0 ? Math.round(gaps.reduce((a, b) => a + b, 0) / gaps.length) : null,
+    longestHearingGapDays: gaps.length > 0 ? Math.max(...gaps) : null,
+    lastAdjournmentReason: reasons.length > 0 ? reasons[reasons.length - 1] : null
+  };
+};
+
 // Method to update delay information
 caseSchema.methods.updateDelayInfo = function() {
   const now = new Date();
-  let isDelayed = false;
+  const courtName = this.court?.name;
+  const stats = this.getHearingStats();
+  const reasons = [];
   let delayDays = 0;
   
-  // Check if case is delayed based on expected completion date
+  // Delays are counted in the court's working days, so vacations and
+  // holidays do not count against the case
   if (this.expectedCompletionDate && now > this.expectedCompletionDate) {
-    isDelayed = true;
-    delayDays = Math.floor((now - this.expectedCompletionDate) / (1000 * 60 * 60 * 24));
+    delayDays = courtCalendarService.countWorkingDays(this.expectedCompletionDate, now, courtName);
+    reasons.push(`Past expected completion by ${delayDays} working days`);
   }
   
   // Check if hearing date has passed without status update
   if (this.hearingDate && now > this.hearingDate && this.status === 'awaiting_hearing') {
-    isDelayed = true;
-    const hearingDelay = Math.floor((now - this.hearingDate) / (1000 * 60 * 60 * 24));
+    const hearingDelay = courtCalendarService.countWorkingDays(this.hearingDate, now, courtName);
     delayDays = Math.max(delayDays, hearingDelay);
+    reasons.push(`Hearing date passed ${hearingDelay} working days ago without an update`);
   }
   
-  this.delayInfo.isDelayed = isDelayed;
+  // Repeated adjournments
+  if (stats.adjournmentCount > ADJOURNMENT_LIMIT) {
+    delayDays = Math.max(delayDays, stats.adjournmentDelayDays);
+    reasons.push(`Adjourned ${stats.adjournmentCount} times (${stats.adjournmentDelayDays} working days lost)`);
+  }
+  
+  // Missed milestones, counted from the oldest
+  const overdue = this.milestones.filter(m => m.status === 'overdue');
+  if (overdue.length > 0) {
+    const oldestDue = overdue.reduce((oldest, m) => (m.dueDate < oldest ? m.dueDate : oldest), overdue[0].dueDate);
+    const milestoneDelay = courtCalendarService.countWorkingDays(oldestDue, now, courtName);
+    delayDays = Math.max(delayDays, milestoneDelay);
+    reasons.push(`${overdue.length} milestone${overdue.length > 1 ? 's' : ''} overdue (oldest by ${milestoneDelay} working days)`);
+  }
+  
+  this.delayInfo.isDelayed = reasons.length > 0;
   this.delayInfo.delayDays = delayDays;
+  this.delayInfo.delayReasons = reasons;
+  this.delayInfo.adjournmentCount = stats.adjournmentCount;
+  this.delayInfo.adjournmentDelayDays = stats.adjournmentDelayDays;
+  this.delayInfo.avgHearingGapDays = stats.avgHearingGapDays;
+  this.delayInfo.longestHearingGapDays = stats.longestHearingGapDays;
+  this.delayInfo.overdueMilestones = overdue.length;
   
-  // Determine delay impact
-  if (delayDays > 180) this.delayInfo.delayImpact = 'critical';
-  else if (delayDays > 90) this.delayInfo.delayImpact = 'high';
-  else if (delayDays > 30) this.delayInfo.delayImpact = 'medium';
+  // Determine delay impact (roughly 6, 3 and 1 months of sittings)
+  if (delayDays > 120) this.delayInfo.delayImpact = 'critical';
+  else if (delayDays > 60) this.delayInfo.delayImpact = 'high';
+  else if (delayDays > 20) this.delayInfo.delayImpact = 'medium';
   else this.delayInfo.delayImpact = 'low';
 };
 
+// Method to flag open milestones past their due date as overdue (and
+// un-flag ones whose due date was moved back into the future)
+// Returns the milestones that have just become overdue
+caseSchema.methods.refreshMilestoneStatuses = function(now = new Date()) {
+  const newlyOverdue = [];
+  
+  this.milestones.forEach(milestone => {
+    const isPastDue = milestone.dueDate && milestone.dueDate < now;
+    
+    if (isPastDue && ['pending', 'in_progress'].includes(milestone.status)) {
+      milestone.status = 'overdue';
+      milestone.overdueSince = now;
+      newlyOverdue.push(milestone);
+    } else if (!isPastDue && milestone.status === 'overdue') {
+      milestone.status = 'pending';
+      milestone.overdueSince = undefined;
+    }
+  });
+  
+  return newlyOverdue;
+};
+
+// Method to store the result of a conflict-of-interest check
+caseSchema.methods.recordConflictCheck = function(conflicts, lawyerId = null) {
+  if (!this.conflictCheck) this.conflictCheck = {};
+  this.conflictCheck.checkedAt = new Date();
+  this.conflictCheck.lawyer = lawyerId;
+  this.conflictCheck.conflicts = conflicts.map(c => ({
+    type: c.type,
+    severity: c.severity,
+    message: c.message,
+    partyName: c.partyName,
+    matchedName: c.matchedName,
+    score: c.score,
+    caseId: c.caseId,
+    caseNumber: c.caseNumber
+  }));
+};
+
+const idOf = (value) => value?._id || value;
+
+// Method to keep the team's lead in step with assignedLawyer
+caseSchema.methods.syncTeamLead = function() {
+  const lawyerId = idOf(this.assignedLawyer);
+
+  this.team
+    .filter(member => member.role === 'lead' && !(lawyerId && idOf(member.user).equals(lawyerId)))
+    .forEach(member => this.team.pull(member._id));
+
+  if (!lawyerId) return;
+
+  const member = this.team.find(m => idOf(m.user).equals(lawyerId));
+  if (!member) {
+    this.team.push({ user: lawyerId, role: 'lead' });
+  } else if (member.role !== 'lead') {
+    member.role = 'lead';
+  }
+};
+
+// Method to find a user's part in the case: 'client', a team role, or null
+caseSchema.methods.memberRole = function(user) {
+  const userId = idOf(user);
+  if (!userId) return null;
+
+  if (idOf(this.client)?.equals(userId)) return 'client';
+  if (idOf(this.assignedLawyer)?.equals(userId)) return 'lead';
+
+  const member = this.team.find(m => idOf(m.user).equals(userId));
+  return member ? member.role : null;
+};
+
+// Method to check whether a user may do something on the case (see TEAM_PERMISSIONS)
+caseSchema.methods.can = function(user, permission) {
+  if (user.role === 'admin') return true;
+  return TEAM_PERMISSIONS[permission].includes(this.memberRole(user));
+};
+
+// Method to check whether a user may see a case document (see DOCUMENT_VISIBILITY)
+caseSchema.methods.canSeeDocument = function(user, document) {
+  if (user.role === 'admin') return true;
+
+  const role = this.memberRole(user);
+  if (!TEAM_PERMISSIONS.view.includes(role)) return false;
+
+  switch (document.visibility) {
+    case 'team':
+      return LAWYER_TEAM_ROLES.includes(role);
+    case 'restricted': {
+      const userId = idOf(user);
+      const firstUpload = document.versions?.[0]?.uploadedBy || document.uploadedBy;
+      return role === 'lead' ||
+        idOf(firstUpload)?.equals(userId) ||
+        (document.allowedUsers || []).some(allowed => idOf(allowed).equals(userId));
+    }
+    default:
+      return true;
+  }
+};
+
+// Method to check whether a user may see a case note
+caseSchema.methods.canSeeNote = function(user, note) {
+  if (!note.isPrivate || user.role === 'admin') return true;
+  if (idOf(note.createdBy)?.equals(idOf(user))) return true;
+  return LAWYER_TEAM_ROLES.includes(this.memberRole(user));
+};
+
+// Method to build the case as a user may see it: documents and private
+// notes they may not see are left out. Every case response goes through this.
+caseSchema.methods.visibleTo = function(user) {
+  const view = this.toJSON();
+
+  if (view.documents) {
+    view.documents = view.documents.filter(document => this.canSeeDocument(user, document));
+  }
+  if (view.notes) {
+    view.notes = view.notes.filter(note => this.canSeeNote(user, note));
+  }
+
+  return view;
+};
+
 // Method to add a note
 caseSchema.methods.addNote = function(content, createdBy, isPrivate = false, category = 'general') {
   this.notes.push({
@@ -361,22 +1089,105 @@ caseSchema.methods.addNote = function(content, createdBy, isPrivate = false, cat
   return this.save();
 };
 
-// Method to update case status
-caseSchema.methods.updateStatus = function(newStatus, updatedBy) {
-  const oldStatus = this.status;
-  this.status = newStatus;
-  
-  // Add automatic note about status change
-  this.addNote(
-    `Case status changed from ${oldStatus} to ${newStatus}`,
-    updatedBy,
-    false,
-    'general'
-  );
+// Method to update case status along the allowed transitions (see caseStatusService)
+caseSchema.methods.updateStatus = function(newStatus, updatedBy, details = {}) {
+  const result = caseStatusService.applyTransition(this, newStatus, updatedBy, details);
+  
+  if (!result.allowed) {
+    const error = new Error(result.reason);
+    error.code = 'INVALID_STATUS_TRANSITION';
+    error.allowedStatuses = result.allowedStatuses;
+    return Promise.reject(error);
+  }
   
   return this.save();
 };
 
+// Method to check whether a manual priority override is in force
+caseSchema.methods.hasActiveOverride = function() {
+  const override = this.priorityOverride;
+  if (!override || !override.isActive) return false;
+  return !override.expiresAt || override.expiresAt > new Date();
+};
+
+// Method to pin a manual priority
+caseSchema.methods.setPriorityOverride = function({ priorityScore, priority, reason, expiresAt }, setBy) {
+  const score = priorityScore !== undefined && priorityScore !== null
+    ? Math.max(0, Math.min(100, Number(priorityScore)))
+    : this.constructor.getDefaultScoreForPriority(priority);
+  const level = priority || this.constructor.getPriorityLevel(score);
+
+  // Keep the AI's score so it can be restored when the override ends
+  if (this.aiAnalysis.priorityScore === undefined || this.aiAnalysis.priorityScore === null) {
+    this.aiAnalysis.priorityScore = this.priorityScore;
+  }
+
+  this.priorityOverride = {
+    isActive: true,
+    priorityScore: score,
+    priority: level,
+    reason,
+    setBy,
+    setAt: new Date(),
+    expiresAt
+  };
+
+  this.priorityOverrideLog.push({
+    action: 'set',
+    priorityScore: score,
+    priority: level,
+    reason,
+    expiresAt,
+    by: setBy
+  });
+
+  this.priorityScore = score;
+  this.priority = level;
+};
+
+// Method to drop the manual priority and fall back to the AI score
+caseSchema.methods.clearPriorityOverride = function(clearedBy = null, action = 'cleared') {
+  const override = this.priorityOverride;
+
+  this.priorityOverrideLog.push({
+    action,
+    priorityScore: override.priorityScore,
+    priority: override.priority,
+    reason: override.reason,
+    expiresAt: override.expiresAt,
+    by: clearedBy
+  });
+
+  this.priorityOverride.isActive = false;
+
+  const aiScore = this.aiAnalysis.priorityScore ?? this.priorityScore;
+  this.priorityScore = aiScore;
+  this.priority = this.constructor.getPriorityLevel(aiScore);
+};
+
+// Static method to limit a case query to the user's cases (null for admins)
+caseSchema.statics.memberFilter = function(user) {
+  if (user.role === 'admin') return null;
+
+  const ownField = user.role === 'client' ? 'client' : 'assignedLawyer';
+  return { $or: [{ [ownField]: user._id }, { 'team.user': user._id }] };
+};
+
+// Static method to map a 0-100 score to a priority level
+caseSchema.statics.getPriorityLevel = function(score) {
+  if (score >= 90) return 'critical';
+  if (score >= 75) return 'urgent';
+  if (score >= 60) return 'high';
+  if (score >= 40) return 'medium';
+  return 'low';
+};
+
+// Static method to pick a representative score for a priority level
+caseSchema.statics.getDefaultScoreForPriority = function(priority) {
+  const scores = { critical: 95, urgent: 80, high: 65, medium: 50, low: 25 };
+  return scores[priority] ?? 50;
+};
+
 // Static method to get cases by priority
 caseSchema.statics.getCasesByPriority = function(minScore = 0) {
   return this.find({
@@ -385,6 +1196,33 @@ caseSchema.statics.getCasesByPriority = function(minScore = 0) {
   }).sort({ priorityScore: -1 });
 };
 
+// Static method to clear the dirty flag after an analysis.
+// Skipped if the case was edited again after the analysis started; cases
+// last saved before lastChangedAt was kept fall back to dirtiedAt.
+caseSchema.statics.markAnalyzed = function(caseId, analysisStartedAt) {
+  return this.updateOne(
+    {
+      _id: caseId,
+      $or: [
+        { 'analysisState.lastChangedAt': { $lte: analysisStartedAt } },
+        {
+          'analysisState.lastChangedAt': { $exists: false },
+          $or: [
+            { 'analysisState.dirtiedAt': { $lte: analysisStartedAt } },
+            { 'analysisState.dirtiedAt': { $exists: false } }
+          ]
+        }
+      ]
+    },
+    {
+      $set: {
+        'analysisState.needsAnalysis': false,
+        'analysisState.dirtyFields': []
+      }
+    }
+  );
+};
+
 // Static method to get delayed cases
 caseSchema.statics.getDelayedCases = function() {
   return this.find({
@@ -424,4 +1262,14 @@ caseSchema.statics.getCaseStats = async function() {
   };
 };
 
-module.exports = mongoose.model('Case', caseSchema);
+const Case = mongoose.model('Case', caseSchema);
+Case.ANALYSIS_TRIGGER_FIELDS = ANALYSIS_TRIGGER_FIELDS;
+Case.TEAM_ROLES = TEAM_ROLES;
+Case.LAWYER_TEAM_ROLES = LAWYER_TEAM_ROLES;
+Case.TEAM_PERMISSIONS = TEAM_PERMISSIONS;
+Case.PARTY_SIDES = PARTY_SIDES;
+Case.LINK_TYPES = LINK_TYPES;
+Case.DOCUMENT_VISIBILITY = DOCUMENT_VISIBILITY;
+Case.PRIVILEGE_LABELS = PRIVILEGE_LABELS;
+
+module.exports = Case;
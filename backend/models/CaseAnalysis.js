@@ -0,0 +1,66 @@
+/**
+ * Case Analysis Model
+ *
+ * One record per AI analysis run. Case.aiAnalysis only holds the latest
+ * result; this collection keeps every version with its factor breakdown,
+ * the provider/model and prompt version used, and a snapshot of the
+ * inputs, so a change in priority can be explained after the fact.
+ */
+
+const mongoose = require('mongoose');
+
+const caseAnalysisSchema = new mongoose.Schema({
+  case: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Case',
+    required: [true, 'Case is required']
+  },
+
+  // 1, 2, 3... per case
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  priorityScore: { type: Number, min: 0, max: 100, required: true },
+  previousPriorityScore: { type: Number, min: 0, max: 100, default: null },
+  complexityScore: { type: Number, min: 0, max: 100 },
+  successProbability: { type: Number, min: 0, max: 100 },
+  estimatedDuration: Number, // in days
+  similarCasesCount: Number,
+  urgencyFactors: [String],
+  delayRiskFactors: [String],
+
+  // What pushed the score up or down
+  factors: [{
+    _id: false,
+    name: { type: String, required: true },
+    impact: { type: Number, default: 0 },
+    detail: String
+  }],
+
+  reasoning: String,
+
+  // Where the analysis came from
+  provider: String,
+  model: String,
+  promptVersion: String,
+
+  // Case data exactly as it was sent to the provider
+  inputSnapshot: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+caseAnalysisSchema.index({ case: 1, version: -1 }, { unique: true });
+
+// Score movement since the previous analysis
+caseAnalysisSchema.virtual('scoreChange').get(function() {
+  if (this.previousPriorityScore === null || this.previousPriorityScore === undefined) return null;
+  return this.priorityScore - this.previousPriorityScore;
+});
+
+caseAnalysisSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('CaseAnalysis', caseAnalysisSchema);
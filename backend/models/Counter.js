@@ -0,0 +1,61 @@
+/**
+ * Counter Model
+ *
+ * Named sequences incremented atomically in MongoDB, so concurrent
+ * requests (or several server instances) never draw the same value.
+ */
+
+const mongoose = require('mongoose');
+
+const DUPLICATE_KEY = 11000;
+
+const counterSchema = new mongoose.Schema({
+  // Sequence name, e.g. 'caseNumber:CASE/2024/#'
+  _id: String,
+
+  // Last value handed out
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Two first-time upserts can race on the same _id; the loser retries once
+// the winner's document exists
+const upsert = async (operation) => {
+  try {
+    return await operation();
+  } catch (error) {
+    if (error.code !== DUPLICATE_KEY) throw error;
+    return operation();
+  }
+};
+
+/**
+ * Next value of a sequence, starting at 1
+ */
+counterSchema.statics.next = async function(name) {
+  const counter = await upsert(() => this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  ));
+
+  return counter.seq;
+};
+
+/**
+ * Make sure a sequence continues after value (never moves it backwards)
+ */
+counterSchema.statics.raiseTo = function(name, value) {
+  return upsert(() => this.updateOne(
+    { _id: name },
+    { $max: { seq: value } },
+    { upsert: true }
+  ));
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
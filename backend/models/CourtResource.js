@@ -0,0 +1,88 @@
+/**
+ * Court Resource Model
+ *
+ * Describes a bookable court resource (a court as a whole, a single
+ * courtroom, or a judge's bench) together with how many matters it
+ * can take up in a day. Used by the hearing calendar when allocating
+ * hearing slots.
+ */
+
+const mongoose = require('mongoose');
+
+const courtResourceSchema = new mongoose.Schema({
+  resourceType: {
+    type: String,
+    enum: ['court', 'courtroom', 'judge'],
+    required: [true, 'Resource type is required']
+  },
+
+  // Matches Case.court.name
+  courtName: {
+    type: String,
+    required: [true, 'Court name is required'],
+    trim: true
+  },
+
+  // Matches Case.court.courtroom (courtroom resources only)
+  courtroom: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  // Matches Case.court.judge (judge resources only)
+  judge: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  // Maximum number of matters listed per sitting day (0 = unlimited)
+  dailyCapacity: {
+    type: Number,
+    min: [0, 'Capacity cannot be negative'],
+    required: [true, 'Daily capacity is required']
+  },
+
+  // Time the first matter is called, in HH:MM (24h)
+  sittingStart: {
+    type: String,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Sitting start must be in HH:MM format'],
+    default: '10:30'
+  },
+
+  // Time allotted to each listed matter
+  slotMinutes: {
+    type: Number,
+    min: [5, 'Slot must be at least 5 minutes'],
+    default: 20
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+courtResourceSchema.index(
+  { resourceType: 1, courtName: 1, courtroom: 1, judge: 1 },
+  { unique: true }
+);
+
+// Human readable label, e.g. "Delhi High Court / Courtroom 4"
+courtResourceSchema.virtual('label').get(function() {
+  if (this.resourceType === 'courtroom') return `${this.courtName} / Courtroom ${this.courtroom}`;
+  if (this.resourceType === 'judge') return `${this.courtName} / ${this.judge}`;
+  return this.courtName;
+});
+
+courtResourceSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('CourtResource', courtResourceSchema);
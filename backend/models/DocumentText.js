@@ -0,0 +1,102 @@
+/**
+ * DocumentText Model
+ *
+ * Text of one version of a case document, page by page: read directly
+ * from PDFs, Word and text files at upload, or produced afterwards by
+ * OCR for scans and photos. Kept apart from the case so large documents
+ * do not bloat every case read.
+ *
+ * Also the document search index: a MongoDB text index over the text and
+ * file name, with the document fields search filters on copied in by
+ * searchService.indexDocument.
+ */
+
+const mongoose = require('mongoose');
+
+const pageSchema = new mongoose.Schema({
+  page: { type: Number, required: true },
+  text: { type: String, default: '' },
+  // Mean OCR word confidence (0-100); null for extracted text
+  confidence: { type: Number, default: null }
+}, { _id: false });
+
+const documentTextSchema = new mongoose.Schema({
+  case: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Case',
+    required: true
+  },
+
+  // _id of the entry in Case.documents
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  // Only the current version of each document is searched
+  current: {
+    type: Boolean,
+    default: true
+  },
+
+  // Copied from the case document / version for filtering and display
+  originalName: String,
+  documentType: String,
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadDate: Date,
+
+  // Access, copied from the case document (see Case.canSeeDocument);
+  // viewers are its allowedUsers plus whoever first uploaded it
+  visibility: String,
+  viewers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  privilege: String,
+
+  // extracted: read from the file itself; ocr: recognised from page images
+  source: {
+    type: String,
+    enum: ['extracted', 'ocr'],
+    default: 'extracted'
+  },
+
+  // pending -> processing -> completed | failed (OCR only)
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed'],
+    default: 'completed'
+  },
+
+  pages: [pageSchema],
+
+  // All pages joined
+  text: { type: String, default: '' },
+
+  // Tesseract languages used, e.g. eng+hin
+  ocrLanguages: String,
+
+  error: String
+}, {
+  timestamps: true
+});
+
+documentTextSchema.index({ document: 1, version: 1 }, { unique: true });
+documentTextSchema.index({ case: 1 });
+
+// Full-text search; a match in the file name counts for more than one in the body
+documentTextSchema.index(
+  { originalName: 'text', text: 'text' },
+  { name: 'document_search', weights: { originalName: 5, text: 1 }, default_language: 'english' }
+);
+
+module.exports = mongoose.model('DocumentText', documentTextSchema);
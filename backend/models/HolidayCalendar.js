@@ -0,0 +1,89 @@
+/**
+ * Holiday Calendar Model
+ *
+ * Days a court does not sit: gazetted holidays, court-specific holidays
+ * and vacations (date ranges). A calendar without a courtName applies to
+ * every court; a court's own calendar adds to it and can change which
+ * weekdays the court is closed.
+ */
+
+const mongoose = require('mongoose');
+
+const holidaySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Holiday name is required'],
+    trim: true
+  },
+
+  date: {
+    type: Date,
+    required: [true, 'Holiday date is required']
+  },
+
+  // Last day of a vacation or multi-day closure (inclusive); null for one day
+  endDate: {
+    type: Date,
+    default: null
+  },
+
+  type: {
+    type: String,
+    enum: ['gazetted', 'court', 'vacation', 'other'],
+    default: 'court'
+  },
+
+  // Where the entry came from, e.g. 'manual' or 'import:holidays-2025.ics'
+  source: {
+    type: String,
+    default: 'manual'
+  }
+});
+
+holidaySchema.pre('validate', function(next) {
+  if (this.endDate && this.endDate < this.date) {
+    this.invalidate('endDate', 'End date cannot be before the start date');
+  }
+  next();
+});
+
+const holidayCalendarSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Calendar name is required'],
+    trim: true
+  },
+
+  // null = applies to all courts
+  courtName: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  // Weekdays the court does not sit (0 = Sunday). Only used from a court's
+  // own calendar; null keeps the default.
+  weeklyOffDays: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    default: undefined
+  },
+
+  holidays: [holidaySchema],
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+holidayCalendarSchema.index({ courtName: 1, isActive: 1 });
+
+module.exports = mongoose.model('HolidayCalendar', holidayCalendarSchema);
@@ -0,0 +1,114 @@
+/**
+ * Job Model
+ *
+ * Background work stored in MongoDB so it survives restarts. Jobs are
+ * claimed atomically by a worker, retried with exponential backoff and
+ * dead-lettered once they run out of attempts. Finished jobs are kept for
+ * a while (see expiresAt) and then removed.
+ */
+
+const mongoose = require('mongoose');
+
+const jobSchema = new mongoose.Schema({
+  // Handler name, e.g. 'case.analyze'
+  type: {
+    type: String,
+    required: [true, 'Job type is required'],
+    trim: true
+  },
+
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // queued -> running -> completed
+  //                   -> queued (retry) ... -> dead
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'dead', 'cancelled'],
+    default: 'queued'
+  },
+
+  // Higher runs first
+  priority: {
+    type: Number,
+    default: 0
+  },
+
+  // Earliest time the job may run (pushed back on retry)
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  maxAttempts: {
+    type: Number,
+    min: 1,
+    default: 5
+  },
+
+  // Only one queued job per key; re-enqueueing returns the existing one
+  uniqueKey: {
+    type: String,
+    default: null
+  },
+
+  // Worker lock
+  lockedBy: { type: String, default: null },
+  lockedAt: { type: Date, default: null },
+
+  lastError: String,
+
+  // Most recent failures, newest last
+  errorLog: [{
+    _id: false,
+    attempt: Number,
+    message: String,
+    at: { type: Date, default: Date.now }
+  }],
+
+  result: mongoose.Schema.Types.Mixed,
+
+  startedAt: Date,
+  completedAt: Date,
+  deadAt: Date,
+  cancelledAt: Date,
+
+  // Set when the job finishes; the TTL index below deletes it after this
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Claim query: next runnable job
+jobSchema.index({ status: 1, runAt: 1, priority: -1 });
+jobSchema.index({ uniqueKey: 1, status: 1 });
+// Enforces one queued job per uniqueKey; a duplicate insert fails with E11000
+jobSchema.index(
+  { uniqueKey: 1 },
+  {
+    name: 'one_queued_per_key',
+    unique: true,
+    partialFilterExpression: { status: 'queued', uniqueKey: { $type: 'string' } }
+  }
+);
+jobSchema.index({ type: 1, status: 1 });
+jobSchema.index({ createdAt: -1 });
+jobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -6,6 +6,7 @@
  */
 
 const mongoose = require('mongoose');
+const { STORAGE_DRIVERS } = require('../services/storage');
 
 const messageSchema = new mongoose.Schema({
   // Message participants
@@ -48,7 +49,10 @@ const messageSchema = new mongoose.Schema({
     originalName: String,
     mimeType: String,
     size: Number,
-    cloudinaryUrl: String,
+    // Where the file is kept (see services/storage); older attachments
+    // have neither and were stored on Cloudinary under filename
+    storageKey: String,
+    storageProvider: { type: String, enum: STORAGE_DRIVERS },
     uploadDate: { type: Date, default: Date.now }
   }],
   
@@ -0,0 +1,73 @@
+/**
+ * MilestoneTemplate Model
+ *
+ * A reusable set of milestones for a type of case, e.g. the usual stages
+ * of a civil suit. Applying a template to a case adds its milestones with
+ * due dates counted from a start date (the filing date by default).
+ */
+
+const mongoose = require('mongoose');
+const Case = require('./Case');
+
+const templateMilestoneSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Milestone title is required'],
+    trim: true
+  },
+  description: String,
+
+  // Due this many days after the start date
+  offsetDays: {
+    type: Number,
+    required: [true, 'Offset in days is required'],
+    min: [0, 'Offset cannot be negative']
+  }
+});
+
+const milestoneTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true
+  },
+
+  caseType: {
+    type: String,
+    required: [true, 'Case type is required'],
+    enum: Case.schema.path('caseType').enumValues
+  },
+
+  // Optional: only offered for cases whose sub-category matches (case-insensitive)
+  subCategory: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  description: String,
+
+  milestones: {
+    type: [templateMilestoneSchema],
+    validate: {
+      validator: milestones => milestones.length > 0,
+      message: 'A template needs at least one milestone'
+    }
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+milestoneTemplateSchema.index({ caseType: 1, isActive: 1 });
+
+module.exports = mongoose.model('MilestoneTemplate', milestoneTemplateSchema);
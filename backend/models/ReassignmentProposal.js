@@ -0,0 +1,74 @@
+/**
+ * ReassignmentProposal Model
+ *
+ * A suggestion, produced by the nightly workload rebalance, to move one
+ * case from an overloaded lawyer to one with spare capacity. Nothing
+ * changes until an admin accepts it.
+ */
+
+const mongoose = require('mongoose');
+
+const loadSchema = new mongoose.Schema({
+  before: Number,
+  after: Number,
+  capacity: Number
+}, { _id: false });
+
+const reassignmentProposalSchema = new mongoose.Schema({
+  case: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Case',
+    required: true
+  },
+
+  caseNumber: String,
+
+  fromLawyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  toLawyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Workload units the case carries (see workloadService.caseWeight)
+  caseWeight: Number,
+
+  // How well the new lawyer matches the case (lawyerMatchingService, 0-100)
+  matchScore: Number,
+
+  reason: String,
+
+  // Weighted workloads before and after the move
+  fromLoad: loadSchema,
+  toLoad: loadSchema,
+
+  // pending -> accepted | rejected
+  //         -> superseded (a newer rebalance replaced it)
+  //         -> failed (the case or lawyers changed before it was accepted)
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'rejected', 'superseded', 'failed'],
+    default: 'pending'
+  },
+
+  failureReason: String,
+
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  reviewedAt: Date
+}, {
+  timestamps: true
+});
+
+reassignmentProposalSchema.index({ status: 1, createdAt: -1 });
+reassignmentProposalSchema.index({ case: 1, status: 1 });
+
+module.exports = mongoose.model('ReassignmentProposal', reassignmentProposalSchema);
@@ -121,6 +121,14 @@ const userSchema = new mongoose.Schema({
     activeCases: { type: Number, default: 0 },
     completedCases: { type: Number, default: 0 },
     successRate: { type: Number, default: 0 }
+  },
+
+  // Weighted workload a lawyer can carry (see workloadService); null uses
+  // the WORKLOAD_CAPACITY default
+  workloadCapacity: {
+    type: Number,
+    min: [1, 'Workload capacity must be at least 1'],
+    default: null
   }
 }, {
   timestamps: true, // Adds createdAt and updatedAt
@@ -6,10 +6,16 @@
  */
 
 const express = require('express');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Case = require('../models/Case');
 const Message = require('../models/Message');
+const Job = require('../models/Job');
+const ReassignmentProposal = require('../models/ReassignmentProposal');
 const aiSchedulerService = require('../services/aiSchedulerService');
+const jobQueueService = require('../services/jobQueueService');
+const auditService = require('../services/auditService');
+const workloadService = require('../services/workloadService');
 const { authenticate, adminOnly } = require('../middleware/auth');
 
 const router = express.Router();
@@ -299,12 +305,55 @@ router.get('/analytics', authenticate, adminOnly, async (req, res) => {
           _id: '$caseType',
           avgDelayDays: { $avg: '$delayInfo.delayDays' },
           maxDelayDays: { $max: '$delayInfo.delayDays' },
+          avgAdjournments: { $avg: '$delayInfo.adjournmentCount' },
+          totalAdjournments: { $sum: '$delayInfo.adjournmentCount' },
+          avgHearingGapDays: { $avg: '$delayInfo.avgHearingGapDays' },
           count: { $sum: 1 }
         }
       },
       { $sort: { avgDelayDays: -1 } }
     ]);
 
+    // Adjournments across all cases: who sought them, why, and where
+    const adjournmentStages = [
+      { $unwind: '$hearings' },
+      { $match: { 'hearings.outcome': { $in: ['adjourned', 'not_reached'] } } }
+    ];
+
+    const [adjournmentsBySource, adjournmentReasons, adjournmentsByCourt] = await Promise.all([
+      Case.aggregate([
+        ...adjournmentStages,
+        { $group: { _id: { $ifNull: ['$hearings.adjournmentSoughtBy', 'unknown'] }, count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+      ]),
+      Case.aggregate([
+        ...adjournmentStages,
+        { $match: { 'hearings.adjournmentReason': { $nin: [null, ''] } } },
+        { $group: { _id: { $toLower: '$hearings.adjournmentReason' }, count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $limit: 10 }
+      ]),
+      Case.aggregate([
+        ...adjournmentStages,
+        {
+          $group: {
+            _id: '$court.name',
+            adjournments: { $sum: 1 },
+            cases: { $addToSet: '$_id' }
+          }
+        },
+        {
+          $project: {
+            adjournments: 1,
+            cases: { $size: '$cases' },
+            perCase: { $divide: ['$adjournments', { $size: '$cases' }] }
+          }
+        },
+        { $sort: { perCase: -1 } },
+        { $limit: 10 }
+      ])
+    ]);
+
     res.json({
       success: true,
       data: {
@@ -319,7 +368,12 @@ router.get('/analytics', authenticate, adminOnly, async (req, res) => {
         },
         performance: {
           lawyers: lawyerPerformance,
-          delays: delayAnalysis
+          delays: delayAnalysis,
+          adjournments: {
+            bySource: adjournmentsBySource,
+            topReasons: adjournmentReasons,
+            byCourt: adjournmentsByCourt
+          }
         }
       }
     });
@@ -340,18 +394,16 @@ router.get('/analytics', authenticate, adminOnly, async (req, res) => {
  */
 router.post('/ai/analyze-all', authenticate, adminOnly, async (req, res) => {
   try {
-    // This is a heavy operation, so we'll run it in the background
-    aiSchedulerService.runSchedulerAnalysis()
-      .then(() => {
-        console.log('Admin-triggered AI analysis completed');
-      })
-      .catch(error => {
-        console.error('Admin-triggered AI analysis failed:', error);
-      });
+    // This is a heavy operation, so it runs as a background job
+    const job = await jobQueueService.enqueue('scheduler.analyzeAll', {}, {
+      uniqueKey: 'scheduler.analyzeAll',
+      createdBy: req.user._id
+    });
 
     res.json({
       success: true,
-      message: 'AI analysis started for all active cases. This may take several minutes to complete.'
+      message: 'AI analysis queued for all active cases. This may take several minutes to complete.',
+      data: { jobId: job._id }
     });
 
   } catch (error) {
@@ -363,6 +415,440 @@ router.post('/ai/analyze-all', authenticate, adminOnly, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/admin/jobs
+ * @desc    List background jobs
+ * @access  Private (Admin only)
+ */
+router.get('/jobs', authenticate, adminOnly, async (req, res) => {
+  try {
+    const { status, type, page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+
+    const jobs = await Job.find(filter)
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Job.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        jobs,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching jobs'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/jobs/stats
+ * @desc    Job counts by status and type, plus worker state
+ * @access  Private (Admin only)
+ */
+router.get('/jobs/stats', authenticate, adminOnly, async (req, res) => {
+  try {
+    const stats = await jobQueueService.getStats();
+
+    res.json({
+      success: true,
+      data: stats
+    });
+
+  } catch (error) {
+    console.error('Error fetching job stats:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching job stats'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/jobs/:id
+ * @desc    Get a single job with its error log
+ * @access  Private (Admin only)
+ */
+router.get('/jobs/:id', authenticate, adminOnly, async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id)
+      .populate('createdBy', 'name email');
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { job }
+    });
+
+  } catch (error) {
+    console.error('Error fetching job:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching job'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/jobs/:id/retry
+ * @desc    Re-queue a dead, cancelled or completed job
+ * @access  Private (Admin only)
+ */
+router.post('/jobs/:id/retry', authenticate, adminOnly, async (req, res) => {
+  try {
+    const job = await jobQueueService.retry(req.params.id);
+
+    if (!job) {
+      return res.status(400).json({
+        success: false,
+        message: 'Job not found or still queued/running'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Job re-queued',
+      data: { job }
+    });
+
+  } catch (error) {
+    console.error('Error retrying job:', error);
+
+    if (error.code === 'JOB_ALREADY_QUEUED') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error retrying job'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/jobs/:id/cancel
+ * @desc    Cancel a queued or running job
+ * @access  Private (Admin only)
+ */
+router.post('/jobs/:id/cancel', authenticate, adminOnly, async (req, res) => {
+  try {
+    const job = await jobQueueService.cancel(req.params.id);
+
+    if (!job) {
+      return res.status(400).json({
+        success: false,
+        message: 'Job not found or already finished'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Job cancelled',
+      data: { job }
+    });
+
+  } catch (error) {
+    console.error('Error cancelling job:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling job'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/ai/backlog
+ * @desc    Get the size and age of the AI analysis backlog
+ * @access  Private (Admin only)
+ */
+router.get('/ai/backlog', authenticate, adminOnly, async (req, res) => {
+  try {
+    const backlog = await aiSchedulerService.getAnalysisBacklogMetrics();
+
+    res.json({
+      success: true,
+      data: { backlog }
+    });
+
+  } catch (error) {
+    console.error('Error fetching analysis backlog:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching analysis backlog'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/audit
+ * @desc    Search the audit log across all cases (caseId, caseNumber, actor,
+ *          action, field, from, to)
+ * @access  Private (Admin only)
+ */
+router.get('/audit', authenticate, adminOnly, async (req, res) => {
+  try {
+    const { caseId, caseNumber, actor, action, field, from, to, page = 1, limit = 50 } = req.query;
+
+    if ([caseId, actor].some(id => id && !mongoose.isValidObjectId(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid case or actor ID'
+      });
+    }
+
+    if ([from, to].some(date => date && isNaN(new Date(date).getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range'
+      });
+    }
+
+    const result = await auditService.search(
+      { caseId, caseNumber, actor, action, field, from, to },
+      { page: parseInt(page), limit: Math.min(parseInt(limit), 200) }
+    );
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error searching audit log:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error searching audit log'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/workloads
+ * @desc    Weighted workload and capacity per lawyer, busiest first
+ * @access  Private (Admin only)
+ */
+router.get('/workloads', authenticate, adminOnly, async (req, res) => {
+  try {
+    const workloads = await workloadService.computeWorkloads();
+
+    res.json({
+      success: true,
+      data: {
+        workloads,
+        overloaded: workloads.filter(w => w.overloaded).length
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching workloads:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching workloads'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/workloads/rebalance
+ * @desc    Propose reassignments now instead of waiting for the nightly run
+ * @access  Private (Admin only)
+ */
+router.post('/workloads/rebalance', authenticate, adminOnly, async (req, res) => {
+  try {
+    const proposals = await workloadService.proposeReassignments();
+
+    res.json({
+      success: true,
+      message: `${proposals.length} reassignment(s) proposed`,
+      data: { proposals }
+    });
+
+  } catch (error) {
+    console.error('Error rebalancing workloads:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rebalancing workloads'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/reassignment-proposals
+ * @desc    List reassignment proposals (pending by default)
+ * @access  Private (Admin only)
+ */
+router.get('/reassignment-proposals', authenticate, adminOnly, async (req, res) => {
+  try {
+    const { status = 'pending', page = 1, limit = 50 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = status === 'all' ? {} : { status };
+
+    const proposals = await ReassignmentProposal.find(filter)
+      .populate('case', 'caseNumber title status priorityScore hearingDate')
+      .populate('fromLawyer', 'name email')
+      .populate('toLawyer', 'name email')
+      .populate('reviewedBy', 'name')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await ReassignmentProposal.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        proposals,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching reassignment proposals:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reassignment proposals'
+    });
+  }
+});
+
+/**
+ * Proposal IDs from the request body, or null when missing or malformed
+ */
+const proposalIdsFrom = (body) => {
+  const { ids } = body;
+  if (!Array.isArray(ids) || ids.length === 0) return null;
+  return ids.every(id => mongoose.isValidObjectId(id)) ? ids : null;
+};
+
+/**
+ * @route   POST /api/admin/reassignment-proposals/accept
+ * @desc    Accept pending proposals in bulk ({ ids }). Proposals that no
+ *          longer hold are marked failed and reported back.
+ * @access  Private (Admin only)
+ */
+router.post('/reassignment-proposals/accept', authenticate, adminOnly, async (req, res) => {
+  try {
+    const ids = proposalIdsFrom(req.body);
+    if (!ids) {
+      return res.status(400).json({
+        success: false,
+        message: 'ids must be a non-empty array of proposal IDs'
+      });
+    }
+
+    const { accepted, failed } = await workloadService.acceptProposals(ids, auditService.contextFrom(req));
+
+    // Re-score moved cases with their new lawyer
+    for (const proposal of accepted) {
+      await aiSchedulerService.queueCaseAnalysis(proposal.case, req.user._id);
+    }
+
+    res.json({
+      success: true,
+      message: `${accepted.length} reassignment(s) applied${failed.length ? `, ${failed.length} failed` : ''}`,
+      data: {
+        accepted,
+        failed: failed.map(({ proposal, reason }) => ({ id: proposal._id, caseNumber: proposal.caseNumber, reason }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error accepting reassignment proposals:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error accepting reassignment proposals'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/reassignment-proposals/reject
+ * @desc    Reject pending proposals in bulk ({ ids })
+ * @access  Private (Admin only)
+ */
+router.post('/reassignment-proposals/reject', authenticate, adminOnly, async (req, res) => {
+  try {
+    const ids = proposalIdsFrom(req.body);
+    if (!ids) {
+      return res.status(400).json({
+        success: false,
+        message: 'ids must be a non-empty array of proposal IDs'
+      });
+    }
+
+    const rejected = await workloadService.rejectProposals(ids, req.user._id);
+
+    res.json({
+      success: true,
+      message: `${rejected} proposal(s) rejected`,
+      data: { rejected }
+    });
+
+  } catch (error) {
+    console.error('Error rejecting reassignment proposals:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rejecting reassignment proposals'
+    });
+  }
+});
+
 /**
  * @route   GET /api/admin/system-health
  * @desc    Get system health metrics
@@ -377,6 +863,10 @@ router.get('/system-health', authenticate, adminOnly, async (req, res) => {
       messages: await Message.countDocuments()
     };
 
+    // Background job queue health
+    const jobStats = await jobQueueService.getStats();
+    const analysisBacklog = await aiSchedulerService.getAnalysisBacklogMetrics();
+
     // AI Scheduler health
     const lastAnalysis = aiSchedulerService.lastRunTime;
     const isSchedulerHealthy = lastAnalysis && 
@@ -403,7 +893,17 @@ router.get('/system-health', authenticate, adminOnly, async (req, res) => {
         aiScheduler: {
           status: isSchedulerHealthy ? 'healthy' : 'warning',
           lastRun: lastAnalysis,
-          isProcessing: aiSchedulerService.isProcessing
+          isProcessing: aiSchedulerService.isProcessing,
+          provider: {
+            name: aiSchedulerService.provider.name,
+            model: aiSchedulerService.provider.model,
+            fallback: aiSchedulerService.fallbackProvider?.name || null
+          },
+          backlog: analysisBacklog
+        },
+        jobQueue: {
+          status: jobStats.byStatus.dead > 0 ? 'warning' : 'healthy',
+          ...jobStats
         },
         performance,
         errors: recentErrors
@@ -419,6 +919,27 @@ router.get('/system-health', authenticate, adminOnly, async (req, res) => {
   }
 });
 
+/**
+ * A case as exported. Privileged documents leave the system only as a
+ * privilege log entry: what it is and the privilege claimed, not its
+ * name or where it is stored.
+ */
+const exportCase = (caseDoc) => {
+  const data = caseDoc.toJSON();
+
+  data.documents = data.documents.map(document => document.privilege && document.privilege !== 'none'
+    ? {
+      _id: document._id,
+      documentType: document.documentType,
+      uploadDate: document.uploadDate,
+      privilege: document.privilege,
+      withheld: true
+    }
+    : document);
+
+  return data;
+};
+
 /**
  * @route   GET /api/admin/reports/export
  * @desc    Export system reports
@@ -433,10 +954,11 @@ router.get('/reports/export', authenticate, adminOnly, async (req, res) => {
 
     switch (type) {
       case 'cases':
-        data = await Case.find()
+        data = (await Case.find()
           .populate('client', 'name email')
           .populate('assignedLawyer', 'name email')
-          .select('-documents.textContent -notes'); // Exclude large text fields
+          .select('-documents.textContent -notes')) // Exclude large text fields
+          .map(exportCase);
         filename = `cases-export-${Date.now()}`;
         break;
 
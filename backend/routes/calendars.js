@@ -0,0 +1,538 @@
+/**
+ * Holiday Calendar Routes
+ *
+ * Admin-managed court holiday calendars (manual entries or ICS/CSV
+ * import) and working-day lookups backed by the court calendar service.
+ */
+
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const HolidayCalendar = require('../models/HolidayCalendar');
+const courtCalendarService = require('../services/courtCalendarService');
+const jobQueueService = require('../services/jobQueueService');
+const { authenticate, lawyerOrAdmin, adminOnly } = require('../middleware/auth');
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024, files: 1 }
+});
+
+/**
+ * Reload the in-memory calendars and queue a deadline refresh for the
+ * affected court(s)
+ */
+const calendarChanged = async (calendar, userId) => {
+  await courtCalendarService.refresh();
+
+  await jobQueueService.enqueue('deadlines.recompute', {
+    courtName: calendar.courtName || undefined
+  }, {
+    uniqueKey: `deadlines.recompute:${calendar.courtName || '*'}`,
+    delayMs: 5000,
+    createdBy: userId
+  });
+};
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation failed',
+  errors: Object.values(error.errors).map(e => e.message)
+});
+
+/**
+ * @route   GET /api/calendars
+ * @desc    List holiday calendars
+ * @access  Private (Lawyer/Admin)
+ */
+router.get('/', authenticate, lawyerOrAdmin, async (req, res) => {
+  try {
+    const { courtName, includeInactive } = req.query;
+
+    const filter = {};
+    if (courtName) filter.courtName = courtName;
+    if (includeInactive !== 'true') filter.isActive = true;
+
+    const calendars = await HolidayCalendar.find(filter)
+      .sort({ courtName: 1, name: 1 })
+      .select('-holidays')
+      .lean();
+
+    // Holiday counts without sending every entry
+    const counts = await HolidayCalendar.aggregate([
+      { $match: { _id: { $in: calendars.map(c => c._id) } } },
+      { $project: { count: { $size: '$holidays' } } }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        calendars: calendars.map(calendar => ({
+          ...calendar,
+          holidayCount: counts.find(c => c._id.equals(calendar._id))?.count || 0
+        })),
+        defaultWeeklyOffDays: courtCalendarService.defaultWeeklyOffDays,
+        timeZone: courtCalendarService.timeZone,
+        loadedAt: courtCalendarService.loadedAt,
+        loadErrors: courtCalendarService.loadErrors
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching holiday calendars:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching holiday calendars'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/calendars/working-days
+ * @desc    Count a court's working days between two dates and list holidays
+ * @access  Private
+ */
+router.get('/working-days', authenticate, async (req, res) => {
+  try {
+    const { from, to, courtName } = req.query;
+
+    const start = courtCalendarService.parseDay(from);
+    const end = courtCalendarService.parseDay(to);
+
+    if (!start || !end || end < start) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid from and to dates are required (to on or after from)'
+      });
+    }
+
+    const calendarDays = Math.round((end - start) / (24 * 60 * 60 * 1000));
+
+    // Keep the day-by-day walk bounded
+    if (calendarDays > 3660) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date range is too long'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        courtName: courtName || null,
+        from: start,
+        to: end,
+        workingDays: courtCalendarService.countWorkingDays(start, end, courtName),
+        calendarDays,
+        holidays: courtCalendarService.getHolidays(courtName, start, end)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error counting working days:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error counting working days'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/calendars/check
+ * @desc    Check whether a court sits on a date, and the next day it does
+ * @access  Private
+ */
+router.get('/check', authenticate, async (req, res) => {
+  try {
+    const { date, courtName } = req.query;
+    const day = courtCalendarService.parseDay(date);
+
+    if (!day) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid date is required'
+      });
+    }
+
+    const closure = courtCalendarService.getClosure(day, courtName);
+
+    res.json({
+      success: true,
+      data: {
+        date: day,
+        courtName: courtName || null,
+        isWorkingDay: !closure,
+        closure,
+        nextWorkingDay: courtCalendarService.nextWorkingDay(day, courtName)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error checking court day:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking court day'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/calendars
+ * @desc    Create a holiday calendar (omit courtName for one that applies to all courts)
+ * @access  Private (Admin only)
+ */
+router.post('/', authenticate, adminOnly, async (req, res) => {
+  try {
+    const { name, courtName, weeklyOffDays, holidays = [] } = req.body;
+
+    const calendar = await HolidayCalendar.create({
+      name,
+      courtName: courtName || null,
+      weeklyOffDays,
+      holidays: holidays.map(h => ({
+        ...h,
+        date: courtCalendarService.parseDay(h.date),
+        endDate: h.endDate ? courtCalendarService.parseDay(h.endDate) : null
+      })),
+      createdBy: req.user._id
+    });
+
+    await calendarChanged(calendar, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Holiday calendar created successfully',
+      data: { calendar }
+    });
+
+  } catch (error) {
+    console.error('Error creating holiday calendar:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating holiday calendar'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/calendars/:id
+ * @desc    Get a holiday calendar with its holidays
+ * @access  Private (Lawyer/Admin)
+ */
+router.get('/:id', authenticate, lawyerOrAdmin, async (req, res) => {
+  try {
+    const calendar = await HolidayCalendar.findById(req.params.id)
+      .populate('createdBy', 'name');
+
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday calendar not found'
+      });
+    }
+
+    calendar.holidays.sort((a, b) => a.date - b.date);
+
+    res.json({
+      success: true,
+      data: { calendar }
+    });
+
+  } catch (error) {
+    console.error('Error fetching holiday calendar:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching holiday calendar'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/calendars/:id
+ * @desc    Update a calendar's name, court, weekly off days or active flag
+ * @access  Private (Admin only)
+ */
+router.put('/:id', authenticate, adminOnly, async (req, res) => {
+  try {
+    const calendar = await HolidayCalendar.findById(req.params.id);
+
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday calendar not found'
+      });
+    }
+
+    const previousCourt = calendar.courtName;
+    const allowedUpdates = ['name', 'courtName', 'weeklyOffDays', 'isActive'];
+
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) {
+        calendar[field] = req.body[field];
+      }
+    });
+
+    await calendar.save();
+
+    await calendarChanged(calendar, req.user._id);
+    if (previousCourt !== calendar.courtName) {
+      await calendarChanged({ courtName: previousCourt }, req.user._id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Holiday calendar updated successfully',
+      data: { calendar }
+    });
+
+  } catch (error) {
+    console.error('Error updating holiday calendar:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating holiday calendar'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/calendars/:id
+ * @desc    Delete a holiday calendar
+ * @access  Private (Admin only)
+ */
+router.delete('/:id', authenticate, adminOnly, async (req, res) => {
+  try {
+    const calendar = await HolidayCalendar.findByIdAndDelete(req.params.id);
+
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday calendar not found'
+      });
+    }
+
+    await calendarChanged(calendar, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Holiday calendar deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting holiday calendar:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting holiday calendar'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/calendars/:id/holidays
+ * @desc    Add a holiday or vacation to a calendar
+ * @access  Private (Admin only)
+ */
+router.post('/:id/holidays', authenticate, adminOnly, async (req, res) => {
+  try {
+    const { name, date, endDate, type } = req.body;
+
+    const start = courtCalendarService.parseDay(date);
+    if (!start) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid holiday date is required'
+      });
+    }
+
+    const end = endDate ? courtCalendarService.parseDay(endDate) : null;
+    if (endDate && (!end || end < start)) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must be a valid date on or after the holiday date'
+      });
+    }
+
+    const calendar = await HolidayCalendar.findById(req.params.id);
+
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday calendar not found'
+      });
+    }
+
+    calendar.holidays.push({
+      name,
+      date: start,
+      endDate: end,
+      type,
+      source: 'manual'
+    });
+
+    await calendar.save();
+    await calendarChanged(calendar, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Holiday added successfully',
+      data: { holiday: calendar.holidays[calendar.holidays.length - 1] }
+    });
+
+  } catch (error) {
+    console.error('Error adding holiday:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error adding holiday'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/calendars/:id/holidays/:holidayId
+ * @desc    Remove a holiday from a calendar
+ * @access  Private (Admin only)
+ */
+router.delete('/:id/holidays/:holidayId', authenticate, adminOnly, async (req, res) => {
+  try {
+    const calendar = await HolidayCalendar.findById(req.params.id);
+
+    if (!calendar || !calendar.holidays.id(req.params.holidayId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday not found'
+      });
+    }
+
+    calendar.holidays.pull(req.params.holidayId);
+    await calendar.save();
+    await calendarChanged(calendar, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Holiday removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Error removing holiday:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing holiday'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/calendars/:id/import
+ * @desc    Import holidays from an ICS or CSV file (multipart 'file', or
+ *          JSON { content, format }). replace=true drops existing entries.
+ * @access  Private (Admin only)
+ */
+router.post('/:id/import', authenticate, adminOnly, upload.single('file'), async (req, res) => {
+  try {
+    const content = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+
+    if (!content) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a file or send its content'
+      });
+    }
+
+    const extension = req.file ? path.extname(req.file.originalname).toLowerCase() : null;
+    const format = req.body.format ||
+      (extension === '.ics' || /BEGIN:VCALENDAR/.test(content) ? 'ics' : 'csv');
+
+    if (!['ics', 'csv'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be ics or csv'
+      });
+    }
+
+    const calendar = await HolidayCalendar.findById(req.params.id);
+
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday calendar not found'
+      });
+    }
+
+    const { holidays, errors } = format === 'ics'
+      ? { holidays: courtCalendarService.parseICS(content), errors: [] }
+      : courtCalendarService.parseCSV(content);
+
+    if (holidays.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No holidays found in the file',
+        errors
+      });
+    }
+
+    const replace = req.body.replace === true || req.body.replace === 'true';
+    if (replace) {
+      calendar.holidays = [];
+    }
+
+    // Skip entries already on the calendar (same start day and name)
+    const existing = new Set(calendar.holidays.map(h =>
+      `${courtCalendarService.dayKey(h.date)}::${h.name.toLowerCase()}`));
+    const source = `import:${req.file ? req.file.originalname : format}`;
+    let skipped = 0;
+
+    holidays.forEach(holiday => {
+      const key = `${courtCalendarService.dayKey(holiday.date)}::${holiday.name.toLowerCase()}`;
+      if (existing.has(key)) {
+        skipped++;
+        return;
+      }
+      existing.add(key);
+      calendar.holidays.push({ ...holiday, source });
+    });
+
+    await calendar.save();
+    await calendarChanged(calendar, req.user._id);
+
+    res.json({
+      success: true,
+      message: `${holidays.length - skipped} holiday(s) imported`,
+      data: {
+        imported: holidays.length - skipped,
+        skipped,
+        errors,
+        total: calendar.holidays.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Error importing holidays:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error importing holidays'
+    });
+  }
+});
+
+module.exports = router;
@@ -6,10 +6,24 @@
  */
 
 const express = require('express');
+const mongoose = require('mongoose');
 const Case = require('../models/Case');
 const User = require('../models/User');
 const fileService = require('../services/fileService');
+const documentService = require('../services/documentService');
+const documentTextService = require('../services/documentTextService');
+const searchService = require('../services/searchService');
+const { STORAGE_NOT_FOUND } = require('../services/storage');
 const aiSchedulerService = require('../services/aiSchedulerService');
+const hearingConflictService = require('../services/hearingConflictService');
+const deadlineService = require('../services/deadlineService');
+const caseStatusService = require('../services/caseStatusService');
+const auditService = require('../services/auditService');
+const milestoneService = require('../services/milestoneService');
+const conflictOfInterestService = require('../services/conflictOfInterestService');
+const lawyerMatchingService = require('../services/lawyerMatchingService');
+const caseLinkService = require('../services/caseLinkService');
+const MilestoneTemplate = require('../models/MilestoneTemplate');
 const { 
   authenticate, 
   authorize, 
@@ -43,12 +57,9 @@ router.get('/', authenticate, async (req, res) => {
     // Build filter based on user role
     let filter = {};
     
-    if (req.user.role === 'client') {
-      filter.client = req.user._id;
-    } else if (req.user.role === 'lawyer') {
-      filter.assignedLawyer = req.user._id;
-    }
-    // Admin can see all cases (no additional filter)
+    // Clients and lawyers see the cases they are on; admins see all
+    const memberFilter = Case.memberFilter(req.user);
+    if (memberFilter) filter.$and = [memberFilter];
 
     // Apply additional filters
     if (status) filter.status = status;
@@ -83,7 +94,7 @@ router.get('/', authenticate, async (req, res) => {
     res.json({
       success: true,
       data: {
-        cases,
+        cases: cases.map(c => c.visibleTo(req.user)),
         pagination: {
           current: parseInt(page),
           pages: Math.ceil(total / limit),
@@ -116,20 +127,24 @@ router.get('/priority', authenticate, lawyerOrAdmin, async (req, res) => {
       status: { $nin: ['completed', 'dismissed', 'settled'] }
     };
 
-    // Lawyers see only their cases
-    if (req.user.role === 'lawyer') {
-      filter.assignedLawyer = req.user._id;
-    }
+    // Lawyers see only the cases they are on
+    const memberFilter = Case.memberFilter(req.user);
+    if (memberFilter) filter.$and = [memberFilter];
 
     const cases = await Case.find(filter)
       .populate('client', 'name email phone')
       .populate('assignedLawyer', 'name email')
+      .populate('priorityOverride.setBy', 'name role')
       .sort({ priorityScore: -1, hearingDate: 1 })
       .limit(parseInt(limit));
 
     res.json({
       success: true,
-      data: { cases }
+      data: {
+        cases: cases.map(c => c.visibleTo(req.user)),
+        // Each case also carries prioritySource ('manual' or 'ai')
+        manualOverrides: cases.filter(c => c.prioritySource === 'manual').length
+      }
     });
 
   } catch (error) {
@@ -150,14 +165,15 @@ router.get('/urgent', authenticate, lawyerOrAdmin, async (req, res) => {
   try {
     const cases = await aiSchedulerService.getUrgentCases(20);
     
-    // Filter by lawyer if not admin
-    const filteredCases = req.user.role === 'admin' 
-      ? cases 
-      : cases.filter(c => c.assignedLawyer && c.assignedLawyer._id.equals(req.user._id));
+    // Filter to the lawyer's cases if not admin
+    const filteredCases = cases.filter(c => c.can(req.user, 'view'));
 
     res.json({
       success: true,
-      data: { cases: filteredCases }
+      data: {
+        cases: filteredCases.map(c => c.visibleTo(req.user)),
+        manualOverrides: filteredCases.filter(c => c.prioritySource === 'manual').length
+      }
     });
 
   } catch (error) {
@@ -179,6 +195,7 @@ router.get('/:id', authenticate, async (req, res) => {
     const caseDoc = await Case.findById(req.params.id)
       .populate('client', 'name email phone address')
       .populate('assignedLawyer', 'name email specialization experience')
+      .populate('team.user', 'name email role')
       .populate('notes.createdBy', 'name role')
       .populate('milestones.assignedTo', 'name');
 
@@ -190,10 +207,7 @@ router.get('/:id', authenticate, async (req, res) => {
     }
 
     // Check permissions
-    const hasAccess = 
-      req.user.role === 'admin' ||
-      caseDoc.client._id.equals(req.user._id) ||
-      (caseDoc.assignedLawyer && caseDoc.assignedLawyer._id.equals(req.user._id));
+    const hasAccess = caseDoc.can(req.user, 'view');
 
     if (!hasAccess) {
       return res.status(403).json({
@@ -204,7 +218,7 @@ router.get('/:id', authenticate, async (req, res) => {
 
     res.json({
       success: true,
-      data: { case: caseDoc }
+      data: { case: caseDoc.visibleTo(req.user) }
     });
 
   } catch (error) {
@@ -233,6 +247,7 @@ router.post('/', authenticate, authorize(['client', 'admin']), async (req, res)
       deadlineDate,
       court,
       opposingParty,
+      parties,
       estimatedValue,
       tags
     } = req.body;
@@ -255,29 +270,45 @@ router.post('/', authenticate, authorize(['client', 'admin']), async (req, res)
       filingDate: new Date(filingDate),
       hearingDate: hearingDate ? new Date(hearingDate) : null,
       deadlineDate: deadlineDate ? new Date(deadlineDate) : null,
+      deadlineSource: deadlineDate ? 'manual' : 'computed',
+      triggerEvents: (req.body.triggerEvents || []).map(({ event, date, note }) => ({
+        event,
+        date: new Date(date),
+        note,
+        recordedBy: req.user._id
+      })),
       court,
       opposingParty,
+      parties: parties || [],
       estimatedValue: estimatedValue || 0,
       tags: tags || [],
       status: 'pending_assignment'
     };
 
     const newCase = new Case(caseData);
-    await newCase.save();
+    deadlineService.recomputeDeadlines(newCase);
+
+    // Flag parties already known to the firm; staff review the result before assignment
+    const conflicts = await conflictOfInterestService.checkCase(newCase);
+    newCase.recordConflictCheck(conflicts);
+
+    await newCase.auditAs(auditService.contextFrom(req), 'created').save();
 
     // Populate the created case
     const populatedCase = await Case.findById(newCase._id)
       .populate('client', 'name email phone');
 
-    // Trigger AI analysis for the new case
-    setTimeout(() => {
-      aiSchedulerService.analyzeCaseManually(newCase._id).catch(console.error);
-    }, 1000);
+    // Queue AI analysis for the new case
+    await aiSchedulerService.queueCaseAnalysis(newCase._id, req.user._id);
 
     res.status(201).json({
       success: true,
       message: 'Case created successfully',
-      data: { case: populatedCase }
+      data: {
+        case: populatedCase.visibleTo(req.user),
+        // Other clients' matters are not shown to clients
+        conflicts: req.user.role === 'admin' && conflicts.length > 0 ? conflicts : undefined
+      }
     });
 
   } catch (error) {
@@ -305,7 +336,7 @@ router.post('/', authenticate, authorize(['client', 'admin']), async (req, res)
  */
 router.put('/:id', authenticate, clientOrLawyer, async (req, res) => {
   try {
-    const caseDoc = await Case.findById(req.params.id);
+    const caseDoc = await Case.findById(req.params.id).select('+conflictCheck');
 
     if (!caseDoc) {
       return res.status(404).json({
@@ -315,10 +346,7 @@ router.put('/:id', authenticate, clientOrLawyer, async (req, res) => {
     }
 
     // Check permissions
-    const hasAccess = 
-      req.user.role === 'admin' ||
-      caseDoc.client.equals(req.user._id) ||
-      (caseDoc.assignedLawyer && caseDoc.assignedLawyer.equals(req.user._id));
+    const hasAccess = caseDoc.can(req.user, 'contribute');
 
     if (!hasAccess) {
       return res.status(403).json({
@@ -330,7 +358,7 @@ router.put('/:id', authenticate, clientOrLawyer, async (req, res) => {
     // Update allowed fields
     const allowedUpdates = [
       'title', 'description', 'subCategory', 'hearingDate', 
-      'deadlineDate', 'court', 'opposingParty', 'estimatedValue', 
+      'deadlineDate', 'court', 'opposingParty', 'parties', 'estimatedValue', 
       'tags', 'expectedCompletionDate'
     ];
 
@@ -344,16 +372,46 @@ router.put('/:id', authenticate, clientOrLawyer, async (req, res) => {
       }
     });
 
-    await caseDoc.save();
+    // A hand-entered deadline wins; clearing it hands control back to the calculator
+    if (req.body.deadlineDate !== undefined) {
+      caseDoc.deadlineSource = req.body.deadlineDate ? 'manual' : 'computed';
+    }
+
+    // Statutory deadlines depend on the case profile
+    if (['subCategory', 'court', 'deadlineDate'].some(field => caseDoc.isModified(field))) {
+      deadlineService.recomputeDeadlines(caseDoc);
+    }
 
-    // Re-trigger AI analysis if significant changes
-    const significantFields = ['description', 'caseType', 'estimatedValue', 'hearingDate'];
-    const hasSignificantChanges = significantFields.some(field => req.body[field] !== undefined);
-    
-    if (hasSignificantChanges) {
-      setTimeout(() => {
-        aiSchedulerService.analyzeCaseManually(caseDoc._id).catch(console.error);
-      }, 1000);
+    // A new opposing party needs a fresh conflict-of-interest check
+    if (caseDoc.isModified('opposingParty')) {
+      const lawyer = caseDoc.assignedLawyer && await User.findById(caseDoc.assignedLawyer).select('name');
+      caseDoc.recordConflictCheck(await conflictOfInterestService.checkCase(caseDoc, lawyer), lawyer?._id);
+    }
+
+    // Make sure the assigned lawyer is not already due in another court
+    let conflicts = [];
+    if (caseDoc.isModified('hearingDate') || caseDoc.isModified('court')) {
+      conflicts = await hearingConflictService.checkLawyerHearing({
+        lawyerId: caseDoc.assignedLawyer,
+        hearingDate: caseDoc.hearingDate,
+        court: caseDoc.court,
+        caseDoc
+      });
+
+      if (hearingConflictService.isBlocking(conflicts) && !req.body.ignoreConflicts) {
+        return res.status(409).json({
+          success: false,
+          message: 'The assigned lawyer has a conflicting hearing',
+          data: { conflicts }
+        });
+      }
+    }
+
+    await caseDoc.auditAs(auditService.contextFrom(req), 'updated').save();
+
+    // Re-trigger AI analysis if a field it depends on changed (see Case.ANALYSIS_TRIGGER_FIELDS)
+    if (caseDoc.analysisState.needsAnalysis) {
+      await aiSchedulerService.queueCaseAnalysis(caseDoc._id, req.user._id);
     }
 
     const updatedCase = await Case.findById(caseDoc._id)
@@ -363,11 +421,23 @@ router.put('/:id', authenticate, clientOrLawyer, async (req, res) => {
     res.json({
       success: true,
       message: 'Case updated successfully',
-      data: { case: updatedCase }
+      data: {
+        case: updatedCase.visibleTo(req.user),
+        conflicts: conflicts.length > 0 ? conflicts : undefined
+      }
     });
 
   } catch (error) {
     console.error('Error updating case:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Error updating case'
@@ -382,7 +452,7 @@ router.put('/:id', authenticate, clientOrLawyer, async (req, res) => {
  */
 router.put('/:id/assign', authenticate, lawyerOrAdmin, async (req, res) => {
   try {
-    const { lawyerId } = req.body;
+    const { lawyerId, hearingDate, ignoreConflicts, conflictWaiver } = req.body;
 
     if (!lawyerId) {
       return res.status(400).json({
@@ -391,6 +461,13 @@ router.put('/:id/assign', authenticate, lawyerOrAdmin, async (req, res) => {
       });
     }
 
+    if (hearingDate && isNaN(new Date(hearingDate).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid hearing date'
+      });
+    }
+
     // Verify lawyer exists
     const lawyer = await User.findById(lawyerId);
     if (!lawyer || lawyer.role !== 'lawyer') {
@@ -400,7 +477,7 @@ router.put('/:id/assign', authenticate, lawyerOrAdmin, async (req, res) => {
       });
     }
 
-    const caseDoc = await Case.findById(req.params.id);
+    const caseDoc = await Case.findById(req.params.id).select('+conflictCheck');
     if (!caseDoc) {
       return res.status(404).json({
         success: false,
@@ -408,9 +485,68 @@ router.put('/:id/assign', authenticate, lawyerOrAdmin, async (req, res) => {
       });
     }
 
-    // Update case
+    // Any lawyer may take on a waiting case; reassigning needs the case's lead or associate
+    if (caseDoc.assignedLawyer && !caseDoc.can(req.user, 'manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only reassign cases you manage'
+      });
+    }
+
+    // The lawyer must not have acted for or against either party
+    const interestConflicts = await conflictOfInterestService.checkCase(caseDoc, lawyer);
+
+    if (conflictOfInterestService.requiresWaiver(interestConflicts)) {
+      if (!conflictWaiver?.reason?.trim()) {
+        return res.status(409).json({
+          success: false,
+          message: `${lawyer.name} has a conflict of interest on this case; an administrator must record a waiver to assign them`,
+          data: { conflicts: interestConflicts, requiresWaiver: true }
+        });
+      }
+
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only an administrator can waive a conflict of interest'
+        });
+      }
+
+      caseDoc.conflictCheck.waivers.push({
+        lawyer: lawyer._id,
+        reason: conflictWaiver.reason.trim(),
+        conflicts: interestConflicts.filter(c => c.severity === 'error').map(c => c.message),
+        waivedBy: req.user._id
+      });
+    }
+
+    caseDoc.recordConflictCheck(interestConflicts, lawyer._id);
+
+    if (hearingDate) {
+      caseDoc.hearingDate = new Date(hearingDate);
+    }
+
+    // Check the incoming lawyer's diary against this hearing
+    const conflicts = await hearingConflictService.checkLawyerHearing({
+      lawyerId: lawyer._id,
+      hearingDate: caseDoc.hearingDate,
+      court: caseDoc.court,
+      caseDoc
+    });
+
+    if (hearingConflictService.isBlocking(conflicts) && !ignoreConflicts) {
+      return res.status(409).json({
+        success: false,
+        message: `${lawyer.name} has a conflicting hearing`,
+        data: { conflicts }
+      });
+    }
+
+    // Update case (a new case moves to assigned; a reassigned case keeps its stage)
     caseDoc.assignedLawyer = lawyerId;
-    caseDoc.status = 'assigned';
+    if (caseDoc.status === 'pending_assignment') {
+      caseStatusService.applyTransition(caseDoc, 'assigned', req.user._id);
+    }
     
     // Add note about assignment
     caseDoc.notes.push({
@@ -419,12 +555,13 @@ router.put('/:id/assign', authenticate, lawyerOrAdmin, async (req, res) => {
       category: 'general'
     });
 
-    await caseDoc.save();
+    await caseDoc.auditAs(auditService.contextFrom(req), 'assigned', {
+      lawyer: lawyer.name,
+      conflictWaived: conflictOfInterestService.requiresWaiver(interestConflicts)
+    }).save();
 
     // Re-analyze with lawyer context
-    setTimeout(() => {
-      aiSchedulerService.analyzeCaseManually(caseDoc._id).catch(console.error);
-    }, 1000);
+    await aiSchedulerService.queueCaseAnalysis(caseDoc._id, req.user._id);
 
     const updatedCase = await Case.findById(caseDoc._id)
       .populate('client', 'name email')
@@ -433,7 +570,11 @@ router.put('/:id/assign', authenticate, lawyerOrAdmin, async (req, res) => {
     res.json({
       success: true,
       message: 'Lawyer assigned successfully',
-      data: { case: updatedCase }
+      data: {
+        case: updatedCase.visibleTo(req.user),
+        conflicts: conflicts.length > 0 ? conflicts : undefined,
+        interestConflicts: interestConflicts.length > 0 ? interestConflicts : undefined
+      }
     });
 
   } catch (error) {
@@ -446,22 +587,18 @@ router.put('/:id/assign', authenticate, lawyerOrAdmin, async (req, res) => {
 });
 
 /**
- * @route   PUT /api/cases/:id/status
- * @desc    Update case status
- * @access  Private (Lawyer/Admin)
+ * @route   GET /api/cases/:id/team
+ * @desc    Case team (lead, associates, paralegals, co-clients) and parties
+ * @access  Private
  */
-router.put('/:id/status', authenticate, lawyerOrAdmin, async (req, res) => {
+router.get('/:id/team', authenticate, async (req, res) => {
   try {
-    const { status, note } = req.body;
-
-    if (!status) {
-      return res.status(400).json({
-        success: false,
-        message: 'Status is required'
-      });
-    }
+    const caseDoc = await Case.findById(req.params.id)
+      .select('caseNumber client assignedLawyer team parties opposingParty')
+      .populate('client', 'name email phone')
+      .populate('team.user', 'name email phone role specialization')
+      .populate('team.addedBy', 'name');
 
-    const caseDoc = await Case.findById(req.params.id);
     if (!caseDoc) {
       return res.status(404).json({
         success: false,
@@ -469,49 +606,52 @@ router.put('/:id/status', authenticate, lawyerOrAdmin, async (req, res) => {
       });
     }
 
-    // Check if lawyer is assigned to this case
-    if (req.user.role === 'lawyer' && !caseDoc.assignedLawyer?.equals(req.user._id)) {
+    if (!caseDoc.can(req.user, 'view')) {
       return res.status(403).json({
         success: false,
-        message: 'You can only update cases assigned to you'
+        message: 'Access denied'
       });
     }
 
-    await caseDoc.updateStatus(status, req.user._id);
-
-    // Add additional note if provided
-    if (note) {
-      await caseDoc.addNote(note, req.user._id, false, 'general');
-    }
-
-    const updatedCase = await Case.findById(caseDoc._id)
-      .populate('client', 'name email')
-      .populate('assignedLawyer', 'name email');
-
     res.json({
       success: true,
-      message: 'Case status updated successfully',
-      data: { case: updatedCase }
+      data: {
+        client: caseDoc.client,
+        team: caseDoc.team,
+        parties: caseDoc.parties,
+        opposingParty: caseDoc.opposingParty,
+        yourRole: req.user.role === 'admin' ? 'admin' : caseDoc.memberRole(req.user)
+      }
     });
 
   } catch (error) {
-    console.error('Error updating case status:', error);
+    console.error('Error fetching case team:', error);
     res.status(500).json({
       success: false,
-      message: 'Error updating case status'
+      message: 'Error fetching case team'
     });
   }
 });
 
 /**
- * @route   POST /api/cases/:id/upload
- * @desc    Upload documents to case
- * @access  Private
+ * @route   POST /api/cases/:id/team
+ * @desc    Add a team member ({ userId, role }). Associates and paralegals
+ *          must be lawyer accounts and pass the conflict-of-interest check;
+ *          co-clients must be client accounts. The lead is set by /assign.
+ * @access  Private (Lawyer/Admin)
  */
-router.post('/:id/upload', authenticate, clientOrLawyer, fileService.getUploadMiddleware().array('documents', 5), async (req, res) => {
+router.post('/:id/team', authenticate, lawyerOrAdmin, async (req, res) => {
   try {
-    const caseDoc = await Case.findById(req.params.id);
+    const { userId, role } = req.body;
 
+    if (!userId || !Case.TEAM_ROLES.includes(role) || role === 'lead') {
+      return res.status(400).json({
+        success: false,
+        message: 'userId and a role of associate, paralegal or co_client are required (use /assign to change the lead)'
+      });
+    }
+
+    const caseDoc = await Case.findById(req.params.id).select('+conflictCheck');
     if (!caseDoc) {
       return res.status(404).json({
         success: false,
@@ -519,107 +659,167 @@ router.post('/:id/upload', authenticate, clientOrLawyer, fileService.getUploadMi
       });
     }
 
-    // Check permissions
-    const hasAccess = 
-      req.user.role === 'admin' ||
-      caseDoc.client.equals(req.user._id) ||
-      (caseDoc.assignedLawyer && caseDoc.assignedLawyer.equals(req.user._id));
-
-    if (!hasAccess) {
+    if (!caseDoc.can(req.user, 'manage')) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied'
+        message: 'You can only change the team on cases you manage'
       });
     }
 
-    if (!req.files || req.files.length === 0) {
+    const isLawyerRole = Case.LAWYER_TEAM_ROLES.includes(role);
+    const user = await User.findById(userId);
+    if (!user || !user.isActive || user.role !== (isLawyerRole ? 'lawyer' : 'client')) {
       return res.status(400).json({
         success: false,
-        message: 'No files uploaded'
+        message: `A ${role.replace('_', '-')} must be an active ${isLawyerRole ? 'lawyer' : 'client'} account`
       });
     }
 
-    const uploadedDocuments = [];
-    const errors = [];
-
-    // Process each uploaded file
-    for (const file of req.files) {
-      try {
-        // Validate file
-        const validation = fileService.validateFile(file);
-        if (!validation.isValid) {
-          errors.push({
-            filename: file.originalname,
-            errors: validation.errors
-          });
-          continue;
-        }
+    if (caseDoc.memberRole(user)) {
+      return res.status(409).json({
+        success: false,
+        message: `${user.name} is already on this case as ${caseDoc.memberRole(user)}`
+      });
+    }
 
-        // Process file
-        const fileRecord = await fileService.processUploadedFile(file, req.user._id, caseDoc._id);
-        
-        // Add to case documents
-        caseDoc.documents.push(fileRecord);
-        uploadedDocuments.push(fileRecord);
+    // Co-counsel must not have acted for or against either party
+    if (isLawyerRole) {
+      const interestConflicts = await conflictOfInterestService.checkCase(caseDoc, user);
 
-      } catch (error) {
-        console.error(`Error processing file ${file.originalname}:`, error);
-        errors.push({
-          filename: file.originalname,
-          errors: [error.message]
+      if (conflictOfInterestService.requiresWaiver(interestConflicts)) {
+        return res.status(409).json({
+          success: false,
+          message: `${user.name} has a conflict of interest on this case`,
+          data: { conflicts: interestConflicts }
         });
       }
     }
 
-    // Save case with new documents
-    if (uploadedDocuments.length > 0) {
-      await caseDoc.save();
-      
-      // Add note about document upload
-      await caseDoc.addNote(
-        `${uploadedDocuments.length} document(s) uploaded: ${uploadedDocuments.map(d => d.originalName).join(', ')}`,
-        req.user._id,
-        false,
-        'general'
-      );
-    }
+    caseDoc.team.push({ user: user._id, role, addedBy: req.user._id });
+    caseDoc.notes.push({
+      content: `${user.name} joined the case team as ${role.replace('_', '-')}`,
+      createdBy: req.user._id,
+      category: 'general'
+    });
 
-    res.json({
+    await caseDoc.auditAs(auditService.contextFrom(req), 'team_member_added', {
+      member: user.name,
+      role
+    }).save();
+
+    const updatedCase = await Case.findById(caseDoc._id)
+      .select('team')
+      .populate('team.user', 'name email role');
+
+    res.status(201).json({
       success: true,
-      message: `${uploadedDocuments.length} document(s) uploaded successfully`,
-      data: {
-        uploadedDocuments,
-        errors: errors.length > 0 ? errors : undefined
-      }
+      message: 'Team member added successfully',
+      data: { team: updatedCase.team }
     });
 
   } catch (error) {
-    console.error('Error uploading documents:', error);
+    console.error('Error adding team member:', error);
     res.status(500).json({
       success: false,
-      message: 'Error uploading documents'
+      message: 'Error adding team member'
     });
   }
 });
 
 /**
- * @route   POST /api/cases/:id/notes
- * @desc    Add note to case
- * @access  Private
+ * Find a non-lead team member for the team routes, or send the error response
  */
-router.post('/:id/notes', authenticate, clientOrLawyer, async (req, res) => {
+const findTeamMember = (caseDoc, req, res) => {
+  const member = caseDoc.team.id(req.params.memberId);
+
+  if (!member) {
+    res.status(404).json({
+      success: false,
+      message: 'Team member not found'
+    });
+    return null;
+  }
+
+  if (member.role === 'lead') {
+    res.status(400).json({
+      success: false,
+      message: 'The lead follows the assigned lawyer; use /assign to change it'
+    });
+    return null;
+  }
+
+  return member;
+};
+
+/**
+ * @route   PUT /api/cases/:id/team/:memberId
+ * @desc    Change a team member's role (associate <-> paralegal)
+ * @access  Private (Lawyer/Admin)
+ */
+router.put('/:id/team/:memberId', authenticate, lawyerOrAdmin, async (req, res) => {
   try {
-    const { content, isPrivate = false, category = 'general' } = req.body;
+    const { role } = req.body;
 
-    if (!content || content.trim().length === 0) {
+    const caseDoc = await Case.findById(req.params.id);
+    if (!caseDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    if (!caseDoc.can(req.user, 'manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only change the team on cases you manage'
+      });
+    }
+
+    const member = findTeamMember(caseDoc, req, res);
+    if (!member) return;
+
+    // Lawyers and clients cannot swap sides of the team
+    const lawyerRoles = Case.LAWYER_TEAM_ROLES.filter(r => r !== 'lead');
+    if (!lawyerRoles.includes(member.role) || !lawyerRoles.includes(role)) {
       return res.status(400).json({
         success: false,
-        message: 'Note content is required'
+        message: 'Only associates and paralegals can change role, to associate or paralegal'
       });
     }
 
-    const caseDoc = await Case.findById(req.params.id);
+    const user = await User.findById(member.user).select('name');
+    const previousRole = member.role;
+    member.role = role;
+
+    await caseDoc.auditAs(auditService.contextFrom(req), 'team_member_updated', {
+      member: user?.name || member.user,
+      from: previousRole,
+      role
+    }).save();
+
+    res.json({
+      success: true,
+      message: 'Team member updated successfully',
+      data: { member }
+    });
 
+  } catch (error) {
+    console.error('Error updating team member:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating team member'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/cases/:id/team/:memberId
+ * @desc    Remove a team member
+ * @access  Private (Lawyer/Admin)
+ */
+router.delete('/:id/team/:memberId', authenticate, lawyerOrAdmin, async (req, res) => {
+  try {
+    const caseDoc = await Case.findById(req.params.id);
     if (!caseDoc) {
       return res.status(404).json({
         success: false,
@@ -627,48 +827,67 @@ router.post('/:id/notes', authenticate, clientOrLawyer, async (req, res) => {
       });
     }
 
-    // Check permissions
-    const hasAccess = 
-      req.user.role === 'admin' ||
-      caseDoc.client.equals(req.user._id) ||
-      (caseDoc.assignedLawyer && caseDoc.assignedLawyer.equals(req.user._id));
-
-    if (!hasAccess) {
+    if (!caseDoc.can(req.user, 'manage')) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied'
+        message: 'You can only change the team on cases you manage'
       });
     }
 
-    await caseDoc.addNote(content.trim(), req.user._id, isPrivate, category);
+    const member = findTeamMember(caseDoc, req, res);
+    if (!member) return;
 
-    const updatedCase = await Case.findById(caseDoc._id)
-      .populate('notes.createdBy', 'name role');
+    const user = await User.findById(member.user).select('name');
+    caseDoc.team.pull(member._id);
+
+    caseDoc.notes.push({
+      content: `${user?.name || 'A team member'} left the case team`,
+      createdBy: req.user._id,
+      category: 'general'
+    });
+
+    await caseDoc.auditAs(auditService.contextFrom(req), 'team_member_removed', {
+      member: user?.name || member.user,
+      role: member.role
+    }).save();
 
     res.json({
       success: true,
-      message: 'Note added successfully',
-      data: { 
-        case: updatedCase,
-        newNote: updatedCase.notes[updatedCase.notes.length - 1]
-      }
+      message: 'Team member removed successfully'
     });
 
   } catch (error) {
-    console.error('Error adding note:', error);
+    console.error('Error removing team member:', error);
     res.status(500).json({
       success: false,
-      message: 'Error adding note'
+      message: 'Error removing team member'
     });
   }
 });
 
 /**
- * @route   POST /api/cases/:id/analyze
- * @desc    Trigger manual AI analysis for case
- * @access  Private (Lawyer/Admin)
+ * A case document the user may see; hidden documents are reported as not found
  */
-router.post('/:id/analyze', authenticate, lawyerOrAdmin, async (req, res) => {
+const visibleDocument = (caseDoc, documentId, user) => {
+  const document = caseDoc.documents.id(documentId);
+  return document && caseDoc.canSeeDocument(user, document) ? document : null;
+};
+
+/**
+ * A linked case as shown to a user; cases they are not on show only their number
+ */
+const linkedCaseView = (caseDoc, user) => caseDoc.can(user, 'view')
+  ? caseLinkService.summarize(caseDoc)
+  : { _id: caseDoc._id, caseNumber: caseDoc.caseNumber, restricted: true };
+
+/**
+ * @route   GET /api/cases/:id/links
+ * @desc    Cases linked to this one, in both directions (appeal_of /
+ *          appealed_in, connected, transferred_from / transferred_to,
+ *          consolidated_into / consolidated_from)
+ * @access  Private
+ */
+router.get('/:id/links', authenticate, async (req, res) => {
   try {
     const caseDoc = await Case.findById(req.params.id);
 
@@ -679,28 +898,2264 @@ router.post('/:id/analyze', authenticate, lawyerOrAdmin, async (req, res) => {
       });
     }
 
-    // Check if lawyer is assigned to this case
-    if (req.user.role === 'lawyer' && !caseDoc.assignedLawyer?.equals(req.user._id)) {
+    if (!caseDoc.can(req.user, 'view')) {
       return res.status(403).json({
         success: false,
-        message: 'You can only analyze cases assigned to you'
+        message: 'Access denied'
       });
     }
 
-    // Trigger AI analysis
-    const analyzedCase = await aiSchedulerService.analyzeCaseManually(caseDoc._id);
+    const links = await caseLinkService.getLinks(caseDoc);
 
     res.json({
       success: true,
-      message: 'AI analysis completed',
-      data: { case: analyzedCase }
+      data: {
+        links: links.map(link => ({ ...link, case: linkedCaseView(link.case, req.user) }))
+      }
     });
 
   } catch (error) {
-    console.error('Error running AI analysis:', error);
+    console.error('Error fetching case links:', error);
     res.status(500).json({
       success: false,
-      message: 'Error running AI analysis'
+      message: 'Error fetching case links'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/cases/:id/links
+ * @desc    Link this case to another ({ caseId, type, note }), e.g. type
+ *          appeal_of when this case appeals the decision in caseId
+ * @access  Private (Lawyer/Admin)
+ */
+router.post('/:id/links', authenticate, lawyerOrAdmin, async (req, res) => {
+  try {
+    const { caseId, type, note } = req.body;
+
+    if (!mongoose.isValidObjectId(caseId) || !Case.LINK_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `caseId and a type of ${Case.LINK_TYPES.join(', ')} are required`
+      });
+    }
+
+    const [caseDoc, target] = await Promise.all([
+      Case.findById(req.params.id),
+      Case.findById(caseId)
+    ]);
+
+    if (!caseDoc || !target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    if (!caseDoc.can(req.user, 'work') || !target.can(req.user, 'view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only link cases you work on to cases you can see'
+      });
+    }
+
+    const link = await caseLinkService.addLink(caseDoc, target, type, { note, createdBy: req.user._id });
+
+    await caseDoc.auditAs(auditService.contextFrom(req), 'link_added', {
+      type,
+      linkedCase: target.caseNumber
+    }).save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Cases linked successfully',
+      data: {
+        link: { ...link.toObject(), case: caseLinkService.summarize(target) }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error linking cases:', error);
+
+    if (error.code === 'INVALID_CASE_LINK') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error linking cases'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/cases/:id/links/:linkId
+ * @desc    Remove a link, whichever of the two cases it is stored on
+ * @access  Private (Lawyer/Admin)
+ */
+router.delete('/:id/links/:linkId', authenticate, lawyerOrAdmin, async (req, res) => {
+  try {
+    const caseDoc = await Case.findById(req.params.id);
+
+    if (!caseDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    if (!caseDoc.can(req.user, 'work')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only update cases assigned to you'
+      });
+    }
+
+    // Stored here, or on the other case pointing at this one
+    const owner = caseDoc.links.id(req.params.linkId)
+      ? caseDoc
+      : mongoose.isValidObjectId(req.params.linkId) &&
+        await Case.findOne({ links: { $elemMatch: { _id: req.params.linkId, case: caseDoc._id } } });
+
+    if (!owner) {
+      return res.status(404).json({
+        success: false,
+        message: 'Link not found'
+      });
+    }
+
+    const link = owner.links.id(req.params.linkId);
+    const otherId = owner === caseDoc ? link.case : owner._id;
+    const other = owner === caseDoc ? await Case.findById(otherId).select('caseNumber') : owner;
+
+    owner.links.pull(link._id);
+
+    await owner.auditAs(auditService.contextFrom(req), 'link_removed', {
+      type: link.type,
+      linkedCase: owner === caseDoc ? other?.caseNumber : caseDoc.caseNumber
+    }).save();
+
+    res.json({
+      success: true,
+      message: 'Link removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Error removing case link:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing case link'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/cases/:id/links/graph
+ * @desc    Linked cases reachable from this one (?depth=1-5, default 3;
+ *          ?types=appeal_of,connected to follow only some link types)
+ * @access  Private
+ */
+router.get('/:id/links/graph', authenticate, async (req, res) => {
+  try {
+    const caseDoc = await Case.findById(req.params.id).select('client assignedLawyer team');
+
+    if (!caseDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    if (!caseDoc.can(req.user, 'view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const types = req.query.types
+      ? req.query.types.split(',').filter(type => Case.LINK_TYPES.includes(type))
+      : Case.LINK_TYPES;
+
+    const graph = await caseLinkService.getGraph(caseDoc._id, {
+      depth: parseInt(req.query.depth) || 3,
+      types
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...graph,
+        nodes: graph.nodes.map(node => linkedCaseView(node, req.user))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching case link graph:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching case link graph'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/cases/:id/appeal-chain
+ * @desc    The case's appeal history, from the original decision upwards
+ * @access  Private
+ */
+router.get('/:id/appeal-chain', authenticate, async (req, res) => {
+  try {
+    const caseDoc = await Case.findById(req.params.id);
+
+    if (!caseDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    if (!caseDoc.can(req.user, 'view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const chain = await caseLinkService.getAppealChain(caseDoc);
+
+    res.json({
+      success: true,
+      data: {
+        chain: chain.map(({ level, case: linked }) => ({ level, case: linkedCaseView(linked, req.user) }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching appeal chain:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching appeal chain'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/cases/:id/appeal-draft
+ * @desc    Fields for an appeal against this case's decision, pre-filled
+ *          from the case (parties, team, type, appellate court level)
+ * @access  Private (Lawyer/Admin)
+ */
+router.get('/:id/appeal-draft', authenticate, lawyerOrAdmin, async (req, res) => {
+  try {
+    const caseDoc = await Case.findById(req.params.id);
+
+    if (!caseDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    if (!caseDoc.can(req.user, 'manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only update cases assigned to you'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        draft: caseLinkService.buildAppealDraft(caseDoc),
+        parent: caseLinkService.summarize(caseDoc)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error building appeal draft:', error);
+
+    if (error.code === 'INVALID_CASE_LINK') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error building appeal draft'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/cases/:id/appeal
+ * @desc    File an appeal against this case's decision as a new linked case.
+ *          Needs court.name and filingDate; anything else overrides the draft.
+ * @access  Private (Lawyer/Admin)
+ */
+router.post('/:id/appeal', authenticate, lawyerOrAdmin, async (req, res) => {
+  try {
+    const { court, filingDate } = req.body;
+
+    if (!court?.name || !filingDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Appellate court name and filing date are required'
+      });
+    }
+
+    const caseDoc = await Case.findById(req.params.id);
+
+    if (!caseDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    if (!caseDoc.can(req.user, 'manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only update cases assigned to you'
+      });
+    }
+
+    const { appeal, conflicts } = await caseLinkService.createAppeal(
+      caseDoc,
+      req.body,
+      auditService.contextFrom(req)
+    );
+
+    await aiSchedulerService.queueCaseAnalysis(appeal._id, req.user._id);
+
+    const populatedAppeal = await Case.findById(appeal._id)
+      .populate('client', 'name email phone')
+      .populate('assignedLawyer', 'name email specialization');
+
+    res.status(201).json({
+      success: true,
+      message: 'Appeal filed successfully',
+      data: {
+        case: populatedAppeal.visibleTo(req.user),
+        conflicts: req.user.role === 'admin' && conflicts.length > 0 ? conflicts : undefined
+      }
+    });
+
+  } catch (error) {
+    console.error('Error filing appeal:', error);
+
+    if (error.code === 'INVALID_CASE_LINK') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error filing appeal'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/cases/:id/lawyer-suggestions
+ * @desc    Lawyers ranked for this case by specialization, experience,
+ *          workload, past outcomes and hearing availability
+ * @access  Private (Lawyer/Admin)
+ */
+router.get('/:id/lawyer-suggestions', authenticate, lawyerOrAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 5, 50);
+
+    const caseDoc = await Case.findById(req.params.id).populate('client', 'name');
+    if (!caseDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    if (!caseDoc.can(req.user, 'manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only get suggestions for cases you manage'
+      });
+    }
+
+    const suggestions = await lawyerMatchingService.suggestLawyers(caseDoc, {
+      limit,
+      excludeCurrent: req.query.excludeCurrent === 'true'
+    });
+
+    // Other clients' matters are only shown to admins
+    if (req.user.role !== 'admin') {
+      suggestions.forEach(suggestion => {
+        suggestion.interestConflicts = conflictOfInterestService.withoutCaseDetails(suggestion.interestConflicts);
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        caseId: caseDoc._id,
+        caseType: caseDoc.caseType,
+        suggestions
+      }
+    });
+
+  } catch (error) {
+    console.error('Error suggesting lawyers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error suggesting lawyers'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/cases/:id/status/transitions
+ * @desc    Statuses the case can move to next, and what blocks the others
+ * @access  Private (Lawyer/Admin)
+ */
+router.get('/:id/status/transitions', authenticate, lawyerOrAdmin, async (req, res) => {
+  try {
+    const caseDoc = await Case.findById(req.params.id)
+      .select('status assignedLawyer team hearingDate outcome');
+    if (!caseDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    if (!caseDoc.can(req.user, 'work')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only update cases assigned to you'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        currentStatus: caseDoc.status,
+        transitions: caseStatusService.getNextStatuses(caseDoc)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching status transitions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching status transitions'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/cases/:id/status
+ * @desc    Move a case to its next status (see caseStatusService for the
+ *          allowed transitions); pass outcome when completing
+ * @access  Private (Lawyer/Admin)
+ */
+router.put('/:id/status', authenticate, lawyerOrAdmin, async (req, res) => {
+  try {
+    const { status, note, outcome } = req.body;
+
+    if (!status) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status is required'
+      });
+    }
+
+    const caseDoc = await Case.findById(req.params.id);
+    if (!caseDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    // Check if lawyer is assigned to this case
+    if (!caseDoc.can(req.user, 'manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only update cases assigned to you'
+      });
+    }
+
+    const transition = caseStatusService.applyTransition(caseDoc, status, req.user._id, { outcome });
+    if (!transition.allowed) {
+      return res.status(409).json({
+        success: false,
+        message: transition.reason,
+        data: {
+          currentStatus: caseDoc.status,
+          allowedStatuses: transition.allowedStatuses
+        }
+      });
+    }
+
+    // Add additional note if provided
+    if (note) {
+      caseDoc.notes.push({
+        content: note,
+        createdBy: req.user._id,
+        category: 'general'
+      });
+    }
+
+    await caseDoc.auditAs(auditService.contextFrom(req), 'status_changed', { note }).save();
+
+    const updatedCase = await Case.findById(caseDoc._id)
+      .populate('client', 'name email')
+      .populate('assignedLawyer', 'name email');
+
+    res.json({
+      success: true,
+      message: 'Case status updated successfully',
+      data: { case: updatedCase.visibleTo(req.user) }
+    });
+
+  } catch (error) {
+    console.error('Error updating case status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating case status'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/cases/:id/priority-override
+ * @desc    Pin a manual priority that the AI scheduler will not overwrite
+ * @access  Private (Lawyer/Admin)
+ */
+router.put('/:id/priority-override', authenticate, lawyerOrAdmin, async (req, res) => {
+  try {
+    const { priorityScore, priority, reason, expiresAt } = req.body;
+
+    if (!reason || reason.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required for a priority override'
+      });
+    }
+
+    if ((priorityScore === undefined || priorityScore === null) && !priority) {
+      return res.status(400).json({
+        success: false,
+        message: 'Priority score or priority level is required'
+      });
+    }
+
+    if (priorityScore !== undefined && priorityScore !== null &&
+        (isNaN(priorityScore) || priorityScore < 0 || priorityScore > 100)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Priority score must be between 0 and 100'
+      });
+    }
+
+    // Overrides always lapse so a stale manual priority cannot linger forever
+    const defaultDays = parseInt(process.env.PRIORITY_OVERRIDE_DEFAULT_DAYS) || 14;
+    const expiry = expiresAt
+      ? new Date(expiresAt)
+      : new Date(Date.now() + defaultDays * 24 * 60 * 60 * 1000);
+
+    if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Expiry must be a future date'
+      });
+    }
+
+    const caseDoc = await Case.findById(req.params.id);
+    if (!caseDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    // Check if lawyer is assigned to this case
+    if (!caseDoc.can(req.user, 'manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only override priority on cases assigned to you'
+      });
+    }
+
+    caseDoc.setPriorityOverride({
+      priorityScore,
+      priority,
+      reason: reason.trim(),
+      expiresAt: expiry
+    }, req.user._id);
+
+    caseDoc.notes.push({
+      content: `Priority manually set to ${caseDoc.priorityScore}/100 (${caseDoc.priority}) until ${expiry.toLocaleDateString('en-IN')}: ${reason.trim()}`,
+      createdBy: req.user._id,
+      category: 'general'
+    });
+
+    await caseDoc.auditAs(auditService.contextFrom(req), 'priority_override_set', { reason: reason.trim() }).save();
+
+    const updatedCase = await Case.findById(caseDoc._id)
+      .populate('priorityOverride.setBy', 'name role');
+
+    res.json({
+      success: true,
+      message: 'Priority override applied',
+      data: {
+        priorityScore: updatedCase.priorityScore,
+        priority: updatedCase.priority,
+        aiPriorityScore: updatedCase.aiAnalysis.priorityScore,
+        prioritySource: updatedCase.prioritySource,
+        priorityOverride: updatedCase.priorityOverride
+      }
+    });
+
+  } catch (error) {
+    console.error('Error overriding priority:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error overriding priority'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/cases/:id/priority-override
+ * @desc    Remove a manual priority and return to the AI score
+ * @access  Private (Lawyer/Admin)
+ */
+router.delete('/:id/priority-override', authenticate, lawyerOrAdmin, async (req, res) => {
+  try {
+    const caseDoc = await Case.findById(req.params.id);
+    if (!caseDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    // Check if lawyer is assigned to this case
+    if (!caseDoc.can(req.user, 'manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only override priority on cases assigned to you'
+      });
+    }
+
+    if (!caseDoc.priorityOverride?.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'No priority override is active on this case'
+      });
+    }
+
+    caseDoc.clearPriorityOverride(req.user._id);
+
+    caseDoc.notes.push({
+      content: `Manual priority override removed; priority restored to AI score ${caseDoc.priorityScore}/100`,
+      createdBy: req.user._id,
+      category: 'general'
+    });
+
+    await caseDoc.auditAs(auditService.contextFrom(req), 'priority_override_cleared').save();
+
+    res.json({
+      success: true,
+      message: 'Priority override removed',
+      data: {
+        priorityScore: caseDoc.priorityScore,
+        priority: caseDoc.priority,
+        prioritySource: caseDoc.prioritySource
+      }
+    });
+
+  } catch (error) {
+    console.error('Error removing priority override:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing priority override'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/cases/:id/upload
+ * @desc    Upload documents to case. A file with the same name as an
+ *          existing document, or a single file sent with documentId, is
+ *          added as that document's next version (optional changeNote).
+ *          The lawyer team may set visibility and privilege on new
+ *          documents; clients' uploads are visible to everyone on the case.
+ * @access  Private
+ */
+router.post('/:id/upload', authenticate, clientOrLawyer, fileService.getUploadMiddleware().array('documents', 5), async (req, res) => {
+  try {
+    const caseDoc = await Case.findById(req.params.id);
+
+    if (!caseDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    // Check permissions
+    const hasAccess = caseDoc.can(req.user, 'contribute');
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No files uploaded'
+      });
+    }
+
+    const { documentId, changeNote } = req.body;
+    const target = documentId ? visibleDocument(caseDoc, documentId, req.user) : null;
+
+    if (documentId && !target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    if (target && req.files.length > 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload one file at a time as a new version'
+      });
+    }
+
+    const access = caseDoc.can(req.user, 'work')
+      ? { visibility: req.body.visibility || undefined, privilege: req.body.privilege || undefined }
+      : {};
+
+    if (access.visibility && !Case.DOCUMENT_VISIBILITY.includes(access.visibility)) {
+      return res.status(400).json({
+        success: false,
+        message: `Visibility must be one of: ${Case.DOCUMENT_VISIBILITY.join(', ')}`
+      });
+    }
+
+    if (access.privilege && !Case.PRIVILEGE_LABELS.includes(access.privilege)) {
+      return res.status(400).json({
+        success: false,
+        message: `Privilege must be one of: ${Case.PRIVILEGE_LABELS.join(', ')}`
+      });
+    }
+
+    const uploadedDocuments = [];
+    const errors = [];
+
+    // Process each uploaded file
+    for (const file of req.files) {
+      try {
+        // Validate file
+        const validation = fileService.validateFile(file);
+        if (!validation.isValid) {
+          errors.push({
+            filename: file.originalname,
+            errors: validation.errors
+          });
+          continue;
+        }
+
+        // Process file
+        const fileRecord = await fileService.processUploadedFile(file, req.user._id, caseDoc._id);
+        
+        // New version of an existing document, or a new document
+        const existing = target || documentService.findByName(caseDoc, file.originalname, req.user);
+        const document = existing || documentService.addDocument(caseDoc, fileRecord, { changeNote, ...access });
+        if (existing) {
+          documentService.addVersion(existing, fileRecord, { changeNote });
+        }
+
+        uploadedDocuments.push({
+          ...fileRecord,
+          documentId: document._id,
+          version: document.currentVersion,
+          visibility: document.visibility,
+          privilege: document.privilege
+        });
+
+      } catch (error) {
+        console.error(`Error processing file ${file.originalname}:`, error);
+        errors.push({
+          filename: file.originalname,
+          errors: [error.message]
+        });
+      }
+    }
+
+    // Save case with new documents
+    if (uploadedDocuments.length > 0) {
+      // Add note about document upload, kept from the client when it names hidden documents
+      caseDoc.notes.push({
+        content: `${uploadedDocuments.length} document(s) uploaded: ${uploadedDocuments.map(d => d.originalName).join(', ')}`,
+        createdBy: req.user._id,
+        isPrivate: uploadedDocuments.some(d => d.visibility !== 'client'),
+        category: 'general'
+      });
+
+      await caseDoc.auditAs(auditService.contextFrom(req), 'document_uploaded', {
+        files: uploadedDocuments.map(d => ({ name: d.originalName, size: d.size, mimeType: d.mimeType, version: d.version }))
+      }).save();
+
+      // Store the text, and queue OCR for scans; the upload itself has succeeded
+      for (const uploaded of uploadedDocuments) {
+        try {
+          await documentTextService.recordUpload(caseDoc, caseDoc.documents.id(uploaded.documentId), uploaded);
+        } catch (error) {
+          console.error(`Error storing text for ${uploaded.originalName}:`, error);
+        }
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `${uploadedDocuments.length} document(s) uploaded successfully`,
+      data: {
+        uploadedDocuments,
+        errors: errors.length > 0 ? errors : undefined
+      }
+    });
+
+  } catch (error) {
+    console.error('Error uploading documents:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error uploading documents'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/cases/:id/documents/:documentId/download
+ * @desc    Download a case document from wherever it is stored
+ *          (current version, or ?version=n)
+ * @access  Private
+ */
+router.get('/:id/documents/:documentId/download', authenticate, async (req, res) => {
+  try {
+    const caseDoc = await Case.findById(req.params.id).select('client assignedLawyer team documents');
+
+    if (!caseDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    if (!caseDoc.can(req.user, 'view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const document = visibleDocument(caseDoc, req.params.documentId, req.user);
+    const file = document && (req.query.version
+      ? documentService.findVersion(document, parseInt(req.query.version))
+      : document);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: document ? 'Version not found' : 'Document not found'
+      });
+    }
+
+    const stream = await fileService.openFile(file);
+
+    res.set({
+      'Content-Type': file.mimeType || 'application/octet-stream',
+      'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(file.originalName)}`
+    });
+
+    stream.on('error', (error) => {
+      console.error('Error streaming document:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    console.error('Error downloading document:', error);
+
+    if (error.code === STORAGE_NOT_FOUND) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document file is missing from storage'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error downloading document'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/cases/:id/documents/:documentId/versions
+ * @desc    A document's version history, newest first
+ * @access  Private
+ */
+router.get('/:id/documents/:documentId/versions', authenticate, async (req, res) => {
+  try {
+    const caseDoc = await Case.findById(req.params.id)
+      .select('client assignedLawyer team documents')
+      .populate('documents.versions.uploadedBy documents.uploadedBy', 'name role');
+
+    if (!caseDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    if (!caseDoc.can(req.user, 'view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const document = visibleDocument(caseDoc, req.params.documentId, req.user);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        documentId: document._id,
+        originalName: document.originalName,
+        documentType: document.documentType,
+        currentVersion: document.currentVersion,
+        versions: [...documentService.versionsOf(document)].reverse()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching document versions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching document versions'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/cases/:id/documents/:documentId/diff
+ * @desc    Line-by-line text diff between two versions
+ *          (?from=&to=, default previous and current)
+ * @access  Private
+ */
+router.get('/:id/documents/:documentId/diff', authenticate, async (req, res) => {
+  try {
+    const caseDoc = await Case.findById(req.params.id).select('client assignedLawyer team documents');
+
+    if (!caseDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    if (!caseDoc.can(req.user, 'view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const document = visibleDocument(caseDoc, req.params.documentId, req.user);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    const to = parseInt(req.query.to) || document.currentVersion;
+    const from = parseInt(req.query.from) || to - 1;
+
+    const diff = await documentService.diffVersions(document, from, to);
+
+    res.json({
+      success: true,
+      data: { diff }
+    });
+
+  } catch (error) {
+    console.error('Error comparing document versions:', error);
+
+    if (error.code === 'INVALID_DOCUMENT_VERSION') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.code === STORAGE_NOT_FOUND) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document file is missing from storage'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error comparing document versions'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/cases/:id/documents/:documentId/versions/:version/restore
+ * @desc    Make an earlier version current again (added as a new version)
+ * @access  Private
+ */
+router.post('/:id/documents/:documentId/versions/:version/restore', authenticate, clientOrLawyer, async (req, res) => {
+  try {
+    const caseDoc = await Case.findById(req.params.id);
+
+    if (!caseDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    if (!caseDoc.can(req.user, 'contribute')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const document = visibleDocument(caseDoc, req.params.documentId, req.user);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    const restored = documentService.restoreVersion(
+      document,
+      parseInt(req.params.version),
+      req.user._id,
+      { changeNote: req.body.changeNote }
+    );
+    await documentTextService.copyForRestore(caseDoc, document, restored);
+
+    await caseDoc.auditAs(auditService.contextFrom(req), 'document_restored', {
+      document: document.originalName,
+      restoredFrom: restored.restoredFrom,
+      version: restored.version
+    }).save();
+
+    res.json({
+      success: true,
+      message: `Version ${restored.restoredFrom} restored as version ${restored.version}`,
+      data: {
+        documentId: document._id,
+        currentVersion: document.currentVersion,
+        version: restored
+      }
+    });
+
+  } catch (error) {
+    console.error('Error restoring document version:', error);
+
+    if (error.code === 'INVALID_DOCUMENT_VERSION') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring document version'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/cases/:id/documents/:documentId/text
+ * @desc    Page-by-page text of a document (current version, or ?version=n),
+ *          with the OCR status for scans
+ * @access  Private
+ */
+router.get('/:id/documents/:documentId/text', authenticate, async (req, res) => {
+  try {
+    const caseDoc = await Case.findById(req.params.id).select('client assignedLawyer team documents');
+
+    if (!caseDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    if (!caseDoc.can(req.user, 'view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const document = visibleDocument(caseDoc, req.params.documentId, req.user);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    const version = parseInt(req.query.version) || document.currentVersion;
+    const text = await documentTextService.getText(document._id, version);
+
+    if (!text) {
+      return res.status(404).json({
+        success: false,
+        message: 'No text has been stored for this version'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        documentId: document._id,
+        version,
+        source: text.source,
+        status: text.status,
+        ocrLanguages: text.ocrLanguages,
+        error: text.error,
+        pages: text.pages
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching document text:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching document text'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/cases/:id/documents/:documentId/ocr
+ * @desc    Queue OCR for the current version again, e.g. after it failed
+ *          or once Tesseract has been installed
+ * @access  Private (Lawyer/Admin)
+ */
+router.post('/:id/documents/:documentId/ocr', authenticate, lawyerOrAdmin, async (req, res) => {
+  try {
+    const caseDoc = await Case.findById(req.params.id);
+
+    if (!caseDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    if (!caseDoc.can(req.user, 'work')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only update cases assigned to you'
+      });
+    }
+
+    const document = visibleDocument(caseDoc, req.params.documentId, req.user);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    await documentTextService.recordUpload(caseDoc, document, { needsOcr: true });
+    document.textStatus = 'ocr_pending';
+    await caseDoc.auditAs(auditService.contextFrom(req)).save();
+
+    res.status(202).json({
+      success: true,
+      message: 'OCR queued',
+      data: {
+        documentId: document._id,
+        version: document.currentVersion
+      }
+    });
+
+  } catch (error) {
+    console.error('Error queueing OCR:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error queueing OCR'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/cases/:id/documents/:documentId/access
+ * @desc    Set who may see a document (visibility: client, team or
+ *          restricted to allowedUsers) and the privilege claimed over it
+ * @access  Private (Lawyer/Admin)
+ */
+router.put('/:id/documents/:documentId/access', authenticate, lawyerOrAdmin, async (req, res) => {
+  try {
+    const caseDoc = await Case.findById(req.params.id);
+
+    if (!caseDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    if (!caseDoc.can(req.user, 'work')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only update cases assigned to you'
+      });
+    }
+
+    const document = visibleDocument(caseDoc, req.params.documentId, req.user);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    const { visibility, privilege, allowedUsers } = req.body;
+    documentService.setAccess(caseDoc, document, { visibility, privilege, allowedUsers });
+
+    await caseDoc.auditAs(auditService.contextFrom(req), 'document_access_changed', {
+      document: document.originalName,
+      visibility: document.visibility,
+      privilege: document.privilege,
+      allowedUsers: document.allowedUsers.map(String)
+    }).save();
+
+    // Search follows the new access; a stale index is refreshed by the next reindex
+    try {
+      await searchService.indexDocument(caseDoc, document);
+    } catch (error) {
+      console.error(`Error reindexing ${document.originalName}:`, error);
+    }
+
+    res.json({
+      success: true,
+      message: 'Document access updated',
+      data: {
+        documentId: document._id,
+        visibility: document.visibility,
+        privilege: document.privilege,
+        allowedUsers: document.allowedUsers
+      }
+    });
+
+  } catch (error) {
+    console.error('Error updating document access:', error);
+
+    if (error.code === 'INVALID_DOCUMENT_ACCESS') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating document access'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/cases/:id/notes
+ * @desc    Add note to case
+ * @access  Private
+ */
+router.post('/:id/notes', authenticate, clientOrLawyer, async (req, res) => {
+  try {
+    const { content, isPrivate = false, category = 'general' } = req.body;
+
+    if (!content || content.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Note content is required'
+      });
+    }
+
+    const caseDoc = await Case.findById(req.params.id);
+
+    if (!caseDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    // Check permissions
+    const hasAccess = caseDoc.can(req.user, 'contribute');
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    await caseDoc
+      .auditAs(auditService.contextFrom(req), 'note_added', { isPrivate: Boolean(isPrivate), category })
+      .addNote(content.trim(), req.user._id, isPrivate, category);
+
+    const updatedCase = await Case.findById(caseDoc._id)
+      .populate('notes.createdBy', 'name role');
+
+    res.json({
+      success: true,
+      message: 'Note added successfully',
+      data: { 
+        case: updatedCase.visibleTo(req.user),
+        newNote: updatedCase.notes[updatedCase.notes.length - 1]
+      }
+    });
+
+  } catch (error) {
+    console.error('Error adding note:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding note'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/cases/:id/analyze
+ * @desc    Trigger manual AI analysis for case
+ * @access  Private (Lawyer/Admin)
+ */
+router.post('/:id/analyze', authenticate, lawyerOrAdmin, async (req, res) => {
+  try {
+    const caseDoc = await Case.findById(req.params.id);
+
+    if (!caseDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    // Check if lawyer is assigned to this case
+    if (!caseDoc.can(req.user, 'work')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only analyze cases assigned to you'
+      });
+    }
+
+    // Trigger AI analysis
+    const analyzedCase = await aiSchedulerService.analyzeCaseManually(caseDoc._id);
+
+    res.json({
+      success: true,
+      message: 'AI analysis completed',
+      data: { case: analyzedCase.visibleTo(req.user) }
+    });
+
+  } catch (error) {
+    console.error('Error running AI analysis:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error running AI analysis'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/cases/:id/analysis-history
+ * @desc    Get every AI analysis of a case with its factor breakdown
+ * @access  Private
+ */
+router.get('/:id/analysis-history', authenticate, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const caseDoc = await Case.findById(req.params.id)
+      .select('client assignedLawyer team priorityScore aiAnalysis');
+
+    if (!caseDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    // Check permissions
+    const hasAccess = caseDoc.can(req.user, 'view');
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const { analyses, total } = await aiSchedulerService.getAnalysisHistory(caseDoc._id, {
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        currentScore: caseDoc.priorityScore,
+        analyses,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching analysis history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching analysis history'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/cases/:id/hearings
+ * @desc    Get the hearing and adjournment history of a case
+ * @access  Private
+ */
+router.get('/:id/hearings', authenticate, async (req, res) => {
+  try {
+    const caseDoc = await Case.findById(req.params.id)
+      .populate('hearings.recordedBy', 'name role');
+
+    if (!caseDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    // Check permissions
+    const hasAccess = caseDoc.can(req.user, 'view');
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        hearings: [...caseDoc.hearings].sort((a, b) => a.date - b.date),
+        nextHearing: caseDoc.hearingDate,
+        summary: caseDoc.getHearingStats(),
+        delayInfo: caseDoc.delayInfo
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching hearings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching hearings'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/cases/:id/hearings
+ * @desc    Record a past hearing, or list the case for a new hearing
+ * @access  Private (Lawyer/Admin)
+ */
+router.post('/:id/hearings', authenticate, lawyerOrAdmin, async (req, res) => {
+  try {
+    const { date, purpose, judge, outcome, adjournmentReason, adjournmentSoughtBy, nextDate, notes, ignoreConflicts } = req.body;
+
+    if (!date || isNaN(new Date(date).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid hearing date is required'
+      });
+    }
+
+    const caseDoc = await Case.findById(req.params.id);
+
+    if (!caseDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    // Check if lawyer is assigned to this case
+    if (!caseDoc.can(req.user, 'work')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only record hearings on cases assigned to you'
+      });
+    }
+
+    const hearingDate = new Date(date);
+    const isUpcoming = hearingDate > new Date();
+
+    if (isUpcoming && outcome && outcome !== 'scheduled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only past hearings can have an outcome'
+      });
+    }
+
+    if (!isUpcoming && (!outcome || outcome === 'scheduled')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Record the outcome of a past hearing'
+      });
+    }
+
+    if (isUpcoming && caseDoc.hearings.some(h => h.outcome === 'scheduled' && h.date > new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'The case already has an upcoming hearing; record its outcome or move it instead'
+      });
+    }
+
+    // A new listing must not clash with the lawyer's other hearings
+    const listingDate = isUpcoming ? hearingDate : (nextDate ? new Date(nextDate) : null);
+    let conflicts = [];
+    if (listingDate) {
+      conflicts = await hearingConflictService.checkLawyerHearing({
+        lawyerId: caseDoc.assignedLawyer,
+        hearingDate: listingDate,
+        court: caseDoc.court,
+        caseDoc
+      });
+
+      if (hearingConflictService.isBlocking(conflicts) && !ignoreConflicts) {
+        return res.status(409).json({
+          success: false,
+          message: 'The assigned lawyer has a conflicting hearing',
+          data: { conflicts }
+        });
+      }
+    }
+
+    caseDoc.hearings.push({
+      date: hearingDate,
+      court: { name: caseDoc.court.name, courtroom: caseDoc.court.courtroom },
+      judge: judge || caseDoc.court.judge,
+      purpose,
+      outcome: isUpcoming ? 'scheduled' : outcome,
+      recordedBy: req.user._id
+    });
+
+    const hearing = caseDoc.hearings[caseDoc.hearings.length - 1];
+
+    if (isUpcoming) {
+      caseDoc.hearingDate = hearingDate;
+    } else {
+      caseDoc.recordHearingOutcome(hearing._id, {
+        adjournmentReason,
+        adjournmentSoughtBy,
+        nextDate,
+        notes
+      }, req.user._id);
+    }
+
+    await caseDoc.auditAs(auditService.contextFrom(req), 'hearing_recorded').save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Hearing recorded successfully',
+      data: {
+        hearing,
+        nextHearing: caseDoc.hearingDate,
+        delayInfo: caseDoc.delayInfo,
+        conflicts
+      }
+    });
+
+  } catch (error) {
+    console.error('Error recording hearing:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error recording hearing'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/cases/:id/hearings/:hearingId
+ * @desc    Record the outcome of a hearing (adjournment reason, next date...)
+ * @access  Private (Lawyer/Admin)
+ */
+router.put('/:id/hearings/:hearingId', authenticate, lawyerOrAdmin, async (req, res) => {
+  try {
+    const { outcome, nextDate, ignoreConflicts } = req.body;
+
+    if (outcome === 'scheduled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Outcome must describe what happened at the hearing'
+      });
+    }
+
+    if (['adjourned', 'not_reached', 'part_heard'].includes(outcome) && !nextDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'A next date is required when the matter is adjourned or not concluded'
+      });
+    }
+
+    const caseDoc = await Case.findById(req.params.id);
+
+    if (!caseDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    // Check if lawyer is assigned to this case
+    if (!caseDoc.can(req.user, 'work')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only record hearings on cases assigned to you'
+      });
+    }
+
+    const existing = caseDoc.hearings.id(req.params.hearingId);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hearing not found'
+      });
+    }
+
+    if (existing.outcome === 'scheduled' && !outcome) {
+      return res.status(400).json({
+        success: false,
+        message: 'Outcome is required'
+      });
+    }
+
+    if (existing.nextDate && nextDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'This hearing already has a next date; update the next listing instead'
+      });
+    }
+
+    let conflicts = [];
+    if (nextDate) {
+      conflicts = await hearingConflictService.checkLawyerHearing({
+        lawyerId: caseDoc.assignedLawyer,
+        hearingDate: new Date(nextDate),
+        court: caseDoc.court,
+        caseDoc
+      });
+
+      if (hearingConflictService.isBlocking(conflicts) && !ignoreConflicts) {
+        return res.status(409).json({
+          success: false,
+          message: 'The assigned lawyer has a conflicting hearing',
+          data: { conflicts }
+        });
+      }
+    }
+
+    const hearing = caseDoc.recordHearingOutcome(existing._id, req.body, req.user._id);
+    await caseDoc.auditAs(auditService.contextFrom(req), 'hearing_recorded').save();
+
+    res.json({
+      success: true,
+      message: 'Hearing updated successfully',
+      data: {
+        hearing,
+        nextHearing: caseDoc.hearingDate,
+        delayInfo: caseDoc.delayInfo,
+        conflicts
+      }
+    });
+
+  } catch (error) {
+    console.error('Error updating hearing:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating hearing'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/cases/:id/milestones
+ * @desc    Case milestones, soonest due first
+ * @access  Private
+ */
+router.get('/:id/milestones', authenticate, async (req, res) => {
+  try {
+    const caseDoc = await Case.findById(req.params.id)
+      .populate('milestones.assignedTo', 'name role');
+
+    if (!caseDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    // Check permissions
+    const hasAccess = caseDoc.can(req.user, 'view');
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    // Undated milestones go last
+    const milestones = [...caseDoc.milestones].sort((a, b) =>
+      (a.dueDate || Infinity) - (b.dueDate || Infinity));
+
+    res.json({
+      success: true,
+      data: {
+        milestones,
+        summary: {
+          total: milestones.length,
+          completed: milestones.filter(m => m.status === 'completed').length,
+          overdue: milestones.filter(m => m.status === 'overdue').length
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching milestones:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching milestones'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/cases/:id/milestones
+ * @desc    Add a milestone to a case
+ * @access  Private (Lawyer/Admin)
+ */
+router.post('/:id/milestones', authenticate, lawyerOrAdmin, async (req, res) => {
+  try {
+    const { title, description, dueDate, assignedTo } = req.body;
+
+    if (dueDate && isNaN(new Date(dueDate).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid due date'
+      });
+    }
+
+    const caseDoc = await Case.findById(req.params.id);
+
+    if (!caseDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    // Check if lawyer is assigned to this case
+    if (!caseDoc.can(req.user, 'work')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only add milestones on cases assigned to you'
+      });
+    }
+
+    caseDoc.milestones.push({
+      title,
+      description,
+      dueDate: dueDate ? new Date(dueDate) : undefined,
+      status: 'pending',
+      assignedTo: assignedTo || caseDoc.assignedLawyer || undefined
+    });
+
+    const milestone = caseDoc.milestones[caseDoc.milestones.length - 1];
+    await caseDoc.auditAs(auditService.contextFrom(req), 'milestone_added', { title }).save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Milestone added successfully',
+      data: { milestone, delayInfo: caseDoc.delayInfo }
+    });
+
+  } catch (error) {
+    console.error('Error adding milestone:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error adding milestone'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/cases/:id/milestones/from-template
+ * @desc    Add a template's milestones, due dates counted from startDate
+ *          (the filing date by default)
+ * @access  Private (Lawyer/Admin)
+ */
+router.post('/:id/milestones/from-template', authenticate, lawyerOrAdmin, async (req, res) => {
+  try {
+    const { templateId, startDate } = req.body;
+
+    if (startDate && isNaN(new Date(startDate).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid start date'
+      });
+    }
+
+    const template = await MilestoneTemplate.findOne({ _id: templateId, isActive: true });
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Milestone template not found'
+      });
+    }
+
+    const caseDoc = await Case.findById(req.params.id);
+
+    if (!caseDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    // Check if lawyer is assigned to this case
+    if (!caseDoc.can(req.user, 'work')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only add milestones on cases assigned to you'
+      });
+    }
+
+    if (template.caseType !== caseDoc.caseType) {
+      return res.status(400).json({
+        success: false,
+        message: `This template is for ${template.caseType} cases`
+      });
+    }
+
+    const added = milestoneService.applyTemplate(caseDoc, template, { startDate });
+
+    if (added.length > 0) {
+      await caseDoc.auditAs(auditService.contextFrom(req), 'milestone_added', {
+        template: template.name,
+        titles: added.map(m => m.title)
+      }).save();
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${added.length} milestone(s) added from ${template.name}`,
+      data: { milestones: added, delayInfo: caseDoc.delayInfo }
+    });
+
+  } catch (error) {
+    console.error('Error applying milestone template:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error applying milestone template'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/cases/:id/milestones/:milestoneId
+ * @desc    Update or complete a milestone
+ * @access  Private (Lawyer/Admin)
+ */
+router.put('/:id/milestones/:milestoneId', authenticate, lawyerOrAdmin, async (req, res) => {
+  try {
+    const { status, dueDate } = req.body;
+
+    // Overdue is worked out from the due date
+    if (status !== undefined && !['pending', 'in_progress', 'completed'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be pending, in_progress or completed'
+      });
+    }
+
+    if (dueDate && isNaN(new Date(dueDate).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid due date'
+      });
+    }
+
+    const caseDoc = await Case.findById(req.params.id);
+
+    if (!caseDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    // Check if lawyer is assigned to this case
+    if (!caseDoc.can(req.user, 'work')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only update milestones on cases assigned to you'
+      });
+    }
+
+    const milestone = caseDoc.milestones.id(req.params.milestoneId);
+    if (!milestone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Milestone not found'
+      });
+    }
+
+    // Statutory milestones follow their deadline rule
+    if (milestone.deadlineRule && (req.body.title !== undefined || dueDate !== undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This milestone follows a statutory deadline; record the trigger event instead'
+      });
+    }
+
+    ['title', 'description', 'assignedTo'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        milestone[field] = req.body[field];
+      }
+    });
+
+    if (dueDate !== undefined) {
+      milestone.dueDate = dueDate ? new Date(dueDate) : undefined;
+    }
+
+    if (status === 'completed' && milestone.status !== 'completed') {
+      milestone.status = 'completed';
+      milestone.completedDate = new Date();
+      milestone.overdueSince = undefined;
+    } else if (status && status !== 'completed') {
+      // Reopened or started; refreshMilestoneStatuses flags it again if past due
+      milestone.status = status;
+      milestone.completedDate = undefined;
+    }
+
+    await caseDoc.auditAs(auditService.contextFrom(req), 'milestone_updated', { title: milestone.title }).save();
+
+    res.json({
+      success: true,
+      message: 'Milestone updated successfully',
+      data: { milestone, delayInfo: caseDoc.delayInfo }
+    });
+
+  } catch (error) {
+    console.error('Error updating milestone:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating milestone'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/cases/:id/milestones/:milestoneId
+ * @desc    Remove a milestone
+ * @access  Private (Lawyer/Admin)
+ */
+router.delete('/:id/milestones/:milestoneId', authenticate, lawyerOrAdmin, async (req, res) => {
+  try {
+    const caseDoc = await Case.findById(req.params.id);
+
+    if (!caseDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    // Check if lawyer is assigned to this case
+    if (!caseDoc.can(req.user, 'work')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only remove milestones on cases assigned to you'
+      });
+    }
+
+    const milestone = caseDoc.milestones.id(req.params.milestoneId);
+    if (!milestone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Milestone not found'
+      });
+    }
+
+    if (milestone.deadlineRule) {
+      return res.status(400).json({
+        success: false,
+        message: 'This milestone follows a statutory deadline; waive the deadline instead'
+      });
+    }
+
+    caseDoc.milestones.pull(milestone._id);
+    await caseDoc.auditAs(auditService.contextFrom(req), 'milestone_removed', { title: milestone.title }).save();
+
+    res.json({
+      success: true,
+      message: 'Milestone removed successfully',
+      data: { delayInfo: caseDoc.delayInfo }
+    });
+
+  } catch (error) {
+    console.error('Error removing milestone:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing milestone'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/cases/:id/conflicts
+ * @desc    Conflict-of-interest check for a case: the stored result and
+ *          waivers, or a fresh check (?lawyerId= to check a lawyer before
+ *          assigning them)
+ * @access  Private (Lawyer/Admin)
+ */
+router.get('/:id/conflicts', authenticate, lawyerOrAdmin, async (req, res) => {
+  try {
+    const { lawyerId, refresh } = req.query;
+
+    const caseDoc = await Case.findById(req.params.id)
+      .select('+conflictCheck')
+      .populate('client', 'name')
+      .populate('conflictCheck.waivers.waivedBy', 'name');
+
+    if (!caseDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    // Lawyers see their own cases, or check themselves before taking one on
+    const isOwnCheck = lawyerId && req.user._id.equals(lawyerId);
+    if (!caseDoc.can(req.user, 'work') && !isOwnCheck) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    let lawyer = null;
+    if (lawyerId) {
+      lawyer = await User.findOne({ _id: lawyerId, role: 'lawyer' }).select('name');
+      if (!lawyer) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid lawyer ID'
+        });
+      }
+    }
+
+    const conflicts = lawyer || refresh === 'true'
+      ? await conflictOfInterestService.checkCase(caseDoc, lawyer)
+      : caseDoc.conflictCheck.conflicts;
+
+    res.json({
+      success: true,
+      data: {
+        conflicts,
+        requiresWaiver: conflictOfInterestService.requiresWaiver(conflicts),
+        checkedAt: lawyer || refresh === 'true' ? new Date() : caseDoc.conflictCheck.checkedAt,
+        waivers: caseDoc.conflictCheck.waivers
+      }
+    });
+
+  } catch (error) {
+    console.error('Error checking conflicts of interest:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking conflicts of interest'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/cases/:id/audit
+ * @desc    Audit trail of a case, newest first
+ * @access  Private (Lawyer/Admin)
+ */
+router.get('/:id/audit', authenticate, lawyerOrAdmin, async (req, res) => {
+  try {
+    const { action, field, page = 1, limit = 50 } = req.query;
+
+    const caseDoc = await Case.findById(req.params.id).select('caseNumber assignedLawyer team');
+    if (!caseDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    if (!caseDoc.can(req.user, 'work')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const result = await auditService.search(
+      { caseId: caseDoc._id, action, field },
+      { page: parseInt(page), limit: Math.min(parseInt(limit), 200) }
+    );
+
+    res.json({
+      success: true,
+      data: {
+        caseNumber: caseDoc.caseNumber,
+        ...result
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching audit trail:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit trail'
     });
   }
 });
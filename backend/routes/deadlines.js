@@ -0,0 +1,399 @@
+/**
+ * Deadline Routes
+ *
+ * Statutory deadline calculator: rule lookup, what-if calculations and
+ * the trigger events / computed deadlines stored on each case.
+ */
+
+const express = require('express');
+const Case = require('../models/Case');
+const deadlineService = require('../services/deadlineService');
+const auditService = require('../services/auditService');
+const { authenticate, lawyerOrAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Load a case a lawyer/admin may edit deadlines on, or send the error response
+ */
+const loadEditableCase = async (req, res) => {
+  const caseDoc = await Case.findById(req.params.id);
+
+  if (!caseDoc) {
+    res.status(404).json({
+      success: false,
+      message: 'Case not found'
+    });
+    return null;
+  }
+
+  // Check if lawyer is on this case's team
+  if (!caseDoc.can(req.user, 'work')) {
+    res.status(403).json({
+      success: false,
+      message: 'You can only manage deadlines on cases assigned to you'
+    });
+    return null;
+  }
+
+  return caseDoc;
+};
+
+const deadlinePayload = (caseDoc) => ({
+  caseId: caseDoc._id,
+  deadlineDate: caseDoc.deadlineDate,
+  deadlineSource: caseDoc.deadlineSource,
+  triggerEvents: caseDoc.triggerEvents,
+  deadlines: deadlineService.describeDeadlines(caseDoc)
+});
+
+/**
+ * @route   GET /api/deadlines/rules
+ * @desc    List statutory deadline rules and trigger events
+ * @access  Private
+ */
+router.get('/rules', authenticate, async (req, res) => {
+  try {
+    const { caseType, subCategory, courtLevel } = req.query;
+
+    const rules = caseType || courtLevel
+      ? deadlineService.getApplicableRules({ caseType, subCategory, courtLevel })
+      : deadlineService.rules;
+
+    res.json({
+      success: true,
+      data: {
+        triggerEvents: deadlineService.triggerEvents,
+        rules: rules.map(rule => ({
+          ...rule,
+          match: {
+            ...rule.match,
+            subCategory: rule.match?.subCategory ? rule.match.subCategory.source : undefined
+          }
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching deadline rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching deadline rules'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/deadlines/calculate
+ * @desc    Calculate statutory deadlines for a case profile (nothing is saved)
+ * @access  Private (Lawyer/Admin)
+ */
+router.post('/calculate', authenticate, lawyerOrAdmin, async (req, res) => {
+  try {
+    const { caseType, subCategory, court = {}, events = {} } = req.body;
+
+    if (!caseType || !court.level) {
+      return res.status(400).json({
+        success: false,
+        message: 'Case type and court level are required'
+      });
+    }
+
+    const invalid = Object.keys(events).filter(event =>
+      !deadlineService.triggerEvents[event] || isNaN(new Date(events[event]).getTime()));
+
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid trigger events: ${invalid.join(', ')}`
+      });
+    }
+
+    const deadlines = deadlineService.calculate(
+      { caseType, subCategory, courtLevel: court.level, court },
+      events
+    );
+
+    res.json({
+      success: true,
+      data: { deadlines }
+    });
+
+  } catch (error) {
+    console.error('Error calculating deadlines:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error calculating deadlines'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/deadlines/upcoming
+ * @desc    Pending statutory deadlines due in the next N days
+ * @access  Private (Lawyer/Admin)
+ */
+router.get('/upcoming', authenticate, lawyerOrAdmin, async (req, res) => {
+  try {
+    const { days = 30, includeOverdue = 'true' } = req.query;
+
+    const until = new Date(Date.now() + parseInt(days) * DAY_MS);
+    const dueFilter = includeOverdue === 'true' ? { $lte: until } : { $gte: new Date(), $lte: until };
+
+    const filter = {
+      status: { $nin: ['completed', 'dismissed', 'settled'] },
+      computedDeadlines: { $elemMatch: { status: 'pending', dueDate: dueFilter } }
+    };
+
+    const memberFilter = Case.memberFilter(req.user);
+    if (memberFilter) filter.$and = [memberFilter];
+
+    const cases = await Case.find(filter)
+      .select('caseNumber title court assignedLawyer computedDeadlines')
+      .populate('assignedLawyer', 'name');
+
+    const deadlines = [];
+    cases.forEach(caseDoc => {
+      deadlineService.describeDeadlines(caseDoc)
+        .filter(d => d.status === 'pending' && d.dueDate <= until &&
+          (includeOverdue === 'true' || !d.isOverdue))
+        .forEach(d => deadlines.push({
+          ...d,
+          case: {
+            _id: caseDoc._id,
+            caseNumber: caseDoc.caseNumber,
+            title: caseDoc.title,
+            court: caseDoc.court,
+            assignedLawyer: caseDoc.assignedLawyer
+          }
+        }));
+    });
+
+    deadlines.sort((a, b) => a.dueDate - b.dueDate);
+
+    res.json({
+      success: true,
+      data: {
+        deadlines,
+        summary: {
+          total: deadlines.length,
+          overdue: deadlines.filter(d => d.isOverdue).length
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching upcoming deadlines:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching upcoming deadlines'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/deadlines/cases/:id
+ * @desc    Get a case's trigger events and computed deadlines with explanations
+ * @access  Private
+ */
+router.get('/cases/:id', authenticate, async (req, res) => {
+  try {
+    const caseDoc = await Case.findById(req.params.id);
+
+    if (!caseDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    // Check permissions
+    const hasAccess = caseDoc.can(req.user, 'view');
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: deadlinePayload(caseDoc)
+    });
+
+  } catch (error) {
+    console.error('Error fetching case deadlines:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching case deadlines'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/deadlines/cases/:id/events
+ * @desc    Record a trigger event (judgment, service...) and recompute deadlines
+ * @access  Private (Lawyer/Admin)
+ */
+router.post('/cases/:id/events', authenticate, lawyerOrAdmin, async (req, res) => {
+  try {
+    const { event, date, note } = req.body;
+
+    if (!deadlineService.triggerEvents[event]) {
+      return res.status(400).json({
+        success: false,
+        message: `Event must be one of: ${Object.keys(deadlineService.triggerEvents).join(', ')}`
+      });
+    }
+
+    if (!date || isNaN(new Date(date).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid event date is required'
+      });
+    }
+
+    const caseDoc = await loadEditableCase(req, res);
+    if (!caseDoc) return;
+
+    caseDoc.triggerEvents.push({
+      event,
+      date: new Date(date),
+      note,
+      recordedBy: req.user._id
+    });
+
+    const changes = deadlineService.recomputeDeadlines(caseDoc);
+    await caseDoc.auditAs(auditService.contextFrom(req), 'trigger_event_added', { event, note }).save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Event recorded and deadlines recomputed',
+      data: { ...deadlinePayload(caseDoc), changes }
+    });
+
+  } catch (error) {
+    console.error('Error recording trigger event:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recording trigger event'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/deadlines/cases/:id/events/:eventId
+ * @desc    Remove a trigger event recorded in error and recompute deadlines
+ * @access  Private (Lawyer/Admin)
+ */
+router.delete('/cases/:id/events/:eventId', authenticate, lawyerOrAdmin, async (req, res) => {
+  try {
+    const caseDoc = await loadEditableCase(req, res);
+    if (!caseDoc) return;
+
+    const triggerEvent = caseDoc.triggerEvents.id(req.params.eventId);
+
+    if (!triggerEvent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    caseDoc.triggerEvents.pull(triggerEvent._id);
+
+    const changes = deadlineService.recomputeDeadlines(caseDoc);
+    await caseDoc.auditAs(auditService.contextFrom(req), 'trigger_event_removed', { event: triggerEvent.event }).save();
+
+    res.json({
+      success: true,
+      message: 'Event removed and deadlines recomputed',
+      data: { ...deadlinePayload(caseDoc), changes }
+    });
+
+  } catch (error) {
+    console.error('Error removing trigger event:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing trigger event'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/deadlines/cases/:id/deadlines/:deadlineId
+ * @desc    Mark a computed deadline as met or waived, or reopen it
+ * @access  Private (Lawyer/Admin)
+ */
+router.put('/cases/:id/deadlines/:deadlineId', authenticate, lawyerOrAdmin, async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    if (!['pending', 'met', 'waived'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be pending, met or waived'
+      });
+    }
+
+    const caseDoc = await loadEditableCase(req, res);
+    if (!caseDoc) return;
+
+    const deadline = deadlineService.resolveDeadline(caseDoc, req.params.deadlineId, status, req.user._id);
+
+    if (!deadline) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deadline not found'
+      });
+    }
+
+    await caseDoc.auditAs(auditService.contextFrom(req), 'deadline_resolved', { ruleId: deadline.ruleId, status }).save();
+
+    res.json({
+      success: true,
+      message: 'Deadline updated successfully',
+      data: deadlinePayload(caseDoc)
+    });
+
+  } catch (error) {
+    console.error('Error updating deadline:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating deadline'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/deadlines/cases/:id/recompute
+ * @desc    Recompute a case's deadlines (e.g. after rules or holidays change)
+ * @access  Private (Lawyer/Admin)
+ */
+router.post('/cases/:id/recompute', authenticate, lawyerOrAdmin, async (req, res) => {
+  try {
+    const caseDoc = await loadEditableCase(req, res);
+    if (!caseDoc) return;
+
+    const changes = deadlineService.recomputeDeadlines(caseDoc);
+    await caseDoc.auditAs(auditService.contextFrom(req), 'deadlines_recomputed', changes).save();
+
+    res.json({
+      success: true,
+      message: 'Deadlines recomputed',
+      data: { ...deadlinePayload(caseDoc), changes }
+    });
+
+  } catch (error) {
+    console.error('Error recomputing deadlines:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recomputing deadlines'
+    });
+  }
+});
+
+module.exports = router;
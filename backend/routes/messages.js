@@ -9,10 +9,32 @@ const express = require('express');
 const Message = require('../models/Message');
 const User = require('../models/User');
 const fileService = require('../services/fileService');
+const { STORAGE_DRIVERS, STORAGE_NOT_FOUND } = require('../services/storage');
 const { authenticate, clientOrLawyer } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Message attachments are stored per sender, so a message can only carry
+// files its sender uploaded through POST /api/messages/upload
+const attachmentFolder = (userId) => `messages/${userId}`;
+
+/**
+ * Attachment records for a new message, or null if any was not uploaded by the sender
+ */
+const senderAttachments = (attachments, senderId) => {
+  const folder = `${attachmentFolder(senderId)}/`;
+  const valid = attachments.every(file =>
+    typeof file?.storageKey === 'string' &&
+    file.storageKey.startsWith(folder) &&
+    !file.storageKey.includes('..') &&
+    STORAGE_DRIVERS.includes(file.storageProvider));
+
+  return valid
+    ? attachments.map(({ filename, originalName, mimeType, size, storageKey, storageProvider }) =>
+      ({ filename, originalName, mimeType, size, storageKey, storageProvider }))
+    : null;
+};
+
 /**
  * @route   GET /api/messages/conversations
  * @desc    Get recent conversations for current user
@@ -112,7 +134,7 @@ router.get('/conversation/:userId', authenticate, async (req, res) => {
  */
 router.post('/', authenticate, clientOrLawyer, async (req, res) => {
   try {
-    const { recipientId, content, messageType = 'text', relatedCase, priority = 'normal' } = req.body;
+    const { recipientId, content, messageType = 'text', relatedCase, priority = 'normal', attachments = [] } = req.body;
 
     if (!recipientId || !content) {
       return res.status(400).json({
@@ -144,6 +166,14 @@ router.post('/', authenticate, clientOrLawyer, async (req, res) => {
       });
     }
 
+    const files = Array.isArray(attachments) ? senderAttachments(attachments, req.user._id) : null;
+    if (!files) {
+      return res.status(400).json({
+        success: false,
+        message: 'Attachments must be files you uploaded for messages'
+      });
+    }
+
     // Create message
     const message = new Message({
       sender: req.user._id,
@@ -151,7 +181,8 @@ router.post('/', authenticate, clientOrLawyer, async (req, res) => {
       content: content.trim(),
       messageType,
       relatedCase: relatedCase || null,
-      priority
+      priority,
+      attachments: files
     });
 
     await message.save();
@@ -411,7 +442,9 @@ router.post('/upload', authenticate, clientOrLawyer, fileService.getUploadMiddle
     }
 
     // Process file
-    const fileRecord = await fileService.processUploadedFile(req.file, req.user._id);
+    const fileRecord = await fileService.processUploadedFile(req.file, req.user._id, null, {
+      folder: attachmentFolder(req.user._id)
+    });
 
     res.json({
       success: true,
@@ -428,6 +461,75 @@ router.post('/upload', authenticate, clientOrLawyer, fileService.getUploadMiddle
   }
 });
 
+/**
+ * @route   GET /api/messages/:id/attachments/:attachmentId/download
+ * @desc    Download a message attachment
+ * @access  Private (sender and recipient)
+ */
+router.get('/:id/attachments/:attachmentId/download', authenticate, async (req, res) => {
+  try {
+    const message = await Message.findById(req.params.id);
+
+    if (!message || message.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    if (!message.sender.equals(req.user._id) && !message.recipient.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const attachment = message.attachments.id(req.params.attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    const stream = await fileService.openFile(attachment);
+
+    res.set({
+      'Content-Type': attachment.mimeType || 'application/octet-stream',
+      'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(attachment.originalName)}`
+    });
+
+    stream.on('error', (error) => {
+      console.error('Error streaming attachment:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    console.error('Error downloading attachment:', error);
+
+    if (error.code === STORAGE_NOT_FOUND) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment file is missing from storage'
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error downloading attachment'
+    });
+  }
+});
+
 /**
  * @route   PUT /api/messages/conversation/:userId/read-all
  * @desc    Mark all messages in conversation as read
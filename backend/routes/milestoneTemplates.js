@@ -0,0 +1,192 @@
+/**
+ * Milestone Template Routes
+ *
+ * Admin-managed milestone templates per case type. Lawyers apply them to
+ * cases through POST /api/cases/:id/milestones/from-template.
+ */
+
+const express = require('express');
+const MilestoneTemplate = require('../models/MilestoneTemplate');
+const milestoneService = require('../services/milestoneService');
+const { authenticate, lawyerOrAdmin, adminOnly } = require('../middleware/auth');
+
+const router = express.Router();
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation failed',
+  errors: Object.values(error.errors).map(e => e.message)
+});
+
+/**
+ * @route   GET /api/milestone-templates
+ * @desc    Active templates, optionally for one case type and sub-category
+ * @access  Private (Lawyer/Admin)
+ */
+router.get('/', authenticate, lawyerOrAdmin, async (req, res) => {
+  try {
+    const { caseType, subCategory } = req.query;
+
+    const templates = await milestoneService.getTemplates({ caseType, subCategory });
+
+    res.json({
+      success: true,
+      data: { templates }
+    });
+
+  } catch (error) {
+    console.error('Error fetching milestone templates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching milestone templates'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/milestone-templates
+ * @desc    Create a milestone template
+ * @access  Private (Admin only)
+ */
+router.post('/', authenticate, adminOnly, async (req, res) => {
+  try {
+    const { name, caseType, subCategory, description, milestones = [] } = req.body;
+
+    const template = await MilestoneTemplate.create({
+      name,
+      caseType,
+      subCategory: subCategory || null,
+      description,
+      milestones,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Milestone template created successfully',
+      data: { template }
+    });
+
+  } catch (error) {
+    console.error('Error creating milestone template:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating milestone template'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/milestone-templates/:id
+ * @desc    Get a milestone template
+ * @access  Private (Lawyer/Admin)
+ */
+router.get('/:id', authenticate, lawyerOrAdmin, async (req, res) => {
+  try {
+    const template = await MilestoneTemplate.findById(req.params.id)
+      .populate('createdBy', 'name');
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Milestone template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { template }
+    });
+
+  } catch (error) {
+    console.error('Error fetching milestone template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching milestone template'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/milestone-templates/:id
+ * @desc    Update a template (milestones are replaced as a whole). Cases
+ *          that already used it keep their milestones.
+ * @access  Private (Admin only)
+ */
+router.put('/:id', authenticate, adminOnly, async (req, res) => {
+  try {
+    const template = await MilestoneTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Milestone template not found'
+      });
+    }
+
+    const allowedUpdates = ['name', 'caseType', 'subCategory', 'description', 'milestones', 'isActive'];
+
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) {
+        template[field] = req.body[field];
+      }
+    });
+
+    await template.save();
+
+    res.json({
+      success: true,
+      message: 'Milestone template updated successfully',
+      data: { template }
+    });
+
+  } catch (error) {
+    console.error('Error updating milestone template:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating milestone template'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/milestone-templates/:id
+ * @desc    Delete a milestone template
+ * @access  Private (Admin only)
+ */
+router.delete('/:id', authenticate, adminOnly, async (req, res) => {
+  try {
+    const template = await MilestoneTemplate.findByIdAndDelete(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Milestone template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Milestone template deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting milestone template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting milestone template'
+    });
+  }
+});
+
+module.exports = router;
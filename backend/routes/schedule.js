@@ -0,0 +1,494 @@
+/**
+ * Hearing Schedule Routes
+ *
+ * Court resource management, capacity checks and hearing slot
+ * allocation backed by the hearing calendar service.
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const Case = require('../models/Case');
+const User = require('../models/User');
+const CourtResource = require('../models/CourtResource');
+const hearingCalendarService = require('../services/hearingCalendarService');
+const hearingConflictService = require('../services/hearingConflictService');
+const causeListService = require('../services/causeListService');
+const courtCalendarService = require('../services/courtCalendarService');
+const { authenticate, lawyerOrAdmin, adminOnly } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/schedule/resources
+ * @desc    List configured court resources
+ * @access  Private (Lawyer/Admin)
+ */
+router.get('/resources', authenticate, lawyerOrAdmin, async (req, res) => {
+  try {
+    const { courtName, resourceType, includeInactive } = req.query;
+
+    const filter = {};
+    if (courtName) filter.courtName = courtName;
+    if (resourceType) filter.resourceType = resourceType;
+    if (includeInactive !== 'true') filter.isActive = true;
+
+    const resources = await CourtResource.find(filter)
+      .sort({ courtName: 1, resourceType: 1, courtroom: 1, judge: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        resources,
+        defaults: hearingCalendarService.defaults
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching court resources:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching court resources'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/schedule/resources
+ * @desc    Create a court, courtroom or judge resource
+ * @access  Private (Admin only)
+ */
+router.post('/resources', authenticate, adminOnly, async (req, res) => {
+  try {
+    const {
+      resourceType,
+      courtName,
+      courtroom,
+      judge,
+      dailyCapacity,
+      sittingStart,
+      slotMinutes,
+      notes
+    } = req.body;
+
+    if (resourceType === 'courtroom' && !courtroom) {
+      return res.status(400).json({
+        success: false,
+        message: 'Courtroom is required for courtroom resources'
+      });
+    }
+
+    if (resourceType === 'judge' && !judge) {
+      return res.status(400).json({
+        success: false,
+        message: 'Judge is required for judge resources'
+      });
+    }
+
+    const resource = await CourtResource.create({
+      resourceType,
+      courtName,
+      courtroom: resourceType === 'courtroom' ? courtroom : null,
+      judge: resourceType === 'judge' ? judge : null,
+      dailyCapacity,
+      sittingStart,
+      slotMinutes,
+      notes
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Court resource created successfully',
+      data: { resource }
+    });
+
+  } catch (error) {
+    console.error('Error creating court resource:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'This court resource already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating court resource'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/schedule/resources/:id
+ * @desc    Update capacity or sitting hours of a court resource
+ * @access  Private (Admin only)
+ */
+router.put('/resources/:id', authenticate, adminOnly, async (req, res) => {
+  try {
+    const resource = await CourtResource.findById(req.params.id);
+
+    if (!resource) {
+      return res.status(404).json({
+        success: false,
+        message: 'Court resource not found'
+      });
+    }
+
+    const allowedUpdates = ['dailyCapacity', 'sittingStart', 'slotMinutes', 'isActive', 'notes'];
+
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) {
+        resource[field] = req.body[field];
+      }
+    });
+
+    await resource.save();
+
+    res.json({
+      success: true,
+      message: 'Court resource updated successfully',
+      data: { resource }
+    });
+
+  } catch (error) {
+    console.error('Error updating court resource:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating court resource'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/schedule/availability
+ * @desc    Check remaining capacity for a court/courtroom/judge on a day
+ * @access  Private (Lawyer/Admin)
+ */
+router.get('/availability', authenticate, lawyerOrAdmin, async (req, res) => {
+  try {
+    const { courtName, courtroom, judge, date } = req.query;
+
+    if (!courtName || !date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Court name and date are required'
+      });
+    }
+
+    const day = courtCalendarService.parseDay(date);
+    if (!day) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date'
+      });
+    }
+
+    const availability = await hearingCalendarService.checkAvailability(
+      { name: courtName, courtroom, judge },
+      day
+    );
+
+    res.json({
+      success: true,
+      data: { availability }
+    });
+
+  } catch (error) {
+    console.error('Error checking court availability:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking court availability'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/schedule/proposals
+ * @desc    Propose hearing slots for cases awaiting a date (nothing is saved)
+ * @access  Private (Lawyer/Admin)
+ */
+router.get('/proposals', authenticate, lawyerOrAdmin, async (req, res) => {
+  try {
+    const { from, days, courtName, limit = 50 } = req.query;
+
+    const fromDay = from ? courtCalendarService.parseDay(from) : undefined;
+    if (fromDay === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid from date'
+      });
+    }
+
+    const result = await hearingCalendarService.proposeSlots({
+      from: fromDay,
+      horizonDays: days ? parseInt(days) : undefined,
+      courtName,
+      // Lawyers only plan matters they lead or are on the team of
+      member: req.user.role === 'lawyer' ? req.user : undefined,
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error proposing hearing slots:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error proposing hearing slots'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/schedule/allocate
+ * @desc    Allocate hearing dates to waiting cases in priority order
+ * @access  Private (Admin only)
+ */
+router.post('/allocate', authenticate, adminOnly, async (req, res) => {
+  try {
+    const { caseIds, from, days, courtName, limit = 50 } = req.body;
+
+    const fromDay = from ? courtCalendarService.parseDay(from) : undefined;
+    if (fromDay === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid from date'
+      });
+    }
+
+    const result = await hearingCalendarService.allocateSlots({
+      caseIds,
+      from: fromDay,
+      horizonDays: days ? parseInt(days) : undefined,
+      courtName,
+      limit: parseInt(limit)
+    }, req.user._id);
+
+    res.json({
+      success: true,
+      message: `${result.allocated.length} hearing(s) allocated`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error allocating hearing slots:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error allocating hearing slots'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/schedule/conflicts
+ * @desc    List hearing clashes in a lawyer's upcoming diary
+ * @access  Private (Lawyer/Admin)
+ */
+router.get('/conflicts', authenticate, lawyerOrAdmin, async (req, res) => {
+  try {
+    const { lawyerId, from, to } = req.query;
+
+    // Lawyers only see their own diary
+    const targetLawyer = req.user.role === 'lawyer' ? req.user._id : lawyerId;
+
+    if (!targetLawyer) {
+      return res.status(400).json({
+        success: false,
+        message: 'Lawyer ID is required'
+      });
+    }
+
+    if (!mongoose.isValidObjectId(targetLawyer)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid lawyer ID'
+      });
+    }
+
+    const fromDay = from ? courtCalendarService.parseDay(from) : undefined;
+    const toDay = to ? courtCalendarService.parseDay(to) : undefined;
+    if (fromDay === null || toDay === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid from or to date'
+      });
+    }
+
+    const conflicts = await hearingConflictService.getLawyerConflicts(targetLawyer, {
+      from: fromDay,
+      // Hearings on the last day count
+      to: toDay && courtCalendarService.nextDay(toDay)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        conflicts,
+        summary: {
+          total: conflicts.length,
+          errors: conflicts.filter(c => c.severity === 'error').length,
+          warnings: conflicts.filter(c => c.severity === 'warning').length
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching hearing conflicts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching hearing conflicts'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/schedule/cause-list
+ * @desc    Daily cause list per court/courtroom (view=court) or for one
+ *          lawyer across courts (view=lawyer), as JSON, HTML or PDF
+ * @access  Private (Lawyer/Admin)
+ */
+router.get('/cause-list', authenticate, lawyerOrAdmin, async (req, res) => {
+  try {
+    const { date, view = 'court', format = 'json', courtName, courtroom, judge, lawyerId } = req.query;
+
+    const day = date ? courtCalendarService.parseDay(date) : courtCalendarService.parseDay(new Date());
+    if (!day) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date'
+      });
+    }
+
+    if (!['court', 'lawyer'].includes(view) || !['json', 'html', 'pdf'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'View must be court or lawyer, and format json, html or pdf'
+      });
+    }
+
+    let causeList;
+    if (view === 'lawyer') {
+      // Lawyers get their own list; admins pick the lawyer
+      const lawyer = req.user.role === 'lawyer'
+        ? req.user
+        : lawyerId && await User.findOne({ _id: lawyerId, role: 'lawyer' });
+
+      if (!lawyer) {
+        return res.status(400).json({
+          success: false,
+          message: 'A valid lawyer ID is required'
+        });
+      }
+
+      causeList = await causeListService.buildLawyerCauseList(day, lawyer);
+    } else {
+      causeList = await causeListService.buildCourtCauseLists(day, { courtName, courtroom, judge });
+    }
+
+    if (format === 'html') {
+      return res.type('html').send(causeListService.renderHTML(causeList));
+    }
+
+    if (format === 'pdf') {
+      const pdf = await causeListService.renderPDF(causeList);
+      const fileDate = courtCalendarService.dayKey(causeList.date);
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `inline; filename="cause-list-${view}-${fileDate}.pdf"`
+      });
+      return res.send(pdf);
+    }
+
+    res.json({
+      success: true,
+      data: { causeList }
+    });
+
+  } catch (error) {
+    console.error('Error generating cause list:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating cause list'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/schedule/cases/:id/slots
+ * @desc    Get the next available hearing slots for a case
+ * @access  Private (Lawyer/Admin)
+ */
+router.get('/cases/:id/slots', authenticate, lawyerOrAdmin, async (req, res) => {
+  try {
+    const { count = 5, from, days } = req.query;
+
+    const fromDay = from ? courtCalendarService.parseDay(from) : undefined;
+    if (fromDay === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid from date'
+      });
+    }
+
+    const caseDoc = await Case.findById(req.params.id);
+
+    if (!caseDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    // Check if lawyer is on this case's team
+    if (!caseDoc.can(req.user, 'work')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only schedule cases assigned to you'
+      });
+    }
+
+    const slots = await hearingCalendarService.findSlots(caseDoc, {
+      count: Math.min(parseInt(count), 20),
+      from: fromDay,
+      horizonDays: days ? parseInt(days) : undefined
+    });
+
+    res.json({
+      success: true,
+      data: {
+        caseId: caseDoc._id,
+        court: caseDoc.court,
+        slots
+      }
+    });
+
+  } catch (error) {
+    console.error('Error finding hearing slots:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error finding hearing slots'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,95 @@
+/**
+ * Search Routes
+ *
+ * Full-text search over case documents (see searchService)
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const searchService = require('../services/searchService');
+const jobQueueService = require('../services/jobQueueService');
+const { authenticate, adminOnly } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/search/documents
+ * @desc    Search document text in the cases you can see, best match first.
+ *          ?q= (words, "exact phrases", -excluded), caseId, documentType,
+ *          uploadedBy, from, to (upload date), page, limit (max 50)
+ * @access  Private
+ */
+router.get('/documents', authenticate, async (req, res) => {
+  try {
+    const { q, caseId, uploadedBy } = req.query;
+
+    if (!q || q.trim().length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search query (q) of at least 2 characters is required'
+      });
+    }
+
+    if ((caseId && !mongoose.isValidObjectId(caseId)) || (uploadedBy && !mongoose.isValidObjectId(uploadedBy))) {
+      return res.status(400).json({
+        success: false,
+        message: 'caseId and uploadedBy must be valid ids'
+      });
+    }
+
+    const { results, total, page, limit } = await searchService.searchDocuments(req.user, {
+      ...req.query,
+      q: q.trim()
+    });
+
+    res.json({
+      success: true,
+      data: {
+        results,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error searching documents:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error searching documents'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/search/reindex
+ * @desc    Rebuild the document index in the background, extracting text
+ *          for documents uploaded before text was stored
+ * @access  Private (Admin)
+ */
+router.post('/reindex', authenticate, adminOnly, async (req, res) => {
+  try {
+    const job = await jobQueueService.enqueue('documents.reindex', {}, {
+      uniqueKey: 'documents.reindex',
+      createdBy: req.user._id
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Document reindex queued',
+      data: { jobId: job?._id }
+    });
+
+  } catch (error) {
+    console.error('Error queueing document reindex:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error queueing document reindex'
+    });
+  }
+});
+
+module.exports = router;
@@ -137,13 +137,8 @@ router.get('/:id/cases', authenticate, async (req, res) => {
       });
     }
 
-    // Build filter based on user role
-    let filter = {};
-    if (user.role === 'client') {
-      filter.client = user._id;
-    } else if (user.role === 'lawyer') {
-      filter.assignedLawyer = user._id;
-    }
+    // The cases they can open through /api/cases, team memberships included
+    const filter = { ...Case.memberFilter(user) };
 
     if (status) {
       filter.status = status;
@@ -161,7 +156,7 @@ router.get('/:id/cases', authenticate, async (req, res) => {
     res.json({
       success: true,
       data: {
-        cases,
+        cases: cases.map(c => c.visibleTo(req.user)),
         pagination: {
           current: parseInt(page),
           pages: Math.ceil(total / limit),
@@ -272,6 +267,48 @@ router.put('/:id/verify', authenticate, adminOnly, async (req, res) => {
   }
 });
 
+/**
+ * @route   PUT /api/users/:id/capacity
+ * @desc    Set a lawyer's weighted workload capacity (null for the default)
+ * @access  Private (Admin only)
+ */
+router.put('/:id/capacity', authenticate, adminOnly, async (req, res) => {
+  try {
+    const { workloadCapacity } = req.body;
+
+    if (workloadCapacity !== null && !(typeof workloadCapacity === 'number' && workloadCapacity >= 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'workloadCapacity must be a number of at least 1, or null'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user || user.role !== 'lawyer') {
+      return res.status(404).json({
+        success: false,
+        message: 'Lawyer not found'
+      });
+    }
+
+    user.workloadCapacity = workloadCapacity;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Workload capacity updated successfully',
+      data: { user: user.getPublicProfile() }
+    });
+
+  } catch (error) {
+    console.error('Error updating workload capacity:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating workload capacity'
+    });
+  }
+});
+
 /**
  * @route   GET /api/users/stats/overview
  * @desc    Get user statistics overview
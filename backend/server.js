@@ -26,9 +26,19 @@ const userRoutes = require('./routes/users');
 const adminRoutes = require('./routes/admin');
 const messageRoutes = require('./routes/messages');
 const demoRoutes = require('./routes/demo');
+const scheduleRoutes = require('./routes/schedule');
+const deadlineRoutes = require('./routes/deadlines');
+const calendarRoutes = require('./routes/calendars');
+const milestoneTemplateRoutes = require('./routes/milestoneTemplates');
+const searchRoutes = require('./routes/search');
 
 // Import services
 const aiSchedulerService = require('./services/aiSchedulerService');
+const jobQueueService = require('./services/jobQueueService');
+const courtCalendarService = require('./services/courtCalendarService');
+const deadlineService = require('./services/deadlineService');
+const milestoneService = require('./services/milestoneService');
+const documentTextService = require('./services/documentTextService');
 
 // Initialize Express app
 const app = express();
@@ -73,6 +83,11 @@ app.use('/api/cases', caseRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/messages', messageRoutes);
+app.use('/api/schedule', scheduleRoutes);
+app.use('/api/deadlines', deadlineRoutes);
+app.use('/api/calendars', calendarRoutes);
+app.use('/api/milestone-templates', milestoneTemplateRoutes);
+app.use('/api/search', searchRoutes);
 
 // Demo routes (when database is not available)
 app.use('/api/demo', demoRoutes);
@@ -156,6 +171,18 @@ app.use('*', (req, res) => {
 // Start AI scheduler service (runs case prioritization periodically)
 aiSchedulerService.initializeScheduler();
 
+// Load court holiday calendars used for working-day calculations
+courtCalendarService.start();
+
+// Daily check for milestones that have passed their due date
+milestoneService.start();
+
+// Start background job worker (AI analysis and other queued work)
+deadlineService.registerJobHandlers();
+milestoneService.registerJobHandlers();
+documentTextService.registerJobHandlers();
+jobQueueService.start();
+
 // Start server
 const PORT = process.env.PORT || 5001;
 server.listen(PORT, () => {
@@ -167,6 +194,9 @@ server.listen(PORT, () => {
 // Graceful shutdown handling
 process.on('SIGTERM', () => {
   console.log('SIGTERM received. Shutting down gracefully...');
+  jobQueueService.stop();
+  courtCalendarService.stop();
+  milestoneService.stop();
   server.close(() => {
     console.log('Process terminated');
   });
@@ -0,0 +1,251 @@
+/**
+ * Heuristic Provider
+ *
+ * Deterministic, rule-based case scorer. Needs no network or model, so
+ * it keeps prioritisation working in air-gapped deployments, when the
+ * LLM is unreachable, and in tests. The same case data always produces
+ * the same score.
+ */
+
+const COURT_LEVEL_POINTS = {
+  'Supreme Court': 10,
+  'High Court': 7,
+  'Tribunal': 5,
+  'District': 3,
+  'Other': 2
+};
+
+// Typical days to disposal by forum, used as the duration baseline
+const COURT_LEVEL_DURATION = {
+  'Supreme Court': 720,
+  'High Court': 540,
+  'Tribunal': 270,
+  'District': 365,
+  'Other': 300
+};
+
+// Matters where liberty, family welfare or fundamental rights are at stake
+const CASE_TYPE_POINTS = {
+  'Criminal': 6,
+  'Constitutional': 5,
+  'Family': 4,
+  'Immigration': 4,
+  'Labor': 2
+};
+
+const CASE_TYPE_COMPLEXITY = {
+  'Constitutional': 25,
+  'Intellectual Property': 20,
+  'Corporate': 20,
+  'Tax': 18,
+  'Environmental': 18,
+  'Banking': 15,
+  'Criminal': 15,
+  'Property': 12,
+  'Insurance': 10,
+  'Civil': 10,
+  'Labor': 8,
+  'Family': 8,
+  'Immigration': 8,
+  'Consumer Protection': 5,
+  'Other': 10
+};
+
+// Case.caseType -> User.specialization
+const SPECIALIZATION_FOR_TYPE = {
+  'Criminal': 'Criminal Law',
+  'Civil': 'Civil Law',
+  'Corporate': 'Corporate Law',
+  'Family': 'Family Law',
+  'Property': 'Property Law',
+  'Labor': 'Labor Law',
+  'Tax': 'Tax Law',
+  'Constitutional': 'Constitutional Law',
+  'Environmental': 'Environmental Law',
+  'Intellectual Property': 'Intellectual Property'
+};
+
+class HeuristicProvider {
+  constructor() {
+    this.name = 'heuristic';
+    this.model = 'rules-v1';
+  }
+
+  /**
+   * Points for how close the next deadline is
+   */
+  scoreDeadline(daysUntilDeadline) {
+    if (daysUntilDeadline === null || daysUntilDeadline === undefined) return null;
+    if (daysUntilDeadline < 0) return { points: 30, detail: `Deadline passed ${Math.abs(daysUntilDeadline)} days ago` };
+    if (daysUntilDeadline <= 7) return { points: 28, detail: `Deadline in ${daysUntilDeadline} days` };
+    if (daysUntilDeadline <= 30) return { points: 18, detail: `Deadline in ${daysUntilDeadline} days` };
+    if (daysUntilDeadline <= 90) return { points: 8, detail: `Deadline in ${daysUntilDeadline} days` };
+    return null;
+  }
+
+  /**
+   * Points for how close the next hearing is
+   */
+  scoreHearing(daysUntilHearing) {
+    if (daysUntilHearing === null || daysUntilHearing === undefined || daysUntilHearing < 0) return null;
+    if (daysUntilHearing <= 7) return { points: 12, detail: `Hearing in ${daysUntilHearing} days` };
+    if (daysUntilHearing <= 30) return { points: 6, detail: `Hearing in ${daysUntilHearing} days` };
+    return null;
+  }
+
+  scoreValue(estimatedValue = 0) {
+    if (estimatedValue >= 10000000) return { points: 10, detail: 'Claim value of ₹1 crore or more' };
+    if (estimatedValue >= 1000000) return { points: 6, detail: 'Claim value of ₹10 lakh or more' };
+    if (estimatedValue >= 100000) return { points: 3, detail: 'Claim value of ₹1 lakh or more' };
+    return null;
+  }
+
+  scoreAge(caseAge = 0) {
+    if (caseAge >= 3 * 365) return { points: 8, detail: `Pending for ${Math.floor(caseAge / 365)} years` };
+    if (caseAge >= 365) return { points: 5, detail: 'Pending for over a year' };
+    if (caseAge >= 180) return { points: 2, detail: 'Pending for over six months' };
+    return null;
+  }
+
+  /**
+   * Score a case from its prepared analysis data
+   * @param {Object} caseData - Output of AISchedulerService.prepareCaseDataForAI
+   */
+  score(caseData) {
+    const factors = [{ name: 'baseline', points: 20, detail: 'Base score for an active case' }];
+    const addFactor = (name, result) => {
+      if (result) factors.push({ name, ...result });
+    };
+
+    addFactor('deadline', this.scoreDeadline(caseData.daysUntilDeadline));
+    addFactor('hearing', this.scoreHearing(caseData.daysUntilHearing));
+
+    if (caseData.isDelayed && caseData.currentDelayDays > 0) {
+      addFactor('delay', {
+        points: Math.min(20, Math.ceil(caseData.currentDelayDays / 9)),
+        detail: `Delayed by ${caseData.currentDelayDays} days`
+      });
+    }
+
+    // Repeated adjournments: the matter keeps slipping and needs attention
+    if (caseData.adjournmentCount > 0) {
+      addFactor('adjournments', {
+        points: Math.min(12, caseData.adjournmentCount * 3),
+        detail: `Adjourned ${caseData.adjournmentCount} time${caseData.adjournmentCount > 1 ? 's' : ''}`
+      });
+    }
+
+    // Missed milestones: work on the file is falling behind
+    if (caseData.overdueMilestones > 0) {
+      addFactor('overdueMilestones', {
+        points: Math.min(10, caseData.overdueMilestones * 4),
+        detail: `${caseData.overdueMilestones} milestone${caseData.overdueMilestones > 1 ? 's' : ''} overdue`
+      });
+    }
+
+    // An appeal: a decision is already in force against someone
+    const appealOf = (caseData.linkedCases || []).find(link => link.relation === 'appeal_of');
+    if (appealOf) {
+      addFactor('appeal', {
+        points: 6,
+        detail: `Appeal from ${appealOf.caseNumber}${appealOf.outcome && appealOf.outcome !== 'pending' ? ` (${appealOf.outcome})` : ''}`
+      });
+    }
+
+    addFactor('courtLevel', COURT_LEVEL_POINTS[caseData.courtLevel] && {
+      points: COURT_LEVEL_POINTS[caseData.courtLevel],
+      detail: `${caseData.courtLevel} matter`
+    });
+    addFactor('estimatedValue', this.scoreValue(caseData.estimatedValue));
+    addFactor('caseAge', this.scoreAge(caseData.caseAge));
+    addFactor('caseType', CASE_TYPE_POINTS[caseData.caseType] && {
+      points: CASE_TYPE_POINTS[caseData.caseType],
+      detail: `${caseData.caseType} matters are time-sensitive`
+    });
+
+    const priorityScore = Math.max(0, Math.min(100, factors.reduce((sum, f) => sum + f.points, 0)));
+
+    // Complexity: forum, subject matter, stakes and volume of paperwork
+    const complexityScore = Math.max(0, Math.min(100,
+      25 +
+      (COURT_LEVEL_POINTS[caseData.courtLevel] || 2) * 2 +
+      (CASE_TYPE_COMPLEXITY[caseData.caseType] || 10) +
+      (this.scoreValue(caseData.estimatedValue)?.points || 0) +
+      Math.min(10, caseData.documentCount || 0) +
+      // Connected and consolidated matters have to be run together
+      Math.min(10, (caseData.linkedCases || [])
+        .filter(link => ['connected', 'consolidated_from'].includes(link.relation)).length * 3)
+    ));
+
+    const baseDuration = COURT_LEVEL_DURATION[caseData.courtLevel] || 300;
+    const estimatedDuration = Math.round(baseDuration * (0.75 + complexityScore / 200));
+
+    // Success: lawyer experience and whether their practice area fits the matter
+    const specialization = SPECIALIZATION_FOR_TYPE[caseData.caseType];
+    const isSpecialist = specialization && (caseData.lawyerSpecialization || []).includes(specialization);
+    const successProbability = Math.max(10, Math.min(90,
+      45 +
+      Math.min(20, (caseData.lawyerExperience || 0) * 2) +
+      (isSpecialist ? 10 : 0) -
+      (caseData.isDelayed ? 5 : 0)
+    ));
+
+    const urgencyFactors = factors
+      .filter(f => f.name !== 'baseline' && f.points >= 5)
+      .map(f => f.detail);
+
+    const delayRiskFactors = [];
+    if (caseData.isDelayed) delayRiskFactors.push('Case is already behind schedule');
+    if (caseData.adjournmentCount >= 3) {
+      delayRiskFactors.push(caseData.lastAdjournmentReason
+        ? `Frequent adjournments (last: ${caseData.lastAdjournmentReason})`
+        : 'Frequent adjournments');
+    }
+    if (caseData.daysUntilHearing === null) delayRiskFactors.push('No hearing date fixed');
+    if (caseData.overdueMilestones > 0) {
+      delayRiskFactors.push(`${caseData.overdueMilestones} overdue milestone${caseData.overdueMilestones > 1 ? 's' : ''}`);
+    }
+    if (caseData.milestonesCount > 0 && caseData.completedMilestones < caseData.milestonesCount / 2) {
+      delayRiskFactors.push('Less than half of the milestones completed');
+    }
+    if (!caseData.lawyerExperience) delayRiskFactors.push('No experienced counsel assigned');
+    if (['High Court', 'Supreme Court'].includes(caseData.courtLevel)) {
+      delayRiskFactors.push(`${caseData.courtLevel} listing backlog`);
+    }
+
+    const topFactors = factors
+      .filter(f => f.name !== 'baseline')
+      .sort((a, b) => b.points - a.points)
+      .slice(0, 3)
+      .map(f => f.detail.toLowerCase());
+
+    return {
+      priorityScore,
+      complexityScore,
+      urgencyFactors,
+      delayRiskFactors,
+      estimatedDuration,
+      successProbability,
+      similarCasesCount: 0,
+      factors,
+      reasoning: topFactors.length > 0
+        ? `Rule-based score driven by: ${topFactors.join('; ')}`
+        : 'Rule-based score: no urgent factors found'
+    };
+  }
+
+  /**
+   * Same contract as the LLM providers: returns the analysis as JSON text
+   */
+  async generateAnalysis({ caseData }) {
+    return {
+      content: JSON.stringify(this.score(caseData)),
+      provider: this.name,
+      model: this.model
+    };
+  }
+}
+
+HeuristicProvider.SPECIALIZATION_FOR_TYPE = SPECIALIZATION_FOR_TYPE;
+
+module.exports = HeuristicProvider;
@@ -0,0 +1,74 @@
+/**
+ * AI Provider Factory
+ *
+ * Picks the model backend used by the AI scheduler. Every provider
+ * implements generateAnalysis({ system, prompt, caseData }) and returns
+ * { content, provider, model }, where content is the analysis JSON text.
+ *
+ * AI_PROVIDER=openai     OpenAI API (OPENAI_API_KEY, OPENAI_MODEL)
+ * AI_PROVIDER=local      OpenAI-compatible endpoint (LOCAL_AI_BASE_URL, LOCAL_AI_MODEL)
+ * AI_PROVIDER=heuristic  Offline rule-based scorer
+ */
+
+const OpenAIProvider = require('./openAIProvider');
+const HeuristicProvider = require('./heuristicProvider');
+
+const PROVIDERS = ['openai', 'local', 'heuristic'];
+
+/**
+ * Build a provider by name
+ * @param {String} name - One of PROVIDERS
+ */
+const createAIProvider = (name) => {
+  switch (name) {
+    case 'openai':
+      return new OpenAIProvider({
+        name: 'openai',
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo'
+      });
+
+    case 'local':
+      if (!process.env.LOCAL_AI_BASE_URL) {
+        throw new Error('LOCAL_AI_BASE_URL is required for the local AI provider');
+      }
+
+      return new OpenAIProvider({
+        name: 'local',
+        baseURL: process.env.LOCAL_AI_BASE_URL,
+        // Most local servers ignore the key but the SDK insists on one
+        apiKey: process.env.LOCAL_AI_API_KEY || 'not-needed',
+        model: process.env.LOCAL_AI_MODEL || 'llama3'
+      });
+
+    case 'heuristic':
+      return new HeuristicProvider();
+
+    default:
+      throw new Error(`Unknown AI provider "${name}". Use one of: ${PROVIDERS.join(', ')}`);
+  }
+};
+
+/**
+ * Provider configured for this deployment.
+ * Without AI_PROVIDER we use OpenAI when a key is present, otherwise the rules.
+ */
+const getConfiguredProvider = () => {
+  const name = process.env.AI_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'heuristic');
+  return createAIProvider(name);
+};
+
+/**
+ * Provider to fall back to when the primary one fails (null to disable)
+ */
+const getFallbackProvider = () => {
+  const name = process.env.AI_FALLBACK_PROVIDER || 'heuristic';
+  return name === 'none' ? null : createAIProvider(name);
+};
+
+module.exports = {
+  PROVIDERS,
+  createAIProvider,
+  getConfiguredProvider,
+  getFallbackProvider
+};
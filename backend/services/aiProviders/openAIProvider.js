@@ -0,0 +1,68 @@
+/**
+ * OpenAI Provider
+ *
+ * Sends the analysis prompt to OpenAI, or to any server that speaks the
+ * OpenAI chat completions API (Ollama, vLLM, LM Studio, llama.cpp...)
+ * when a baseURL is given.
+ */
+
+const OpenAI = require('openai');
+
+class OpenAIProvider {
+  /**
+   * @param {Object} options - name, apiKey, baseURL, model, temperature, maxTokens
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'openai';
+    this.model = options.model || 'gpt-3.5-turbo';
+    this.apiKey = options.apiKey;
+    this.baseURL = options.baseURL;
+    this.temperature = options.temperature ?? 0.3;
+    this.maxTokens = options.maxTokens || 1000;
+    this.client = null;
+  }
+
+  /**
+   * Create the SDK client on first use so a missing key does not
+   * crash the server at startup
+   */
+  getClient() {
+    if (!this.client) {
+      if (!this.apiKey) {
+        throw new Error(`No API key configured for AI provider "${this.name}"`);
+      }
+
+      this.client = new OpenAI({
+        apiKey: this.apiKey,
+        ...(this.baseURL && { baseURL: this.baseURL })
+      });
+    }
+
+    return this.client;
+  }
+
+  /**
+   * Run the analysis prompt
+   * @param {Object} request - system, prompt
+   * @returns {Object} content (raw model output), provider, model
+   */
+  async generateAnalysis({ system, prompt }) {
+    const response = await this.getClient().chat.completions.create({
+      model: this.model,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt }
+      ],
+      temperature: this.temperature,
+      max_tokens: this.maxTokens
+    });
+
+    return {
+      content: response.choices[0].message.content,
+      provider: this.name,
+      model: this.model
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
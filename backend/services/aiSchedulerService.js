@@ -10,21 +10,46 @@
  * Fun fact: GPT-4 is surprisingly good at understanding legal context!
  */
 
-const OpenAI = require('openai');
 const cron = require('node-cron');
 const Case = require('../models/Case');
 const User = require('../models/User');
-
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const CaseAnalysis = require('../models/CaseAnalysis');
+const hearingCalendarService = require('./hearingCalendarService');
+const lawyerMatchingService = require('./lawyerMatchingService');
+const workloadService = require('./workloadService');
+const caseLinkService = require('./caseLinkService');
+const jobQueueService = require('./jobQueueService');
+const auditService = require('./auditService');
+const { getConfiguredProvider, getFallbackProvider } = require('./aiProviders');
+
+// Bump whenever buildAnalysisPrompt/getSystemPrompt change meaningfully,
+// so analysis history shows which prompt produced each score
+const PROMPT_VERSION = 'case-analysis-v5';
+
+const CLOSED_STATUSES = ['completed', 'dismissed', 'settled'];
+
+// Sweep order: cases edited since their last analysis first, then cases
+// whose analysis is simply old. Each phase is walked oldest first.
+const SWEEP_PHASES = [
+  { name: 'dirty', sortField: 'analysisState.dirtiedAt' },
+  { name: 'stale', sortField: 'aiAnalysis.lastAnalyzed' }
+];
 
 class AISchedulerService {
   constructor() {
     this.isProcessing = false;
     this.lastRunTime = null;
     this.processedCases = new Set();
+    this.lastRunStats = null;
+
+    // Sweep sizing: cases fetched per page, and the most one run will analyze
+    this.analysisPageSize = parseInt(process.env.AI_ANALYSIS_PAGE_SIZE) || 20;
+    this.maxCasesPerRun = parseInt(process.env.AI_ANALYSIS_MAX_CASES_PER_RUN) || 200;
+    this.staleAfterHours = parseInt(process.env.AI_ANALYSIS_STALE_HOURS) || 24;
+
+    // Model backend (OpenAI, local OpenAI-compatible server, or offline rules)
+    this.provider = getConfiguredProvider();
+    this.fallbackProvider = getFallbackProvider();
   }
 
   /**
@@ -43,123 +68,328 @@ class AISchedulerService {
       this.runComprehensiveAnalysis();
     });
     
+    this.registerJobHandlers();
+
     console.log('✅ AI Scheduler initialized with cron jobs');
     // TODO: add monitoring for failed cron jobs
   }
 
   /**
-   * Run scheduler analysis for new/updated cases
+   * Background jobs handled by the scheduler (see jobQueueService)
+   */
+  registerJobHandlers() {
+    // One case at a time per worker keeps us well inside provider rate limits
+    jobQueueService.registerHandler('case.analyze', async ({ caseId }) => {
+      const caseDoc = await this.loadCaseForAnalysis(caseId);
+
+      // Deleted since it was queued - nothing to retry
+      if (!caseDoc) {
+        return { skipped: 'Case not found' };
+      }
+
+      const analysis = await this.performCaseAnalysis(caseDoc);
+      return { priorityScore: analysis.priorityScore, provider: analysis.provider };
+    }, { maxAttempts: 5, concurrency: 1 });
+
+    jobQueueService.registerHandler('scheduler.analyzeAll', async () => {
+      const stats = await this.runSchedulerAnalysis();
+
+      // Another sweep (usually the hourly cron) had it covered
+      if (stats.skipped) return stats;
+      if (stats.error) throw new Error(stats.error);
+
+      return stats;
+    }, { maxAttempts: 3, concurrency: 1 });
+  }
+
+  /**
+   * Queue an analysis of one case. Repeated requests while one is still
+   * waiting collapse into a single job.
+   * @returns {Object|null} the job, or null if it could not be queued
+   */
+  async queueCaseAnalysis(caseId, requestedBy = null) {
+    try {
+      return await jobQueueService.enqueue('case.analyze', { caseId: caseId.toString() }, {
+        uniqueKey: `case.analyze:${caseId}`,
+        delayMs: 1000,
+        createdBy: requestedBy
+      });
+    } catch (error) {
+      console.error(`Error queueing analysis for case ${caseId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Run scheduler analysis for new/updated cases.
+   * Walks the whole backlog page by page (oldest first) up to maxCasesPerRun,
+   * so a large backlog is worked down across runs instead of the same
+   * handful of cases being picked every hour.
+   * @returns {Object} the run's stats, or { skipped } if a sweep was already running
    */
   async runSchedulerAnalysis() {
     if (this.isProcessing) {
       console.log('⏳ Scheduler already processing, skipping...');
-      return;
+      return { skipped: 'A scheduler sweep is already running' };
     }
 
+    const stats = { startedAt: new Date(), analyzed: 0, failed: 0, budget: this.maxCasesPerRun };
+
     try {
       this.isProcessing = true;
       console.log('🔄 Running AI scheduler analysis...');
 
-      // Get cases that need analysis
-      const casesToAnalyze = await this.getCasesForAnalysis();
-      
-      if (casesToAnalyze.length === 0) {
-        console.log('✅ No cases need analysis');
-        return;
-      }
-
-      console.log(`📊 Analyzing ${casesToAnalyze.length} cases...`);
+      // Return expired manual priorities to the AI before re-scoring
+      await this.expirePriorityOverrides();
 
-      // Process cases in batches to avoid API rate limits
       const batchSize = 5;
-      for (let i = 0; i < casesToAnalyze.length; i += batchSize) {
-        const batch = casesToAnalyze.slice(i, i + batchSize);
-        await this.processCaseBatch(batch);
-        
-        // Small delay between batches
-        if (i + batchSize < casesToAnalyze.length) {
-          await this.delay(2000);
+      let remaining = this.maxCasesPerRun;
+
+      for (const phase of SWEEP_PHASES) {
+        let cursor = null;
+
+        while (remaining > 0) {
+          const page = await this.getCasesForAnalysis(phase, cursor, Math.min(this.analysisPageSize, remaining));
+          if (page.length === 0) break;
+
+          // Take the cursor before analyzing: analysis moves lastAnalyzed forward
+          const last = page[page.length - 1];
+          cursor = { value: last.get(phase.sortField), id: last._id };
+          remaining -= page.length;
+
+          console.log(`📊 Analyzing ${page.length} ${phase.name} cases...`);
+
+          // Process cases in batches to avoid API rate limits
+          for (let i = 0; i < page.length; i += batchSize) {
+            const result = await this.processCaseBatch(page.slice(i, i + batchSize));
+            stats.analyzed += result.succeeded;
+            stats.failed += result.failed;
+
+            // Small delay between batches
+            if (remaining > 0 || i + batchSize < page.length) {
+              await this.delay(2000);
+            }
+          }
+
+          if (page.length < this.analysisPageSize) break;
         }
       }
 
       this.lastRunTime = new Date();
-      console.log('✅ Scheduler analysis completed');
+
+      if (stats.analyzed + stats.failed === 0) {
+        console.log('✅ No cases need analysis');
+      } else {
+        console.log(`✅ Scheduler analysis completed - ${stats.analyzed} analyzed, ${stats.failed} failed`);
+      }
 
     } catch (error) {
       console.error('❌ Error in scheduler analysis:', error);
+      stats.error = error.message;
     } finally {
+      stats.completedAt = new Date();
+      stats.budgetExhausted = stats.analyzed + stats.failed >= this.maxCasesPerRun;
+      this.lastRunStats = stats;
       this.isProcessing = false;
     }
+
+    return stats;
   }
 
   /**
-   * Get cases that need AI analysis
+   * Lift manual priority overrides whose expiry has passed
    */
-  async getCasesForAnalysis() {
-    const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-    
-    return await Case.find({
-      $or: [
-        // New cases never analyzed
-        { 'aiAnalysis.lastAnalyzed': { $exists: false } },
-        
-        // Cases not analyzed in last 24 hours
-        { 'aiAnalysis.lastAnalyzed': { $lt: oneDayAgo } },
-        
-        // Cases with status changes
-        { 
-          status: { $in: ['assigned', 'in_progress', 'awaiting_hearing'] },
-          'aiAnalysis.lastAnalyzed': { $lt: '$updatedAt' }
-        }
-      ],
-      status: { $nin: ['completed', 'dismissed', 'settled'] }
-    })
-    .populate('client', 'name email role')
-    .populate('assignedLawyer', 'name experience specialization')
-    .limit(20); // Limit to prevent overwhelming the API
+  async expirePriorityOverrides() {
+    const expired = await Case.find({
+      'priorityOverride.isActive': true,
+      'priorityOverride.expiresAt': { $lte: new Date() }
+    });
+
+    for (const caseDoc of expired) {
+      caseDoc.clearPriorityOverride(null, 'expired');
+      caseDoc.notes.push({
+        content: `Manual priority override expired; priority restored to AI score ${caseDoc.priorityScore}/100`,
+        createdBy: null,
+        category: 'general'
+      });
+      await caseDoc.auditAs(auditService.systemContext(), 'priority_override_expired').save();
+    }
+
+    if (expired.length > 0) {
+      console.log(`⌛ ${expired.length} priority override(s) expired`);
+    }
+  }
+
+  /**
+   * Filter for one sweep phase. Cases without analysisState predate dirty
+   * tracking and count as dirty.
+   */
+  buildBacklogFilter(phaseName) {
+    const filter = { status: { $nin: CLOSED_STATUSES } };
+
+    if (phaseName === 'dirty') {
+      filter['analysisState.needsAnalysis'] = { $ne: false };
+    } else {
+      filter['analysisState.needsAnalysis'] = false;
+      filter['aiAnalysis.lastAnalyzed'] = {
+        $lt: new Date(Date.now() - this.staleAfterHours * 60 * 60 * 1000)
+      };
+    }
+
+    return filter;
+  }
+
+  /**
+   * Get one page of cases that need AI analysis, oldest first
+   * @param {Object} phase - Entry of SWEEP_PHASES
+   * @param {Object} cursor - { value, id } of the last case of the previous page
+   * @param {Number} limit - Page size
+   */
+  async getCasesForAnalysis(phase = SWEEP_PHASES[0], cursor = null, limit = this.analysisPageSize) {
+    const { sortField } = phase;
+    const filter = this.buildBacklogFilter(phase.name);
+
+    // Keyset pagination on (sortField, _id); missing values sort first
+    if (cursor) {
+      filter.$or = cursor.value === null || cursor.value === undefined
+        ? [
+          { [sortField]: null, _id: { $gt: cursor.id } },
+          { [sortField]: { $ne: null } }
+        ]
+        : [
+          { [sortField]: { $gt: cursor.value } },
+          { [sortField]: cursor.value, _id: { $gt: cursor.id } }
+        ];
+    }
+
+    return await Case.find(filter)
+      .sort({ [sortField]: 1, _id: 1 })
+      .limit(limit)
+      .populate('client', 'name email role')
+      .populate('assignedLawyer', 'name experience specialization');
+  }
+
+  /**
+   * Size and age of the analysis backlog, for monitoring
+   */
+  async getAnalysisBacklogMetrics() {
+    const dirtyFilter = this.buildBacklogFilter('dirty');
+
+    const [dirty, stale, oldestDirty, oldestStale, byField] = await Promise.all([
+      Case.countDocuments(dirtyFilter),
+      Case.countDocuments(this.buildBacklogFilter('stale')),
+      Case.findOne(dirtyFilter).sort({ 'analysisState.dirtiedAt': 1, _id: 1 })
+        .select('caseNumber analysisState.dirtiedAt'),
+      Case.findOne(this.buildBacklogFilter('stale')).sort({ 'aiAnalysis.lastAnalyzed': 1, _id: 1 })
+        .select('caseNumber aiAnalysis.lastAnalyzed'),
+      Case.aggregate([
+        { $match: dirtyFilter },
+        { $unwind: '$analysisState.dirtyFields' },
+        { $group: { _id: '$analysisState.dirtyFields', count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+      ])
+    ]);
+
+    const ageMinutes = (date) => date ? Math.round((Date.now() - new Date(date).getTime()) / 60000) : null;
+    const oldestDirtyAt = oldestDirty?.analysisState?.dirtiedAt || null;
+    const oldestStaleAt = oldestStale?.aiAnalysis?.lastAnalyzed || null;
+
+    return {
+      total: dirty + stale,
+      dirty,
+      stale,
+      oldestDirty: oldestDirty && {
+        caseNumber: oldestDirty.caseNumber,
+        since: oldestDirtyAt,
+        ageMinutes: ageMinutes(oldestDirtyAt)
+      },
+      oldestStale: oldestStale && {
+        caseNumber: oldestStale.caseNumber,
+        lastAnalyzed: oldestStaleAt,
+        ageMinutes: ageMinutes(oldestStaleAt)
+      },
+      dirtyFields: byField.reduce((acc, f) => ({ ...acc, [f._id]: f.count }), {}),
+      // Runs needed to clear the current backlog at the configured budget
+      estimatedRunsToClear: Math.ceil((dirty + stale) / this.maxCasesPerRun),
+      settings: {
+        pageSize: this.analysisPageSize,
+        maxCasesPerRun: this.maxCasesPerRun,
+        staleAfterHours: this.staleAfterHours
+      },
+      isProcessing: this.isProcessing,
+      lastRun: this.lastRunStats
+    };
   }
 
   /**
    * Process a batch of cases for AI analysis
+   * @returns {Object} succeeded/failed counts
    */
   async processCaseBatch(cases) {
-    const promises = cases.map(caseDoc => this.analyzeSingleCase(caseDoc));
-    await Promise.allSettled(promises);
+    const results = await Promise.allSettled(cases.map(caseDoc => this.performCaseAnalysis(caseDoc)));
+
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        console.error(`❌ Error analyzing case ${cases[i].caseNumber}:`, result.reason);
+      }
+    });
+
+    const failed = results.filter(r => r.status === 'rejected').length;
+    return { succeeded: results.length - failed, failed };
   }
 
   /**
-   * Analyze a single case using AI
+   * Analyze a single case using AI, logging (not throwing) failures
    */
   async analyzeSingleCase(caseDoc) {
     try {
-      console.log(`🔍 Analyzing case: ${caseDoc.caseNumber}`);
-
-      // Prepare case data for AI analysis
-      const caseData = this.prepareCaseDataForAI(caseDoc);
-      
-      // Get AI analysis
-      const aiResponse = await this.getAIAnalysis(caseData);
-      
-      // Parse and apply AI recommendations
-      const analysis = this.parseAIResponse(aiResponse);
-      
-      // Update case with AI analysis
-      await this.updateCaseWithAIAnalysis(caseDoc, analysis);
-      
-      console.log(`✅ Case ${caseDoc.caseNumber} analyzed - Priority: ${analysis.priorityScore}`);
-
+      await this.performCaseAnalysis(caseDoc);
     } catch (error) {
       console.error(`❌ Error analyzing case ${caseDoc.caseNumber}:`, error);
     }
   }
 
+  /**
+   * Analyze a single case using AI. Throws on failure so callers such as
+   * the job queue can retry.
+   */
+  async performCaseAnalysis(caseDoc) {
+    console.log(`🔍 Analyzing case: ${caseDoc.caseNumber}`);
+    const startedAt = new Date();
+
+    // Prepare case data for AI analysis, with the history of linked cases
+    const linkedCases = await caseLinkService.describeLinksForAnalysis(caseDoc);
+    const caseData = this.prepareCaseDataForAI(caseDoc, linkedCases);
+    
+    // Get AI analysis
+    const aiResponse = await this.getAIAnalysis(caseData);
+    
+    // Parse and apply AI recommendations
+    const analysis = this.parseAIResponse(aiResponse.content);
+    analysis.provider = aiResponse.provider;
+    analysis.model = aiResponse.model;
+    
+    // Update case with AI analysis
+    await this.updateCaseWithAIAnalysis(caseDoc, analysis, caseData);
+
+    // Edits made while the provider was thinking keep the case dirty
+    await Case.markAnalyzed(caseDoc._id, startedAt);
+    
+    console.log(`✅ Case ${caseDoc.caseNumber} analyzed - Priority: ${analysis.priorityScore}`);
+    return analysis;
+  }
+
   /**
    * Prepare case data for AI analysis
+   * @param {Array} linkedCases - caseLinkService.describeLinksForAnalysis output
    */
-  prepareCaseDataForAI(caseDoc) {
+  prepareCaseDataForAI(caseDoc, linkedCases = []) {
     const caseAge = Math.floor((Date.now() - caseDoc.filingDate) / (1000 * 60 * 60 * 24));
     const daysUntilHearing = caseDoc.hearingDate ? 
       Math.floor((caseDoc.hearingDate - Date.now()) / (1000 * 60 * 60 * 24)) : null;
+    const daysUntilDeadline = caseDoc.deadlineDate ?
+      Math.floor((caseDoc.deadlineDate - Date.now()) / (1000 * 60 * 60 * 24)) : null;
+    const hearingStats = caseDoc.getHearingStats();
 
     return {
       caseNumber: caseDoc.caseNumber,
@@ -173,44 +403,72 @@ class AISchedulerService {
       courtLevel: caseDoc.court.level,
       daysUntilHearing: daysUntilHearing,
       hasDeadline: !!caseDoc.deadlineDate,
+      daysUntilDeadline: daysUntilDeadline,
       lawyerExperience: caseDoc.assignedLawyer?.experience || 0,
       lawyerSpecialization: caseDoc.assignedLawyer?.specialization || [],
       currentDelayDays: caseDoc.delayInfo.delayDays,
       isDelayed: caseDoc.delayInfo.isDelayed,
+      hearingsHeld: hearingStats.hearingsHeld,
+      adjournmentCount: hearingStats.adjournmentCount,
+      adjournmentDelayDays: hearingStats.adjournmentDelayDays,
+      avgHearingGapDays: hearingStats.avgHearingGapDays,
+      lastAdjournmentReason: hearingStats.lastAdjournmentReason,
       documentCount: caseDoc.documents.length,
       milestonesCount: caseDoc.milestones.length,
-      completedMilestones: caseDoc.milestones.filter(m => m.status === 'completed').length
+      completedMilestones: caseDoc.milestones.filter(m => m.status === 'completed').length,
+      overdueMilestones: caseDoc.milestones.filter(m => m.status === 'overdue').length,
+      linkedCases
     };
   }
 
   /**
-   * Get AI analysis from OpenAI
+   * Get AI analysis from the configured provider.
+   * Falls back to the secondary provider (rule-based by default) when the
+   * primary one is unreachable, so a case never ends up with a blind score.
    */
   async getAIAnalysis(caseData) {
-    const prompt = this.buildAnalysisPrompt(caseData);
-    
-    const response = await openai.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: [
-        {
-          role: "system",
-          content: `You are an expert legal case analyst and scheduler for an Indian law firm. 
+    const request = {
+      system: this.getSystemPrompt(),
+      prompt: this.buildAnalysisPrompt(caseData),
+      caseData
+    };
+
+    try {
+      return await this.provider.generateAnalysis(request);
+    } catch (error) {
+      if (!this.fallbackProvider || this.fallbackProvider.name === this.provider.name) {
+        throw error;
+      }
+
+      console.warn(`⚠️ AI provider "${this.provider.name}" failed (${error.message}), using "${this.fallbackProvider.name}"`);
+      return await this.fallbackProvider.generateAnalysis(request);
+    }
+  }
+
+  /**
+   * System prompt for LLM providers
+   */
+  getSystemPrompt() {
+    return `You are an expert legal case analyst and scheduler for an Indian law firm. 
                    Your job is to analyze legal cases and provide priority scores, urgency assessments, 
                    and delay predictions to help optimize case scheduling and resource allocation.
                    
                    Always respond in valid JSON format with the specified structure.
-                   Consider Indian legal system context, court procedures, and typical case timelines.`
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      temperature: 0.3,
-      max_tokens: 1000
-    });
+                   Consider Indian legal system context, court procedures, and typical case timelines.`;
+  }
 
-    return response.choices[0].message.content;
+  /**
+   * One line of linked case history, e.g. "appeal of CASE/2023/0012 (completed, lost)"
+   */
+  describeLinkedCases(linkedCases = []) {
+    if (linkedCases.length === 0) return 'None';
+
+    return linkedCases
+      .map(link => {
+        const result = link.outcome && link.outcome !== 'pending' ? `, ${link.outcome}` : '';
+        return `${link.relation.replace(/_/g, ' ')} ${link.caseNumber} (${link.status}${result})`;
+      })
+      .join('; ');
   }
 
   /**
@@ -228,13 +486,18 @@ CASE DETAILS:
 - Case Age: ${caseData.caseAge} days
 - Court Level: ${caseData.courtLevel}
 - Estimated Value: ₹${caseData.estimatedValue.toLocaleString()}
-- Days Until Hearing: ${caseData.daysUntilHearing || 'Not scheduled'}
+- Days Until Hearing: ${caseData.daysUntilHearing ?? 'Not scheduled'}
+- Days Until Deadline: ${caseData.daysUntilDeadline ?? 'No deadline'}
 - Current Delay: ${caseData.currentDelayDays} days
 - Is Delayed: ${caseData.isDelayed}
+- Hearings Held: ${caseData.hearingsHeld}
+- Adjournments: ${caseData.adjournmentCount} (${caseData.adjournmentDelayDays} working days lost${caseData.lastAdjournmentReason ? `; last reason: ${caseData.lastAdjournmentReason}` : ''})
+- Average Gap Between Hearings: ${caseData.avgHearingGapDays ?? 'N/A'} working days
 - Documents: ${caseData.documentCount}
-- Milestones: ${caseData.completedMilestones}/${caseData.milestonesCount} completed
+- Milestones: ${caseData.completedMilestones}/${caseData.milestonesCount} completed, ${caseData.overdueMilestones} overdue
 - Lawyer Experience: ${caseData.lawyerExperience} years
 - Lawyer Specialization: ${caseData.lawyerSpecialization.join(', ') || 'General'}
+- Linked Cases: ${this.describeLinkedCases(caseData.linkedCases)}
 
 ANALYSIS REQUIRED:
 1. Priority Score (0-100): Consider urgency, complexity, delays, deadlines
@@ -244,6 +507,7 @@ ANALYSIS REQUIRED:
 5. Estimated Duration: Days to complete the case
 6. Success Probability (0-100): Based on case type and lawyer match
 7. Similar Cases Count: Estimate based on case type and characteristics
+8. Factors: The main drivers of the priority score, each with its impact in points (negative if it lowers priority)
 
 PRIORITY SCORING CRITERIA:
 - High Priority (80-100): Critical deadlines, high-value cases, significant delays
@@ -261,6 +525,7 @@ Respond ONLY with valid JSON in this exact format:
   "estimatedDuration": number,
   "successProbability": number,
   "similarCasesCount": number,
+  "factors": [{"name": "factor", "impact": number, "detail": "why it matters"}],
   "reasoning": "Brief explanation of priority score"
 }`;
   }
@@ -283,6 +548,7 @@ Respond ONLY with valid JSON in this exact format:
         estimatedDuration: Math.max(1, analysis.estimatedDuration || 30),
         successProbability: Math.max(0, Math.min(100, analysis.successProbability || 50)),
         similarCasesCount: Math.max(0, analysis.similarCasesCount || 0),
+        factors: Array.isArray(analysis.factors) ? this.normalizeFactors(analysis.factors) : [],
         reasoning: analysis.reasoning || 'AI analysis completed'
       };
     } catch (error) {
@@ -298,33 +564,62 @@ Respond ONLY with valid JSON in this exact format:
         estimatedDuration: 30,
         successProbability: 50,
         similarCasesCount: 0,
+        factors: [],
         reasoning: 'Default analysis due to parsing error'
       };
     }
   }
 
+  /**
+   * Coerce provider factor lists into { name, impact, detail }
+   */
+  normalizeFactors(factors) {
+    return factors
+      .filter(f => f && f.name)
+      .map(f => ({
+        name: String(f.name),
+        impact: Number(f.impact ?? f.points) || 0,
+        detail: f.detail ? String(f.detail) : undefined
+      }));
+  }
+
   /**
    * Update case with AI analysis results
+   * @param {Object} caseDoc - Case being analysed
+   * @param {Object} analysis - Parsed analysis
+   * @param {Object} caseData - Input sent to the provider (kept in history)
    */
-  async updateCaseWithAIAnalysis(caseDoc, analysis) {
-    // Update priority score and related fields
-    caseDoc.priorityScore = analysis.priorityScore;
-    
-    // Update priority level based on score
-    if (analysis.priorityScore >= 90) caseDoc.priority = 'critical';
-    else if (analysis.priorityScore >= 75) caseDoc.priority = 'urgent';
-    else if (analysis.priorityScore >= 60) caseDoc.priority = 'high';
-    else if (analysis.priorityScore >= 40) caseDoc.priority = 'medium';
-    else caseDoc.priority = 'low';
+  async updateCaseWithAIAnalysis(caseDoc, analysis, caseData = null) {
+    // Record this run before overwriting the case's current analysis
+    const record = await this.recordAnalysisHistory(caseDoc, analysis, caseData);
+
+    // An expired override hands control back to the AI
+    if (caseDoc.priorityOverride?.isActive && !caseDoc.hasActiveOverride()) {
+      caseDoc.clearPriorityOverride(null, 'expired');
+    }
+
+    const isOverridden = caseDoc.hasActiveOverride();
+
+    // Update priority score and level, unless a person has pinned them
+    if (!isOverridden) {
+      caseDoc.priorityScore = analysis.priorityScore;
+      caseDoc.priority = Case.getPriorityLevel(analysis.priorityScore);
+    }
 
     // Update AI analysis data
     caseDoc.aiAnalysis = {
+      priorityScore: analysis.priorityScore,
       complexityScore: analysis.complexityScore,
       urgencyFactors: analysis.urgencyFactors,
       delayRiskFactors: analysis.delayRiskFactors,
       estimatedDuration: analysis.estimatedDuration,
       similarCasesCount: analysis.similarCasesCount,
       successProbability: analysis.successProbability,
+      reasoning: analysis.reasoning,
+      version: record.version,
+      provider: analysis.provider,
+      model: analysis.model,
+      promptVersion: PROMPT_VERSION,
       lastAnalyzed: new Date()
     };
 
@@ -336,14 +631,69 @@ Respond ONLY with valid JSON in this exact format:
     }
 
     // Add analysis note
+    const overrideNote = isOverridden
+      ? ` Manual override of ${caseDoc.priorityOverride.priorityScore}/100 remains in effect.`
+      : '';
+
     caseDoc.notes.push({
-      content: `AI Analysis: Priority Score ${analysis.priorityScore}/100. ${analysis.reasoning}`,
+      content: `AI Analysis (${analysis.provider || 'unknown'}): Priority Score ${analysis.priorityScore}/100. ${analysis.reasoning}${overrideNote}`,
       createdBy: null, // System-generated note
       category: 'general',
       isPrivate: false
     });
 
-    await caseDoc.save();
+    await caseDoc.auditAs(auditService.systemContext(), 'ai_rescored', {
+      provider: analysis.provider,
+      model: analysis.model,
+      version: record.version,
+      overridden: isOverridden
+    }).save();
+  }
+
+  /**
+   * Store a versioned copy of an analysis run
+   */
+  async recordAnalysisHistory(caseDoc, analysis, caseData) {
+    const previous = await CaseAnalysis.findOne({ case: caseDoc._id })
+      .sort({ version: -1 })
+      .select('version priorityScore');
+
+    return await CaseAnalysis.create({
+      case: caseDoc._id,
+      version: previous ? previous.version + 1 : 1,
+      priorityScore: analysis.priorityScore,
+      // Cases analysed before history existed still have a score to compare against
+      previousPriorityScore: previous ? previous.priorityScore : caseDoc.priorityScore,
+      complexityScore: analysis.complexityScore,
+      successProbability: analysis.successProbability,
+      estimatedDuration: analysis.estimatedDuration,
+      similarCasesCount: analysis.similarCasesCount,
+      urgencyFactors: analysis.urgencyFactors,
+      delayRiskFactors: analysis.delayRiskFactors,
+      factors: analysis.factors,
+      reasoning: analysis.reasoning,
+      provider: analysis.provider,
+      model: analysis.model,
+      promptVersion: PROMPT_VERSION,
+      inputSnapshot: caseData
+    });
+  }
+
+  /**
+   * Get the analysis history for a case, newest first
+   */
+  async getAnalysisHistory(caseId, { page = 1, limit = 20 } = {}) {
+    const filter = { case: caseId };
+
+    const [analyses, total] = await Promise.all([
+      CaseAnalysis.find(filter)
+        .sort({ version: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      CaseAnalysis.countDocuments(filter)
+    ]);
+
+    return { analyses, total };
   }
 
   /**
@@ -363,6 +713,12 @@ Respond ONLY with valid JSON in this exact format:
       
       // Rebalance lawyer workloads
       await this.rebalanceLawyerWorkloads();
+
+      // Give waiting cases a lawyer before hearings are listed
+      await this.autoAssignLawyers();
+
+      // List waiting cases for hearing, highest priority first
+      await this.allocateHearingSlots();
       
       console.log(`✅ Comprehensive analysis completed for ${activeCases.length} cases`);
       
@@ -383,7 +739,45 @@ Respond ONLY with valid JSON in this exact format:
   }
 
   /**
-   * Rebalance lawyer workloads based on capacity and specialization
+   * Allocate hearing dates to cases that are ready for court but have none.
+   * Runs after scoring so today's priority scores decide who goes first.
+   */
+  async allocateHearingSlots() {
+    if (process.env.AUTO_ALLOCATE_HEARINGS === 'false') {
+      return;
+    }
+
+    console.log('📅 Allocating hearing slots...');
+
+    const { allocated, unallocated } = await hearingCalendarService.allocateSlots();
+    console.log(`📅 ${allocated.length} hearing(s) allocated, ${unallocated.length} case(s) still waiting`);
+  }
+
+  /**
+   * Assign the best-matching lawyer to cases waiting for one. Off unless
+   * AUTO_ASSIGN_LAWYERS is 'true'.
+   */
+  async autoAssignLawyers() {
+    if (process.env.AUTO_ASSIGN_LAWYERS !== 'true') {
+      return;
+    }
+
+    console.log('👩‍⚖️ Auto-assigning lawyers to pending cases...');
+
+    const { assigned, skipped } = await lawyerMatchingService.autoAssignPendingCases();
+
+    // Re-score with the lawyer's details
+    for (const { caseId } of assigned) {
+      await this.queueCaseAnalysis(caseId);
+    }
+
+    console.log(`👩‍⚖️ ${assigned.length} case(s) assigned, ${skipped.length} left for manual assignment`);
+  }
+
+  /**
+   * Refresh lawyers' active case counts, then propose moving cases off
+   * lawyers whose weighted workload is over capacity. Proposals wait for
+   * an admin to accept them (/api/admin/reassignment-proposals).
    */
   async rebalanceLawyerWorkloads() {
     console.log('⚖️ Analyzing lawyer workloads...');
@@ -400,6 +794,13 @@ Respond ONLY with valid JSON in this exact format:
       lawyer.caseStats.activeCases = activeCases;
       await lawyer.save();
     }
+
+    const proposals = await workloadService.proposeReassignments();
+    if (proposals.length > 0) {
+      console.log(`⚖️ ${proposals.length} reassignment(s) proposed for review`);
+    }
+
+    return proposals;
   }
 
   /**
@@ -440,14 +841,21 @@ Respond ONLY with valid JSON in this exact format:
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
+  /**
+   * Load a case with the relations the analysis prompt needs
+   */
+  async loadCaseForAnalysis(caseId) {
+    return await Case.findById(caseId)
+      .populate('client', 'name email role')
+      .populate('assignedLawyer', 'name experience specialization');
+  }
+
   /**
    * Manual trigger for case analysis (for testing/admin use)
    */
   async analyzeCaseManually(caseId) {
     try {
-      const caseDoc = await Case.findById(caseId)
-        .populate('client', 'name email role')
-        .populate('assignedLawyer', 'name experience specialization');
+      const caseDoc = await this.loadCaseForAnalysis(caseId);
       
       if (!caseDoc) {
         throw new Error('Case not found');
@@ -0,0 +1,216 @@
+/**
+ * Audit Service
+ *
+ * Builds and queries the case audit trail (models/AuditEvent.js). The Case
+ * model snapshots the audited fields when a case is loaded and calls back
+ * here on save, so every change is logged whichever route or job made it;
+ * callers only say who is acting and why (caseDoc.auditAs).
+ */
+
+const AuditEvent = require('../models/AuditEvent');
+
+// Fields compared value for value
+const AUDITED_FIELDS = [
+  'title',
+  'description',
+  'caseType',
+  'subCategory',
+  'status',
+  'priority',
+  'priorityScore',
+  'assignedLawyer',
+  'opposingParty',
+  'court',
+  'hearingDate',
+  'deadlineDate',
+  'deadlineSource',
+  'expectedCompletionDate',
+  'estimatedValue',
+  'tags',
+  'priorityOverride',
+  'outcome',
+  'aiAnalysis.priorityScore'
+];
+
+// Lists compared entry by entry; the label names an entry in the log
+const AUDITED_LISTS = {
+  documents: doc => doc.originalName || doc.filename,
+  hearings: hearing => `${new Date(hearing.date).toISOString()} (${hearing.outcome})`,
+  milestones: milestone => milestone.title,
+  team: member => `${member.user} (${member.role})`,
+  parties: party => `${party.name} (${party.side})`,
+  links: link => `${link.type} ${link.case}`,
+  triggerEvents: event => `${event.event} on ${new Date(event.date).toISOString().slice(0, 10)}`,
+  computedDeadlines: deadline => `${deadline.ruleId} (${deadline.status})`,
+  'conflictCheck.waivers': waiver => `Conflict waived for lawyer ${waiver.lawyer}: ${waiver.reason}`
+};
+
+class AuditService {
+  constructor() {
+    this.fields = AUDITED_FIELDS;
+    this.lists = AUDITED_LISTS;
+  }
+
+  /**
+   * Who is acting, from an Express request
+   */
+  contextFrom(req) {
+    return {
+      actor: req.user?._id || null,
+      actorName: req.user?.name || 'System',
+      actorRole: req.user?.role || 'system',
+      ip: req.ip
+    };
+  }
+
+  /**
+   * A background process acting on its own (scheduler, job queue)
+   */
+  systemContext() {
+    return { actor: null, actorName: 'System', actorRole: 'system' };
+  }
+
+  /**
+   * Plain JSON value of a path, with populated references reduced to ids
+   */
+  readPath(doc, path) {
+    let value = doc.populated(path) || doc.get(path);
+
+    if (value && typeof value.toObject === 'function') {
+      value = value.toObject({ depopulate: true, virtuals: false });
+    }
+
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+  }
+
+  /**
+   * Audited values of a case as loaded, for comparison on save
+   */
+  snapshot(doc) {
+    const snapshot = {};
+
+    this.fields.forEach(field => {
+      snapshot[field] = this.readPath(doc, field);
+    });
+
+    Object.keys(this.lists).forEach(list => {
+      snapshot[list] = this.readPath(doc, list) || [];
+    });
+
+    return snapshot;
+  }
+
+  /**
+   * Field-level changes between a snapshot and the document
+   */
+  diff(snapshot, doc) {
+    const changes = [];
+
+    this.fields.forEach(field => {
+      if (!doc.isModified(field)) return;
+
+      const from = snapshot[field] ?? null;
+      const to = this.readPath(doc, field);
+
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes.push({ field, from, to });
+      }
+    });
+
+    Object.entries(this.lists).forEach(([list, label]) => {
+      if (!doc.isModified(list)) return;
+
+      const before = new Map((snapshot[list] || []).map(entry => [String(entry._id), entry]));
+      const after = new Map((this.readPath(doc, list) || []).map(entry => [String(entry._id), entry]));
+      const change = { field: list, added: [], removed: [], updated: [] };
+
+      after.forEach((entry, id) => {
+        if (!before.has(id)) change.added.push(label(entry));
+        else if (JSON.stringify(before.get(id)) !== JSON.stringify(entry)) change.updated.push(label(entry));
+      });
+      before.forEach((entry, id) => {
+        if (!after.has(id)) change.removed.push(label(entry));
+      });
+
+      if (change.added.length + change.removed.length + change.updated.length > 0) {
+        changes.push(change);
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Append an event to the log. Never throws: a failed audit write is
+   * logged rather than failing a change that has already been saved.
+   */
+  async record({ caseId, caseNumber, action, context = {}, changes = [], metadata = {} }) {
+    try {
+      return await AuditEvent.create({
+        case: caseId,
+        caseNumber,
+        action,
+        actor: context.actor || null,
+        actorName: context.actorName || (context.actor ? undefined : 'System'),
+        actorRole: context.actorRole || (context.actor ? undefined : 'system'),
+        ip: context.ip,
+        changes,
+        metadata
+      });
+    } catch (error) {
+      console.error(`Error recording audit event (${action}) for case ${caseNumber || caseId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * MongoDB filter from search parameters
+   */
+  buildFilter({ caseId, caseNumber, actor, action, field, from, to }) {
+    const filter = {};
+
+    if (caseId) filter.case = caseId;
+    if (caseNumber) filter.caseNumber = caseNumber;
+    if (actor) filter.actor = actor;
+    if (action) filter.action = { $in: String(action).split(',') };
+    if (field) filter['changes.field'] = field;
+
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    return filter;
+  }
+
+  /**
+   * Page through the log, newest first
+   */
+  async search(params = {}, { page = 1, limit = 50 } = {}) {
+    const filter = this.buildFilter(params);
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(filter)
+        .populate('actor', 'name email role')
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit),
+      AuditEvent.countDocuments(filter)
+    ]);
+
+    return {
+      events,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    };
+  }
+}
+
+// Create and export singleton instance
+const auditService = new AuditService();
+module.exports = auditService;
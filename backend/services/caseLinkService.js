@@ -0,0 +1,364 @@
+/**
+ * Case Link Service
+ *
+ * Typed links between cases: an appeal and the decision it challenges,
+ * connected matters, transfers and consolidations. A link is stored on
+ * one case (e.g. the appeal says it is the appeal_of the lower-court
+ * case); seen from the other case it reads as the inverse relation.
+ *
+ * Also builds appeal cases pre-filled from the decided case.
+ */
+
+const Case = require('../models/Case');
+const User = require('../models/User');
+const deadlineService = require('./deadlineService');
+const conflictOfInterestService = require('./conflictOfInterestService');
+
+const { LINK_TYPES } = Case;
+
+// The relation as seen from the other end of the link
+const INVERSE_LINK_TYPES = {
+  appeal_of: 'appealed_in',
+  connected: 'connected',
+  transferred_from: 'transferred_to',
+  consolidated_into: 'consolidated_from'
+};
+
+// A case can only have one of each of these
+const SINGLE_LINK_TYPES = ['appeal_of', 'transferred_from', 'consolidated_into'];
+
+// Where an appeal from each forum usually lies
+const APPEAL_COURT_LEVEL = {
+  'District': 'High Court',
+  'Tribunal': 'High Court',
+  'High Court': 'Supreme Court'
+};
+
+const SUMMARY_FIELDS = 'caseNumber title caseType status court outcome filingDate client assignedLawyer team';
+const MAX_GRAPH_DEPTH = 5;
+const MAX_GRAPH_NODES = 200;
+
+const linkError = (message) => Object.assign(new Error(message), { code: 'INVALID_CASE_LINK' });
+const idOf = (value) => value?._id || value;
+
+class CaseLinkService {
+  /**
+   * The parts of a linked case worth showing next to another case
+   */
+  summarize(caseDoc) {
+    return {
+      _id: caseDoc._id,
+      caseNumber: caseDoc.caseNumber,
+      title: caseDoc.title,
+      caseType: caseDoc.caseType,
+      status: caseDoc.status,
+      court: caseDoc.court?.name,
+      courtLevel: caseDoc.court?.level,
+      outcome: caseDoc.outcome?.result,
+      filingDate: caseDoc.filingDate
+    };
+  }
+
+  /**
+   * Direct links of a case in both directions, named from this case's side
+   * @returns {Array} [{ linkId, relation, direction, note, createdAt, case }]
+   *          where case is the other case document (SUMMARY_FIELDS)
+   */
+  async getLinks(caseDoc) {
+    const [targets, incoming] = await Promise.all([
+      Case.find({ _id: { $in: caseDoc.links.map(link => idOf(link.case)) } }).select(SUMMARY_FIELDS),
+      Case.find({ 'links.case': caseDoc._id }).select(`${SUMMARY_FIELDS} links`)
+    ]);
+
+    const targetsById = new Map(targets.map(target => [target._id.toString(), target]));
+    const links = [];
+
+    caseDoc.links.forEach(link => {
+      const other = targetsById.get(idOf(link.case).toString());
+      if (!other) return;
+
+      links.push({
+        linkId: link._id,
+        relation: link.type,
+        direction: 'outgoing',
+        note: link.note,
+        createdAt: link.createdAt,
+        case: other
+      });
+    });
+
+    incoming.forEach(other => {
+      other.links
+        .filter(link => link.case.equals(caseDoc._id))
+        .forEach(link => links.push({
+          linkId: link._id,
+          relation: INVERSE_LINK_TYPES[link.type],
+          direction: 'incoming',
+          note: link.note,
+          createdAt: link.createdAt,
+          case: other
+        }));
+    });
+
+    return links;
+  }
+
+  /**
+   * Linked cases in the compact form used by the AI analysis prompt
+   */
+  async describeLinksForAnalysis(caseDoc) {
+    const links = await this.getLinks(caseDoc);
+
+    return links.map(link => ({
+      relation: link.relation,
+      caseNumber: link.case.caseNumber,
+      status: link.case.status,
+      outcome: link.case.outcome?.result,
+      courtLevel: link.case.court?.level
+    }));
+  }
+
+  /**
+   * Whether following appeal_of links up from a case reaches another case
+   */
+  async isAppealAncestor(ancestorId, caseId) {
+    const seen = new Set();
+    let current = await Case.findById(caseId).select('links');
+
+    while (current && !seen.has(current._id.toString())) {
+      if (current._id.equals(ancestorId)) return true;
+      seen.add(current._id.toString());
+
+      const parent = current.links.find(link => link.type === 'appeal_of');
+      current = parent ? await Case.findById(parent.case).select('links') : null;
+    }
+
+    return false;
+  }
+
+  /**
+   * Link a case to another. Modifies the document; the caller saves it.
+   * @throws {Error} code INVALID_CASE_LINK when the link does not make sense
+   */
+  async addLink(caseDoc, target, type, { note, createdBy = null } = {}) {
+    if (!LINK_TYPES.includes(type)) {
+      throw linkError(`Link type must be one of: ${LINK_TYPES.join(', ')}`);
+    }
+    if (caseDoc._id.equals(target._id)) {
+      throw linkError('A case cannot be linked to itself');
+    }
+
+    const alreadyLinked = caseDoc.links.some(link => idOf(link.case).equals(target._id)) ||
+      (target.links || []).some(link => link.case.equals(caseDoc._id));
+    if (alreadyLinked) {
+      throw linkError(`${caseDoc.caseNumber} and ${target.caseNumber} are already linked`);
+    }
+
+    if (SINGLE_LINK_TYPES.includes(type) && caseDoc.links.some(link => link.type === type)) {
+      throw linkError(`${caseDoc.caseNumber} already has a ${type.replace(/_/g, ' ')} link`);
+    }
+
+    // An appeal cannot sit below the case it appeals from
+    if (type === 'appeal_of' && await this.isAppealAncestor(caseDoc._id, target._id)) {
+      throw linkError(`${target.caseNumber} is itself an appeal from ${caseDoc.caseNumber}`);
+    }
+
+    // Cases are consolidated into a lead case, which is not consolidated itself
+    if (type === 'consolidated_into' && (target.links || []).some(link => link.type === 'consolidated_into')) {
+      throw linkError(`${target.caseNumber} is itself consolidated into another case`);
+    }
+
+    caseDoc.links.push({ case: target._id, type, note, createdBy });
+    return caseDoc.links[caseDoc.links.length - 1];
+  }
+
+  /**
+   * Linked cases reachable from a case, breadth first
+   * @param {Object} options - depth (1-5, default 3), types (link types to follow)
+   * @returns {Object} root, nodes (case documents), edges [{ id, from, to, type }]
+   */
+  async getGraph(caseId, { depth = 3, types = LINK_TYPES } = {}) {
+    const maxDepth = Math.min(Math.max(depth, 1), MAX_GRAPH_DEPTH);
+    const visited = new Set([caseId.toString()]);
+    const edges = new Map();
+    let frontier = [caseId.toString()];
+
+    for (let level = 0; level < maxDepth && frontier.length > 0; level++) {
+      const frontierIds = new Set(frontier);
+      const linked = await Case.find({
+        $or: [{ _id: { $in: frontier } }, { 'links.case': { $in: frontier } }]
+      }).select('links');
+
+      const next = [];
+
+      linked.forEach(doc => {
+        doc.links
+          .filter(link => types.includes(link.type))
+          .forEach(link => {
+            const from = doc._id.toString();
+            const to = link.case.toString();
+            if (!frontierIds.has(from) && !frontierIds.has(to)) return;
+
+            edges.set(link._id.toString(), { id: link._id, from, to, type: link.type });
+
+            [from, to].forEach(id => {
+              if (!visited.has(id) && visited.size < MAX_GRAPH_NODES) {
+                visited.add(id);
+                next.push(id);
+              }
+            });
+          });
+      });
+
+      frontier = next;
+    }
+
+    const nodes = await Case.find({ _id: { $in: [...visited] } }).select(SUMMARY_FIELDS);
+
+    return {
+      root: caseId,
+      nodes,
+      // Edges to cases beyond the node limit are left out
+      edges: [...edges.values()].filter(edge => visited.has(edge.from) && visited.has(edge.to)),
+      truncated: visited.size >= MAX_GRAPH_NODES
+    };
+  }
+
+  /**
+   * The appeal history of a case, from the original decision to the latest
+   * appeal. Where a decision was appealed more than once, every appeal is
+   * listed at the same level.
+   * @returns {Array} [{ level, case }] with level 0 the original case
+   */
+  async getAppealChain(caseDoc) {
+    // Up to the original case
+    const ancestors = [];
+    const seen = new Set([caseDoc._id.toString()]);
+    let current = caseDoc;
+
+    for (;;) {
+      const parentLink = current.links.find(link => link.type === 'appeal_of');
+      if (!parentLink || seen.has(idOf(parentLink.case).toString())) break;
+
+      current = await Case.findById(idOf(parentLink.case)).select(`${SUMMARY_FIELDS} links`);
+      if (!current) break;
+
+      seen.add(current._id.toString());
+      ancestors.unshift(current);
+    }
+
+    const chain = [...ancestors, caseDoc].map((doc, level) => ({ level, case: doc }));
+
+    // Down through appeals filed against this case and their appeals
+    let level = chain.length;
+    let parents = [caseDoc._id];
+
+    while (parents.length > 0) {
+      const appeals = await Case.find({
+        links: { $elemMatch: { type: 'appeal_of', case: { $in: parents } } }
+      }).select(`${SUMMARY_FIELDS} links`);
+
+      const fresh = appeals.filter(appeal => !seen.has(appeal._id.toString()));
+      fresh.forEach(appeal => {
+        seen.add(appeal._id.toString());
+        chain.push({ level, case: appeal });
+      });
+
+      parents = fresh.map(appeal => appeal._id);
+      level++;
+    }
+
+    return chain;
+  }
+
+  /**
+   * Fields for a new appeal case, pre-filled from the decided case
+   * @throws {Error} code INVALID_CASE_LINK when the decision cannot be appealed
+   */
+  buildAppealDraft(parent) {
+    if (!parent.outcome?.appealable) {
+      throw linkError(`The decision in ${parent.caseNumber} is not marked appealable`);
+    }
+
+    const { result, summary, finalDate } = parent.outcome;
+    const decided = finalDate ? ` dated ${new Date(finalDate).toISOString().slice(0, 10)}` : '';
+
+    return {
+      title: `Appeal: ${parent.title}`.slice(0, 200),
+      description: [
+        `Appeal against the ${result === 'pending' ? '' : `${result} `}decision in ${parent.caseNumber}${decided} (${parent.court?.name}).`,
+        summary
+      ].filter(Boolean).join(' ').slice(0, 2000),
+      caseType: parent.caseType,
+      subCategory: parent.subCategory,
+      client: idOf(parent.client),
+      assignedLawyer: idOf(parent.assignedLawyer) || null,
+      opposingParty: {
+        name: parent.opposingParty?.name,
+        lawyer: parent.opposingParty?.lawyer,
+        contact: parent.opposingParty?.contact
+      },
+      parties: parent.parties.map(({ name, side, isClient, user, counsel, contact }) =>
+        ({ name, side, isClient, user, counsel, contact })),
+      court: {
+        level: APPEAL_COURT_LEVEL[parent.court?.level] || parent.court?.level
+      },
+      estimatedValue: parent.estimatedValue || 0,
+      tags: [...new Set([...(parent.tags || []), 'appeal'])]
+    };
+  }
+
+  /**
+   * File an appeal as a case of its own: create it from the draft plus the
+   * caller's details (court, filingDate and optional overrides) and link it
+   * to the parent. The parent keeps its status and outcome, which the
+   * appeal's analysis reads through the link; moving a case itself to
+   * 'appealed' remains for appeals run within the same case.
+   * @param {Object} parent - Decided case
+   * @param {Object} details - court, filingDate, hearingDate, title, description, estimatedValue, tags
+   * @param {Object} context - auditService context of whoever files it
+   * @returns {Object} appeal, conflicts
+   */
+  async createAppeal(parent, details, context) {
+    const draft = this.buildAppealDraft(parent);
+
+    const appeal = new Case({
+      ...draft,
+      title: details.title?.trim() || draft.title,
+      description: details.description?.trim() || draft.description,
+      court: { ...draft.court, ...details.court },
+      filingDate: new Date(details.filingDate),
+      hearingDate: details.hearingDate ? new Date(details.hearingDate) : null,
+      estimatedValue: details.estimatedValue ?? draft.estimatedValue,
+      tags: details.tags || draft.tags,
+      // Co-counsel and co-clients carry over; the lead follows assignedLawyer
+      team: parent.team
+        .filter(member => member.role !== 'lead')
+        .map(({ user, role }) => ({ user: idOf(user), role, addedBy: context.actor || null })),
+      links: [{ case: parent._id, type: 'appeal_of', createdBy: context.actor || null }],
+      status: draft.assignedLawyer ? 'assigned' : 'pending_assignment'
+    });
+
+    deadlineService.recomputeDeadlines(appeal);
+
+    const lawyer = draft.assignedLawyer && await User.findById(draft.assignedLawyer).select('name');
+    const conflicts = await conflictOfInterestService.checkCase(appeal, lawyer || null);
+    appeal.recordConflictCheck(conflicts, lawyer?._id || null);
+
+    await appeal.auditAs(context, 'appeal_filed', { appealOf: parent.caseNumber }).save();
+
+    parent.notes.push({
+      content: `Appeal filed as ${appeal.caseNumber}`,
+      createdBy: context.actor || null,
+      category: 'court_update'
+    });
+
+    await parent.auditAs(context, 'appeal_filed', { appeal: appeal.caseNumber }).save();
+
+    return { appeal, conflicts };
+  }
+}
+
+// Create and export singleton instance
+const caseLinkService = new CaseLinkService();
+module.exports = caseLinkService;
@@ -0,0 +1,131 @@
+/**
+ * Case Number Service
+ *
+ * Gives new cases their number from the templates in
+ * config/caseNumberFormats.js. Running numbers come from the Counter
+ * collection, incremented atomically, so parallel creates can never be
+ * handed the same number and deleting a case never causes a reuse.
+ * A number drawn for a case that then fails to save is simply skipped.
+ */
+
+const Counter = require('../models/Counter');
+const { TYPE_CODES, COURT_CODES, CASE_NUMBER_FORMATS } = require('../config/caseNumberFormats');
+
+const SEQ_TOKEN = /\{SEQ(?::(\d+))?\}/;
+const VALID_NUMBER = /^[A-Z0-9-/]+$/;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Codes go into case numbers, which only allow A-Z, 0-9, '-' and '/'
+const toCode = (text) => String(text).toUpperCase().replace(/[^A-Z0-9-]+/g, '-');
+
+const matches = (match = {}, caseDoc) =>
+  (!match.caseTypes || match.caseTypes.includes(caseDoc.caseType)) &&
+  (!match.courtLevels || match.courtLevels.includes(caseDoc.court?.level));
+
+class CaseNumberService {
+  constructor() {
+    this.firmCode = toCode(process.env.CASE_NUMBER_FIRM_CODE || 'FIRM');
+    this.formats = CASE_NUMBER_FORMATS;
+
+    // Sequences already brought level with existing case numbers
+    this.seeded = new Set();
+
+    this.formats.forEach(format => this.checkFormat(format));
+  }
+
+  /**
+   * Fail at startup rather than on the first case created
+   */
+  checkFormat({ id, template }) {
+    const seqTokens = template.match(new RegExp(SEQ_TOKEN.source, 'g')) || [];
+    if (seqTokens.length !== 1) {
+      throw new Error(`Case number format "${id}" needs exactly one {SEQ} token`);
+    }
+
+    const sample = this.render(template, { caseType: 'Other', court: { level: 'Other' } }, new Date()).replace(SEQ_TOKEN, '1');
+    if (!VALID_NUMBER.test(sample)) {
+      throw new Error(`Case number format "${id}" produces an invalid case number (${sample})`);
+    }
+  }
+
+  formatFor(caseDoc) {
+    return this.formats.find(format => matches(format.match, caseDoc)) || this.formats[this.formats.length - 1];
+  }
+
+  /**
+   * Template with everything but the running number filled in
+   */
+  render(template, caseDoc, date) {
+    const values = {
+      YEAR: date.getFullYear(),
+      FIRM: this.firmCode,
+      COURT: COURT_CODES[caseDoc.court?.level] || COURT_CODES.Other,
+      TYPE: TYPE_CODES[caseDoc.caseType] || TYPE_CODES.Other
+    };
+
+    return template
+      .replace(/\{(YEAR|FIRM|COURT|TYPE)\}/g, (token, name) => values[name])
+      .toUpperCase();
+  }
+
+  /**
+   * The sequence a case draws from: one per distinct prefix
+   * @returns {Object} key (Counter id), pattern (number with {SEQ} still in it)
+   */
+  sequenceFor(caseDoc, date = new Date()) {
+    const pattern = this.render(this.formatFor(caseDoc).template, caseDoc, date);
+
+    return {
+      key: `caseNumber:${pattern.replace(SEQ_TOKEN, '#')}`,
+      pattern
+    };
+  }
+
+  /**
+   * Start a sequence after the highest number already in use for it, so
+   * cases numbered before the counter existed (or by hand) are not reused
+   */
+  async seed(CaseModel, key, pattern) {
+    if (this.seeded.has(key)) return;
+
+    // split keeps the captured width between the two halves
+    const [head, , tail] = pattern.split(SEQ_TOKEN);
+    const existing = new RegExp(`^${escapeRegex(head)}(\\d+)${escapeRegex(tail)}$`);
+
+    const cases = await CaseModel.find({ caseNumber: { $regex: existing } }).select('caseNumber').lean();
+    const highest = cases.reduce((max, c) => Math.max(max, parseInt(c.caseNumber.match(existing)[1])), 0);
+
+    if (highest > 0) {
+      await Counter.raiseTo(key, highest);
+    }
+
+    this.seeded.add(key);
+  }
+
+  /**
+   * Draw the next number for a case
+   */
+  async nextNumber(caseDoc, date = new Date()) {
+    const { key, pattern } = this.sequenceFor(caseDoc, date);
+
+    await this.seed(caseDoc.constructor, key, pattern);
+    const seq = await Counter.next(key);
+
+    return pattern.replace(SEQ_TOKEN, (token, width) => String(seq).padStart(parseInt(width) || 1, '0'));
+  }
+
+  /**
+   * Number a new case unless it already has one
+   */
+  async assign(caseDoc) {
+    if (!caseDoc.caseNumber) {
+      caseDoc.caseNumber = await this.nextNumber(caseDoc);
+    }
+    return caseDoc.caseNumber;
+  }
+}
+
+// Create and export singleton instance
+const caseNumberService = new CaseNumberService();
+module.exports = caseNumberService;
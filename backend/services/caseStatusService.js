@@ -0,0 +1,179 @@
+/**
+ * Case Status Service
+ *
+ * The case lifecycle as an explicit transition graph. Each status lists the
+ * statuses it may move to; guards say what must be true of the case before
+ * it can enter a status, and effects keep related fields (assignment,
+ * outcome, hearing date) consistent once it does.
+ *
+ * Works on case documents only and never saves them, so both the Case model
+ * and the routes can use it.
+ */
+
+const CLOSED_STATUSES = ['completed', 'dismissed', 'settled'];
+
+// Allowed next statuses for each status
+const STATUS_TRANSITIONS = {
+  pending_assignment: ['assigned', 'dismissed', 'settled'],
+  assigned: ['pending_assignment', 'in_progress', 'under_review', 'awaiting_hearing', 'dismissed', 'settled'],
+  in_progress: ['under_review', 'awaiting_hearing', 'completed', 'dismissed', 'settled'],
+  under_review: ['in_progress', 'awaiting_hearing', 'completed', 'dismissed', 'settled'],
+  awaiting_hearing: ['in_court', 'in_progress', 'under_review', 'dismissed', 'settled'],
+  in_court: ['awaiting_hearing', 'in_progress', 'under_review', 'completed', 'dismissed', 'settled'],
+  completed: ['appealed'],
+  dismissed: ['appealed'],
+  settled: [],
+  appealed: ['in_progress', 'awaiting_hearing', 'in_court', 'completed', 'dismissed', 'settled']
+};
+
+const NEEDS_LAWYER = ['assigned', 'in_progress', 'under_review', 'awaiting_hearing', 'in_court'];
+
+// Conditions for entering a status; each returns a reason when it fails
+const GUARDS = {
+  lawyer: {
+    applies: status => NEEDS_LAWYER.includes(status),
+    check: caseDoc => !caseDoc.assignedLawyer && 'A lawyer must be assigned first'
+  },
+  hearingDate: {
+    applies: status => ['awaiting_hearing', 'in_court'].includes(status),
+    check: caseDoc => !caseDoc.hearingDate && 'A hearing date must be set first'
+  },
+  outcome: {
+    applies: status => status === 'completed',
+    check: caseDoc => (!caseDoc.outcome?.result || caseDoc.outcome.result === 'pending') &&
+      'An outcome must be recorded before the case is completed'
+  },
+  appealable: {
+    applies: status => status === 'appealed',
+    check: caseDoc => !caseDoc.outcome?.appealable && 'The outcome is not marked as appealable'
+  }
+};
+
+class CaseStatusService {
+  constructor() {
+    this.transitions = STATUS_TRANSITIONS;
+    this.closedStatuses = CLOSED_STATUSES;
+  }
+
+  isClosed(status) {
+    return CLOSED_STATUSES.includes(status);
+  }
+
+  /**
+   * Why a case cannot enter a status right now
+   * @returns {Array<String>} failed guard reasons (empty when it can)
+   */
+  getBlockers(caseDoc, status) {
+    return Object.values(GUARDS)
+      .filter(guard => guard.applies(status))
+      .map(guard => guard.check(caseDoc))
+      .filter(Boolean);
+  }
+
+  /**
+   * Next statuses from the current one, with any guard that blocks them
+   */
+  getNextStatuses(caseDoc) {
+    return (this.transitions[caseDoc.status] || []).map(status => {
+      const blockers = this.getBlockers(caseDoc, status);
+      return { status, allowed: blockers.length === 0, blockers };
+    });
+  }
+
+  /**
+   * Check a transition without applying it
+   * @returns {Object} { allowed, reason, allowedStatuses }
+   */
+  checkTransition(caseDoc, newStatus) {
+    const next = this.getNextStatuses(caseDoc);
+    const allowedStatuses = next.filter(n => n.allowed).map(n => n.status);
+
+    if (newStatus === caseDoc.status) {
+      return { allowed: false, reason: `Case is already ${newStatus}`, allowedStatuses };
+    }
+
+    const target = next.find(n => n.status === newStatus);
+    if (!target) {
+      return {
+        allowed: false,
+        reason: `Cannot move a case from ${caseDoc.status} to ${newStatus}`,
+        allowedStatuses
+      };
+    }
+
+    if (!target.allowed) {
+      return { allowed: false, reason: target.blockers.join('; '), allowedStatuses };
+    }
+
+    return { allowed: true, reason: null, allowedStatuses };
+  }
+
+  /**
+   * Move a case to a new status and apply the side effects. Modifies the
+   * document; the caller saves it.
+   * @param {Object} details - outcome fields recorded with the change
+   * @returns {Object} checkTransition result
+   */
+  applyTransition(caseDoc, newStatus, updatedBy, details = {}) {
+    // Outcome details count towards the guards (e.g. completing with a result)
+    if (details.outcome) {
+      ['result', 'summary', 'appealable'].forEach(field => {
+        if (details.outcome[field] !== undefined) caseDoc.outcome[field] = details.outcome[field];
+      });
+    }
+
+    const check = this.checkTransition(caseDoc, newStatus);
+    if (!check.allowed) return check;
+
+    const oldStatus = caseDoc.status;
+    caseDoc.status = newStatus;
+    this.applyEffects(caseDoc, oldStatus, newStatus, updatedBy);
+
+    caseDoc.notes.push({
+      content: `Case status changed from ${oldStatus} to ${newStatus}`,
+      createdBy: updatedBy,
+      isPrivate: false,
+      category: 'general',
+      createdAt: new Date()
+    });
+
+    return check;
+  }
+
+  applyEffects(caseDoc, oldStatus, newStatus, updatedBy) {
+    // Back to the assignment queue
+    if (newStatus === 'pending_assignment') {
+      caseDoc.assignedLawyer = null;
+    }
+
+    if (this.isClosed(newStatus)) {
+      // Dismissal and settlement are outcomes in themselves
+      if (caseDoc.outcome.result === 'pending') {
+        caseDoc.outcome.result = newStatus;
+      }
+      caseDoc.outcome.finalDate = new Date();
+
+      // A closed case is no longer listed
+      if (caseDoc.hearingDate && caseDoc.hearingDate > new Date()) {
+        caseDoc.hearingDate = null;
+      }
+    }
+
+    // An appeal reopens the matter; keep the decision under appeal in the notes
+    if (newStatus === 'appealed') {
+      caseDoc.notes.push({
+        content: `Appeal filed against outcome: ${caseDoc.outcome.result}${caseDoc.outcome.summary ? ` (${caseDoc.outcome.summary})` : ''}`,
+        createdBy: updatedBy,
+        isPrivate: false,
+        category: 'court_update',
+        createdAt: new Date()
+      });
+      caseDoc.outcome.result = 'pending';
+      caseDoc.outcome.finalDate = null;
+    }
+  }
+}
+
+// Create and export singleton instance
+const caseStatusService = new CaseStatusService();
+module.exports = caseStatusService;
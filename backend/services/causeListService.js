@@ -0,0 +1,321 @@
+/**
+ * Cause List Service
+ *
+ * Builds the daily cause list: for a date, every court/courtroom's
+ * numbered list of matters, and each lawyer's personal list across
+ * courts. Lists are derived from Case.hearingDate, so they always match
+ * what the scheduler has allocated. Renders to JSON, printable HTML or PDF.
+ */
+
+const PDFDocument = require('pdfkit');
+const Case = require('../models/Case');
+const courtCalendarService = require('./courtCalendarService');
+const hearingConflictService = require('./hearingConflictService');
+
+const CLOSED_STATUSES = ['completed', 'dismissed', 'settled'];
+
+class CauseListService {
+  /**
+   * Cases listed on a day, in hearing order
+   * @param {Date} date - Day of the list
+   * @param {Object} filters - courtName, courtroom, judge, lawyerId
+   */
+  async getListedCases(date, filters = {}) {
+    const dayStart = courtCalendarService.parseDay(date);
+
+    const query = {
+      hearingDate: { $gte: dayStart, $lt: courtCalendarService.nextDay(dayStart) },
+      status: { $nin: CLOSED_STATUSES }
+    };
+
+    if (filters.courtName) query['court.name'] = filters.courtName;
+    if (filters.courtroom) query['court.courtroom'] = filters.courtroom;
+    if (filters.judge) query['court.judge'] = filters.judge;
+    if (filters.lawyerId) query.assignedLawyer = filters.lawyerId;
+
+    return await Case.find(query)
+      .select('caseNumber title caseType subCategory court hearingDate hearings priorityScore priority client opposingParty assignedLawyer status')
+      .populate('client', 'name')
+      .populate('assignedLawyer', 'name phone')
+      .sort({ hearingDate: 1, priorityScore: -1, caseNumber: 1 });
+  }
+
+  /**
+   * One cause list entry
+   */
+  toItem(caseDoc, serialNo) {
+    // Purpose comes from the scheduled hearing entry, if one was given
+    const listing = caseDoc.hearings
+      .filter(h => h.outcome === 'scheduled' && h.date.getTime() === caseDoc.hearingDate.getTime())
+      .pop();
+
+    return {
+      serialNo,
+      caseId: caseDoc._id,
+      caseNumber: caseDoc.caseNumber,
+      title: caseDoc.title,
+      parties: `${caseDoc.client?.name || 'Client'} vs ${caseDoc.opposingParty?.name || 'Respondent'}`,
+      caseType: caseDoc.subCategory ? `${caseDoc.caseType} (${caseDoc.subCategory})` : caseDoc.caseType,
+      purpose: listing?.purpose || null,
+      time: caseDoc.hearingDate,
+      court: caseDoc.court.name,
+      courtroom: caseDoc.court.courtroom || null,
+      judge: caseDoc.court.judge || null,
+      advocate: caseDoc.assignedLawyer ? {
+        _id: caseDoc.assignedLawyer._id,
+        name: caseDoc.assignedLawyer.name,
+        phone: caseDoc.assignedLawyer.phone
+      } : null,
+      priorityScore: caseDoc.priorityScore,
+      priority: caseDoc.priority,
+      status: caseDoc.status
+    };
+  }
+
+  /**
+   * Cause lists for every court and courtroom sitting on a day
+   */
+  async buildCourtCauseLists(date, filters = {}) {
+    const cases = await this.getListedCases(date, filters);
+    const benches = new Map();
+
+    cases.forEach(caseDoc => {
+      const key = [caseDoc.court.name, caseDoc.court.courtroom || '', caseDoc.court.judge || ''].join('::');
+
+      if (!benches.has(key)) {
+        benches.set(key, {
+          court: caseDoc.court.name,
+          courtLevel: caseDoc.court.level,
+          courtroom: caseDoc.court.courtroom || null,
+          judge: caseDoc.court.judge || null,
+          items: []
+        });
+      }
+
+      const bench = benches.get(key);
+      bench.items.push(this.toItem(caseDoc, bench.items.length + 1));
+    });
+
+    const lists = [...benches.values()].sort((a, b) =>
+      a.court.localeCompare(b.court) || (a.courtroom || '').localeCompare(b.courtroom || ''));
+
+    return {
+      type: 'court',
+      date: courtCalendarService.parseDay(date),
+      closures: this.getClosures(date, lists.map(l => l.court)),
+      totalMatters: cases.length,
+      lists
+    };
+  }
+
+  /**
+   * A lawyer's cause list across all courts, in the order they must appear
+   */
+  async buildLawyerCauseList(date, lawyer) {
+    const cases = await this.getListedCases(date, { lawyerId: lawyer._id });
+    const dayStart = courtCalendarService.parseDay(date);
+
+    const conflicts = await hearingConflictService.getLawyerConflicts(lawyer._id, {
+      from: dayStart,
+      to: new Date(courtCalendarService.nextDay(dayStart).getTime() - 1)
+    });
+
+    return {
+      type: 'lawyer',
+      date: dayStart,
+      lawyer: { _id: lawyer._id, name: lawyer.name },
+      totalMatters: cases.length,
+      items: cases.map((caseDoc, i) => this.toItem(caseDoc, i + 1)),
+      conflicts
+    };
+  }
+
+  /**
+   * Courts on the list that are closed that day (a listing on a holiday is
+   * usually a data error worth flagging)
+   */
+  getClosures(date, courtNames) {
+    return [...new Set(courtNames)]
+      .map(court => ({ court, closure: courtCalendarService.getClosure(date, court) }))
+      .filter(c => c.closure);
+  }
+
+  formatTime(date) {
+    return new Date(date).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' });
+  }
+
+  formatDate(date) {
+    return new Date(date).toLocaleDateString('en-IN', {
+      weekday: 'long',
+      day: 'numeric',
+      month: 'long',
+      year: 'numeric'
+    });
+  }
+
+  escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  benchTitle(list) {
+    return [list.court, list.courtroom && `Court Room ${list.courtroom}`, list.judge && `Coram: ${list.judge}`]
+      .filter(Boolean)
+      .join(' | ');
+  }
+
+  /**
+   * Sections of a cause list as { title, items }, shared by the renderers
+   */
+  getSections(causeList) {
+    if (causeList.type === 'lawyer') {
+      return [{ title: `Advocate: ${causeList.lawyer.name}`, items: causeList.items, showCourt: true }];
+    }
+    return causeList.lists.map(list => ({ title: this.benchTitle(list), items: list.items, showCourt: false }));
+  }
+
+  /**
+   * Printable HTML page
+   */
+  renderHTML(causeList) {
+    const e = (value) => this.escapeHtml(value);
+
+    const sections = this.getSections(causeList).map(section => `
+      <section>
+        <h2>${e(section.title)}</h2>
+        <table>
+          <thead>
+            <tr>
+              <th>#</th><th>Time</th><th>Case No.</th><th>Parties</th><th>Type</th><th>Purpose</th>
+              <th>${section.showCourt ? 'Court' : 'Advocate'}</th><th>Priority</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${section.items.map(item => `
+            <tr>
+              <td>${item.serialNo}</td>
+              <td>${e(this.formatTime(item.time))}</td>
+              <td>${e(item.caseNumber)}</td>
+              <td>${e(item.parties)}</td>
+              <td>${e(item.caseType)}</td>
+              <td>${e(item.purpose || '-')}</td>
+              <td>${section.showCourt
+                ? e([item.court, item.courtroom && `CR ${item.courtroom}`].filter(Boolean).join(', '))
+                : e(item.advocate?.name || '-')}</td>
+              <td>${item.priorityScore}</td>
+            </tr>`).join('')}
+          </tbody>
+        </table>
+      </section>`).join('');
+
+    const closures = (causeList.closures || []).map(c =>
+      `<p class="warning">${e(c.court)} is closed on this day (${e(c.closure.name)}).</p>`).join('');
+
+    const conflicts = (causeList.conflicts || []).map(c =>
+      `<p class="warning">${e(c.message)}</p>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Cause List - ${e(this.formatDate(causeList.date))}</title>
+  <style>
+    body { font-family: Georgia, 'Times New Roman', serif; margin: 24px; color: #111; }
+    h1 { text-align: center; font-size: 20px; margin-bottom: 4px; }
+    .date { text-align: center; margin-top: 0; }
+    h2 { font-size: 15px; border-bottom: 1px solid #333; padding-bottom: 4px; margin-top: 28px; }
+    table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    th, td { border: 1px solid #999; padding: 4px 6px; text-align: left; vertical-align: top; }
+    th { background: #eee; }
+    .warning { color: #a40000; font-weight: bold; }
+    .empty { text-align: center; font-style: italic; }
+    @media print { section { page-break-inside: avoid; } }
+  </style>
+</head>
+<body>
+  <h1>Cause List</h1>
+  <p class="date">${e(this.formatDate(causeList.date))}</p>
+  ${closures}${conflicts}
+  ${sections || '<p class="empty">No matters listed.</p>'}
+</body>
+</html>`;
+  }
+
+  /**
+   * PDF document; resolves with a Buffer
+   */
+  renderPDF(causeList) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 36 });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const columns = [
+        { header: '#', width: 28, value: item => String(item.serialNo) },
+        { header: 'Time', width: 50, value: item => this.formatTime(item.time) },
+        { header: 'Case No.', width: 100, value: item => item.caseNumber },
+        { header: 'Parties', width: 200, value: item => item.parties },
+        { header: 'Type', width: 100, value: item => item.caseType },
+        { header: 'Purpose', width: 110, value: item => item.purpose || '-' },
+        { header: 'Court / Advocate', width: 130, value: (item, showCourt) => showCourt
+          ? [item.court, item.courtroom && `CR ${item.courtroom}`].filter(Boolean).join(', ')
+          : item.advocate?.name || '-' },
+        { header: 'Priority', width: 50, value: item => String(item.priorityScore) }
+      ];
+
+      const drawRow = (cells, bold = false) => {
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+        const height = Math.max(...cells.map((text, i) => doc.heightOfString(text, { width: columns[i].width - 6 }))) + 6;
+
+        if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+          doc.addPage();
+        }
+
+        const top = doc.y;
+        let x = doc.page.margins.left;
+        cells.forEach((text, i) => {
+          doc.rect(x, top, columns[i].width, height).stroke('#999999');
+          doc.fillColor('#111111').text(text, x + 3, top + 3, { width: columns[i].width - 6 });
+          x += columns[i].width;
+        });
+        doc.x = doc.page.margins.left;
+        doc.y = top + height;
+      };
+
+      doc.font('Helvetica-Bold').fontSize(16).text('Cause List', { align: 'center' });
+      doc.font('Helvetica').fontSize(11).text(this.formatDate(causeList.date), { align: 'center' });
+      doc.moveDown();
+
+      [...(causeList.closures || []).map(c => `${c.court} is closed on this day (${c.closure.name}).`),
+        ...(causeList.conflicts || []).map(c => c.message)]
+        .forEach(warning => doc.fillColor('#a40000').fontSize(10).text(warning));
+      doc.fillColor('#111111');
+
+      const sections = this.getSections(causeList);
+      if (sections.every(section => section.items.length === 0)) {
+        doc.moveDown().fontSize(11).text('No matters listed.', { align: 'center' });
+      }
+
+      sections.forEach(section => {
+        doc.moveDown();
+        doc.font('Helvetica-Bold').fontSize(12).text(section.title, doc.page.margins.left);
+        doc.moveDown(0.3);
+        drawRow(columns.map(c => c.header), true);
+        section.items.forEach(item => drawRow(columns.map(c => c.value(item, section.showCourt))));
+      });
+
+      doc.end();
+    });
+  }
+}
+
+// Create and export singleton instance
+const causeListService = new CauseListService();
+module.exports = causeListService;
@@ -0,0 +1,465 @@
+/**
+ * Conflict of Interest Service
+ *
+ * Checks a case's parties (client, co-clients and every listed party on
+ * either side) against every other case on the platform before intake and
+ * lawyer assignment. Party names are matched loosely (case,
+ * punctuation, honorifics, company suffixes and small spelling differences
+ * are ignored), and each hit comes back with the case that caused it.
+ *
+ * Conflicts involving the lawyer being assigned, on cases they lead or
+ * work on, are errors and need a recorded waiver; conflicts elsewhere in
+ * the firm are warnings.
+ */
+
+const Case = require('../models/Case');
+const User = require('../models/User');
+
+const idOf = (value) => value?._id || value;
+
+// Parties listed more than once (a principal party also in parties) count
+// once: by account where there is one, otherwise by name
+const uniqueParties = (parties) => {
+  const byKey = new Map();
+  parties.forEach(party => {
+    const key = party.id ? party.id.toString() : party.name;
+    const known = byKey.get(key);
+    byKey.set(key, known ? { ...party, ...known, counsel: known.counsel || party.counsel } : party);
+  });
+
+  const accountNames = new Set([...byKey.values()].filter(p => p.id).map(p => p.name));
+  return [...byKey.values()].filter(party => party.id || !accountNames.has(party.name));
+};
+
+// Words that do not tell two parties apart
+// Descriptions that name no other case or client
+const CONFLICT_SUMMARIES = {
+  represented_opposing_party: 'Represents a party on the other side in another case',
+  firm_represents_opposing_party: 'The firm represents a party on the other side in another case',
+  acting_against_client: 'Acts against this client in another case',
+  firm_acting_against_client: 'The firm acts against this client in another case',
+  opposing_counsel: 'Has acted for the other side against this client'
+};
+
+const NOISE_WORDS = new Set([
+  'mr', 'mrs', 'ms', 'miss', 'dr', 'shri', 'sri', 'smt', 'kumari', 'km', 'late',
+  'adv', 'advocate', 'sr', 'jr', 'the', 'and', 'of', 'messrs',
+  'pvt', 'private', 'ltd', 'limited', 'llp', 'inc', 'co', 'corp', 'company', 'corporation'
+]);
+
+class ConflictOfInterestService {
+  constructor() {
+    // Similarity (0-1) at which two names are treated as the same party
+    this.matchThreshold = parseFloat(process.env.CONFLICT_MATCH_THRESHOLD) || 0.85;
+  }
+
+  /**
+   * Name reduced to its significant words, e.g. "M/s. Sharma & Sons Pvt. Ltd." -> "sharma sons"
+   */
+  normalizeName(name) {
+    return String(name || '')
+      .toLowerCase()
+      .replace(/m\/s\.?/g, ' ')
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(word => word && !NOISE_WORDS.has(word))
+      .join(' ');
+  }
+
+  levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * How alike two party names are, 0 to 1. Takes the better of the spelling
+   * distance and the word overlap, so both "Ramesh Kumar" / "Ramesh Kumaar"
+   * and "Kumar Ramesh" / "Ramesh Kumar" match.
+   */
+  similarity(nameA, nameB) {
+    const a = this.normalizeName(nameA);
+    const b = this.normalizeName(nameB);
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    const spelling = 1 - this.levenshtein(a, b) / Math.max(a.length, b.length);
+
+    const wordsA = new Set(a.split(' '));
+    const wordsB = new Set(b.split(' '));
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    const overlap = shared / new Set([...wordsA, ...wordsB]).size;
+
+    return Math.round(Math.max(spelling, overlap) * 100) / 100;
+  }
+
+  /**
+   * Candidates whose name matches, best first
+   * @param {String} name - Name to look for
+   * @param {Array} candidates - [{ name, ... }]
+   */
+  findMatches(name, candidates) {
+    return candidates
+      .map(candidate => ({ ...candidate, score: this.similarity(name, candidate.name) }))
+      .filter(candidate => candidate.score >= this.matchThreshold)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  describeCase(caseDoc) {
+    return {
+      caseId: caseDoc._id,
+      caseNumber: caseDoc.caseNumber,
+      title: caseDoc.title,
+      status: caseDoc.status,
+      assignedLawyer: caseDoc.assignedLawyer?._id || caseDoc.assignedLawyer || null
+    };
+  }
+
+  /**
+   * The firm's side of another case: ids of the client, co-clients and
+   * client parties with accounts, and the names of client parties
+   */
+  clientSideOf(caseDoc) {
+    const ids = new Set([idOf(caseDoc.client)?.toString()]);
+    (caseDoc.team || [])
+      .filter(member => member.role === 'co_client')
+      .forEach(member => ids.add(idOf(member.user).toString()));
+
+    const clientParties = (caseDoc.parties || []).filter(party => party.isClient);
+    clientParties.filter(party => party.user).forEach(party => ids.add(idOf(party.user).toString()));
+
+    return { ids, names: new Set(clientParties.map(party => party.name)) };
+  }
+
+  /**
+   * The other side of another case: the opposing party and every party the
+   * firm does not act for, with their counsel
+   */
+  adverseSideOf(caseDoc) {
+    const adverse = [{ name: caseDoc.opposingParty?.name, counsel: caseDoc.opposingParty?.lawyer }];
+    (caseDoc.parties || [])
+      .filter(party => !party.isClient)
+      .forEach(party => adverse.push({ name: party.name, counsel: party.counsel }));
+
+    return adverse.filter(party => party.name);
+  }
+
+  /**
+   * Whether the lawyer works on a case: as its lead or on its lawyer team
+   */
+  isLawyersCase(caseDoc, lawyer) {
+    if (!lawyer) return false;
+    if (idOf(caseDoc.assignedLawyer)?.equals(lawyer._id)) return true;
+
+    return (caseDoc.team || []).some(member =>
+      Case.LAWYER_TEAM_ROLES.includes(member.role) && idOf(member.user).equals(lawyer._id));
+  }
+
+  /**
+   * Both sides of the case being checked. Subjects built before multi-party
+   * cases (clientId, clientName, opposingParty) have one party a side.
+   * @returns {Object} clients [{ id, name }], adverse [{ name, counsel }]
+   */
+  sidesOf({ clientId, clientName, opposingParty = {}, clients, adverse }) {
+    return {
+      clients: (clients || [{ id: clientId, name: clientName }]).filter(c => c.id || c.name),
+      adverse: (adverse || [{ name: opposingParty.name, counsel: opposingParty.lawyer }]).filter(a => a.name)
+    };
+  }
+
+  /**
+   * Find every case on the platform that touches this case's parties.
+   * Independent of the lawyer, so it can be classified for several lawyers.
+   * @param {Object} subject - clients [{ id, name }], adverse [{ name, counsel }], caseId (excluded);
+   *                           or clientId, clientName, opposingParty { name, lawyer } for one party a side
+   * @returns {Object} opposingIsClient, clientIsOpposing, clientCases (with opposing counsel named)
+   */
+  async findPartyMatches(subject) {
+    const { clients, adverse } = this.sidesOf(subject);
+    const clientIds = clients.map(c => c.id).filter(Boolean);
+    const excludeCase = subject.caseId ? { _id: { $ne: subject.caseId } } : {};
+    const found = { opposingIsClient: [], clientIsOpposing: [], clientCases: [] };
+
+    // 1. A party on the other side is, or was, one of our clients
+    if (adverse.length > 0) {
+      const [accounts, partyNames] = await Promise.all([
+        User.find({ role: 'client', _id: { $nin: clientIds } }).select('name'),
+        Case.aggregate([
+          { $match: { ...excludeCase, 'parties.isClient': true } },
+          { $unwind: '$parties' },
+          { $match: { 'parties.isClient': true } },
+          { $group: { _id: '$parties.name' } }
+        ])
+      ]);
+      const firmClients = [
+        ...accounts.map(c => ({ id: c._id, name: c.name })),
+        ...partyNames.map(p => ({ id: null, name: p._id }))
+      ];
+
+      const matches = adverse.flatMap(party =>
+        this.findMatches(party.name, firmClients).map(match => ({ ...match, partyName: party.name })));
+
+      if (matches.length > 0) {
+        const ids = matches.map(m => m.id).filter(Boolean);
+        const names = matches.filter(m => !m.id).map(m => m.name);
+
+        const cases = await Case.find({
+          ...excludeCase,
+          $or: [
+            { client: { $in: ids } },
+            { team: { $elemMatch: { user: { $in: ids }, role: 'co_client' } } },
+            { parties: { $elemMatch: { isClient: true, user: { $in: ids } } } },
+            { parties: { $elemMatch: { isClient: true, name: { $in: names } } } }
+          ]
+        }).select('caseNumber title status client assignedLawyer team parties');
+
+        found.opposingIsClient = cases.map(caseDoc => {
+          const side = this.clientSideOf(caseDoc);
+          return {
+            caseDoc,
+            match: matches.find(m => (m.id ? side.ids.has(m.id.toString()) : side.names.has(m.name)))
+          };
+        });
+      }
+    }
+
+    // 2. Someone on the platform is acting against one of our clients
+    if (clients.length > 0) {
+      const [opposingNames, partyNames] = await Promise.all([
+        Case.distinct('opposingParty.name', excludeCase),
+        Case.aggregate([
+          { $match: excludeCase },
+          { $unwind: '$parties' },
+          { $match: { 'parties.isClient': false } },
+          { $group: { _id: '$parties.name' } }
+        ])
+      ]);
+      const adverseNames = [...new Set([...opposingNames, ...partyNames.map(p => p._id)])]
+        .map(name => ({ name }));
+
+      const matches = clients.flatMap(client =>
+        this.findMatches(client.name, adverseNames).map(match => ({ ...match, partyName: client.name })));
+
+      if (matches.length > 0) {
+        const names = matches.map(m => m.name);
+
+        const cases = await Case.find({
+          ...excludeCase,
+          client: { $nin: clientIds },
+          $or: [
+            { 'opposingParty.name': { $in: names } },
+            { parties: { $elemMatch: { isClient: false, name: { $in: names } } } }
+          ]
+        }).select('caseNumber title status opposingParty parties assignedLawyer team');
+
+        found.clientIsOpposing = cases.map(caseDoc => {
+          const adverseHere = new Set(this.adverseSideOf(caseDoc).map(party => party.name));
+          return { caseDoc, match: matches.find(m => adverseHere.has(m.name)) };
+        });
+      }
+    }
+
+    // 3. Our clients' other cases, for checking lawyers against opposing counsel
+    if (clientIds.length > 0) {
+      const cases = await Case.find({
+        ...excludeCase,
+        $or: [
+          { client: { $in: clientIds } },
+          { team: { $elemMatch: { user: { $in: clientIds }, role: 'co_client' } } },
+          { parties: { $elemMatch: { isClient: true, user: { $in: clientIds } } } }
+        ]
+      }).select('caseNumber title status opposingParty parties assignedLawyer');
+
+      found.clientCases = cases.filter(caseDoc => this.adverseSideOf(caseDoc).some(party => party.counsel));
+    }
+
+    return found;
+  }
+
+  /**
+   * Turn party matches into conflicts from one lawyer's point of view. A
+   * case counts as the lawyer's own when they lead it or are on its
+   * lawyer team.
+   * @param {Object} subject - as for findPartyMatches
+   * @param {Object} found - result of findPartyMatches
+   * @param {Object} lawyer - Lawyer being assigned ({ _id, name }), if any
+   * @returns {Array} conflicts, errors first
+   */
+  classifyConflicts(subject, found, lawyer = null) {
+    const { adverse } = this.sidesOf(subject);
+    const conflicts = [];
+    const isLawyersCase = (caseDoc) => this.isLawyersCase(caseDoc, lawyer);
+
+    found.opposingIsClient.forEach(({ caseDoc, match }) => {
+      conflicts.push({
+        type: isLawyersCase(caseDoc) ? 'represented_opposing_party' : 'firm_represents_opposing_party',
+        severity: isLawyersCase(caseDoc) ? 'error' : 'warning',
+        message: isLawyersCase(caseDoc)
+          ? `${lawyer.name} represents ${match.name} (${caseDoc.caseNumber}), a party on the other side here`
+          : `${match.partyName}, on the other side here, matches client ${match.name} in ${caseDoc.caseNumber}`,
+        partyName: match.partyName,
+        matchedName: match.name,
+        score: match.score,
+        ...this.describeCase(caseDoc)
+      });
+    });
+
+    found.clientIsOpposing.forEach(({ caseDoc, match }) => {
+      conflicts.push({
+        type: isLawyersCase(caseDoc) ? 'acting_against_client' : 'firm_acting_against_client',
+        severity: isLawyersCase(caseDoc) ? 'error' : 'warning',
+        message: isLawyersCase(caseDoc)
+          ? `${lawyer.name} acts against ${match.name} in ${caseDoc.caseNumber}`
+          : `Client ${match.partyName} matches opposing party ${match.name} in ${caseDoc.caseNumber}`,
+        partyName: match.partyName,
+        matchedName: match.name,
+        score: match.score,
+        ...this.describeCase(caseDoc)
+      });
+    });
+
+    // The lawyer is, or was, counsel on the other side against these clients
+    if (lawyer) {
+      adverse.filter(party => party.counsel).forEach(party => {
+        const score = this.similarity(lawyer.name, party.counsel);
+        if (score >= this.matchThreshold) {
+          conflicts.push({
+            type: 'opposing_counsel',
+            severity: 'error',
+            message: `${lawyer.name} is named as ${party.name}'s lawyer in this case`,
+            partyName: lawyer.name,
+            matchedName: party.counsel,
+            score,
+            caseId: subject.caseId || null
+          });
+        }
+      });
+
+      found.clientCases.forEach(caseDoc => {
+        const counsel = this.adverseSideOf(caseDoc)
+          .filter(party => party.counsel)
+          .map(party => ({ ...party, score: this.similarity(lawyer.name, party.counsel) }))
+          .sort((a, b) => b.score - a.score)[0];
+
+        if (counsel && counsel.score >= this.matchThreshold) {
+          conflicts.push({
+            type: 'opposing_counsel',
+            severity: 'error',
+            message: `${lawyer.name} acted for ${counsel.name} against this client in ${caseDoc.caseNumber}`,
+            partyName: lawyer.name,
+            matchedName: counsel.counsel,
+            score: counsel.score,
+            ...this.describeCase(caseDoc)
+          });
+        }
+      });
+    }
+
+    return conflicts.sort((a, b) =>
+      (a.severity === 'error' ? 0 : 1) - (b.severity === 'error' ? 0 : 1) || b.score - a.score);
+  }
+
+  /**
+   * Check a case's parties, and optionally a lawyer, for conflicts
+   * @param {Object} subject - as for findPartyMatches
+   * @param {Object} lawyer - Lawyer being assigned ({ _id, name }), if any
+   * @returns {Array} conflicts, errors first
+   */
+  async checkConflicts(subject, lawyer = null) {
+    const found = await this.findPartyMatches(subject);
+    return this.classifyConflicts(subject, found, lawyer);
+  }
+
+  /**
+   * Subject for an existing case: the client, co-clients and client
+   * parties on one side; the opposing party and the parties on the other
+   * sides, with their counsel, on the other. Parties on a client party's
+   * side that the firm does not act for are left out.
+   */
+  async subjectFor(caseDoc) {
+    const client = caseDoc.client?.name
+      ? caseDoc.client
+      : await User.findById(caseDoc.client).select('name');
+
+    const coClientMembers = caseDoc.team.filter(member => member.role === 'co_client');
+    const coClients = coClientMembers.every(member => member.user?.name)
+      ? coClientMembers.map(member => member.user)
+      : await User.find({ _id: { $in: coClientMembers.map(member => idOf(member.user)) } }).select('name');
+
+    const parties = caseDoc.parties || [];
+    const clientSides = new Set(parties.filter(party => party.isClient).map(party => party.side));
+
+    return {
+      clientId: client?._id || caseDoc.client,
+      clientName: client?.name,
+      opposingParty: caseDoc.opposingParty,
+      caseId: caseDoc._id,
+      clients: uniqueParties([
+        { id: client?._id || caseDoc.client, name: client?.name },
+        ...coClients.map(user => ({ id: user._id, name: user.name })),
+        ...parties.filter(party => party.isClient).map(party => ({ id: party.user || null, name: party.name }))
+      ]),
+      adverse: uniqueParties([
+        { name: caseDoc.opposingParty?.name, counsel: caseDoc.opposingParty?.lawyer },
+        ...parties
+          .filter(party => !party.isClient && !clientSides.has(party.side))
+          .map(party => ({ name: party.name, counsel: party.counsel }))
+      ]).filter(party => party.name)
+    };
+  }
+
+  /**
+   * Check an existing case, optionally for a lawyer about to be assigned
+   */
+  async checkCase(caseDoc, lawyer = null) {
+    return this.checkConflicts(await this.subjectFor(caseDoc), lawyer);
+  }
+
+  /**
+   * Check an existing case for several candidate lawyers, searching the
+   * platform once
+   * @returns {Map} lawyer id (string) -> conflicts
+   */
+  async checkCaseForLawyers(caseDoc, lawyers) {
+    const subject = await this.subjectFor(caseDoc);
+    const found = await this.findPartyMatches(subject);
+
+    return new Map(lawyers.map(lawyer =>
+      [lawyer._id.toString(), this.classifyConflicts(subject, found, lawyer)]));
+  }
+
+  /**
+   * Conflicts that stop an assignment unless waived
+   */
+  requiresWaiver(conflicts) {
+    return conflicts.some(c => c.severity === 'error');
+  }
+
+  /**
+   * Conflicts with the other cases, and the names matched in them, left
+   * out, for anyone who may not see other clients' matters
+   */
+  withoutCaseDetails(conflicts) {
+    return conflicts.map(c => ({
+      type: c.type,
+      severity: c.severity,
+      message: CONFLICT_SUMMARIES[c.type] || 'Possible conflict of interest'
+    }));
+  }
+}
+
+// Create and export singleton instance
+const conflictOfInterestService = new ConflictOfInterestService();
+module.exports = conflictOfInterestService;
@@ -0,0 +1,440 @@
+/**
+ * Court Calendar Service
+ *
+ * Working-day arithmetic for courts. Holiday calendars are loaded from
+ * MongoDB into memory (and refreshed periodically) so the checks are
+ * synchronous and cheap enough for save hooks and slot searches.
+ *
+ * A day is a working day for a court unless it is one of the court's
+ * weekly off days, or a holiday in the common calendar or the court's own.
+ *
+ * Days are calendar days in the courts' time zone (COURT_TIMEZONE), not the
+ * server's, and are represented by the instant they start.
+ */
+
+const mongoose = require('mongoose');
+const HolidayCalendar = require('../models/HolidayCalendar');
+
+// Give up looking for a working day after this many days (misconfigured calendar)
+const MAX_SEARCH_DAYS = 366;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+class CourtCalendarService {
+  constructor() {
+    this.defaultWeeklyOffDays = (process.env.COURT_WEEKLY_OFF_DAYS || '0,6')
+      .split(',')
+      .map(d => parseInt(d))
+      .filter(d => d >= 0 && d <= 6);
+    this.refreshIntervalMs = parseInt(process.env.HOLIDAY_CALENDAR_REFRESH_MS) || 10 * 60 * 1000;
+    this.timeZone = process.env.COURT_TIMEZONE || 'Asia/Kolkata';
+    this.formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+
+    this.commonHolidays = new Map(); // day key -> holiday name
+    this.courts = new Map(); // normalized court name -> { weeklyOffDays, holidays }
+    this.loadedAt = null;
+    this.loadErrors = []; // holiday entries that could not be applied
+    this.timer = null;
+  }
+
+  /**
+   * Calendar fields of an instant in the courts' time zone (month 1-12,
+   * weekday 0 = Sunday)
+   */
+  partsOf(date) {
+    const fields = {};
+    this.formatter.formatToParts(new Date(date)).forEach(({ type, value }) => {
+      fields[type] = value;
+    });
+
+    return {
+      year: +fields.year,
+      month: +fields.month,
+      day: +fields.day,
+      hour: +fields.hour,
+      minute: +fields.minute,
+      second: +fields.second,
+      weekday: WEEKDAYS.indexOf(fields.weekday)
+    };
+  }
+
+  /**
+   * The instant a wall-clock time occurs in the courts' time zone. Fields
+   * roll over as with Date.UTC (day 32 is the 1st of the next month).
+   */
+  zonedTime(year, month, day, hours = 0, minutes = 0) {
+    const wall = Date.UTC(year, month - 1, day, hours, minutes);
+    const offsetAt = (instant) => {
+      const p = this.partsOf(instant);
+      return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(instant / 1000) * 1000;
+    };
+
+    // Once more from the first guess in case it is across a DST change
+    const guess = wall - offsetAt(wall);
+    return new Date(wall - offsetAt(guess));
+  }
+
+  /**
+   * Calendar day of a date as YYYY-MM-DD
+   */
+  dayKey(date) {
+    const { year, month, day } = this.partsOf(date);
+    return [year, String(month).padStart(2, '0'), String(day).padStart(2, '0')].join('-');
+  }
+
+  /**
+   * Parse a day from YYYY-MM-DD, YYYYMMDD or DD/MM/YYYY, or take the day a
+   * Date falls on
+   * @returns {Date|null} start of the day; null if there is no such day
+   */
+  parseDay(value) {
+    if (value instanceof Date) {
+      if (isNaN(value.getTime())) return null;
+      const { year, month, day } = this.partsOf(value);
+      return this.zonedTime(year, month, day);
+    }
+
+    const text = String(value || '').trim();
+    let fields = null;
+
+    let match = text.match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+    if (match) {
+      fields = [+match[1], +match[2], +match[3]];
+    } else if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/))) {
+      fields = [+match[3], +match[2], +match[1]];
+    } else {
+      return null;
+    }
+
+    // No rolling 2024-13-45 over into a later month
+    const [year, month, day] = fields;
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    if (month < 1 || month > 12 || day < 1 || day > daysInMonth) return null;
+
+    return this.zonedTime(year, month, day);
+  }
+
+  /**
+   * Start of the day a number of calendar days after a date's
+   */
+  addDays(date, days) {
+    const { year, month, day } = this.partsOf(date);
+    return this.zonedTime(year, month, day + days);
+  }
+
+  nextDay(date) {
+    return this.addDays(date, 1);
+  }
+
+  /**
+   * A time of day (courts' time zone) on a date's day; minutes may run
+   * past 59
+   */
+  atTime(date, hours, minutes = 0) {
+    const { year, month, day } = this.partsOf(date);
+    return this.zonedTime(year, month, day, hours, minutes);
+  }
+
+  normalizeCourt(courtName) {
+    return (courtName || '').trim().toLowerCase();
+  }
+
+  /**
+   * Reload calendars from the database
+   */
+  async refresh() {
+    // Keep the defaults in demo mode (no database)
+    if (mongoose.connection.readyState !== 1) return;
+
+    const calendars = await HolidayCalendar.find({ isActive: true });
+    this.build(calendars);
+  }
+
+  /**
+   * Build the in-memory lookup tables from calendar documents
+   */
+  build(calendars) {
+    const commonHolidays = new Map();
+    const courts = new Map();
+    const errors = [];
+
+    calendars.forEach(calendar => {
+      let target = commonHolidays;
+
+      if (calendar.courtName) {
+        const key = this.normalizeCourt(calendar.courtName);
+        if (!courts.has(key)) courts.set(key, { weeklyOffDays: null, holidays: new Map() });
+
+        const court = courts.get(key);
+        if (calendar.weeklyOffDays && calendar.weeklyOffDays.length > 0) {
+          court.weeklyOffDays = [...calendar.weeklyOffDays];
+        }
+        target = court.holidays;
+      }
+
+      calendar.holidays.forEach(holiday => {
+        const first = this.parseDay(holiday.date);
+        if (!first) {
+          errors.push(`${calendar.name}: "${holiday.name}" has no valid date`);
+          return;
+        }
+
+        let last = holiday.endDate ? this.parseDay(holiday.endDate) : first;
+        if (!last || last < first) {
+          // Keep the day it starts on rather than lose the holiday altogether
+          errors.push(`${calendar.name}: "${holiday.name}" on ${this.dayKey(first)} ends before it starts; only its first day applies`);
+          last = first;
+        }
+
+        for (let day = first; day <= last; day = this.nextDay(day)) {
+          target.set(this.dayKey(day), holiday.name);
+        }
+      });
+    });
+
+    if (errors.length > 0) {
+      console.warn(`Holiday calendars loaded with ${errors.length} bad entr${errors.length === 1 ? 'y' : 'ies'}:\n  ${errors.join('\n  ')}`);
+    }
+
+    this.commonHolidays = commonHolidays;
+    this.courts = courts;
+    this.loadErrors = errors;
+    this.loadedAt = new Date();
+  }
+
+  /**
+   * Load calendars now and keep them fresh
+   */
+  start() {
+    if (this.timer) return;
+
+    const load = () => this.refresh().catch(error => console.error('Error loading holiday calendars:', error));
+    load();
+    // The database usually connects after startup
+    mongoose.connection.on('connected', load);
+    this.timer = setInterval(load, this.refreshIntervalMs);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Why a court is closed on a day
+   * @returns {Object|null} { reason: 'weekly_off' | 'holiday', name } or null if it sits
+   */
+  getClosure(date, courtName) {
+    const court = this.courts.get(this.normalizeCourt(courtName));
+    const weeklyOffDays = court?.weeklyOffDays || this.defaultWeeklyOffDays;
+    const key = this.dayKey(date);
+
+    const holiday = court?.holidays.get(key) || this.commonHolidays.get(key);
+    if (holiday) return { reason: 'holiday', name: holiday };
+
+    if (weeklyOffDays.includes(this.partsOf(date).weekday)) {
+      return {
+        reason: 'weekly_off',
+        name: new Date(date).toLocaleDateString('en-IN', { weekday: 'long', timeZone: this.timeZone })
+      };
+    }
+
+    return null;
+  }
+
+  isWorkingDay(date, courtName) {
+    return !this.getClosure(date, courtName);
+  }
+
+  /**
+   * The day itself if the court sits, otherwise the next day it does
+   */
+  nextWorkingDay(date, courtName) {
+    let day = this.parseDay(date);
+
+    for (let i = 0; i < MAX_SEARCH_DAYS && !this.isWorkingDay(day, courtName); i++) {
+      day = this.nextDay(day);
+    }
+
+    return day;
+  }
+
+  /**
+   * Move forward a number of working days (the start day is not counted)
+   */
+  addWorkingDays(date, workingDays, courtName) {
+    let day = this.parseDay(date);
+    let remaining = workingDays;
+
+    while (remaining > 0) {
+      day = this.nextWorkingDay(this.nextDay(day), courtName);
+      remaining--;
+    }
+
+    return day;
+  }
+
+  /**
+   * Working days after `from` up to and including `to` (0 if to <= from)
+   */
+  countWorkingDays(from, to, courtName) {
+    const end = this.parseDay(to);
+    let day = this.parseDay(from);
+    let count = 0;
+
+    while (day < end) {
+      day = this.nextDay(day);
+      if (this.isWorkingDay(day, courtName)) count++;
+    }
+
+    return count;
+  }
+
+  /**
+   * Holidays that apply to a court between two dates, one entry per day
+   */
+  getHolidays(courtName, from, to) {
+    const holidays = [];
+    const end = this.parseDay(to);
+
+    for (let day = this.parseDay(from); day <= end; day = this.nextDay(day)) {
+      const closure = this.getClosure(day, courtName);
+      if (closure?.reason === 'holiday') {
+        holidays.push({ date: this.dayKey(day), name: closure.name });
+      }
+    }
+
+    return holidays;
+  }
+
+  /**
+   * Parse VEVENTs from an iCalendar file into holiday entries.
+   * DTEND of an all-day event is exclusive, so the last day is DTEND - 1.
+   */
+  parseICS(text) {
+    // Unfold continuation lines (RFC 5545 3.1)
+    const lines = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+    const holidays = [];
+    let event = null;
+
+    lines.forEach(line => {
+      if (line === 'BEGIN:VEVENT') {
+        event = {};
+        return;
+      }
+
+      if (line === 'END:VEVENT') {
+        if (event && event.date) {
+          holidays.push({
+            name: event.name || 'Holiday',
+            date: event.date,
+            endDate: event.endDate && event.endDate > event.date ? event.endDate : null,
+            type: 'court'
+          });
+        }
+        event = null;
+        return;
+      }
+
+      if (!event) return;
+
+      const separator = line.indexOf(':');
+      if (separator === -1) return;
+
+      const [property, ...params] = line.slice(0, separator).split(';');
+      const value = line.slice(separator + 1);
+
+      if (property === 'SUMMARY') {
+        event.name = value.replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, ' ').trim();
+      } else if (property === 'DTSTART') {
+        event.date = this.parseDay(value);
+      } else if (property === 'DTEND') {
+        const end = this.parseDay(value);
+        const isAllDay = params.includes('VALUE=DATE') || /^\d{8}$/.test(value);
+        event.endDate = end && isAllDay ? this.addDays(end, -1) : end;
+      }
+    });
+
+    return holidays;
+  }
+
+  /**
+   * Parse a CSV of holidays. Columns: date, name, [endDate], [type].
+   * A header row is detected and skipped.
+   */
+  parseCSV(text) {
+    const splitRow = (row) => {
+      const cells = [];
+      let current = '';
+      let quoted = false;
+
+      for (let i = 0; i < row.length; i++) {
+        const char = row[i];
+        if (char === '"' && quoted && row[i + 1] === '"') {
+          current += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = !quoted;
+        } else if (char === ',' && !quoted) {
+          cells.push(current.trim());
+          current = '';
+        } else {
+          current += char;
+        }
+      }
+      cells.push(current.trim());
+      return cells;
+    };
+
+    const rows = text.replace(/\r\n/g, '\n').split('\n').filter(row => row.trim());
+    const holidays = [];
+    const errors = [];
+
+    rows.forEach((row, index) => {
+      const [date, name, endDate, type] = splitRow(row);
+      const start = this.parseDay(date);
+
+      if (!start) {
+        // Header row
+        if (index === 0) return;
+        errors.push(`Line ${index + 1}: invalid date "${date}"`);
+        return;
+      }
+
+      const end = endDate ? this.parseDay(endDate) : null;
+      if (endDate && !end) {
+        errors.push(`Line ${index + 1}: invalid end date "${endDate}"`);
+        return;
+      }
+      if (end && end < start) {
+        errors.push(`Line ${index + 1}: end date ${endDate} is before ${date}`);
+        return;
+      }
+
+      holidays.push({
+        name: name || 'Holiday',
+        date: start,
+        endDate: end,
+        type: ['gazetted', 'court', 'vacation', 'other'].includes(type) ? type : 'court'
+      });
+    });
+
+    return { holidays, errors };
+  }
+}
+
+// Create and export singleton instance
+const courtCalendarService = new CourtCalendarService();
+module.exports = courtCalendarService;
@@ -0,0 +1,345 @@
+/**
+ * Deadline Service
+ *
+ * Statutory deadline calculator. Matches a case against the rules in
+ * config/deadlineRules.js, counts each rule's period from the recorded
+ * trigger event and keeps Case.computedDeadlines, the linked milestones
+ * and (when not entered by hand) Case.deadlineDate in step.
+ *
+ * Every computed date carries the working that produced it.
+ */
+
+const Case = require('../models/Case');
+const { TRIGGER_EVENTS, DEADLINE_RULES } = require('../config/deadlineRules');
+const hearingCalendarService = require('./hearingCalendarService');
+const courtCalendarService = require('./courtCalendarService');
+const jobQueueService = require('./jobQueueService');
+const auditService = require('./auditService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class DeadlineService {
+  constructor() {
+    this.rules = DEADLINE_RULES;
+    this.triggerEvents = TRIGGER_EVENTS;
+  }
+
+  formatDate(date) {
+    return new Date(date).toLocaleDateString('en-IN', {
+      weekday: 'short',
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric',
+      timeZone: courtCalendarService.timeZone
+    });
+  }
+
+  /**
+   * Rules that apply to a case profile
+   * @param {Object} profile - caseType, subCategory, courtLevel
+   */
+  getApplicableRules({ caseType, subCategory, courtLevel }) {
+    return this.rules.filter(rule => {
+      const { caseTypes, courtLevels, subCategory: pattern } = rule.match || {};
+
+      if (caseTypes && !caseTypes.includes(caseType)) return false;
+      if (courtLevels && !courtLevels.includes(courtLevel)) return false;
+      if (pattern && !pattern.test(subCategory || '')) return false;
+
+      return true;
+    });
+  }
+
+  /**
+   * Add a period to a date. Months and years land on the same day of the
+   * month, or the last day of a shorter month. Returns the start of that day.
+   */
+  addPeriod(date, { days = 0, months = 0, years = 0 }) {
+    const start = courtCalendarService.partsOf(date);
+    let { year, month, day } = start;
+
+    if (years || months) {
+      const monthIndex = month - 1 + months + years * 12;
+      year = start.year + Math.floor(monthIndex / 12);
+      month = ((monthIndex % 12) + 12) % 12 + 1;
+      const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+      day = Math.min(day, lastDay);
+    }
+
+    return courtCalendarService.zonedTime(year, month, day + days);
+  }
+
+  describePeriod({ days = 0, months = 0, years = 0 }) {
+    const parts = [];
+    if (years) parts.push(`${years} year${years > 1 ? 's' : ''}`);
+    if (months) parts.push(`${months} month${months > 1 ? 's' : ''}`);
+    if (days) parts.push(`${days} day${days > 1 ? 's' : ''}`);
+    return parts.join(' ');
+  }
+
+  /**
+   * Compute a rule's due date from its trigger date
+   * @returns {Object} dueDate and explanation steps
+   */
+  computeDeadline(rule, triggerDate, court = {}) {
+    const start = hearingCalendarService.startOfDay(triggerDate);
+    const steps = Array.isArray(rule.period) ? rule.period : [rule.period];
+    const explanation = [
+      `${this.triggerEvents[rule.trigger]} on ${this.formatDate(start)}.`,
+      `The day of the event is excluded (Limitation Act, 1963 - Section 12(1)); counting starts the next day.`
+    ];
+
+    let dueDate = start;
+    steps.forEach(step => {
+      const from = dueDate;
+      dueDate = this.addPeriod(from, step);
+      explanation.push(
+        `${step.label ? `${step.label}: ` : ''}${this.describePeriod(step)} from ${this.formatDate(from)} ends on ${this.formatDate(dueDate)}.`
+      );
+    });
+
+    // Limitation Act s.4: if the court is closed on the last day, the act
+    // may be done on the day it reopens
+    const closure = courtCalendarService.getClosure(dueDate, court?.name);
+    if (closure) {
+      const closedDay = dueDate;
+      dueDate = courtCalendarService.nextWorkingDay(dueDate, court?.name);
+
+      const reason = closure.reason === 'holiday' ? closure.name : 'weekly off day';
+      explanation.push(
+        `The court is closed on ${this.formatDate(closedDay)} (${reason}); the deadline moves to the next working day, ${this.formatDate(dueDate)} (Limitation Act, 1963 - Section 4).`
+      );
+    }
+
+    explanation.push(`Authority: ${rule.authority}.`);
+    if (rule.notes) explanation.push(`Note: ${rule.notes}`);
+
+    return { dueDate, explanation };
+  }
+
+  /**
+   * Latest recorded date for each trigger event. The filing date counts as
+   * a recorded 'filing_date' event.
+   */
+  getTriggerDates(caseDoc) {
+    const dates = {};
+
+    if (caseDoc.filingDate) {
+      dates.filing_date = caseDoc.filingDate;
+    }
+
+    (caseDoc.triggerEvents || []).forEach(({ event, date }) => {
+      if (!dates[event] || date > dates[event] || event === 'filing_date') {
+        dates[event] = date;
+      }
+    });
+
+    return dates;
+  }
+
+  /**
+   * Compute deadlines for a case profile without saving anything
+   * @param {Object} profile - caseType, subCategory, courtLevel, court
+   * @param {Object} triggerDates - event key -> date
+   */
+  calculate(profile, triggerDates) {
+    return this.getApplicableRules(profile)
+      .filter(rule => triggerDates[rule.trigger])
+      .map(rule => {
+        const triggerDate = new Date(triggerDates[rule.trigger]);
+        const { dueDate, explanation } = this.computeDeadline(rule, triggerDate, profile.court);
+
+        return {
+          ruleId: rule.id,
+          title: rule.title,
+          dueDate,
+          triggerEvent: rule.trigger,
+          triggerDate,
+          authority: rule.authority,
+          explanation,
+          milestone: rule.milestone || null
+        };
+      })
+      .sort((a, b) => a.dueDate - b.dueDate);
+  }
+
+  /**
+   * Bring a case's computed deadlines, rule milestones and deadlineDate up
+   * to date. Modifies the document; the caller saves it.
+   * @returns {Object} counts of added, updated and removed deadlines
+   */
+  recomputeDeadlines(caseDoc) {
+    const results = this.calculate({
+      caseType: caseDoc.caseType,
+      subCategory: caseDoc.subCategory,
+      courtLevel: caseDoc.court?.level,
+      court: caseDoc.court
+    }, this.getTriggerDates(caseDoc));
+
+    const summary = { added: 0, updated: 0, removed: 0 };
+    const ruleIds = results.map(r => r.ruleId);
+
+    // Rules that no longer apply (case type changed, event removed...)
+    caseDoc.computedDeadlines
+      .filter(d => !ruleIds.includes(d.ruleId))
+      .forEach(d => {
+        caseDoc.computedDeadlines.pull(d._id);
+        summary.removed++;
+      });
+
+    caseDoc.milestones
+      .filter(m => m.deadlineRule && !ruleIds.includes(m.deadlineRule) && m.status !== 'completed')
+      .forEach(m => caseDoc.milestones.pull(m._id));
+
+    results.forEach(result => {
+      const existing = caseDoc.computedDeadlines.find(d => d.ruleId === result.ruleId);
+
+      if (!existing) {
+        caseDoc.computedDeadlines.push({ ...result, computedAt: new Date() });
+        summary.added++;
+      } else if (existing.dueDate?.getTime() !== result.dueDate.getTime()) {
+        // A new trigger date starts a new clock; earlier resolutions no longer hold
+        if (existing.triggerDate?.getTime() !== result.triggerDate.getTime()) {
+          existing.status = 'pending';
+          existing.resolvedBy = undefined;
+          existing.resolvedAt = undefined;
+        }
+        Object.assign(existing, {
+          title: result.title,
+          dueDate: result.dueDate,
+          triggerDate: result.triggerDate,
+          authority: result.authority,
+          explanation: result.explanation,
+          computedAt: new Date()
+        });
+        summary.updated++;
+      }
+
+      if (result.milestone) {
+        this.syncMilestone(caseDoc, result);
+      }
+    });
+
+    this.syncDeadlineDate(caseDoc);
+
+    return summary;
+  }
+
+  /**
+   * Keep the milestone created for a rule on the rule's due date
+   */
+  syncMilestone(caseDoc, result) {
+    const milestone = caseDoc.milestones.find(m => m.deadlineRule === result.ruleId);
+
+    if (!milestone) {
+      caseDoc.milestones.push({
+        title: result.milestone,
+        description: `${result.title} (${result.authority})`,
+        dueDate: result.dueDate,
+        status: 'pending',
+        assignedTo: caseDoc.assignedLawyer?._id || caseDoc.assignedLawyer || undefined,
+        deadlineRule: result.ruleId
+      });
+    } else if (milestone.status !== 'completed' && milestone.dueDate?.getTime() !== result.dueDate.getTime()) {
+      milestone.dueDate = result.dueDate;
+    }
+  }
+
+  /**
+   * Point deadlineDate at the earliest pending computed deadline, unless a
+   * date was entered by hand
+   */
+  syncDeadlineDate(caseDoc) {
+    if (caseDoc.deadlineSource === 'manual' && caseDoc.deadlineDate) return;
+
+    const next = caseDoc.computedDeadlines
+      .filter(d => d.status === 'pending' && d.dueDate)
+      .sort((a, b) => a.dueDate - b.dueDate)[0];
+
+    caseDoc.deadlineDate = next ? next.dueDate : null;
+    caseDoc.deadlineSource = 'computed';
+  }
+
+  /**
+   * Mark a computed deadline as met or waived (or reopen it)
+   */
+  resolveDeadline(caseDoc, deadlineId, status, userId) {
+    const deadline = caseDoc.computedDeadlines.id(deadlineId);
+    if (!deadline) return null;
+
+    deadline.status = status;
+    deadline.resolvedBy = status === 'pending' ? undefined : userId;
+    deadline.resolvedAt = status === 'pending' ? undefined : new Date();
+
+    if (status === 'met') {
+      const milestone = caseDoc.milestones.find(m => m.deadlineRule === deadline.ruleId);
+      if (milestone && milestone.status !== 'completed') {
+        milestone.status = 'completed';
+        milestone.completedDate = new Date();
+      }
+    }
+
+    this.syncDeadlineDate(caseDoc);
+    return deadline;
+  }
+
+  /**
+   * Computed deadlines with days remaining, soonest first
+   */
+  describeDeadlines(caseDoc) {
+    const today = hearingCalendarService.startOfDay(new Date());
+
+    return caseDoc.computedDeadlines
+      .map(d => {
+        const daysRemaining = Math.round((hearingCalendarService.startOfDay(d.dueDate) - today) / DAY_MS);
+        return {
+          ...d.toObject(),
+          daysRemaining,
+          isOverdue: d.status === 'pending' && daysRemaining < 0
+        };
+      })
+      .sort((a, b) => a.dueDate - b.dueDate);
+  }
+
+  /**
+   * Recompute deadlines on open cases, e.g. after a holiday calendar changed
+   * @param {Object} options - courtName to limit the run to one court
+   */
+  async recomputeOpenCases({ courtName } = {}) {
+    const filter = {
+      status: { $nin: ['completed', 'dismissed', 'settled'] },
+      'computedDeadlines.0': { $exists: true }
+    };
+
+    if (courtName) filter['court.name'] = courtName;
+
+    let checked = 0;
+    let updated = 0;
+
+    const cursor = Case.find(filter).cursor();
+    for (let caseDoc = await cursor.next(); caseDoc; caseDoc = await cursor.next()) {
+      checked++;
+      const changes = this.recomputeDeadlines(caseDoc);
+
+      if (changes.added + changes.updated + changes.removed > 0 || caseDoc.isModified()) {
+        await caseDoc.auditAs(auditService.systemContext(), 'deadlines_recomputed', changes).save();
+        updated++;
+      }
+    }
+
+    return { checked, updated };
+  }
+
+  /**
+   * Background jobs handled by this service (see jobQueueService)
+   */
+  registerJobHandlers() {
+    jobQueueService.registerHandler('deadlines.recompute', async (payload) => {
+      return await this.recomputeOpenCases(payload);
+    }, { maxAttempts: 3, concurrency: 1 });
+  }
+}
+
+// Create and export singleton instance
+const deadlineService = new DeadlineService();
+module.exports = deadlineService;
@@ -0,0 +1,256 @@
+/**
+ * Document Service
+ *
+ * Gives case documents an identity that survives re-uploads: each upload
+ * of a revised file becomes the next version of the same document, old
+ * versions stay downloadable, two versions can be compared line by line
+ * and an earlier version can be made current again.
+ *
+ * Works on case documents in memory; callers save the case.
+ */
+
+const mongoose = require('mongoose');
+const { diffLines } = require('diff');
+const DocumentText = require('../models/DocumentText');
+const fileService = require('./fileService');
+
+// Fields copied from a version onto the document when it becomes current
+const VERSION_FIELDS = [
+  'filename',
+  'originalName',
+  'mimeType',
+  'size',
+  'storageKey',
+  'storageProvider',
+  'uploadedBy',
+  'uploadDate'
+];
+
+// Unchanged lines kept around each change in a diff
+const CONTEXT_LINES = 3;
+
+const pick = (source, fields) =>
+  Object.fromEntries(fields.map(field => [field, source[field]]));
+
+const documentError = (message) =>
+  Object.assign(new Error(message), { code: 'INVALID_DOCUMENT_VERSION' });
+
+const accessError = (message) =>
+  Object.assign(new Error(message), { code: 'INVALID_DOCUMENT_ACCESS' });
+
+class DocumentService {
+  /**
+   * Versions oldest first. Documents uploaded before versioning have no
+   * stored versions and are treated as version 1.
+   */
+  versionsOf(document) {
+    if (document.versions && document.versions.length > 0) {
+      return document.versions;
+    }
+    return [{ version: 1, ...pick(document, VERSION_FIELDS), changeNote: null, restoredFrom: null }];
+  }
+
+  findVersion(document, number) {
+    return this.versionsOf(document).find(v => v.version === number) || null;
+  }
+
+  /**
+   * Existing document a re-upload with this file name belongs to. Only
+   * documents the uploader can see count; a file named like a hidden
+   * document becomes a new document.
+   */
+  findByName(caseDoc, originalName, user) {
+    const name = originalName.trim().toLowerCase();
+    return caseDoc.documents.find(doc =>
+      doc.originalName.trim().toLowerCase() === name && caseDoc.canSeeDocument(user, doc)
+    ) || null;
+  }
+
+  /**
+   * Add a new document with its first version
+   * @param {Object} options - changeNote, visibility, privilege (model defaults when omitted)
+   * @returns {Object} the document subdocument
+   */
+  addDocument(caseDoc, fileRecord, { changeNote, visibility, privilege } = {}) {
+    const version = { version: 1, ...pick(fileRecord, VERSION_FIELDS), changeNote };
+
+    caseDoc.documents.push({
+      ...pick(fileRecord, VERSION_FIELDS),
+      documentType: fileRecord.documentType,
+      metadata: fileRecord.metadata,
+      textStatus: fileRecord.textStatus,
+      visibility,
+      privilege,
+      currentVersion: 1,
+      versions: [version]
+    });
+
+    return caseDoc.documents[caseDoc.documents.length - 1];
+  }
+
+  /**
+   * Make a version current: append it and mirror it onto the document
+   */
+  appendVersion(document, fields) {
+    // Give a pre-versioning document its implicit version 1 first
+    if (document.versions.length === 0) {
+      document.versions.push(this.versionsOf(document)[0]);
+    }
+
+    const number = document.versions[document.versions.length - 1].version + 1;
+    document.versions.push({ ...fields, version: number });
+
+    VERSION_FIELDS.forEach(field => { document[field] = fields[field]; });
+    document.currentVersion = number;
+
+    return document.versions[document.versions.length - 1];
+  }
+
+  /**
+   * Record an uploaded file as the next version of a document
+   * @returns {Object} the new version
+   */
+  addVersion(document, fileRecord, { changeNote } = {}) {
+    const version = this.appendVersion(document, { ...pick(fileRecord, VERSION_FIELDS), changeNote });
+
+    document.metadata = fileRecord.metadata;
+    document.textStatus = fileRecord.textStatus;
+
+    return version;
+  }
+
+  /**
+   * Make an earlier version current again. History is never rewritten:
+   * the restored file is added as a new version pointing at the same
+   * stored file.
+   * @returns {Object} the new version
+   */
+  restoreVersion(document, number, restoredBy, { changeNote } = {}) {
+    const source = this.findVersion(document, number);
+
+    if (!source) {
+      throw documentError(`Version ${number} does not exist`);
+    }
+    if (number === document.currentVersion) {
+      throw documentError(`Version ${number} is already the current version`);
+    }
+
+    return this.appendVersion(document, {
+      ...pick(source, VERSION_FIELDS),
+      uploadedBy: restoredBy,
+      uploadDate: new Date(),
+      changeNote: changeNote || `Restored version ${number}`,
+      restoredFrom: number
+    });
+  }
+
+  /**
+   * Change who may see a document and the privilege claimed over it.
+   * Visibility and privilege are checked by the model on save; users
+   * given access must already be on the case.
+   * @param {Object} changes - visibility, privilege, allowedUsers (user ids)
+   */
+  setAccess(caseDoc, document, { visibility, privilege, allowedUsers }) {
+    if (allowedUsers !== undefined) {
+      if (!Array.isArray(allowedUsers) || !allowedUsers.every(id => mongoose.isValidObjectId(id))) {
+        throw accessError('allowedUsers must be a list of user ids');
+      }
+
+      const ids = [...new Set(allowedUsers.map(String))].map(id => new mongoose.Types.ObjectId(id));
+      if (ids.some(id => !caseDoc.memberRole(id))) {
+        throw accessError('Documents can only be shared with people on the case');
+      }
+      document.allowedUsers = ids;
+    }
+
+    if (visibility !== undefined) document.visibility = visibility;
+    if (privilege !== undefined) document.privilege = privilege;
+
+    return document;
+  }
+
+  /**
+   * Text of a version: the stored text (including OCR output) when there
+   * is some, otherwise extracted from the file (null for images)
+   */
+  async textOf(document, version) {
+    const stored = await DocumentText.findOne({
+      document: document._id,
+      version: version.version,
+      status: 'completed'
+    }).select('text');
+    if (stored?.text) return stored.text;
+
+    const buffer = await fileService.readFile(version);
+    const content = await fileService.extractTextContent(buffer, version.mimeType);
+
+    if (content === null || content === undefined) return null;
+    return typeof content === 'string' ? content : content.text;
+  }
+
+  /**
+   * Line diff between two versions of a document. Long unchanged runs
+   * are cut down to CONTEXT_LINES either side of each change.
+   * @returns {Object} from, to, identical, stats { added, removed }, parts
+   *          [{ type: added|removed|unchanged, lines } | { type: 'skipped', count }]
+   */
+  async diffVersions(document, fromNumber, toNumber) {
+    const from = this.findVersion(document, fromNumber);
+    const to = this.findVersion(document, toNumber);
+
+    if (!from || !to) {
+      throw documentError(`Version ${from ? toNumber : fromNumber} does not exist`);
+    }
+
+    const [fromText, toText] = await Promise.all([this.textOf(document, from), this.textOf(document, to)]);
+
+    if (fromText === null || toText === null) {
+      throw documentError(`No text could be extracted from version ${fromText === null ? fromNumber : toNumber}`);
+    }
+
+    const changes = diffLines(fromText, toText);
+    const stats = { added: 0, removed: 0 };
+    const parts = [];
+
+    changes.forEach((change, index) => {
+      const lines = change.value.replace(/\n$/, '').split('\n');
+
+      if (change.added || change.removed) {
+        stats[change.added ? 'added' : 'removed'] += lines.length;
+        parts.push({ type: change.added ? 'added' : 'removed', lines });
+        return;
+      }
+
+      const keepBefore = index === 0 ? 0 : CONTEXT_LINES;
+      const keepAfter = index === changes.length - 1 ? 0 : CONTEXT_LINES;
+
+      if (lines.length <= keepBefore + keepAfter) {
+        parts.push({ type: 'unchanged', lines });
+        return;
+      }
+
+      if (keepBefore > 0) parts.push({ type: 'unchanged', lines: lines.slice(0, keepBefore) });
+      parts.push({ type: 'skipped', count: lines.length - keepBefore - keepAfter });
+      if (keepAfter > 0) parts.push({ type: 'unchanged', lines: lines.slice(-keepAfter) });
+    });
+
+    const summary = (version) => ({
+      version: version.version,
+      originalName: version.originalName,
+      uploadedBy: version.uploadedBy,
+      uploadDate: version.uploadDate
+    });
+
+    return {
+      from: summary(from),
+      to: summary(to),
+      identical: stats.added === 0 && stats.removed === 0,
+      stats,
+      parts
+    };
+  }
+}
+
+// Create and export singleton instance
+const documentService = new DocumentService();
+module.exports = documentService;
@@ -0,0 +1,279 @@
+/**
+ * Document Text Service
+ *
+ * Keeps the text of every document version in DocumentText. Text that
+ * can be read straight from the file is stored at upload; scans and
+ * photos are queued for OCR, and once their text is in, the usual
+ * keyword, language and document-type analysis is re-run on it.
+ */
+
+const Case = require('../models/Case');
+const DocumentText = require('../models/DocumentText');
+const fileService = require('./fileService');
+const ocrService = require('./ocrService');
+const documentService = require('./documentService');
+const searchService = require('./searchService');
+const jobQueueService = require('./jobQueueService');
+const auditService = require('./auditService');
+
+const joinPages = (pages) => pages.map(p => p.text).join('\n\n');
+
+// Case.documents textStatus for a stored text record
+const statusFor = (record) => {
+  if (!record) return 'none';
+  if (record.status === 'failed') return 'ocr_failed';
+  if (record.status !== 'completed') return 'ocr_pending';
+  if (!record.text) return 'none';
+  return record.source === 'ocr' ? 'ocr_completed' : 'extracted';
+};
+
+class DocumentTextService {
+  /**
+   * Store the text of a newly uploaded version, queueing OCR when the
+   * file had no usable text of its own
+   */
+  async recordUpload(caseDoc, document, fileRecord) {
+    const version = document.currentVersion;
+
+    await DocumentText.findOneAndUpdate(
+      { document: document._id, version },
+      {
+        case: caseDoc._id,
+        source: fileRecord.needsOcr ? 'ocr' : 'extracted',
+        status: fileRecord.needsOcr ? 'pending' : 'completed',
+        pages: fileRecord.textContent ? [{ page: 1, text: fileRecord.textContent }] : [],
+        text: fileRecord.textContent || '',
+        error: null,
+        ...searchService.accessFields(document)
+      },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+    await searchService.indexDocument(caseDoc, document);
+
+    if (fileRecord.needsOcr) {
+      await this.queueOcr(caseDoc._id, document._id, version);
+    }
+  }
+
+  /**
+   * A restored version shares its file, and so its text, with the version
+   * it came from. Also brings the document's analysis back in line.
+   */
+  async copyForRestore(caseDoc, document, restored) {
+    const source = await DocumentText.findOne({ document: document._id, version: restored.restoredFrom }).lean();
+
+    if (source) {
+      const { _id, createdAt, updatedAt, ...copy } = source;
+      await DocumentText.findOneAndUpdate(
+        { document: document._id, version: restored.version },
+        { ...copy, version: restored.version, ...searchService.accessFields(document) },
+        { upsert: true }
+      );
+    }
+
+    await this.applyAnalysis(document, source?.status === 'completed' ? source.text : '', source?.pages.length);
+    document.textStatus = statusFor(source);
+    await searchService.indexDocument(caseDoc, document);
+
+    if (source && ['pending', 'processing'].includes(source.status)) {
+      await this.queueOcr(caseDoc._id, document._id, restored.version);
+    }
+  }
+
+  async queueOcr(caseId, documentId, version) {
+    try {
+      return await jobQueueService.enqueue('document.ocr', {
+        caseId: caseId.toString(),
+        documentId: documentId.toString(),
+        version
+      }, {
+        uniqueKey: `document.ocr:${documentId}:${version}`
+      });
+    } catch (error) {
+      console.error(`Error queueing OCR for document ${documentId} v${version}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Re-run the content analysis on a document's text
+   */
+  async applyAnalysis(document, text, pageCount) {
+    const result = await fileService.analyzeDocumentContent(
+      text ? { text, pages: pageCount } : null,
+      document.originalName
+    );
+
+    document.metadata = {
+      wordCount: result.wordCount,
+      estimatedReadTime: result.estimatedReadTime,
+      keywords: result.keywords,
+      language: result.language,
+      hasSignature: result.hasSignature,
+      hasDate: result.hasDate,
+      pageCount: result.pageCount
+    };
+
+    // The upload could only guess from the file name
+    if (document.documentType === 'other') {
+      document.documentType = result.documentType;
+    }
+
+    return result;
+  }
+
+  /**
+   * OCR one document version and update the case with the result
+   */
+  async runOcr({ caseId, documentId, version }) {
+    const record = await DocumentText.findOne({ document: documentId, version });
+    if (!record || record.status === 'completed') {
+      return { skipped: 'Nothing to recognise' };
+    }
+
+    const caseDoc = await Case.findById(caseId);
+    const document = caseDoc?.documents.id(documentId);
+    const file = document && documentService.findVersion(document, version);
+
+    if (!file) {
+      record.status = 'failed';
+      record.error = 'Document no longer exists';
+      await record.save();
+      return { skipped: record.error };
+    }
+
+    const { available, reason } = await ocrService.checkAvailability();
+    if (!available) {
+      await this.recordFailure(caseDoc, document, record, reason);
+      return { skipped: reason };
+    }
+
+    record.status = 'processing';
+    await record.save();
+
+    let result;
+    try {
+      result = await ocrService.recognize(await fileService.readFile(file), file.mimeType);
+    } catch (error) {
+      await this.recordFailure(caseDoc, document, record, error.message);
+      throw error;
+    }
+
+    record.set({
+      source: 'ocr',
+      status: 'completed',
+      pages: result.pages,
+      text: joinPages(result.pages),
+      ocrLanguages: result.languages,
+      error: null
+    });
+    await record.save();
+
+    const confidences = result.pages.map(p => p.confidence).filter(c => c !== null);
+    const confidence = confidences.length > 0
+      ? Math.round(confidences.reduce((sum, c) => sum + c, 0) / confidences.length)
+      : null;
+
+    // A newer version may have been uploaded while this one was queued
+    if (version === document.currentVersion) {
+      await this.applyAnalysis(document, record.text, result.pages.length);
+      document.textStatus = 'ocr_completed';
+      await searchService.indexDocument(caseDoc, document);
+
+      await caseDoc.auditAs(auditService.systemContext(), 'document_ocr_completed', {
+        document: document.originalName,
+        version,
+        pages: result.pages.length,
+        confidence
+      }).save();
+    }
+
+    return { pages: result.pages.length, confidence };
+  }
+
+  async recordFailure(caseDoc, document, record, reason) {
+    record.status = 'failed';
+    record.error = reason;
+    await record.save();
+
+    if (record.version === document.currentVersion && document.textStatus !== 'ocr_failed') {
+      document.textStatus = 'ocr_failed';
+      await caseDoc.auditAs(auditService.systemContext()).save();
+    }
+  }
+
+  /**
+   * Store text for documents uploaded before text was kept, and refresh
+   * the search fields of every document
+   * @returns {Object} cases, documents (checked), extracted (newly stored)
+   */
+  async reindexAll() {
+    const stats = { cases: 0, documents: 0, extracted: 0 };
+    const cursor = Case.find({ 'documents.0': { $exists: true } }).cursor();
+
+    for await (const caseDoc of cursor) {
+      stats.cases++;
+      let changed = false;
+
+      for (const document of caseDoc.documents) {
+        stats.documents++;
+
+        try {
+          const stored = await DocumentText.exists({ document: document._id, version: document.currentVersion });
+
+          if (stored) {
+            await searchService.indexDocument(caseDoc, document);
+            continue;
+          }
+
+          const textContent = await fileService.extractTextContent(
+            await fileService.readFile(document),
+            document.mimeType
+          );
+          const needsOcr = ocrService.needsOcr(document.mimeType, textContent);
+
+          await this.recordUpload(caseDoc, document, { textContent: textContent?.text || null, needsOcr });
+          if (!needsOcr) {
+            await this.applyAnalysis(document, textContent?.text, textContent?.pages);
+          }
+          document.textStatus = needsOcr ? 'ocr_pending' : (textContent?.text ? 'extracted' : 'none');
+          changed = true;
+          stats.extracted++;
+        } catch (error) {
+          console.error(`Error indexing document ${document.originalName} on case ${caseDoc.caseNumber}:`, error.message);
+        }
+      }
+
+      if (changed) {
+        await caseDoc.auditAs(auditService.systemContext()).save();
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Text of a document version, page by page
+   */
+  async getText(documentId, version) {
+    return DocumentText.findOne({ document: documentId, version });
+  }
+
+  /**
+   * Background jobs handled by this service (see jobQueueService)
+   */
+  registerJobHandlers() {
+    // OCR is CPU-heavy; one document at a time per worker
+    jobQueueService.registerHandler('document.ocr', async (payload) => {
+      return await this.runOcr(payload);
+    }, { maxAttempts: 3, concurrency: 1 });
+
+    jobQueueService.registerHandler('documents.reindex', async () => {
+      return await this.reindexAll();
+    }, { maxAttempts: 1, concurrency: 1 });
+  }
+}
+
+// Create and export singleton instance
+const documentTextService = new DocumentTextService();
+module.exports = documentTextService;
@@ -1,22 +1,18 @@
 /**
  * File Upload and Management Service
  * 
- * Handles secure file uploads to Cloudinary, document parsing,
- * and metadata extraction for legal case files.
+ * Handles secure file uploads to the configured storage backend
+ * (see storage/index.js), document parsing, and metadata extraction
+ * for legal case files.
  */
 
 const multer = require('multer');
-const cloudinary = require('cloudinary').v2;
 const pdfParse = require('pdf-parse');
 const mammoth = require('mammoth');
 const path = require('path');
-
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
+const crypto = require('crypto');
+const { createStorage, getConfiguredStorageName } = require('./storage');
+const ocrService = require('./ocrService');
 
 class FileService {
   constructor() {
@@ -32,6 +28,21 @@ class FileService {
     
     this.maxFileSize = 10 * 1024 * 1024; // 10MB
     this.setupMulter();
+
+    // New uploads go to this driver; files already stored elsewhere are
+    // still read from the driver recorded with them
+    this.storageDriver = getConfiguredStorageName();
+    this.storages = new Map();
+  }
+
+  /**
+   * Storage adapter by driver name, created on first use
+   */
+  storage(name = this.storageDriver) {
+    if (!this.storages.has(name)) {
+      this.storages.set(name, createStorage(name));
+    }
+    return this.storages.get(name);
   }
 
   /**
@@ -65,35 +76,57 @@ class FileService {
   }
 
   /**
-   * Upload file to Cloudinary
+   * Unique storage key for an upload, e.g. cases/<caseId>/1700000000000-1a2b3c4d-petition.pdf
+   */
+  buildStorageKey(filename, folder) {
+    const safeName = path.basename(filename).replace(/[^A-Za-z0-9._-]+/g, '_').slice(-100);
+    return `${folder}/${Date.now()}-${crypto.randomBytes(4).toString('hex')}-${safeName}`;
+  }
+
+  /**
+   * Store a file with the configured driver
+   * @returns {Object} key, provider, size
    */
-  async uploadToCloudinary(fileBuffer, filename, folder = 'panchtatva/documents') {
+  async storeFile(fileBuffer, filename, { folder = 'documents', mimeType } = {}) {
     try {
-      return new Promise((resolve, reject) => {
-        const uploadOptions = {
-          folder: folder,
-          public_id: `${Date.now()}_${filename}`,
-          resource_type: 'auto',
-          use_filename: true,
-          unique_filename: true
-        };
-
-        cloudinary.uploader.upload_stream(
-          uploadOptions,
-          (error, result) => {
-            if (error) {
-              console.error('Cloudinary upload error:', error);
-              reject(error);
-            } else {
-              resolve(result);
-            }
-          }
-        ).end(fileBuffer);
-      });
+      const storage = this.storage();
+      const stored = await storage.put(this.buildStorageKey(filename, folder), fileBuffer, { contentType: mimeType });
+
+      return { key: stored.key, provider: storage.name, size: stored.size };
     } catch (error) {
-      console.error('Error uploading to Cloudinary:', error);
-      throw new Error('Failed to upload file to cloud storage');
+      console.error(`Error storing file with ${this.storageDriver} storage:`, error);
+      throw new Error('Failed to store file');
+    }
+  }
+
+  /**
+   * Where a stored file lives. Documents from before storage became
+   * configurable only have filename, which was their Cloudinary public id.
+   */
+  storageRef(fileRecord) {
+    return {
+      provider: fileRecord.storageProvider || 'cloudinary',
+      key: fileRecord.storageKey || fileRecord.filename
+    };
+  }
+
+  /**
+   * Readable stream of a stored file (throws code STORAGE_NOT_FOUND when missing)
+   */
+  async openFile(fileRecord) {
+    const { provider, key } = this.storageRef(fileRecord);
+    return this.storage(provider).get(key);
+  }
+
+  /**
+   * Whole stored file as a Buffer
+   */
+  async readFile(fileRecord) {
+    const chunks = [];
+    for await (const chunk of await this.openFile(fileRecord)) {
+      chunks.push(chunk);
     }
+    return Buffer.concat(chunks);
   }
 
   /**
@@ -110,7 +143,7 @@ class FileService {
           return await this.extractWordText(fileBuffer);
         
         case 'text/plain':
-          return fileBuffer.toString('utf8');
+          return { text: fileBuffer.toString('utf8'), pages: 1 };
         
         default:
           return null; // For image files or unsupported formats
@@ -286,15 +319,14 @@ class FileService {
 
   /**
    * Process uploaded file and return file information
+   * @param {Object} options - folder to store under (default: the case's folder, or documents)
    */
-  async processUploadedFile(file, uploadedBy, caseId = null) {
+  async processUploadedFile(file, uploadedBy, caseId = null, { folder } = {}) {
     try {
-      // Upload to Cloudinary
-      const cloudinaryResult = await this.uploadToCloudinary(
-        file.buffer,
-        file.originalname,
-        caseId ? `panchtatva/cases/${caseId}` : 'panchtatva/documents'
-      );
+      const stored = await this.storeFile(file.buffer, file.originalname, {
+        folder: folder || (caseId ? `cases/${caseId}` : 'documents'),
+        mimeType: file.mimetype
+      });
 
       // Extract text content
       const textContent = await this.extractTextContent(file.buffer, file.mimetype);
@@ -304,11 +336,12 @@ class FileService {
 
       // Create file record
       const fileRecord = {
-        filename: cloudinaryResult.public_id,
+        filename: path.basename(stored.key),
         originalName: file.originalname,
         mimeType: file.mimetype,
         size: file.size,
-        cloudinaryUrl: cloudinaryResult.secure_url,
+        storageKey: stored.key,
+        storageProvider: stored.provider,
         uploadedBy: uploadedBy,
         uploadDate: new Date(),
         documentType: analysis.documentType,
@@ -321,8 +354,11 @@ class FileService {
           hasDate: analysis.hasDate,
           pageCount: analysis.pageCount
         },
-        textContent: textContent ? textContent.text : null
+        textContent: textContent ? textContent.text : null,
+        // Scans and photos get their text from OCR after the upload
+        needsOcr: ocrService.needsOcr(file.mimetype, textContent)
       };
+      fileRecord.textStatus = fileRecord.needsOcr ? 'ocr_pending' : (fileRecord.textContent ? 'extracted' : 'none');
 
       return fileRecord;
 
@@ -333,25 +369,19 @@ class FileService {
   }
 
   /**
-   * Delete file from Cloudinary
+   * Delete a stored file from wherever it was stored
    */
-  async deleteFile(publicId) {
+  async deleteFile(fileRecord) {
+    const { provider, key } = this.storageRef(fileRecord);
+
     try {
-      const result = await cloudinary.uploader.destroy(publicId);
-      return result;
+      await this.storage(provider).remove(key);
     } catch (error) {
-      console.error('Error deleting file from Cloudinary:', error);
-      throw new Error('Failed to delete file from cloud storage');
+      console.error(`Error deleting file from ${provider} storage:`, error);
+      throw new Error('Failed to delete file from storage');
     }
   }
 
-  /**
-   * Get file URL with optional transformations
-   */
-  getFileUrl(publicId, transformations = {}) {
-    return cloudinary.url(publicId, transformations);
-  }
-
   /**
    * Validate file before upload
    */
@@ -385,43 +415,6 @@ class FileService {
   getUploadMiddleware() {
     return this.upload;
   }
-
-  /**
-   * Search documents by text content
-   */
-  async searchDocuments(query, caseId = null, limit = 20) {
-    // This would typically use a search engine like Elasticsearch
-    // For now, we'll implement basic text search in the Case model
-    const Case = require('../models/Case');
-    
-    const searchCriteria = {
-      'documents.textContent': { $regex: query, $options: 'i' }
-    };
-    
-    if (caseId) {
-      searchCriteria._id = caseId;
-    }
-    
-    const cases = await Case.find(searchCriteria)
-      .select('caseNumber title documents')
-      .limit(limit);
-    
-    // Extract matching documents
-    const matchingDocuments = [];
-    cases.forEach(caseDoc => {
-      caseDoc.documents.forEach(doc => {
-        if (doc.textContent && doc.textContent.toLowerCase().includes(query.toLowerCase())) {
-          matchingDocuments.push({
-            caseId: caseDoc._id,
-            caseNumber: caseDoc.caseNumber,
-            document: doc
-          });
-        }
-      });
-    });
-    
-    return matchingDocuments;
-  }
 }
 
 // Create and export singleton instance
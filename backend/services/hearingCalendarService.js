@@ -0,0 +1,378 @@
+/**
+ * Hearing Calendar Service
+ *
+ * Models courts, courtrooms and judges as resources with a daily
+ * capacity and allocates hearing slots to cases in priority order.
+ * Bookings are derived from Case.hearingDate, so there is no separate
+ * reservation table to keep in sync.
+ */
+
+const Case = require('../models/Case');
+const CourtResource = require('../models/CourtResource');
+const hearingConflictService = require('./hearingConflictService');
+const courtCalendarService = require('./courtCalendarService');
+const caseStatusService = require('./caseStatusService');
+const auditService = require('./auditService');
+
+const CLOSED_STATUSES = ['completed', 'dismissed', 'settled'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class HearingCalendarService {
+  constructor() {
+    // Fallbacks used when no CourtResource has been configured
+    this.defaults = {
+      court: { dailyCapacity: parseInt(process.env.DEFAULT_COURT_DAILY_CAPACITY) || 0 },
+      courtroom: { dailyCapacity: parseInt(process.env.DEFAULT_COURTROOM_DAILY_CAPACITY) || 30 },
+      judge: { dailyCapacity: parseInt(process.env.DEFAULT_JUDGE_DAILY_CAPACITY) || 30 },
+      sittingStart: process.env.COURT_SITTING_START || '10:30',
+      slotMinutes: parseInt(process.env.COURT_SLOT_MINUTES) || 20
+    };
+
+    this.horizonDays = parseInt(process.env.HEARING_ALLOCATION_HORIZON_DAYS) || 60;
+
+    // Statuses in which a case is ready to be listed for hearing
+    this.schedulableStatuses = ['assigned', 'in_progress', 'under_review', 'awaiting_hearing'];
+  }
+
+  /**
+   * Start of the day for a date, in the courts' time zone
+   */
+  startOfDay(date) {
+    return courtCalendarService.parseDay(new Date(date));
+  }
+
+  /**
+   * Whether the court sits on this day (weekly off days and holidays from
+   * the court's holiday calendar are non-sitting days)
+   */
+  isSittingDay(date, court = {}) {
+    return courtCalendarService.isWorkingDay(date, court?.name);
+  }
+
+  /**
+   * Resource descriptors for a case's court block
+   */
+  getResourceKeys(court = {}) {
+    if (!court.name) return [];
+
+    const keys = [{ resourceType: 'court', courtName: court.name, courtroom: null, judge: null }];
+
+    if (court.courtroom) {
+      keys.push({ resourceType: 'courtroom', courtName: court.name, courtroom: court.courtroom, judge: null });
+    }
+
+    if (court.judge) {
+      keys.push({ resourceType: 'judge', courtName: court.name, courtroom: null, judge: court.judge });
+    }
+
+    return keys;
+  }
+
+  /**
+   * Resolve capacity settings for every resource a case's court block uses
+   */
+  async getCapacityProfile(court) {
+    const keys = this.getResourceKeys(court);
+
+    const configured = keys.length > 0
+      ? await CourtResource.find({ isActive: true, $or: keys })
+      : [];
+
+    return keys.map(key => {
+      const resource = configured.find(r =>
+        r.resourceType === key.resourceType &&
+        r.courtName === key.courtName &&
+        (r.courtroom || null) === key.courtroom &&
+        (r.judge || null) === key.judge
+      );
+
+      return {
+        ...key,
+        resourceId: resource ? resource._id : null,
+        label: this.labelFor(key),
+        dailyCapacity: resource ? resource.dailyCapacity : this.defaults[key.resourceType].dailyCapacity,
+        sittingStart: resource ? resource.sittingStart : this.defaults.sittingStart,
+        slotMinutes: resource ? resource.slotMinutes : this.defaults.slotMinutes
+      };
+    });
+  }
+
+  labelFor(key) {
+    if (key.resourceType === 'courtroom') return `${key.courtName} / Courtroom ${key.courtroom}`;
+    if (key.resourceType === 'judge') return `${key.courtName} / ${key.judge}`;
+    return key.courtName;
+  }
+
+  /**
+   * Whether a listed case occupies the given resource
+   */
+  usesResource(caseCourt = {}, profile) {
+    if (caseCourt.name !== profile.courtName) return false;
+    if (profile.resourceType === 'courtroom') return caseCourt.courtroom === profile.courtroom;
+    if (profile.resourceType === 'judge') return caseCourt.judge === profile.judge;
+    return true;
+  }
+
+  /**
+   * Cases already listed before a court on a given day
+   */
+  async getListedCases(courtName, date, excludeCaseId = null) {
+    const dayStart = this.startOfDay(date);
+    const filter = {
+      'court.name': courtName,
+      hearingDate: { $gte: dayStart, $lt: courtCalendarService.nextDay(dayStart) },
+      status: { $nin: CLOSED_STATUSES }
+    };
+
+    if (excludeCaseId) {
+      filter._id = { $ne: excludeCaseId };
+    }
+
+    return await Case.find(filter)
+      .select('caseNumber title court hearingDate priorityScore assignedLawyer')
+      .sort({ hearingDate: 1 });
+  }
+
+  /**
+   * Check how much room each resource has on a given day
+   * @param {Object} court - Case.court block
+   * @param {Date} date - Day to check
+   * @param {Object} options - excludeCaseId, reservations (in-flight allocations)
+   */
+  async checkAvailability(court, date, options = {}) {
+    const { excludeCaseId = null, reservations = null } = options;
+    const dayKey = this.startOfDay(date).toISOString();
+
+    const profiles = await this.getCapacityProfile(court);
+    const listed = await this.getListedCases(court.name, date, excludeCaseId);
+
+    const resources = profiles.map(profile => {
+      const booked = listed.filter(c => this.usesResource(c.court, profile)).length +
+        (reservations ? reservations.get(`${dayKey}::${profile.label}`) || 0 : 0);
+
+      const unlimited = profile.dailyCapacity === 0;
+
+      return {
+        resourceType: profile.resourceType,
+        resourceId: profile.resourceId,
+        label: profile.label,
+        dailyCapacity: profile.dailyCapacity,
+        booked,
+        remaining: unlimited ? null : Math.max(0, profile.dailyCapacity - booked),
+        isFull: !unlimited && booked >= profile.dailyCapacity,
+        sittingStart: profile.sittingStart,
+        slotMinutes: profile.slotMinutes
+      };
+    });
+
+    const closure = courtCalendarService.getClosure(date, court.name);
+
+    return {
+      date: this.startOfDay(date),
+      isSittingDay: !closure,
+      closure,
+      available: !closure && resources.length > 0 && resources.every(r => !r.isFull),
+      resources,
+      listedCount: listed.length
+    };
+  }
+
+  /**
+   * Work out the call time for the next matter on a day.
+   * The most specific resource (courtroom, then judge, then court) sets the pace.
+   */
+  getSlotTime(date, availability) {
+    const pacing = ['courtroom', 'judge', 'court']
+      .map(type => availability.resources.find(r => r.resourceType === type))
+      .find(Boolean);
+
+    const [hours, minutes] = pacing.sittingStart.split(':').map(Number);
+    return courtCalendarService.atTime(date, hours, minutes + pacing.booked * pacing.slotMinutes);
+  }
+
+  /**
+   * Find the first free slots for a case
+   * @param {Object} caseDoc - Case (needs court)
+   * @param {Object} options - from, horizonDays, count, reservations, pendingHearings
+   */
+  async findSlots(caseDoc, options = {}) {
+    const {
+      from = new Date(Date.now() + DAY_MS),
+      horizonDays = this.horizonDays,
+      count = 1,
+      reservations = null,
+      pendingHearings = []
+    } = options;
+
+    const slots = [];
+    let day = this.startOfDay(from);
+
+    for (let i = 0; i < horizonDays && slots.length < count; i++) {
+      if (this.isSittingDay(day, caseDoc.court)) {
+        const availability = await this.checkAvailability(caseDoc.court, day, {
+          excludeCaseId: caseDoc._id,
+          reservations
+        });
+
+        if (availability.available) {
+          const slotTime = this.getSlotTime(day, availability);
+
+          // Skip days where the assigned lawyer is already due elsewhere
+          const conflicts = await hearingConflictService.checkLawyerHearing({
+            lawyerId: caseDoc.assignedLawyer,
+            hearingDate: slotTime,
+            court: caseDoc.court,
+            caseDoc
+          }, pendingHearings.filter(h => caseDoc.assignedLawyer && h.lawyerId.equals(caseDoc.assignedLawyer)));
+
+          if (!conflicts.some(c => c.severity === 'error')) {
+            slots.push({
+              date: slotTime,
+              resources: availability.resources,
+              warnings: conflicts.length > 0 ? conflicts : undefined
+            });
+          }
+        }
+      }
+
+      day = courtCalendarService.nextDay(day);
+    }
+
+    return slots;
+  }
+
+  /**
+   * Cases waiting for a hearing date, highest priority first
+   * @param {Object} options - caseIds, courtName, member (only cases this
+   *   user is on, as Case.memberFilter), limit
+   */
+  async getCasesAwaitingSlots(options = {}) {
+    const { caseIds, courtName, member, limit = 50 } = options;
+
+    const filter = {
+      status: { $in: this.schedulableStatuses },
+      'court.name': { $exists: true }
+    };
+
+    if (caseIds && caseIds.length > 0) {
+      filter._id = { $in: caseIds };
+    } else {
+      filter.hearingDate = null;
+    }
+
+    if (courtName) filter['court.name'] = courtName;
+    if (member) Object.assign(filter, Case.memberFilter(member));
+
+    return await Case.find(filter)
+      .sort({ priorityScore: -1, filingDate: 1 })
+      .limit(limit);
+  }
+
+  /**
+   * Propose hearing slots for waiting cases without saving anything.
+   * Higher priority cases claim earlier slots first.
+   */
+  async proposeSlots(options = {}) {
+    const { from, horizonDays } = options;
+    const cases = await this.getCasesAwaitingSlots(options);
+
+    const reservations = new Map();
+    const pendingHearings = [];
+    const proposals = [];
+    const unallocated = [];
+
+    for (const caseDoc of cases) {
+      const [slot] = await this.findSlots(caseDoc, { from, horizonDays, reservations, pendingHearings });
+
+      if (!slot) {
+        unallocated.push({
+          caseId: caseDoc._id,
+          caseNumber: caseDoc.caseNumber,
+          priorityScore: caseDoc.priorityScore,
+          reason: `No capacity at ${caseDoc.court.name} within ${horizonDays || this.horizonDays} days`
+        });
+        continue;
+      }
+
+      // Hold the slot so lower priority cases in this run cannot take it
+      const dayKey = this.startOfDay(slot.date).toISOString();
+      slot.resources.forEach(resource => {
+        const key = `${dayKey}::${resource.label}`;
+        reservations.set(key, (reservations.get(key) || 0) + 1);
+      });
+
+      if (caseDoc.assignedLawyer) {
+        pendingHearings.push({
+          ...hearingConflictService.toHearing(caseDoc, slot.date),
+          lawyerId: caseDoc.assignedLawyer
+        });
+      }
+
+      proposals.push({
+        caseId: caseDoc._id,
+        caseNumber: caseDoc.caseNumber,
+        title: caseDoc.title,
+        priorityScore: caseDoc.priorityScore,
+        court: caseDoc.court,
+        proposedDate: slot.date,
+        resources: slot.resources.map(r => ({
+          resourceType: r.resourceType,
+          label: r.label,
+          booked: r.booked + 1,
+          dailyCapacity: r.dailyCapacity
+        }))
+      });
+    }
+
+    return { proposals, unallocated };
+  }
+
+  /**
+   * Propose and apply hearing dates.
+   * Each proposal is re-checked against live bookings before it is saved.
+   * @param {Object} options - Same as proposeSlots
+   * @param {ObjectId} allocatedBy - User applying the allocation (null for the scheduler)
+   */
+  async allocateSlots(options = {}, allocatedBy = null) {
+    const { proposals, unallocated } = await this.proposeSlots(options);
+    const allocated = [];
+
+    for (const proposal of proposals) {
+      const caseDoc = await Case.findById(proposal.caseId);
+      if (!caseDoc) continue;
+
+      const availability = await this.checkAvailability(caseDoc.court, proposal.proposedDate, {
+        excludeCaseId: caseDoc._id
+      });
+
+      if (!availability.available) {
+        unallocated.push({
+          caseId: caseDoc._id,
+          caseNumber: caseDoc.caseNumber,
+          priorityScore: caseDoc.priorityScore,
+          reason: 'Slot was taken before it could be saved'
+        });
+        continue;
+      }
+
+      caseDoc.hearingDate = proposal.proposedDate;
+      // Left as it is when the case cannot move on yet
+      caseStatusService.applyTransition(caseDoc, 'awaiting_hearing', allocatedBy);
+
+      caseDoc.notes.push({
+        content: `Hearing listed for ${proposal.proposedDate.toLocaleString('en-IN')} at ${caseDoc.court.name}${caseDoc.court.courtroom ? `, Courtroom ${caseDoc.court.courtroom}` : ''}`,
+        createdBy: allocatedBy,
+        category: 'court_update'
+      });
+
+      await caseDoc.auditAs(allocatedBy ? { actor: allocatedBy } : auditService.systemContext(), 'hearing_allocated').save();
+      allocated.push(proposal);
+    }
+
+    return { allocated, unallocated };
+  }
+}
+
+// Create and export singleton instance
+const hearingCalendarService = new HearingCalendarService();
+module.exports = hearingCalendarService;
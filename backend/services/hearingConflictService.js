@@ -0,0 +1,159 @@
+/**
+ * Hearing Conflict Service
+ *
+ * Detects when a lawyer is listed in two places at once, or does not
+ * have enough time to travel between different courts. Conflicts are
+ * returned as plain objects so routes can either block the save or pass
+ * them back to the client as warnings.
+ */
+
+const Case = require('../models/Case');
+
+const CLOSED_STATUSES = ['completed', 'dismissed', 'settled'];
+const MINUTE_MS = 60 * 1000;
+
+class HearingConflictService {
+  constructor() {
+    // How long a lawyer is assumed to be held up by one hearing
+    this.hearingMinutes = parseInt(process.env.HEARING_DURATION_MINUTES) || 60;
+
+    // Minimum gap between hearings in different courts
+    this.travelBufferMinutes = parseInt(process.env.COURT_TRAVEL_BUFFER_MINUTES) || 90;
+
+    // 'block' rejects saves with overlapping hearings, 'warn' only reports them
+    this.mode = process.env.HEARING_CONFLICT_MODE === 'warn' ? 'warn' : 'block';
+  }
+
+  /**
+   * Reduce a case to the fields needed to describe a hearing
+   */
+  toHearing(caseDoc, hearingDate = caseDoc.hearingDate, court = caseDoc.court) {
+    return {
+      caseId: caseDoc._id,
+      caseNumber: caseDoc.caseNumber,
+      title: caseDoc.title,
+      hearingDate: new Date(hearingDate),
+      court: {
+        name: court?.name,
+        courtroom: court?.courtroom,
+        judge: court?.judge
+      }
+    };
+  }
+
+  /**
+   * Compare two hearings of the same lawyer
+   * @returns {Object|null} conflict description, or null when they fit
+   */
+  compare(subject, other) {
+    const [first, second] = subject.hearingDate <= other.hearingDate
+      ? [subject, other]
+      : [other, subject];
+
+    const firstEnds = first.hearingDate.getTime() + this.hearingMinutes * MINUTE_MS;
+    const gapMinutes = Math.round((second.hearingDate.getTime() - firstEnds) / MINUTE_MS);
+    const sameCourt = first.court.name === second.court.name;
+
+    if (gapMinutes < 0) {
+      return {
+        type: 'double_booking',
+        severity: 'error',
+        message: `${other.caseNumber} is listed at ${other.court.name} at ${other.hearingDate.toLocaleString('en-IN')}, overlapping this hearing`,
+        case: subject,
+        conflictingCase: other,
+        gapMinutes,
+        requiredGapMinutes: sameCourt ? 0 : this.travelBufferMinutes
+      };
+    }
+
+    if (!sameCourt && gapMinutes < this.travelBufferMinutes) {
+      return {
+        type: 'travel_buffer',
+        severity: 'warning',
+        message: `Only ${gapMinutes} min between ${first.court.name} and ${second.court.name}; ${this.travelBufferMinutes} min needed to travel`,
+        case: subject,
+        conflictingCase: other,
+        gapMinutes,
+        requiredGapMinutes: this.travelBufferMinutes
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a proposed hearing against all of a lawyer's other active cases
+   * @param {Object} params - lawyerId, hearingDate, court, caseDoc (the case being saved)
+   * @param {Array} pendingHearings - Hearings not yet saved (e.g. from a batch allocation)
+   */
+  async checkLawyerHearing({ lawyerId, hearingDate, court, caseDoc }, pendingHearings = []) {
+    if (!lawyerId || !hearingDate) return [];
+
+    const windowMs = (this.hearingMinutes + this.travelBufferMinutes) * MINUTE_MS;
+    const date = new Date(hearingDate);
+
+    const otherCases = await Case.find({
+      _id: { $ne: caseDoc._id },
+      assignedLawyer: lawyerId,
+      hearingDate: {
+        $gte: new Date(date.getTime() - windowMs),
+        $lte: new Date(date.getTime() + windowMs)
+      },
+      status: { $nin: CLOSED_STATUSES }
+    }).select('caseNumber title hearingDate court');
+
+    const subject = this.toHearing(caseDoc, date, court);
+    const others = otherCases
+      .map(c => this.toHearing(c))
+      .concat(pendingHearings.filter(h => !h.caseId.equals(caseDoc._id)));
+
+    return others
+      .map(other => this.compare(subject, other))
+      .filter(Boolean);
+  }
+
+  /**
+   * List every conflict among a lawyer's upcoming hearings
+   * @param {ObjectId} lawyerId
+   * @param {Object} range - from, to (defaults to the next 30 days)
+   */
+  async getLawyerConflicts(lawyerId, range = {}) {
+    const from = range.from || new Date();
+    const to = range.to || new Date(from.getTime() + 30 * 24 * 60 * MINUTE_MS);
+
+    const cases = await Case.find({
+      assignedLawyer: lawyerId,
+      hearingDate: { $gte: from, $lte: to },
+      status: { $nin: CLOSED_STATUSES }
+    })
+    .select('caseNumber title hearingDate court')
+    .sort({ hearingDate: 1 });
+
+    const hearings = cases.map(c => this.toHearing(c));
+    const windowMs = (this.hearingMinutes + this.travelBufferMinutes) * MINUTE_MS;
+    const conflicts = [];
+
+    // Hearings are sorted, so only look ahead until they are too far apart to clash
+    for (let i = 0; i < hearings.length; i++) {
+      for (let j = i + 1; j < hearings.length; j++) {
+        if (hearings[j].hearingDate - hearings[i].hearingDate > windowMs) break;
+
+        const conflict = this.compare(hearings[i], hearings[j]);
+        if (conflict) conflicts.push(conflict);
+      }
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Whether any of the conflicts should stop the save
+   */
+  isBlocking(conflicts) {
+    return this.mode === 'block' && conflicts.some(c => c.severity === 'error');
+  }
+}
+
+// Create and export singleton instance
+const hearingConflictService = new HearingConflictService();
+module.exports = hearingConflictService;
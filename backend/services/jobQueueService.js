@@ -0,0 +1,354 @@
+/**
+ * Job Queue Service
+ *
+ * Small MongoDB-backed job queue. Work is persisted before it runs, so a
+ * restart does not lose it; failed jobs are retried with exponential
+ * backoff and moved to the dead-letter state after maxAttempts. Finished
+ * jobs expire after a retention period (longer for dead and cancelled ones,
+ * so failures can still be looked into).
+ *
+ * Usage:
+ *   jobQueueService.registerHandler('case.analyze', async (payload) => {...});
+ *   await jobQueueService.enqueue('case.analyze', { caseId });
+ */
+
+const os = require('os');
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+
+const MAX_ERROR_LOG = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isDuplicateKey = (error) => error.code === 11000;
+
+class JobQueueService {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.concurrency = parseInt(process.env.JOB_CONCURRENCY) || 2;
+    this.pollIntervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+    this.lockTimeoutMs = parseInt(process.env.JOB_LOCK_TIMEOUT_MS) || 10 * 60 * 1000;
+    this.backoffBaseMs = parseInt(process.env.JOB_BACKOFF_BASE_MS) || 30 * 1000;
+    this.backoffMaxMs = parseInt(process.env.JOB_BACKOFF_MAX_MS) || 60 * 60 * 1000;
+    this.completedRetentionMs = parseInt(process.env.JOB_COMPLETED_RETENTION_MS) || 7 * DAY_MS;
+    this.failedRetentionMs = parseInt(process.env.JOB_FAILED_RETENTION_MS) || 30 * DAY_MS;
+
+    this.handlers = new Map();
+    this.running = new Map(); // job type -> number of jobs in flight
+    this.timer = null;
+    this.isPolling = false;
+  }
+
+  /**
+   * Register the function that processes a job type
+   * @param {String} type - Job type
+   * @param {Function} handler - async (payload, job) => result; throw to retry
+   * @param {Object} options - maxAttempts, concurrency (per-type limit)
+   */
+  registerHandler(type, handler, options = {}) {
+    this.handlers.set(type, {
+      handler,
+      maxAttempts: options.maxAttempts || 5,
+      concurrency: options.concurrency || this.concurrency
+    });
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {String} type - Job type
+   * @param {Object} payload - Data passed to the handler
+   * @param {Object} options - uniqueKey, delayMs, runAt, priority, maxAttempts, createdBy
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    const {
+      uniqueKey = null,
+      delayMs = 0,
+      runAt = new Date(Date.now() + delayMs),
+      priority = 0,
+      maxAttempts = this.handlers.get(type)?.maxAttempts || 5,
+      createdBy = null
+    } = options;
+
+    const create = () => Job.create({
+      type,
+      payload,
+      uniqueKey,
+      runAt,
+      priority,
+      maxAttempts,
+      createdBy
+    });
+
+    if (!uniqueKey) return await create();
+
+    // A job that has not started yet will see the latest data anyway. The
+    // unique index settles races between concurrent enqueues: the loser
+    // returns the winner's job, or tries again if it has already started.
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const existing = await Job.findOne({ uniqueKey, status: 'queued' });
+      if (existing) return existing;
+
+      try {
+        return await create();
+      } catch (error) {
+        if (!isDuplicateKey(error)) throw error;
+      }
+    }
+
+    throw new Error(`Could not enqueue ${type} job ${uniqueKey}`);
+  }
+
+  /**
+   * Start polling for work
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.poll().catch(error => console.error('Job queue poll failed:', error));
+    }, this.pollIntervalMs);
+
+    console.log(`🧵 Job queue started (${this.concurrency} concurrent, worker ${this.workerId})`);
+  }
+
+  /**
+   * Stop taking new jobs; jobs in flight finish on their own
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  totalRunning() {
+    let total = 0;
+    this.running.forEach(count => { total += count; });
+    return total;
+  }
+
+  /**
+   * Claim and start as many jobs as the concurrency limits allow
+   */
+  async poll() {
+    // Nothing to do without a database (demo mode) or while a poll is in progress
+    if (this.isPolling || mongoose.connection.readyState !== 1) return;
+
+    this.isPolling = true;
+    try {
+      await this.recoverStaleJobs();
+
+      while (this.totalRunning() < this.concurrency) {
+        const job = await this.claimNext();
+        if (!job) break;
+
+        this.running.set(job.type, (this.running.get(job.type) || 0) + 1);
+        this.execute(job)
+          .catch(error => console.error(`Job ${job._id} crashed:`, error))
+          .finally(() => this.running.set(job.type, this.running.get(job.type) - 1));
+      }
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Atomically lock the next runnable job whose type has spare capacity
+   */
+  async claimNext() {
+    const types = [...this.handlers.entries()]
+      .filter(([type, config]) => (this.running.get(type) || 0) < config.concurrency)
+      .map(([type]) => type);
+
+    if (types.length === 0) return null;
+
+    const now = new Date();
+
+    return await Job.findOneAndUpdate(
+      { status: 'queued', runAt: { $lte: now }, type: { $in: types } },
+      {
+        $set: { status: 'running', lockedBy: this.workerId, lockedAt: now, startedAt: now },
+        $inc: { attempts: 1 }
+      },
+      { sort: { priority: -1, runAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Run a claimed job and record the outcome
+   */
+  async execute(job) {
+    const { handler } = this.handlers.get(job.type);
+    // Updates only apply while we still own the job (it may have been cancelled)
+    const owned = { _id: job._id, status: 'running', lockedBy: this.workerId };
+
+    try {
+      const result = await handler(job.payload, job);
+
+      await Job.updateOne(owned, {
+        $set: {
+          status: 'completed',
+          result,
+          completedAt: new Date(),
+          expiresAt: this.expiryFor('completed'),
+          lockedBy: null,
+          lockedAt: null
+        }
+      });
+
+    } catch (error) {
+      console.error(`❌ Job ${job.type} (${job._id}) attempt ${job.attempts} failed:`, error.message);
+      await this.recordFailure(owned, job.attempts, job.maxAttempts, error.message);
+    }
+  }
+
+  /**
+   * Schedule a retry, or dead-letter the job once it is out of attempts
+   */
+  async recordFailure(filter, attempts, maxAttempts, message) {
+    const isDead = attempts >= maxAttempts;
+
+    const update = {
+      $set: {
+        status: isDead ? 'dead' : 'queued',
+        lastError: message,
+        lockedBy: null,
+        lockedAt: null,
+        ...(isDead
+          ? { deadAt: new Date(), expiresAt: this.expiryFor('dead') }
+          : { runAt: new Date(Date.now() + this.getBackoffMs(attempts)) })
+      },
+      $push: {
+        errorLog: {
+          $each: [{ attempt: attempts, message, at: new Date() }],
+          $slice: -MAX_ERROR_LOG
+        }
+      }
+    };
+
+    try {
+      await Job.updateOne(filter, update);
+    } catch (error) {
+      if (!isDuplicateKey(error)) throw error;
+
+      // A newer job with the same key was queued while this one ran and
+      // will do the same work; retire this one instead of re-queueing it
+      await Job.updateOne(filter, {
+        $set: {
+          status: 'cancelled',
+          cancelledAt: new Date(),
+          expiresAt: this.expiryFor('cancelled'),
+          lastError: `${message} (superseded by a queued job with the same key)`,
+          lockedBy: null,
+          lockedAt: null
+        },
+        $push: update.$push
+      });
+    }
+  }
+
+  /**
+   * When a job that has just finished in this status is deleted
+   */
+  expiryFor(status) {
+    return new Date(Date.now() + (status === 'completed' ? this.completedRetentionMs : this.failedRetentionMs));
+  }
+
+  /**
+   * Exponential backoff: base, 2x base, 4x base... capped at backoffMaxMs
+   */
+  getBackoffMs(attempts) {
+    return Math.min(this.backoffMaxMs, this.backoffBaseMs * Math.pow(2, Math.max(0, attempts - 1)));
+  }
+
+  /**
+   * Release jobs whose worker died mid-run
+   */
+  async recoverStaleJobs() {
+    const stale = await Job.find({
+      status: 'running',
+      lockedAt: { $lt: new Date(Date.now() - this.lockTimeoutMs) }
+    });
+
+    for (const job of stale) {
+      await this.recordFailure(
+        { _id: job._id, status: 'running', lockedBy: job.lockedBy },
+        job.attempts,
+        job.maxAttempts,
+        `Worker ${job.lockedBy} lost its lock`
+      );
+    }
+  }
+
+  /**
+   * Put a dead, cancelled or completed job back on the queue with fresh attempts
+   * @throws {Error} code JOB_ALREADY_QUEUED when a job with its uniqueKey is queued
+   */
+  async retry(jobId) {
+    try {
+      return await Job.findOneAndUpdate(
+        { _id: jobId, status: { $in: ['dead', 'cancelled', 'completed'] } },
+        {
+          $set: { status: 'queued', runAt: new Date(), attempts: 0 },
+          $unset: { deadAt: 1, cancelledAt: 1, completedAt: 1, expiresAt: 1 }
+        },
+        { new: true }
+      );
+    } catch (error) {
+      if (!isDuplicateKey(error)) throw error;
+      throw Object.assign(new Error('A job with the same key is already queued'), { code: 'JOB_ALREADY_QUEUED' });
+    }
+  }
+
+  /**
+   * Cancel a queued or running job. A running handler is not interrupted,
+   * but its result is discarded.
+   */
+  async cancel(jobId) {
+    return await Job.findOneAndUpdate(
+      { _id: jobId, status: { $in: ['queued', 'running'] } },
+      {
+        $set: {
+          status: 'cancelled',
+          cancelledAt: new Date(),
+          expiresAt: this.expiryFor('cancelled'),
+          lockedBy: null,
+          lockedAt: null
+        }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Job counts by status and type
+   */
+  async getStats() {
+    const [byStatus, byType, oldestQueued] = await Promise.all([
+      Job.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      Job.aggregate([
+        { $group: { _id: { type: '$type', status: '$status' }, count: { $sum: 1 } } },
+        { $sort: { '_id.type': 1 } }
+      ]),
+      Job.findOne({ status: 'queued' }).sort({ runAt: 1 }).select('runAt')
+    ]);
+
+    return {
+      byStatus: byStatus.reduce((acc, s) => ({ ...acc, [s._id]: s.count }), {}),
+      byType,
+      oldestQueuedAt: oldestQueued ? oldestQueued.runAt : null,
+      worker: {
+        id: this.workerId,
+        isRunning: !!this.timer,
+        inFlight: this.totalRunning(),
+        concurrency: this.concurrency,
+        handlers: [...this.handlers.keys()]
+      }
+    };
+  }
+}
+
+// Create and export singleton instance
+const jobQueueService = new JobQueueService();
+module.exports = jobQueueService;
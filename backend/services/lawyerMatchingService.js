@@ -0,0 +1,319 @@
+/**
+ * Lawyer Matching Service
+ *
+ * Ranks lawyers for a case so pending cases can be assigned quickly, either
+ * by staff from the suggestions or automatically by the nightly analysis.
+ *
+ * Each lawyer gets up to 100 points:
+ *   specialization vs case type  35
+ *   experience                   20
+ *   spare capacity               20
+ *   past outcomes                15
+ *   free on the hearing date     10
+ *
+ * Lawyers with a conflict of interest, a clashing hearing or a full diary
+ * are still listed, but marked ineligible so they are never auto-assigned.
+ */
+
+const Case = require('../models/Case');
+const User = require('../models/User');
+const HeuristicProvider = require('./aiProviders/heuristicProvider');
+const hearingConflictService = require('./hearingConflictService');
+const conflictOfInterestService = require('./conflictOfInterestService');
+const caseStatusService = require('./caseStatusService');
+const auditService = require('./auditService');
+
+const { SPECIALIZATION_FOR_TYPE } = HeuristicProvider;
+const CLOSED_STATUSES = ['completed', 'dismissed', 'settled'];
+
+const WEIGHTS = {
+  specialization: 35,
+  experience: 20,
+  workload: 20,
+  outcomes: 15,
+  availability: 10
+};
+
+// Outcome results that count as a good result for the client
+const FAVOURABLE_RESULTS = ['won', 'settled'];
+const DECIDED_RESULTS = ['won', 'lost', 'settled', 'dismissed'];
+
+// Decided cases needed before a lawyer's record for one case type is used
+// instead of their overall record
+const MIN_TYPE_HISTORY = 3;
+
+class LawyerMatchingService {
+  constructor() {
+    // Open cases a lawyer can carry; at or above this they are not auto-assigned
+    this.maxActiveCases = parseInt(process.env.LAWYER_MAX_ACTIVE_CASES) || 30;
+
+    // Auto-assignment in the nightly analysis (off unless enabled)
+    this.autoAssignMinScore = parseInt(process.env.AUTO_ASSIGN_MIN_SCORE) || 60;
+    this.autoAssignMaxCases = parseInt(process.env.AUTO_ASSIGN_MAX_CASES) || 50;
+  }
+
+  /**
+   * Open cases per lawyer, counted live rather than from caseStats, which
+   * is only refreshed nightly
+   * @returns {Map} lawyer id (string) -> count
+   */
+  async getActiveCaseCounts(lawyerIds) {
+    const counts = await Case.aggregate([
+      { $match: { assignedLawyer: { $in: lawyerIds }, status: { $nin: CLOSED_STATUSES } } },
+      { $group: { _id: '$assignedLawyer', count: { $sum: 1 } } }
+    ]);
+
+    return new Map(counts.map(c => [c._id.toString(), c.count]));
+  }
+
+  /**
+   * Decided and favourable results per lawyer, overall and for one case type
+   * @returns {Map} lawyer id (string) -> { decided, favourable, typeDecided, typeFavourable }
+   */
+  async getOutcomeHistory(lawyerIds, caseType) {
+    const rows = await Case.aggregate([
+      {
+        $match: {
+          assignedLawyer: { $in: lawyerIds },
+          'outcome.result': { $in: DECIDED_RESULTS }
+        }
+      },
+      {
+        $group: {
+          _id: { lawyer: '$assignedLawyer', caseType: '$caseType' },
+          decided: { $sum: 1 },
+          favourable: {
+            $sum: { $cond: [{ $in: ['$outcome.result', FAVOURABLE_RESULTS] }, 1, 0] }
+          }
+        }
+      }
+    ]);
+
+    const history = new Map();
+
+    rows.forEach(row => {
+      const key = row._id.lawyer.toString();
+      const entry = history.get(key) || { decided: 0, favourable: 0, typeDecided: 0, typeFavourable: 0 };
+
+      entry.decided += row.decided;
+      entry.favourable += row.favourable;
+      if (row._id.caseType === caseType) {
+        entry.typeDecided += row.decided;
+        entry.typeFavourable += row.favourable;
+      }
+
+      history.set(key, entry);
+    });
+
+    return history;
+  }
+
+  /**
+   * Success rate on the same type of case where there is enough history,
+   * otherwise overall. Smoothed towards 50% so one result does not decide it.
+   */
+  outcomeRate(history) {
+    if (!history) return { rate: 0.5, basis: 'no decided cases' };
+
+    const [favourable, decided, basis] = history.typeDecided >= MIN_TYPE_HISTORY
+      ? [history.typeFavourable, history.typeDecided, 'this case type']
+      : [history.favourable, history.decided, 'all case types'];
+
+    return {
+      rate: (favourable + 2) / (decided + 4),
+      basis: `${favourable}/${decided} favourable (${basis})`
+    };
+  }
+
+  /**
+   * Score one lawyer for a case
+   */
+  scoreLawyer(caseDoc, lawyer, { activeCases, history, hearingConflicts, interestConflicts }) {
+    const breakdown = [];
+    const ineligibleReasons = [];
+    const add = (factor, points, detail) =>
+      breakdown.push({ factor, points: Math.round(points * 10) / 10, detail });
+
+    // Specialization
+    const wanted = SPECIALIZATION_FOR_TYPE[caseDoc.caseType];
+    const specializations = lawyer.specialization || [];
+    if (wanted && specializations.includes(wanted)) {
+      add('specialization', WEIGHTS.specialization, `Specialises in ${wanted}`);
+    } else if (!wanted && specializations.includes('Other')) {
+      add('specialization', WEIGHTS.specialization * 0.6, 'Takes general matters');
+    } else if (specializations.length === 0) {
+      add('specialization', WEIGHTS.specialization * 0.3, 'No specialization listed');
+    } else {
+      add('specialization', 0, `Specialises in ${specializations.join(', ')}`);
+    }
+
+    // Experience, full marks from 10 years
+    const years = lawyer.experience || 0;
+    add('experience', Math.min(WEIGHTS.experience, years * 2), `${years} year(s) of experience`);
+
+    // Spare capacity
+    const load = activeCases / this.maxActiveCases;
+    add('workload', WEIGHTS.workload * Math.max(0, 1 - load),
+      `${activeCases} of ${this.maxActiveCases} active cases`);
+    if (activeCases >= this.maxActiveCases) {
+      ineligibleReasons.push('At case capacity');
+    }
+
+    // Past outcomes
+    const { rate, basis } = this.outcomeRate(history);
+    add('outcomes', WEIGHTS.outcomes * rate, basis);
+
+    // Hearing date
+    const clash = hearingConflicts.find(c => c.severity === 'error');
+    if (!caseDoc.hearingDate) {
+      add('availability', WEIGHTS.availability, 'No hearing date set');
+    } else if (clash) {
+      add('availability', 0, clash.message);
+      ineligibleReasons.push('Listed elsewhere at the hearing time');
+    } else if (hearingConflicts.length > 0) {
+      add('availability', WEIGHTS.availability / 2, hearingConflicts[0].message);
+    } else {
+      add('availability', WEIGHTS.availability, 'Free on the hearing date');
+    }
+
+    if (conflictOfInterestService.requiresWaiver(interestConflicts)) {
+      ineligibleReasons.push('Conflict of interest');
+    }
+    if (!lawyer.isVerified) {
+      ineligibleReasons.push('Not verified');
+    }
+
+    return {
+      lawyer: {
+        _id: lawyer._id,
+        name: lawyer.name,
+        email: lawyer.email,
+        specialization: specializations,
+        experience: years,
+        isVerified: lawyer.isVerified
+      },
+      score: Math.round(breakdown.reduce((sum, f) => sum + f.points, 0)),
+      breakdown,
+      activeCases,
+      hearingConflicts,
+      interestConflicts: interestConflicts.filter(c => c.severity === 'error'),
+      eligible: ineligibleReasons.length === 0,
+      ineligibleReasons
+    };
+  }
+
+  /**
+   * Rank active lawyers for a case, eligible lawyers first, best first
+   * @param {Object} caseDoc
+   * @param {Object} options - limit (all when omitted), excludeCurrent (skip the assigned lawyer)
+   */
+  async suggestLawyers(caseDoc, { limit, excludeCurrent = false } = {}) {
+    const filter = { role: 'lawyer', isActive: true };
+    if (excludeCurrent && caseDoc.assignedLawyer) {
+      filter._id = { $ne: caseDoc.assignedLawyer._id || caseDoc.assignedLawyer };
+    }
+
+    const lawyers = await User.find(filter)
+      .select('name email specialization experience isVerified caseStats');
+    if (lawyers.length === 0) return [];
+
+    const lawyerIds = lawyers.map(l => l._id);
+    const [activeCounts, histories, interestConflicts] = await Promise.all([
+      this.getActiveCaseCounts(lawyerIds),
+      this.getOutcomeHistory(lawyerIds, caseDoc.caseType),
+      conflictOfInterestService.checkCaseForLawyers(caseDoc, lawyers)
+    ]);
+
+    const suggestions = [];
+
+    for (const lawyer of lawyers) {
+      const key = lawyer._id.toString();
+
+      const hearingConflicts = await hearingConflictService.checkLawyerHearing({
+        lawyerId: lawyer._id,
+        hearingDate: caseDoc.hearingDate,
+        court: caseDoc.court,
+        caseDoc
+      });
+
+      suggestions.push(this.scoreLawyer(caseDoc, lawyer, {
+        activeCases: activeCounts.get(key) || 0,
+        history: histories.get(key),
+        hearingConflicts,
+        interestConflicts: interestConflicts.get(key) || []
+      }));
+    }
+
+    suggestions.sort((a, b) => (b.eligible - a.eligible) || b.score - a.score);
+
+    return limit ? suggestions.slice(0, limit) : suggestions;
+  }
+
+  /**
+   * Assign the best eligible lawyer to waiting cases, highest priority first.
+   * Cases with no lawyer scoring autoAssignMinScore are left for staff.
+   * @returns {Object} assigned [{ caseId, caseNumber, lawyer, score }], skipped [{ caseId, caseNumber, reason }]
+   */
+  async autoAssignPendingCases() {
+    const cases = await Case.find({ status: 'pending_assignment' })
+      .select('+conflictCheck')
+      .sort({ priorityScore: -1, createdAt: 1 })
+      .limit(this.autoAssignMaxCases);
+
+    const assigned = [];
+    const skipped = [];
+
+    for (const caseDoc of cases) {
+      try {
+        // Counts are re-read per case, so earlier assignments in this run are included
+        const [best] = await this.suggestLawyers(caseDoc, { limit: 1 });
+
+        if (!best || !best.eligible || best.score < this.autoAssignMinScore) {
+          skipped.push({
+            caseId: caseDoc._id,
+            caseNumber: caseDoc.caseNumber,
+            reason: !best || !best.eligible
+              ? 'No eligible lawyer'
+              : `Best match ${best.lawyer.name} scored ${best.score}, below ${this.autoAssignMinScore}`
+          });
+          continue;
+        }
+
+        caseDoc.assignedLawyer = best.lawyer._id;
+        caseStatusService.applyTransition(caseDoc, 'assigned', null);
+        caseDoc.recordConflictCheck(
+          await conflictOfInterestService.checkCase(caseDoc, best.lawyer),
+          best.lawyer._id
+        );
+
+        caseDoc.notes.push({
+          content: `Case automatically assigned to ${best.lawyer.name} (match score ${best.score})`,
+          createdBy: null,
+          category: 'general'
+        });
+
+        await caseDoc.auditAs(auditService.systemContext(), 'assigned', {
+          lawyer: best.lawyer.name,
+          automatic: true,
+          matchScore: best.score
+        }).save();
+
+        assigned.push({
+          caseId: caseDoc._id,
+          caseNumber: caseDoc.caseNumber,
+          lawyer: best.lawyer.name,
+          score: best.score
+        });
+      } catch (error) {
+        console.error(`Error auto-assigning case ${caseDoc.caseNumber}:`, error);
+        skipped.push({ caseId: caseDoc._id, caseNumber: caseDoc.caseNumber, reason: error.message });
+      }
+    }
+
+    return { assigned, skipped };
+  }
+}
+
+// Create and export singleton instance
+const lawyerMatchingService = new LawyerMatchingService();
+module.exports = lawyerMatchingService;
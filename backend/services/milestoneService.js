@@ -0,0 +1,140 @@
+/**
+ * Milestone Service
+ *
+ * Milestone templates and overdue detection. Templates add a standard set
+ * of milestones to a case; a daily job flags milestones that have passed
+ * their due date, which feeds Case.delayInfo and the next AI analysis.
+ */
+
+const cron = require('node-cron');
+const Case = require('../models/Case');
+const MilestoneTemplate = require('../models/MilestoneTemplate');
+const jobQueueService = require('./jobQueueService');
+const auditService = require('./auditService');
+
+const CLOSED_STATUSES = ['completed', 'dismissed', 'settled'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class MilestoneService {
+  constructor() {
+    // Daily, just after midnight by default
+    this.overdueSchedule = process.env.MILESTONE_OVERDUE_CRON || '5 0 * * *';
+    this.task = null;
+  }
+
+  /**
+   * Active templates offered for a case type (and sub-category)
+   */
+  async getTemplates({ caseType, subCategory } = {}) {
+    const filter = { isActive: true };
+    if (caseType) filter.caseType = caseType;
+
+    const templates = await MilestoneTemplate.find(filter).sort({ caseType: 1, name: 1 });
+
+    return templates.filter(template =>
+      !template.subCategory || !subCategory ||
+      template.subCategory.toLowerCase() === subCategory.toLowerCase());
+  }
+
+  /**
+   * Add a template's milestones to a case. Titles the case already has are
+   * skipped, so applying a template twice does not duplicate them.
+   * Modifies the document; the caller saves it.
+   * @param {Object} options - startDate (defaults to the filing date), assignedTo
+   * @returns {Array} the milestones added
+   */
+  applyTemplate(caseDoc, template, { startDate, assignedTo } = {}) {
+    const start = new Date(startDate || caseDoc.filingDate || Date.now());
+    const existing = new Set(caseDoc.milestones.map(m => m.title.toLowerCase()));
+    const added = [];
+
+    template.milestones
+      .filter(m => !existing.has(m.title.toLowerCase()))
+      .sort((a, b) => a.offsetDays - b.offsetDays)
+      .forEach(m => {
+        caseDoc.milestones.push({
+          title: m.title,
+          description: m.description,
+          dueDate: new Date(start.getTime() + m.offsetDays * DAY_MS),
+          status: 'pending',
+          assignedTo: assignedTo || caseDoc.assignedLawyer || undefined,
+          template: template._id
+        });
+        added.push(caseDoc.milestones[caseDoc.milestones.length - 1]);
+      });
+
+    return added;
+  }
+
+  /**
+   * Flag past-due milestones on open cases as overdue
+   */
+  async markOverdueMilestones(now = new Date()) {
+    const cursor = Case.find({
+      status: { $nin: CLOSED_STATUSES },
+      milestones: {
+        $elemMatch: { status: { $in: ['pending', 'in_progress'] }, dueDate: { $lt: now } }
+      }
+    }).cursor();
+
+    let cases = 0;
+    let milestones = 0;
+
+    for (let caseDoc = await cursor.next(); caseDoc; caseDoc = await cursor.next()) {
+      const overdue = caseDoc.refreshMilestoneStatuses(now);
+      if (overdue.length === 0) continue;
+
+      caseDoc.notes.push({
+        content: `Milestone${overdue.length > 1 ? 's' : ''} overdue: ${overdue.map(m => m.title).join(', ')}`,
+        createdBy: null,
+        category: 'general'
+      });
+
+      // milestones is an analysis input, so the case is re-scored on the next sweep
+      await caseDoc.auditAs(auditService.systemContext(), 'milestones_overdue', {
+        milestones: overdue.map(m => m.title)
+      }).save();
+
+      cases++;
+      milestones += overdue.length;
+    }
+
+    if (milestones > 0) {
+      console.log(`📌 ${milestones} milestone(s) overdue across ${cases} case(s)`);
+    }
+
+    return { cases, milestones };
+  }
+
+  /**
+   * Background jobs handled by this service (see jobQueueService)
+   */
+  registerJobHandlers() {
+    jobQueueService.registerHandler('milestones.markOverdue', async () => {
+      return await this.markOverdueMilestones();
+    }, { maxAttempts: 3, concurrency: 1 });
+  }
+
+  /**
+   * Queue the overdue check on its schedule
+   */
+  start() {
+    if (this.task) return;
+
+    this.task = cron.schedule(this.overdueSchedule, () => {
+      jobQueueService.enqueue('milestones.markOverdue', {}, { uniqueKey: 'milestones.markOverdue' })
+        .catch(error => console.error('Error queueing overdue milestone check:', error));
+    });
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+}
+
+// Create and export singleton instance
+const milestoneService = new MilestoneService();
+module.exports = milestoneService;
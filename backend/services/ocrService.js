@@ -0,0 +1,171 @@
+/**
+ * OCR Service
+ *
+ * Reads text from scanned images and image-only PDFs with the Tesseract
+ * command-line tool, fully offline. PDFs are first rendered to one image
+ * per page with pdftoppm (poppler-utils).
+ *
+ * Both tools must be installed on the server, with the language packs
+ * named in OCR_LANGUAGES (English and Hindi/Devanagari by default).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const IMAGE_TYPES = ['image/jpeg', 'image/jpg', 'image/png'];
+
+const run = (command, args, timeout) => new Promise((resolve, reject) => {
+  execFile(command, args, { timeout, maxBuffer: 20 * 1024 * 1024 }, (error, stdout, stderr) => {
+    if (error) {
+      error.message = `${path.basename(command)} failed: ${stderr || error.message}`.trim();
+      reject(error);
+    } else {
+      resolve(stdout);
+    }
+  });
+});
+
+class OcrService {
+  constructor() {
+    this.enabled = process.env.OCR_ENABLED !== 'false';
+    this.languages = process.env.OCR_LANGUAGES || 'eng+hin';
+    this.tesseractPath = process.env.TESSERACT_PATH || 'tesseract';
+    this.pdftoppmPath = process.env.PDFTOPPM_PATH || 'pdftoppm';
+    this.pdfDpi = parseInt(process.env.OCR_PDF_DPI) || 300;
+    this.maxPages = parseInt(process.env.OCR_MAX_PAGES) || 50;
+    this.pageTimeoutMs = parseInt(process.env.OCR_PAGE_TIMEOUT_MS) || 2 * 60 * 1000;
+
+    // A PDF with less extracted text than this per page is treated as scanned
+    this.minTextPerPage = parseInt(process.env.OCR_MIN_TEXT_PER_PAGE) || 40;
+
+    // Checked once, on first use
+    this.availability = null;
+  }
+
+  /**
+   * Whether a file's extracted text is too thin to be the real content
+   * @param {String} mimeType
+   * @param {Object|String|null} extracted - extractTextContent output
+   */
+  needsOcr(mimeType, extracted) {
+    if (!this.enabled) return false;
+    if (IMAGE_TYPES.includes(mimeType)) return true;
+    if (mimeType !== 'application/pdf') return false;
+
+    const text = (extracted?.text || '').replace(/\s+/g, '');
+    const pages = extracted?.pages || 1;
+    return text.length < this.minTextPerPage * pages;
+  }
+
+  /**
+   * Whether Tesseract (and pdftoppm) can be run here
+   * @returns {Object} available, reason
+   */
+  async checkAvailability() {
+    if (!this.availability) {
+      this.availability = run(this.tesseractPath, ['--list-langs'], 10000)
+        .then(async (output) => {
+          const installed = output.split('\n').slice(1).map(lang => lang.trim());
+          const missing = this.languages.split('+').filter(lang => !installed.includes(lang));
+          if (missing.length > 0) {
+            return { available: false, reason: `Tesseract language pack(s) missing: ${missing.join(', ')}` };
+          }
+          return { available: true };
+        })
+        .catch(() => ({ available: false, reason: 'Tesseract is not installed' }));
+    }
+    return this.availability;
+  }
+
+  /**
+   * Mean word confidence (0-100) from Tesseract's TSV output
+   */
+  parseConfidence(tsv) {
+    const confidences = tsv.split('\n')
+      .slice(1)
+      .map(line => line.split('\t'))
+      .filter(cols => cols.length >= 12 && cols[11].trim() !== '')
+      .map(cols => parseFloat(cols[10]))
+      .filter(conf => conf >= 0);
+
+    if (confidences.length === 0) return null;
+    return Math.round(confidences.reduce((sum, conf) => sum + conf, 0) / confidences.length);
+  }
+
+  /**
+   * OCR one image file
+   * @returns {Object} text, confidence
+   */
+  async recognizeImageFile(imagePath) {
+    const outputBase = imagePath.replace(/\.[^.]+$/, '');
+
+    // One pass writes both the plain text and the per-word TSV
+    await run(this.tesseractPath, [imagePath, outputBase, '-l', this.languages, 'txt', 'tsv'], this.pageTimeoutMs);
+
+    const [text, tsv] = await Promise.all([
+      fs.promises.readFile(`${outputBase}.txt`, 'utf8'),
+      fs.promises.readFile(`${outputBase}.tsv`, 'utf8')
+    ]);
+
+    return { text: text.trim(), confidence: this.parseConfidence(tsv) };
+  }
+
+  /**
+   * Render PDF pages to PNG files, in page order
+   */
+  async rasterizePdf(pdfPath, workDir) {
+    await run(this.pdftoppmPath, [
+      '-r', String(this.pdfDpi),
+      '-l', String(this.maxPages),
+      '-png',
+      pdfPath,
+      path.join(workDir, 'page')
+    ], this.pageTimeoutMs * this.maxPages);
+
+    // pdftoppm numbers pages page-1.png or page-01.png depending on the count
+    const images = (await fs.promises.readdir(workDir))
+      .filter(name => /^page-\d+\.png$/.test(name))
+      .sort((a, b) => parseInt(a.match(/\d+/)[0]) - parseInt(b.match(/\d+/)[0]));
+
+    return images.map(name => path.join(workDir, name));
+  }
+
+  /**
+   * OCR a scanned image or PDF
+   * @returns {Object} pages [{ page, text, confidence }], languages
+   */
+  async recognize(buffer, mimeType) {
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'panchtatva-ocr-'));
+
+    try {
+      let images;
+
+      if (mimeType === 'application/pdf') {
+        const pdfPath = path.join(workDir, 'input.pdf');
+        await fs.promises.writeFile(pdfPath, buffer);
+        images = await this.rasterizePdf(pdfPath, workDir);
+      } else {
+        const imagePath = path.join(workDir, mimeType === 'image/png' ? 'input.png' : 'input.jpg');
+        await fs.promises.writeFile(imagePath, buffer);
+        images = [imagePath];
+      }
+
+      const pages = [];
+      // Page by page: Tesseract already uses every core for one image
+      for (const [index, imagePath] of images.entries()) {
+        const { text, confidence } = await this.recognizeImageFile(imagePath);
+        pages.push({ page: index + 1, text, confidence });
+      }
+
+      return { pages, languages: this.languages };
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+}
+
+// Create and export singleton instance
+const ocrService = new OcrService();
+module.exports = ocrService;
@@ -0,0 +1,219 @@
+/**
+ * Search Service
+ *
+ * Full-text search over case documents, backed by the MongoDB text index
+ * on DocumentText. Results are ranked by text score, limited to the
+ * documents the user can see, and come with highlighted snippets from the
+ * matching pages.
+ */
+
+const Case = require('../models/Case');
+const DocumentText = require('../models/DocumentText');
+const documentService = require('./documentService');
+
+// Characters of context either side of a match in a snippet
+const SNIPPET_RADIUS = 80;
+const MAX_SNIPPETS = 3;
+const MAX_LIMIT = 50;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class SearchService {
+  /**
+   * Who may find a document's text (see Case.canSeeDocument). Written with
+   * the text itself, so no row is ever searchable before its access is known.
+   */
+  accessFields(document) {
+    const firstUpload = documentService.versionsOf(document)[0].uploadedBy;
+
+    return {
+      visibility: document.visibility || 'client',
+      viewers: [...(document.allowedUsers || []), firstUpload].map(user => user?._id || user).filter(Boolean),
+      privilege: document.privilege || 'none'
+    };
+  }
+
+  /**
+   * Copy a case document's current details onto its stored text so it can
+   * be filtered on; only the current version stays searchable
+   */
+  async indexDocument(caseDoc, document) {
+    const access = this.accessFields(document);
+
+    const operations = documentService.versionsOf(document).map(version => ({
+      updateOne: {
+        filter: { document: document._id, version: version.version },
+        update: {
+          $set: {
+            case: caseDoc._id,
+            current: version.version === document.currentVersion,
+            originalName: version.originalName,
+            documentType: document.documentType,
+            uploadedBy: version.uploadedBy?._id || version.uploadedBy,
+            uploadDate: version.uploadDate,
+            ...access
+          }
+        }
+      }
+    }));
+
+    if (operations.length > 0) {
+      await DocumentText.bulkWrite(operations, { ordered: false });
+    }
+  }
+
+  /**
+   * Words of a query to highlight. Negated words are not highlighted and
+   * common English endings are dropped, as the text index stems them.
+   */
+  highlightTerms(query) {
+    return query
+      .replace(/"/g, ' ')
+      .split(/\s+/)
+      .filter(term => term && !term.startsWith('-'))
+      .map(term => term.toLowerCase().replace(/[^\p{L}\p{M}\p{N}]/gu, ''))
+      .map(term => term.replace(/(ing|ed|es|s)$/, ''))
+      .filter(term => term.length >= 2);
+  }
+
+  /**
+   * Up to MAX_SNIPPETS passages around matches, in page order
+   * @returns {Array} [{ page, text, highlights: [{ start, end }] }]
+   */
+  buildSnippets(pages, terms) {
+    if (terms.length === 0) return [];
+
+    // Whole words starting with a term, in any script
+    const source = `(?<![\\p{L}\\p{M}\\p{N}])(?:${terms.map(escapeRegex).join('|')})[\\p{L}\\p{M}\\p{N}]*`;
+    const snippets = [];
+
+    for (const page of pages) {
+      let coveredUntil = -1;
+
+      for (const match of page.text.matchAll(new RegExp(source, 'giu'))) {
+        if (snippets.length >= MAX_SNIPPETS) return snippets;
+        if (match.index < coveredUntil) continue;
+
+        const start = Math.max(0, match.index - SNIPPET_RADIUS);
+        const end = Math.min(page.text.length, match.index + match[0].length + SNIPPET_RADIUS);
+        const text = page.text.slice(start, end);
+
+        snippets.push({
+          page: page.page,
+          text,
+          highlights: [...text.matchAll(new RegExp(source, 'giu'))]
+            .map(m => ({ start: m.index, end: m.index + m[0].length })),
+          truncatedStart: start > 0,
+          truncatedEnd: end < page.text.length
+        });
+        coveredUntil = end;
+      }
+    }
+
+    return snippets;
+  }
+
+  /**
+   * The stored texts a user may search, as a query, or null for all
+   * (admins). Mirrors Case.canSeeDocument: the lead sees every document,
+   * the rest of the lawyer team all but restricted ones, clients only
+   * client-visible ones, and anyone on the case restricted documents
+   * they are a viewer of. Text whose visibility was never recorded is
+   * left to the lead until a reindex fills it in.
+   * @returns {Object|null} caseIds, filter
+   */
+  async visibilityScope(user) {
+    const memberFilter = Case.memberFilter(user);
+    if (!memberFilter) return null;
+
+    const cases = await Case.find(memberFilter).select('client assignedLawyer team');
+    const byRole = { lead: [], team: [], client: [] };
+
+    cases.forEach(caseDoc => {
+      const role = caseDoc.memberRole(user);
+      if (role === 'lead') byRole.lead.push(caseDoc._id);
+      else if (Case.LAWYER_TEAM_ROLES.includes(role)) byRole.team.push(caseDoc._id);
+      else if (role) byRole.client.push(caseDoc._id);
+    });
+
+    const caseIds = cases.map(caseDoc => caseDoc._id);
+
+    return {
+      caseIds,
+      filter: {
+        $or: [
+          { case: { $in: byRole.lead } },
+          { case: { $in: byRole.team }, visibility: { $in: ['client', 'team'] } },
+          { case: { $in: byRole.client }, visibility: 'client' },
+          { case: { $in: caseIds }, visibility: 'restricted', viewers: user._id }
+        ]
+      }
+    };
+  }
+
+  /**
+   * Search the current version of every document the user can see
+   * @param {Object} user
+   * @param {Object} options - q, caseId, documentType, uploadedBy, from, to, page, limit
+   * @returns {Object} results, total, page, limit
+   */
+  async searchDocuments(user, { q, caseId, documentType, uploadedBy, from, to, page = 1, limit = 20 }) {
+    page = Math.max(1, parseInt(page) || 1);
+    limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(limit) || 20));
+
+    const filter = { $text: { $search: q }, current: true, status: 'completed' };
+
+    const scope = await this.visibilityScope(user);
+    if (scope) {
+      if (caseId && !scope.caseIds.some(id => id.equals(caseId))) {
+        return { results: [], total: 0, page, limit };
+      }
+      Object.assign(filter, scope.filter);
+    }
+    if (caseId) filter.case = caseId;
+
+    if (documentType) filter.documentType = documentType;
+    if (uploadedBy) filter.uploadedBy = uploadedBy;
+    if (from || to) {
+      filter.uploadDate = {};
+      if (from) filter.uploadDate.$gte = new Date(from);
+      if (to) filter.uploadDate.$lte = new Date(to);
+    }
+
+    const [matches, total] = await Promise.all([
+      DocumentText.find(filter, { score: { $meta: 'textScore' } })
+        .select('case document version originalName documentType privilege uploadedBy uploadDate source pages')
+        .sort({ score: { $meta: 'textScore' }, uploadDate: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('case', 'caseNumber title')
+        .populate('uploadedBy', 'name'),
+      DocumentText.countDocuments(filter)
+    ]);
+
+    const terms = this.highlightTerms(q);
+
+    return {
+      results: matches.map(match => ({
+        case: match.case,
+        documentId: match.document,
+        version: match.version,
+        originalName: match.originalName,
+        documentType: match.documentType,
+        privilege: match.privilege,
+        uploadedBy: match.uploadedBy,
+        uploadDate: match.uploadDate,
+        source: match.source,
+        score: Math.round(match.get('score') * 100) / 100,
+        snippets: this.buildSnippets(match.pages, terms)
+      })),
+      total,
+      page,
+      limit
+    };
+  }
+}
+
+// Create and export singleton instance
+const searchService = new SearchService();
+module.exports = searchService;
@@ -0,0 +1,66 @@
+/**
+ * Cloudinary Storage
+ *
+ * Stores files on Cloudinary. New files are uploaded as raw resources so
+ * they are kept byte for byte; documents uploaded before storage became
+ * configurable were stored with resource_type auto, so reads and deletes
+ * also try the image and video types.
+ */
+
+const { Readable } = require('stream');
+const cloudinary = require('cloudinary').v2;
+const { notFoundError } = require('./errors');
+
+const RESOURCE_TYPES = ['raw', 'image', 'video'];
+
+class CloudinaryStorage {
+  constructor({ cloudName, apiKey, apiSecret }) {
+    this.name = 'cloudinary';
+
+    cloudinary.config({
+      cloud_name: cloudName,
+      api_key: apiKey,
+      api_secret: apiSecret
+    });
+  }
+
+  put(key, buffer) {
+    return new Promise((resolve, reject) => {
+      cloudinary.uploader.upload_stream(
+        { public_id: key, resource_type: 'raw', overwrite: false },
+        (error, result) => {
+          if (error) {
+            console.error('Cloudinary upload error:', error);
+            reject(error);
+          } else {
+            resolve({ key: result.public_id, size: result.bytes });
+          }
+        }
+      ).end(buffer);
+    });
+  }
+
+  async get(key) {
+    for (const resourceType of RESOURCE_TYPES) {
+      const response = await fetch(cloudinary.url(key, { resource_type: resourceType, secure: true }));
+
+      if (response.ok) {
+        return Readable.fromWeb(response.body);
+      }
+      if (response.status !== 404) {
+        throw new Error(`Cloudinary responded ${response.status} for "${key}"`);
+      }
+    }
+
+    throw notFoundError(key);
+  }
+
+  async remove(key) {
+    for (const resourceType of RESOURCE_TYPES) {
+      const result = await cloudinary.uploader.destroy(key, { resource_type: resourceType });
+      if (result.result === 'ok') return;
+    }
+  }
+}
+
+module.exports = CloudinaryStorage;
@@ -0,0 +1,13 @@
+/**
+ * Errors shared by the storage adapters
+ */
+
+const STORAGE_NOT_FOUND = 'STORAGE_NOT_FOUND';
+
+const notFoundError = (key) =>
+  Object.assign(new Error(`Stored file "${key}" not found`), { code: STORAGE_NOT_FOUND });
+
+module.exports = {
+  STORAGE_NOT_FOUND,
+  notFoundError
+};
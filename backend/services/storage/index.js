@@ -0,0 +1,70 @@
+/**
+ * Storage Adapter Factory
+ *
+ * Picks where uploaded documents are kept. Every adapter implements
+ * put(key, buffer, { contentType }) -> { key, size }, get(key) -> readable
+ * stream (throws code STORAGE_NOT_FOUND when missing) and remove(key).
+ * Keys are provider-neutral paths such as cases/<caseId>/<file>.
+ *
+ * STORAGE_DRIVER=local       Server disk (STORAGE_LOCAL_DIR)
+ * STORAGE_DRIVER=s3          S3 or an S3-compatible server such as MinIO (S3_*)
+ * STORAGE_DRIVER=cloudinary  Cloudinary (CLOUDINARY_*)
+ */
+
+const LocalStorage = require('./localStorage');
+const S3Storage = require('./s3Storage');
+const CloudinaryStorage = require('./cloudinaryStorage');
+const { STORAGE_NOT_FOUND } = require('./errors');
+
+const STORAGE_DRIVERS = ['local', 's3', 'cloudinary'];
+
+/**
+ * Build a storage adapter by name
+ * @param {String} name - One of STORAGE_DRIVERS
+ */
+const createStorage = (name) => {
+  switch (name) {
+    case 'local':
+      return new LocalStorage({
+        root: process.env.STORAGE_LOCAL_DIR || 'uploads'
+      });
+
+    case 's3':
+      if (!process.env.S3_BUCKET) {
+        throw new Error('S3_BUCKET is required for the s3 storage driver');
+      }
+
+      return new S3Storage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION || 'us-east-1',
+        // Only for S3-compatible servers, e.g. http://minio:9000
+        endpoint: process.env.S3_ENDPOINT || undefined,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+      });
+
+    case 'cloudinary':
+      return new CloudinaryStorage({
+        cloudName: process.env.CLOUDINARY_CLOUD_NAME,
+        apiKey: process.env.CLOUDINARY_API_KEY,
+        apiSecret: process.env.CLOUDINARY_API_SECRET
+      });
+
+    default:
+      throw new Error(`Unknown storage driver "${name}". Use one of: ${STORAGE_DRIVERS.join(', ')}`);
+  }
+};
+
+/**
+ * Driver new uploads go to. Defaults to local disk so uploads work
+ * without any external service.
+ */
+const getConfiguredStorageName = () => process.env.STORAGE_DRIVER || 'local';
+
+module.exports = {
+  STORAGE_DRIVERS,
+  STORAGE_NOT_FOUND,
+  createStorage,
+  getConfiguredStorageName
+};
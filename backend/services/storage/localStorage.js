@@ -0,0 +1,59 @@
+/**
+ * Local Disk Storage
+ *
+ * Keeps uploaded files under one directory on the server, for on-premise
+ * installs and development without network access. Keys are paths
+ * relative to that directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { notFoundError } = require('./errors');
+
+class LocalStorage {
+  constructor({ root }) {
+    this.name = 'local';
+    this.root = path.resolve(root);
+  }
+
+  /**
+   * Absolute path for a key; keys can never point outside the root
+   */
+  pathFor(key) {
+    const file = path.resolve(this.root, key);
+    if (!file.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return file;
+  }
+
+  async put(key, buffer) {
+    const file = this.pathFor(key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+    // Write under a temporary name so a half-written file is never served
+    const partial = `${file}.${process.pid}.partial`;
+    await fs.promises.writeFile(partial, buffer);
+    await fs.promises.rename(partial, file);
+
+    return { key, size: buffer.length };
+  }
+
+  async get(key) {
+    const file = this.pathFor(key);
+
+    try {
+      await fs.promises.access(file, fs.constants.R_OK);
+    } catch (error) {
+      throw error.code === 'ENOENT' ? notFoundError(key) : error;
+    }
+
+    return fs.createReadStream(file);
+  }
+
+  async remove(key) {
+    await fs.promises.rm(this.pathFor(key), { force: true });
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,65 @@
+/**
+ * S3-Compatible Storage
+ *
+ * Stores files in a bucket on AWS S3 or any S3-compatible server (MinIO,
+ * Ceph, Wasabi...). Objects are private; files are only read back through
+ * the API, which checks case access first.
+ */
+
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { notFoundError } = require('./errors');
+
+class S3Storage {
+  constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) {
+    this.name = 's3';
+    this.bucket = bucket;
+
+    this.client = new S3Client({
+      region,
+      endpoint,
+      // MinIO and most self-hosted servers do not support bucket subdomains
+      forcePathStyle,
+      credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+  }
+
+  async put(key, buffer, { contentType } = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType
+    }));
+
+    return { key, size: buffer.length };
+  }
+
+  async get(key) {
+    try {
+      const { Body } = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: key
+      }));
+      return Body;
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
+        throw notFoundError(key);
+      }
+      throw error;
+    }
+  }
+
+  async remove(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }));
+  }
+}
+
+module.exports = S3Storage;
@@ -0,0 +1,271 @@
+/**
+ * Workload Service
+ *
+ * Weighs each lawyer's open cases by complexity, priority and how soon
+ * they are in court, compares the total with the lawyer's capacity, and
+ * proposes moving cases off overloaded lawyers. Proposals are only
+ * applied when an admin accepts them.
+ */
+
+const Case = require('../models/Case');
+const User = require('../models/User');
+const ReassignmentProposal = require('../models/ReassignmentProposal');
+const lawyerMatchingService = require('./lawyerMatchingService');
+const conflictOfInterestService = require('./conflictOfInterestService');
+const hearingConflictService = require('./hearingConflictService');
+
+const CLOSED_STATUSES = ['completed', 'dismissed', 'settled'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cases this close to court stay with the lawyer who has prepared them
+const HANDOVER_NOTICE_DAYS = 3;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class WorkloadService {
+  constructor() {
+    // Default weighted capacity for lawyers without their own setting
+    this.defaultCapacity = parseFloat(process.env.WORKLOAD_CAPACITY) || 40;
+
+    // Hearings within this many days add to a case's weight
+    this.hearingWindowDays = parseInt(process.env.WORKLOAD_HEARING_WINDOW_DAYS) || 14;
+  }
+
+  capacityOf(lawyer) {
+    return lawyer.workloadCapacity || this.defaultCapacity;
+  }
+
+  /**
+   * Workload units for one open case, roughly 0.5 to 3:
+   * complexity 0.5-1.5, priority up to 1, a hearing in the window 0.5
+   */
+  caseWeight(caseDoc, now = new Date()) {
+    const complexity = caseDoc.aiAnalysis?.complexityScore ?? 50;
+    const priority = caseDoc.priorityScore || 0;
+
+    let weight = 0.5 + complexity / 100 + priority / 100;
+
+    const hearing = caseDoc.hearingDate && new Date(caseDoc.hearingDate);
+    if (hearing && hearing >= now && hearing - now <= this.hearingWindowDays * DAY_MS) {
+      weight += 0.5;
+    }
+
+    return round(weight);
+  }
+
+  /**
+   * Weighted workload for every active lawyer, busiest first
+   * @returns {Array} [{ lawyer, capacity, load, utilisation, overloaded, cases: [{ caseId, caseNumber, weight }] }]
+   */
+  async computeWorkloads(now = new Date()) {
+    const lawyers = await User.find({ role: 'lawyer', isActive: true })
+      .select('name email specialization workloadCapacity');
+
+    const cases = await Case.find({
+      assignedLawyer: { $in: lawyers.map(l => l._id) },
+      status: { $nin: CLOSED_STATUSES }
+    }).select('caseNumber title status priorityScore hearingDate aiAnalysis.complexityScore assignedLawyer');
+
+    const byLawyer = new Map(lawyers.map(l => [l._id.toString(), []]));
+    cases.forEach(caseDoc => {
+      byLawyer.get(caseDoc.assignedLawyer.toString()).push({
+        caseId: caseDoc._id,
+        caseNumber: caseDoc.caseNumber,
+        status: caseDoc.status,
+        priorityScore: caseDoc.priorityScore,
+        hearingDate: caseDoc.hearingDate,
+        weight: this.caseWeight(caseDoc, now)
+      });
+    });
+
+    return lawyers
+      .map(lawyer => {
+        const lawyerCases = byLawyer.get(lawyer._id.toString());
+        const capacity = this.capacityOf(lawyer);
+        const load = round(lawyerCases.reduce((sum, c) => sum + c.weight, 0));
+
+        return {
+          lawyer: { _id: lawyer._id, name: lawyer.name, email: lawyer.email },
+          capacity,
+          load,
+          utilisation: Math.round((load / capacity) * 100),
+          overloaded: load > capacity,
+          activeCases: lawyerCases.length,
+          cases: lawyerCases
+        };
+      })
+      .sort((a, b) => b.utilisation - a.utilisation);
+  }
+
+  /**
+   * Cases an overloaded lawyer can hand over, least urgent first
+   */
+  movableCases(workload, now = new Date()) {
+    const notice = now.getTime() + HANDOVER_NOTICE_DAYS * DAY_MS;
+
+    return workload.cases
+      .filter(c => c.status !== 'in_court')
+      .filter(c => !c.hearingDate || new Date(c.hearingDate).getTime() > notice)
+      .sort((a, b) => (a.priorityScore || 0) - (b.priorityScore || 0));
+  }
+
+  /**
+   * Propose moves that bring overloaded lawyers back under capacity without
+   * pushing anyone else over. Replaces any proposals still pending.
+   * @returns {Array} the new proposals
+   */
+  async proposeReassignments(now = new Date()) {
+    const workloads = await this.computeWorkloads(now);
+    const loads = new Map(workloads.map(w => [w.lawyer._id.toString(), w]));
+    const proposals = [];
+
+    await ReassignmentProposal.updateMany(
+      { status: 'pending' },
+      { status: 'superseded', failureReason: 'Replaced by a newer rebalance' }
+    );
+
+    for (const workload of workloads.filter(w => w.overloaded)) {
+      let load = workload.load;
+
+      for (const movable of this.movableCases(workload, now)) {
+        if (load <= workload.capacity) break;
+
+        const caseDoc = await Case.findById(movable.caseId);
+        const suggestions = await lawyerMatchingService.suggestLawyers(caseDoc, { excludeCurrent: true });
+
+        // Best eligible match that can take the case and stay within capacity
+        const target = suggestions.find(s => {
+          const targetLoad = loads.get(s.lawyer._id.toString());
+          return s.eligible && targetLoad && targetLoad.load + movable.weight <= targetLoad.capacity;
+        });
+        if (!target) continue;
+
+        const targetLoad = loads.get(target.lawyer._id.toString());
+
+        proposals.push({
+          case: caseDoc._id,
+          caseNumber: caseDoc.caseNumber,
+          fromLawyer: workload.lawyer._id,
+          toLawyer: target.lawyer._id,
+          caseWeight: movable.weight,
+          matchScore: target.score,
+          reason: `${workload.lawyer.name} is at ${workload.utilisation}% of capacity; ${target.lawyer.name} matches the case (score ${target.score}) and has room`,
+          fromLoad: { before: load, after: round(load - movable.weight), capacity: workload.capacity },
+          toLoad: { before: targetLoad.load, after: round(targetLoad.load + movable.weight), capacity: targetLoad.capacity }
+        });
+
+        load = round(load - movable.weight);
+        targetLoad.load = round(targetLoad.load + movable.weight);
+      }
+    }
+
+    return proposals.length > 0 ? await ReassignmentProposal.insertMany(proposals) : [];
+  }
+
+  /**
+   * Apply one pending proposal, re-checking that it still holds
+   * @throws {Error} with the reason when it can no longer be applied
+   */
+  async applyProposal(proposal, context) {
+    const caseDoc = await Case.findById(proposal.case).select('+conflictCheck');
+
+    if (!caseDoc || CLOSED_STATUSES.includes(caseDoc.status)) {
+      throw new Error('Case is closed or no longer exists');
+    }
+    if (!caseDoc.assignedLawyer?.equals(proposal.fromLawyer)) {
+      throw new Error('Case has been reassigned since the proposal was made');
+    }
+
+    const [fromLawyer, toLawyer] = await Promise.all([
+      User.findById(proposal.fromLawyer).select('name'),
+      User.findById(proposal.toLawyer).select('name role isActive')
+    ]);
+    if (!toLawyer || toLawyer.role !== 'lawyer' || !toLawyer.isActive) {
+      throw new Error('Proposed lawyer is no longer active');
+    }
+
+    const interestConflicts = await conflictOfInterestService.checkCase(caseDoc, toLawyer);
+    if (conflictOfInterestService.requiresWaiver(interestConflicts)) {
+      throw new Error(`${toLawyer.name} has a conflict of interest on this case`);
+    }
+
+    const hearingConflicts = await hearingConflictService.checkLawyerHearing({
+      lawyerId: toLawyer._id,
+      hearingDate: caseDoc.hearingDate,
+      court: caseDoc.court,
+      caseDoc
+    });
+    if (hearingConflictService.isBlocking(hearingConflicts)) {
+      throw new Error(`${toLawyer.name} has a conflicting hearing`);
+    }
+
+    caseDoc.assignedLawyer = toLawyer._id;
+    caseDoc.recordConflictCheck(interestConflicts, toLawyer._id);
+
+    // Open milestones follow the case
+    caseDoc.milestones
+      .filter(m => m.status !== 'completed' && m.assignedTo?.equals(proposal.fromLawyer))
+      .forEach(m => { m.assignedTo = toLawyer._id; });
+
+    caseDoc.notes.push({
+      content: `Case reassigned from ${fromLawyer?.name || 'previous lawyer'} to ${toLawyer.name} to balance workloads`,
+      createdBy: context.actor || null,
+      category: 'general'
+    });
+
+    await caseDoc.auditAs(context, 'reassigned', {
+      from: fromLawyer?.name,
+      lawyer: toLawyer.name,
+      proposal: proposal._id
+    }).save();
+
+    return caseDoc;
+  }
+
+  /**
+   * Accept pending proposals in bulk. Each is applied on its own; one that
+   * no longer holds is marked failed without stopping the rest.
+   * @returns {Object} accepted, failed [{ proposal, reason }]
+   */
+  async acceptProposals(ids, context) {
+    const proposals = await ReassignmentProposal.find({ _id: { $in: ids }, status: 'pending' });
+    const accepted = [];
+    const failed = [];
+
+    for (const proposal of proposals) {
+      proposal.reviewedBy = context.actor || null;
+      proposal.reviewedAt = new Date();
+
+      try {
+        await this.applyProposal(proposal, context);
+        proposal.status = 'accepted';
+        accepted.push(proposal);
+      } catch (error) {
+        proposal.status = 'failed';
+        proposal.failureReason = error.message;
+        failed.push({ proposal, reason: error.message });
+      }
+
+      await proposal.save();
+    }
+
+    return { accepted, failed };
+  }
+
+  /**
+   * Reject pending proposals
+   * @returns {Number} how many were rejected
+   */
+  async rejectProposals(ids, reviewedBy) {
+    const result = await ReassignmentProposal.updateMany(
+      { _id: { $in: ids }, status: 'pending' },
+      { status: 'rejected', reviewedBy, reviewedAt: new Date() }
+    );
+
+    return result.modifiedCount;
+  }
+}
+
+// Create and export singleton instance
+const workloadService = new WorkloadService();
+module.exports = workloadService;
@@ -0,0 +1,74 @@
+/**
+ * Case numbering against a real MongoDB (mongodb-memory-server): parallel
+ * creates must never share a number, numbering continues after cases
+ * numbered before counters existed, and deleted numbers are not reused.
+ *
+ * Run with: npm test
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const Case = require('../models/Case');
+
+const PARALLEL_CREATES = 25;
+
+let mongod;
+
+const year = new Date().getFullYear();
+
+const caseFields = (index) => ({
+  title: `Parallel case ${index}`,
+  description: 'Created by the case numbering test',
+  caseType: 'Civil',
+  client: new mongoose.Types.ObjectId(),
+  filingDate: new Date(),
+  opposingParty: { name: `Opposing party ${index}` },
+  court: { name: 'City Civil Court', level: 'District' }
+});
+
+const sequenceOf = (caseNumber) => parseInt(caseNumber.split('/').pop(), 10);
+
+before(async () => {
+  mongod = await MongoMemoryServer.create();
+  await mongoose.connect(mongod.getUri());
+  // The unique index on caseNumber must exist for duplicates to surface
+  await Case.init();
+});
+
+after(async () => {
+  await mongoose.disconnect();
+  if (mongod) await mongod.stop();
+});
+
+test('parallel creates get distinct case numbers, continuing after existing ones', async () => {
+  // Cases numbered before the counter collection existed
+  await Case.collection.insertMany([1, 4, 7].map(seq => ({
+    ...caseFields(`legacy-${seq}`),
+    caseNumber: `CASE/${year}/${String(seq).padStart(4, '0')}`
+  })));
+
+  const results = await Promise.allSettled(
+    Array.from({ length: PARALLEL_CREATES }, (_, index) => Case.create(caseFields(index)))
+  );
+
+  const failures = results.filter(result => result.status === 'rejected');
+  assert.deepEqual(failures.map(result => result.reason.message), []);
+
+  const numbers = results.map(result => result.value.caseNumber);
+  assert.equal(new Set(numbers).size, PARALLEL_CREATES, `duplicate case numbers: ${numbers.join(', ')}`);
+
+  const sequences = numbers.map(sequenceOf).sort((a, b) => a - b);
+  assert.deepEqual(sequences, Array.from({ length: PARALLEL_CREATES }, (_, index) => 8 + index));
+  numbers.forEach(number => assert.match(number, new RegExp(`^CASE/${year}/\\d{4}$`)));
+});
+
+test('numbers of deleted cases are not reused', async () => {
+  const latest = await Case.create(caseFields('to-delete'));
+  await latest.deleteOne();
+
+  const next = await Case.create(caseFields('after-delete'));
+
+  assert.equal(sequenceOf(next.caseNumber), sequenceOf(latest.caseNumber) + 1);
+});
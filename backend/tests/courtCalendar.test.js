@@ -0,0 +1,69 @@
+/**
+ * Court day arithmetic: parsing, the courts' time zone, and holiday rows
+ * that cannot be applied as given.
+ *
+ * Run with: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const courtCalendarService = require('../services/courtCalendarService');
+
+test('parseDay rejects days that do not exist', () => {
+  ['2024-13-45', '2024-02-30', '2023-02-29', '31/04/2024', '2024-00-10', 'tomorrow', '']
+    .forEach(value => assert.equal(courtCalendarService.parseDay(value), null, value));
+
+  assert.equal(courtCalendarService.dayKey(courtCalendarService.parseDay('2024-02-29')), '2024-02-29');
+  assert.equal(courtCalendarService.dayKey(courtCalendarService.parseDay('29/02/2024')), '2024-02-29');
+});
+
+test('days are counted in the courts\' time zone, whatever the server\'s', () => {
+  assert.equal(courtCalendarService.timeZone, process.env.COURT_TIMEZONE || 'Asia/Kolkata');
+
+  // 20:00 UTC on Sunday 3 March is already Monday morning in India
+  const instant = new Date('2024-03-03T20:00:00Z');
+  const day = courtCalendarService.parseDay(instant);
+
+  if (courtCalendarService.timeZone === 'Asia/Kolkata') {
+    assert.equal(courtCalendarService.dayKey(instant), '2024-03-04');
+    assert.equal(day.toISOString(), '2024-03-03T18:30:00.000Z');
+    assert.equal(courtCalendarService.atTime(day, 10, 30).toISOString(), '2024-03-04T05:00:00.000Z');
+  }
+
+  assert.equal(courtCalendarService.dayKey(courtCalendarService.nextDay(day)),
+    courtCalendarService.dayKey(courtCalendarService.addDays(instant, 1)));
+});
+
+test('CSV rows with a bad or earlier end date are reported, not imported', () => {
+  const { holidays, errors } = courtCalendarService.parseCSV([
+    'date,name,endDate',
+    '2024-05-01,Backwards,2024-04-01',
+    '2024-05-01,Impossible,2024-15-01',
+    '2024-05-20,Summer vacation,2024-05-22'
+  ].join('\n'));
+
+  assert.deepEqual(holidays.map(h => h.name), ['Summer vacation']);
+  assert.equal(errors.length, 2);
+  assert.match(errors[0], /^Line 2: end date 2024-04-01 is before 2024-05-01/);
+  assert.match(errors[1], /^Line 3: invalid end date/);
+});
+
+test('build reports a holiday that ends before it starts and keeps its first day', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const day = (value) => courtCalendarService.parseDay(value);
+
+  courtCalendarService.build([{
+    name: 'Common',
+    holidays: [
+      { name: 'Backwards', date: day('2024-05-10'), endDate: day('2024-05-01') },
+      { name: 'Vacation', date: day('2024-05-20'), endDate: day('2024-05-22') }
+    ]
+  }]);
+
+  assert.deepEqual([...courtCalendarService.commonHolidays.keys()],
+    ['2024-05-10', '2024-05-20', '2024-05-21', '2024-05-22']);
+  assert.equal(courtCalendarService.loadErrors.length, 1);
+  assert.match(courtCalendarService.loadErrors[0], /Backwards/);
+
+  courtCalendarService.build([]);
+});
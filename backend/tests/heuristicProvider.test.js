@@ -0,0 +1,163 @@
+/**
+ * Rule-based case scoring: the factors behind a representative case's
+ * score, how linked cases add to complexity, and the scheduler falling
+ * back to the rules when its provider fails.
+ *
+ * Run with: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const HeuristicProvider = require('../services/aiProviders/heuristicProvider');
+
+const provider = new HeuristicProvider();
+
+// Shape of AISchedulerService.prepareCaseDataForAI output
+const caseData = (overrides = {}) => ({
+  caseType: 'Civil',
+  courtLevel: 'District',
+  estimatedValue: 500000,
+  caseAge: 200,
+  documentCount: 4,
+  daysUntilDeadline: 5,
+  daysUntilHearing: 20,
+  isDelayed: false,
+  currentDelayDays: 0,
+  adjournmentCount: 2,
+  lastAdjournmentReason: null,
+  milestonesCount: 0,
+  completedMilestones: 0,
+  overdueMilestones: 0,
+  lawyerExperience: 6,
+  lawyerSpecialization: ['Civil Law'],
+  linkedCases: [],
+  ...overrides
+});
+
+const link = (relation, overrides = {}) => ({
+  relation,
+  caseNumber: `CASE/2023/${relation}`,
+  status: 'in_progress',
+  outcome: 'pending',
+  courtLevel: 'District',
+  ...overrides
+});
+
+test('scores a representative case from its factors', () => {
+  const result = provider.score(caseData());
+
+  assert.deepEqual(
+    result.factors.map(f => [f.name, f.points]),
+    [
+      ['baseline', 20],
+      ['deadline', 28],
+      ['hearing', 6],
+      ['adjournments', 6],
+      ['courtLevel', 3],
+      ['estimatedValue', 3],
+      ['caseAge', 2]
+    ]
+  );
+  assert.equal(result.priorityScore, 68);
+  // 25 + District 3 * 2 + Civil 10 + value 3 + 4 documents
+  assert.equal(result.complexityScore, 48);
+  assert.equal(result.estimatedDuration, Math.round(365 * (0.75 + 48 / 200)));
+  // 45 + 6 years * 2 + specialist 10
+  assert.equal(result.successProbability, 67);
+  assert.deepEqual(result.urgencyFactors, ['Deadline in 5 days', 'Hearing in 20 days', 'Adjourned 2 times']);
+  assert.match(result.reasoning, /^Rule-based score driven by: deadline in 5 days; hearing in 20 days; adjourned 2 times$/);
+});
+
+test('the same case always gets the same score', () => {
+  assert.deepEqual(provider.score(caseData()), provider.score(caseData()));
+});
+
+test('connected and consolidated cases add to complexity, other links do not', () => {
+  const base = provider.score(caseData()).complexityScore;
+
+  const linked = provider.score(caseData({
+    linkedCases: [link('connected'), link('consolidated_from'), link('transferred_from'), link('appealed_in')]
+  }));
+  assert.equal(linked.complexityScore, base + 6);
+  assert.equal(linked.priorityScore, 68);
+  assert.ok(linked.estimatedDuration > provider.score(caseData()).estimatedDuration);
+
+  // Capped at 10 points however many there are
+  const many = provider.score(caseData({
+    linkedCases: Array.from({ length: 6 }, () => link('connected'))
+  }));
+  assert.equal(many.complexityScore, base + 10);
+});
+
+test('an appeal raises priority and names the decision appealed from', () => {
+  const result = provider.score(caseData({
+    linkedCases: [link('appeal_of', { caseNumber: 'CASE/2023/0001', outcome: 'dismissed' })]
+  }));
+
+  const appeal = result.factors.find(f => f.name === 'appeal');
+  assert.deepEqual(appeal, { name: 'appeal', points: 6, detail: 'Appeal from CASE/2023/0001 (dismissed)' });
+  assert.equal(result.priorityScore, 74);
+});
+
+test('scores stay within bounds for extreme cases', () => {
+  const urgent = provider.score(caseData({
+    caseType: 'Constitutional',
+    courtLevel: 'Supreme Court',
+    estimatedValue: 50000000,
+    caseAge: 5 * 365,
+    documentCount: 40,
+    daysUntilDeadline: -3,
+    daysUntilHearing: 2,
+    isDelayed: true,
+    currentDelayDays: 400,
+    adjournmentCount: 9,
+    overdueMilestones: 5,
+    linkedCases: Array.from({ length: 6 }, () => link('connected'))
+  }));
+  assert.equal(urgent.priorityScore, 100);
+  assert.ok(urgent.complexityScore <= 100);
+  assert.ok(urgent.delayRiskFactors.includes('Supreme Court listing backlog'));
+
+  const quiet = provider.score(caseData({
+    estimatedValue: 0,
+    caseAge: 0,
+    daysUntilDeadline: null,
+    daysUntilHearing: null,
+    adjournmentCount: 0,
+    lawyerExperience: 0,
+    lawyerSpecialization: []
+  }));
+  assert.equal(quiet.priorityScore, 23);
+  assert.equal(quiet.successProbability, 45);
+  assert.ok(quiet.delayRiskFactors.includes('No hearing date fixed'));
+  assert.ok(quiet.delayRiskFactors.includes('No experienced counsel assigned'));
+});
+
+test('generateAnalysis returns the score as analysis JSON', async () => {
+  const response = await provider.generateAnalysis({ caseData: caseData() });
+
+  assert.equal(response.provider, 'heuristic');
+  assert.equal(response.model, 'rules-v1');
+  assert.deepEqual(JSON.parse(response.content), provider.score(caseData()));
+});
+
+test('the scheduler falls back to the rules when its provider fails', async (t) => {
+  const aiSchedulerService = require('../services/aiSchedulerService');
+  const { provider: primary, fallbackProvider } = aiSchedulerService;
+  t.after(() => Object.assign(aiSchedulerService, { provider: primary, fallbackProvider }));
+  t.mock.method(console, 'warn', () => {});
+
+  aiSchedulerService.provider = {
+    name: 'openai',
+    generateAnalysis: async () => { throw new Error('connect ECONNREFUSED'); }
+  };
+  aiSchedulerService.fallbackProvider = provider;
+
+  const response = await aiSchedulerService.getAIAnalysis(caseData());
+  assert.equal(response.provider, 'heuristic');
+  assert.equal(JSON.parse(response.content).priorityScore, 68);
+
+  // No fallback configured: the failure surfaces
+  aiSchedulerService.fallbackProvider = null;
+  await assert.rejects(aiSchedulerService.getAIAnalysis(caseData()), /ECONNREFUSED/);
+});
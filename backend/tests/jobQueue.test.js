@@ -0,0 +1,173 @@
+/**
+ * Persistent job queue against a real MongoDB (mongodb-memory-server):
+ * uniqueKey de-duplication, retries with backoff up to the dead letter,
+ * recovery of jobs whose worker died, and expiry of finished jobs.
+ *
+ * Run with: npm test
+ */
+
+const { test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const Job = require('../models/Job');
+const jobQueueService = require('../services/jobQueueService');
+
+const BACKOFF_BASE_MS = 1000;
+
+let mongod;
+let outcome; // what the test handler does next: a result, or an Error to throw
+
+const withinMs = (actual, expected, toleranceMs = 2000) =>
+  assert.ok(Math.abs(actual.getTime() - expected) <= toleranceMs,
+    `${actual.toISOString()} is not within ${toleranceMs}ms of ${new Date(expected).toISOString()}`);
+
+// Claim the next job and run it to the end, as a poll would
+const runNext = async () => {
+  const job = await jobQueueService.claimNext();
+  assert.ok(job, 'expected a runnable job');
+  await jobQueueService.execute(job);
+  return await Job.findById(job._id);
+};
+
+before(async () => {
+  mongod = await MongoMemoryServer.create();
+  await mongoose.connect(mongod.getUri());
+  // The unique and TTL indexes must exist for these tests to mean anything
+  await Job.init();
+  // Failed attempts are logged; the tests check them on the jobs instead
+  mock.method(console, 'error', () => {});
+
+  jobQueueService.backoffBaseMs = BACKOFF_BASE_MS;
+  jobQueueService.registerHandler('test.work', async () => {
+    if (outcome instanceof Error) throw outcome;
+    return outcome;
+  }, { maxAttempts: 3 });
+});
+
+after(async () => {
+  mock.restoreAll();
+  await mongoose.disconnect();
+  if (mongod) await mongod.stop();
+});
+
+beforeEach(async () => {
+  await Job.deleteMany({});
+  outcome = { done: true };
+});
+
+test('parallel enqueues with the same uniqueKey share one queued job', async () => {
+  const jobs = await Promise.all(Array.from({ length: 10 }, () =>
+    jobQueueService.enqueue('test.work', { n: 1 }, { uniqueKey: 'test:same' })));
+
+  assert.equal(new Set(jobs.map(job => job._id.toString())).size, 1);
+  assert.equal(await Job.countDocuments({ uniqueKey: 'test:same' }), 1);
+
+  // Once it is running, a new request queues fresh work
+  await jobQueueService.claimNext();
+  const next = await jobQueueService.enqueue('test.work', { n: 2 }, { uniqueKey: 'test:same' });
+
+  assert.notEqual(next._id.toString(), jobs[0]._id.toString());
+  assert.equal(await Job.countDocuments({ uniqueKey: 'test:same', status: 'queued' }), 1);
+});
+
+test('the unique index rejects a second queued job with the same key', async () => {
+  await Job.create({ type: 'test.work', uniqueKey: 'test:direct' });
+
+  await assert.rejects(Job.create({ type: 'test.work', uniqueKey: 'test:direct' }), { code: 11000 });
+  // Jobs without a key are not affected
+  await Job.create([{ type: 'test.work' }, { type: 'test.work' }]);
+});
+
+test('failures are retried with exponential backoff, then dead-lettered', async () => {
+  outcome = new Error('provider timed out');
+  const { _id } = await jobQueueService.enqueue('test.work');
+
+  let job = await runNext();
+  assert.equal(job.status, 'queued');
+  assert.equal(job.attempts, 1);
+  assert.equal(job.lastError, 'provider timed out');
+  withinMs(job.runAt, Date.now() + BACKOFF_BASE_MS);
+
+  await Job.updateOne({ _id }, { runAt: new Date() });
+  job = await runNext();
+  assert.equal(job.status, 'queued');
+  assert.equal(job.attempts, 2);
+  withinMs(job.runAt, Date.now() + 2 * BACKOFF_BASE_MS);
+
+  await Job.updateOne({ _id }, { runAt: new Date() });
+  job = await runNext();
+  assert.equal(job.status, 'dead');
+  assert.equal(job.attempts, 3);
+  assert.ok(job.deadAt);
+  assert.deepEqual(job.errorLog.map(entry => entry.attempt), [1, 2, 3]);
+  withinMs(job.expiresAt, Date.now() + jobQueueService.failedRetentionMs);
+
+  // A retry starts over with fresh attempts and is no longer due to expire
+  job = await jobQueueService.retry(_id);
+  assert.equal(job.status, 'queued');
+  assert.equal(job.attempts, 0);
+  assert.ok(!job.expiresAt);
+});
+
+test('backoff doubles per attempt up to the cap', () => {
+  assert.equal(jobQueueService.getBackoffMs(1), BACKOFF_BASE_MS);
+  assert.equal(jobQueueService.getBackoffMs(3), 4 * BACKOFF_BASE_MS);
+  assert.equal(jobQueueService.getBackoffMs(40), jobQueueService.backoffMaxMs);
+});
+
+test('a failed job is retired when a newer one with its key is queued', async () => {
+  outcome = new Error('failed');
+  await jobQueueService.enqueue('test.work', {}, { uniqueKey: 'test:superseded' });
+
+  const running = await jobQueueService.claimNext();
+  await jobQueueService.enqueue('test.work', {}, { uniqueKey: 'test:superseded' });
+  await jobQueueService.execute(running);
+
+  const job = await Job.findById(running._id);
+  assert.equal(job.status, 'cancelled');
+  assert.match(job.lastError, /superseded/);
+  assert.equal(await Job.countDocuments({ uniqueKey: 'test:superseded', status: 'queued' }), 1);
+});
+
+test('jobs whose worker died are put back on the queue, or dead-lettered', async () => {
+  const lockedAt = new Date(Date.now() - jobQueueService.lockTimeoutMs - 60 * 1000);
+  const [stale, exhausted, active] = await Job.create([
+    { type: 'test.work', status: 'running', attempts: 1, maxAttempts: 3, lockedBy: 'gone:1', lockedAt },
+    { type: 'test.work', status: 'running', attempts: 3, maxAttempts: 3, lockedBy: 'gone:1', lockedAt },
+    { type: 'test.work', status: 'running', attempts: 1, maxAttempts: 3, lockedBy: 'alive:2', lockedAt: new Date() }
+  ]);
+
+  await jobQueueService.recoverStaleJobs();
+
+  const [requeued, dead, untouched] = await Promise.all([stale, exhausted, active].map(job => Job.findById(job._id)));
+  assert.equal(requeued.status, 'queued');
+  assert.equal(requeued.lockedBy, null);
+  assert.equal(requeued.lastError, 'Worker gone:1 lost its lock');
+  withinMs(requeued.runAt, Date.now() + BACKOFF_BASE_MS);
+
+  assert.equal(dead.status, 'dead');
+  assert.equal(untouched.status, 'running');
+  assert.equal(untouched.lockedBy, 'alive:2');
+});
+
+test('finished jobs are set to expire and removed by a TTL index', async () => {
+  const { _id } = await jobQueueService.enqueue('test.work');
+  const job = await runNext();
+
+  assert.equal(job.status, 'completed');
+  assert.deepEqual(job.result, { done: true });
+  withinMs(job.expiresAt, Date.now() + jobQueueService.completedRetentionMs);
+
+  const cancelled = await jobQueueService.cancel((await jobQueueService.enqueue('test.work'))._id);
+  withinMs(cancelled.expiresAt, Date.now() + jobQueueService.failedRetentionMs);
+
+  const indexes = await Job.collection.indexes();
+  const ttl = indexes.find(index => index.key.expiresAt === 1);
+  assert.equal(ttl?.expireAfterSeconds, 0);
+
+  // Queued and running jobs never expire
+  const queued = await jobQueueService.enqueue('test.work');
+  assert.equal(queued.expiresAt, null);
+  assert.ok(await Job.exists({ _id }));
+});
@@ -37,6 +37,7 @@ const LawyerDashboard = () => {
     caseTypeDistribution: [],
     recommendations: []
   });
+  const [hearingConflicts, setHearingConflicts] = useState([]);
 
   useEffect(() => {
     if (user?.role === 'lawyer') {
@@ -143,6 +144,14 @@ const LawyerDashboard = () => {
         toast.success('Demo data loaded - showing sample lawyer cases');
       }
 
+      // Hearing clashes across courts for the next 30 days
+      try {
+        const conflictsResponse = await axios.get('/schedule/conflicts');
+        setHearingConflicts(conflictsResponse.data.data.conflicts || []);
+      } catch (error) {
+        setHearingConflicts([]);
+      }
+
       setCases(casesData);
       calculateStats(casesData);
       generateAIInsights(casesData);
@@ -441,6 +450,48 @@ const LawyerDashboard = () => {
             </div>
           </div>
 
+          {/* Hearing Conflicts */}
+          {hearingConflicts.length > 0 && (
+            <div className="bg-white rounded-lg shadow mb-8">
+              <div className="px-6 py-4 border-b">
+                <h3 className="text-lg font-semibold text-gray-900">Hearing Conflicts</h3>
+                <p className="text-sm text-gray-500">Clashing hearings and tight travel between courts</p>
+              </div>
+              <div className="p-6">
+                {hearingConflicts.map((conflict, index) => (
+                  <div
+                    key={`${conflict.case.caseId}-${conflict.conflictingCase.caseId}-${index}`}
+                    className={`border-l-4 p-4 mb-4 rounded-r-lg ${
+                      conflict.severity === 'error' ? 'border-red-500 bg-red-50' : 'border-yellow-500 bg-yellow-50'
+                    }`}
+                  >
+                    <div className="flex justify-between items-start">
+                      <div className="flex-1">
+                        <h4 className="font-medium text-gray-900">
+                          {conflict.type === 'double_booking' ? 'Double booking' : 'Travel time too short'}
+                        </h4>
+                        <p className="text-sm text-gray-600 mt-1">{conflict.message}</p>
+                        <div className="flex flex-wrap items-center mt-2 gap-4 text-sm text-gray-500">
+                          {[conflict.case, conflict.conflictingCase].map((hearing) => (
+                            <span key={hearing.caseId}>
+                              {hearing.caseNumber} · {hearing.court?.name} · {new Date(hearing.hearingDate).toLocaleString()}
+                            </span>
+                          ))}
+                        </div>
+                      </div>
+                      <Link
+                        to={`/cases/${conflict.case.caseId}`}
+                        className="bg-blue-600 text-white px-3 py-1 rounded text-sm hover:bg-blue-700"
+                      >
+                        View
+                      </Link>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Urgent Cases */}
           <div className="bg-white rounded-lg shadow">
             <div className="px-6 py-4 border-b">
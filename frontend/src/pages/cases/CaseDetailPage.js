@@ -1,21 +1,282 @@
 /**
  * Case Detail Page Component
- * 
- * Displays detailed information about a specific case
+ *
+ * Displays detailed information about a specific case, including its
+ * documents with their version history and who may see them
  */
 
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { useParams } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+
+const DIFF_STYLES = {
+  added: 'bg-green-50 text-green-800',
+  removed: 'bg-red-50 text-red-800 line-through',
+  unchanged: 'text-gray-600'
+};
+
+const DIFF_PREFIX = { added: '+', removed: '-', unchanged: ' ' };
+
+const VISIBILITY_LABELS = {
+  client: 'Client-visible',
+  team: 'Team only',
+  restricted: 'Restricted'
+};
+
+const PRIVILEGE_LABELS = {
+  none: 'Not privileged',
+  confidential: 'Confidential',
+  attorney_client: 'Attorney-client privileged',
+  work_product: 'Work product'
+};
+
+/**
+ * Visibility and privilege of one document; editable by the lawyer team
+ */
+const DocumentAccess = ({ caseId, document, canEdit, onChanged }) => {
+  const visibility = document.visibility || 'client';
+  const privilege = document.privilege || 'none';
+
+  const updateAccess = async (changes) => {
+    try {
+      await axios.put(`/cases/${caseId}/documents/${document._id}/access`, changes);
+      toast.success('Document access updated');
+      onChanged();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Could not update document access');
+    }
+  };
+
+  if (!canEdit) {
+    return privilege !== 'none' ? (
+      <span className="ml-2 px-2 py-0.5 rounded bg-red-100 text-red-800 text-xs">{PRIVILEGE_LABELS[privilege]}</span>
+    ) : null;
+  }
+
+  return (
+    <div className="flex gap-2 text-xs">
+      <select
+        value={visibility}
+        onChange={(e) => updateAccess({ visibility: e.target.value })}
+        className="border rounded px-2 py-1"
+      >
+        {Object.entries(VISIBILITY_LABELS).map(([value, label]) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+      <select
+        value={privilege}
+        onChange={(e) => updateAccess({ privilege: e.target.value })}
+        className="border rounded px-2 py-1"
+      >
+        {Object.entries(PRIVILEGE_LABELS).map(([value, label]) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+/**
+ * Version history of one document: download, compare and restore versions
+ */
+const DocumentHistory = ({ caseId, document, canRestore, onRestored }) => {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [compare, setCompare] = useState({ from: '', to: '' });
+  const [diff, setDiff] = useState(null);
+
+  const basePath = `/cases/${caseId}/documents/${document._id}`;
+
+  useEffect(() => {
+    fetchVersions();
+  }, [document.currentVersion]);
+
+  const fetchVersions = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${basePath}/versions`);
+      const history = response.data.data.versions;
+      setVersions(history);
+      setCompare({
+        from: history[1]?.version || '',
+        to: history[0]?.version || ''
+      });
+      setDiff(null);
+    } catch (error) {
+      toast.error('Could not load version history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const downloadVersion = async (version) => {
+    try {
+      const response = await axios.get(`${basePath}/download`, {
+        params: { version: version.version },
+        responseType: 'blob'
+      });
+      const url = window.URL.createObjectURL(response.data);
+      const link = window.document.createElement('a');
+      link.href = url;
+      link.download = version.originalName;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Download failed');
+    }
+  };
+
+  const restoreVersion = async (version) => {
+    try {
+      const response = await axios.post(`${basePath}/versions/${version.version}/restore`);
+      toast.success(response.data.message);
+      onRestored();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Restore failed');
+    }
+  };
+
+  const compareVersions = async () => {
+    try {
+      const response = await axios.get(`${basePath}/diff`, { params: compare });
+      setDiff(response.data.data.diff);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Could not compare versions');
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner size="sm" text="Loading versions..." />;
+  }
+
+  return (
+    <div className="mt-4 space-y-4">
+      <ul className="divide-y border rounded-lg">
+        {versions.map((version) => (
+          <li key={version.version} className="flex justify-between items-start p-3 text-sm">
+            <div>
+              <p className="font-medium text-gray-900">
+                Version {version.version}
+                {version.version === document.currentVersion && (
+                  <span className="ml-2 px-2 py-0.5 rounded bg-blue-100 text-blue-800 text-xs">Current</span>
+                )}
+              </p>
+              <p className="text-gray-500">
+                {version.originalName} · {version.uploadedBy?.name || 'Unknown'} · {new Date(version.uploadDate).toLocaleString()}
+              </p>
+              {version.changeNote && <p className="text-gray-600 mt-1">{version.changeNote}</p>}
+              {version.restoredFrom && (
+                <p className="text-gray-400 text-xs mt-1">Restored from version {version.restoredFrom}</p>
+              )}
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={() => downloadVersion(version)}
+                className="px-3 py-1 rounded border text-gray-700 hover:bg-gray-50"
+              >
+                Download
+              </button>
+              {canRestore && version.version !== document.currentVersion && (
+                <button
+                  onClick={() => restoreVersion(version)}
+                  className="px-3 py-1 rounded bg-blue-600 text-white hover:bg-blue-700"
+                >
+                  Restore
+                </button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {versions.length > 1 && (
+        <div className="border rounded-lg p-3">
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <span className="text-gray-700">Compare version</span>
+            {['from', 'to'].map((end, index) => (
+              <React.Fragment key={end}>
+                {index === 1 && <span className="text-gray-700">with</span>}
+                <select
+                  value={compare[end]}
+                  onChange={(e) => setCompare({ ...compare, [end]: parseInt(e.target.value) })}
+                  className="border rounded px-2 py-1"
+                >
+                  {versions.map((version) => (
+                    <option key={version.version} value={version.version}>v{version.version}</option>
+                  ))}
+                </select>
+              </React.Fragment>
+            ))}
+            <button
+              onClick={compareVersions}
+              className="px-3 py-1 rounded bg-gray-800 text-white hover:bg-gray-900"
+            >
+              Compare
+            </button>
+          </div>
+
+          {diff && (
+            <div className="mt-3">
+              <p className="text-sm text-gray-600 mb-2">
+                {diff.identical
+                  ? 'The text of these versions is identical.'
+                  : `${diff.stats.added} line(s) added, ${diff.stats.removed} line(s) removed`}
+              </p>
+              {!diff.identical && (
+                <pre className="text-xs font-mono bg-gray-50 rounded p-2 overflow-x-auto">
+                  {diff.parts.map((part, index) => part.type === 'skipped' ? (
+                    <div key={index} className="text-gray-400 italic">… {part.count} unchanged line(s) …</div>
+                  ) : part.lines.map((line, lineIndex) => (
+                    <div key={`${index}-${lineIndex}`} className={DIFF_STYLES[part.type]}>
+                      {DIFF_PREFIX[part.type]} {line}
+                    </div>
+                  )))}
+                </pre>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
 
 const CaseDetailPage = () => {
   const { id } = useParams();
+  const { isClient, isLawyer, isAdmin } = useAuth();
+  const [caseData, setCaseData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [openDocument, setOpenDocument] = useState(null);
+
+  useEffect(() => {
+    fetchCase();
+  }, [id]);
+
+  const fetchCase = async () => {
+    try {
+      const response = await axios.get(`/cases/${id}`);
+      setCaseData(response.data.data.case);
+    } catch (error) {
+      setCaseData(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner size="lg" text="Loading case..." />;
+  }
 
   return (
     <div className="space-y-6">
       <div className="bg-white rounded-lg shadow p-6">
-        <h1 className="text-2xl font-bold text-gray-900">Case Details</h1>
+        <h1 className="text-2xl font-bold text-gray-900">{caseData?.title || 'Case Details'}</h1>
         <p className="text-gray-600 mt-2">
-          Detailed view for case ID: {id}
+          {caseData ? `${caseData.caseNumber} · ${caseData.caseType} · ${caseData.status}` : `Detailed view for case ID: ${id}`}
         </p>
         <div className="mt-4 p-4 bg-blue-50 rounded-lg">
           <p className="text-blue-800">
@@ -23,13 +284,69 @@ const CaseDetailPage = () => {
           </p>
           <ul className="mt-2 text-blue-700 text-sm list-disc list-inside">
             <li>Case details and timeline</li>
-            <li>Document management</li>
             <li>AI analysis results</li>
             <li>Case notes and updates</li>
             <li>Client-lawyer communication</li>
           </ul>
         </div>
       </div>
+
+      {/* Documents, one entry per document with its versions */}
+      {caseData && (
+        <div className="bg-white rounded-lg shadow">
+          <div className="px-6 py-4 border-b">
+            <h3 className="text-lg font-semibold text-gray-900">Documents</h3>
+            <p className="text-sm text-gray-500">Uploading a file with the same name adds a new version</p>
+          </div>
+          <div className="p-6">
+            {caseData.documents?.length > 0 ? (
+              <ul className="space-y-4">
+                {caseData.documents.map((document) => (
+                  <li key={document._id} className="border rounded-lg p-4">
+                    <div className="flex justify-between items-center">
+                      <div>
+                        <p className="font-medium text-gray-900">
+                          {document.originalName}
+                          <span className="ml-2 px-2 py-0.5 rounded bg-gray-100 text-gray-700 text-xs">
+                            v{document.currentVersion || 1}
+                          </span>
+                          {!(isLawyer() || isAdmin()) && (
+                            <DocumentAccess caseId={caseData._id} document={document} canEdit={false} />
+                          )}
+                        </p>
+                        <p className="text-sm text-gray-500">
+                          {document.documentType} · updated {new Date(document.uploadDate).toLocaleDateString()}
+                        </p>
+                      </div>
+                      <div className="flex items-center gap-4">
+                        {(isLawyer() || isAdmin()) && (
+                          <DocumentAccess caseId={caseData._id} document={document} canEdit onChanged={fetchCase} />
+                        )}
+                        <button
+                          onClick={() => setOpenDocument(openDocument === document._id ? null : document._id)}
+                          className="text-sm text-blue-600 hover:text-blue-800"
+                        >
+                          {openDocument === document._id ? 'Hide history' : 'Version history'}
+                        </button>
+                      </div>
+                    </div>
+                    {openDocument === document._id && (
+                      <DocumentHistory
+                        caseId={caseData._id}
+                        document={document}
+                        canRestore={isClient() || isLawyer()}
+                        onRestored={fetchCase}
+                      />
+                    )}
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-gray-500 text-sm">No documents uploaded yet</p>
+            )}
+          </div>
+        </div>
+      )}
     </div>
   );
 };